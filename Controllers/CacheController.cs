@@ -2,6 +2,8 @@ using BomLocalService.Models;
 using BomLocalService.Services.Interfaces;
 using BomLocalService.Utilities;
 using Microsoft.AspNetCore.Mvc;
+using System.Text.Json;
+using System.Text.Json.Serialization;
 
 namespace BomLocalService.Controllers;
 
@@ -11,18 +13,85 @@ public class CacheController : ControllerBase
 {
     private readonly ICacheService _cacheService;
     private readonly IBomRadarService _bomRadarService;
+    private readonly ICacheEventService _cacheEventService;
     private readonly ILogger<CacheController> _logger;
+    
+    // Comment lines keep idle connections open through proxies and let us notice disconnected clients
+    private static readonly TimeSpan EventStreamHeartbeatInterval = TimeSpan.FromSeconds(15);
+    private const int EventStreamRetryMilliseconds = 5000;
+    private static readonly JsonSerializerOptions EventJsonOptions = new(JsonSerializerDefaults.Web)
+    {
+        DefaultIgnoreCondition = JsonIgnoreCondition.WhenWritingNull,
+        Converters = { new JsonStringEnumConverter() }
+    };
 
     public CacheController(
         ICacheService cacheService, 
         IBomRadarService bomRadarService,
+        ICacheEventService cacheEventService,
         ILogger<CacheController> logger)
     {
         _cacheService = cacheService;
         _bomRadarService = bomRadarService;
+        _cacheEventService = cacheEventService;
         _logger = logger;
     }
 
+    /// <summary>
+    /// Stream cache events for all locations as Server-Sent Events.
+    /// Events: update-progress (update running), new-frames (new frames cached), cache-updated (update finished).
+    /// Each event's data is a JSON <see cref="CacheEvent"/>; clients filter by locationKey.
+    /// </summary>
+    [HttpGet("events")]
+    public async Task StreamEvents(CancellationToken cancellationToken = default)
+    {
+        Response.Headers.ContentType = "text/event-stream";
+        Response.Headers.CacheControl = "no-cache";
+        Response.Headers["X-Accel-Buffering"] = "no"; // Disable response buffering in nginx
+        
+        var reader = _cacheEventService.Subscribe(cancellationToken);
+        
+        try
+        {
+            await Response.WriteAsync($"retry: {EventStreamRetryMilliseconds}\n\n", cancellationToken);
+            await Response.Body.FlushAsync(cancellationToken);
+            
+            while (!cancellationToken.IsCancellationRequested)
+            {
+                using var heartbeatCts = CancellationTokenSource.CreateLinkedTokenSource(cancellationToken);
+                heartbeatCts.CancelAfter(EventStreamHeartbeatInterval);
+                
+                bool hasEvents;
+                try
+                {
+                    hasEvents = await reader.WaitToReadAsync(heartbeatCts.Token);
+                }
+                catch (OperationCanceledException) when (!cancellationToken.IsCancellationRequested)
+                {
+                    await Response.WriteAsync(": heartbeat\n\n", cancellationToken);
+                    await Response.Body.FlushAsync(cancellationToken);
+                    continue;
+                }
+                
+                if (!hasEvents)
+                {
+                    break;
+                }
+                
+                while (reader.TryRead(out var cacheEvent))
+                {
+                    var json = JsonSerializer.Serialize(cacheEvent, EventJsonOptions);
+                    await Response.WriteAsync($"event: {cacheEvent.Type}\ndata: {json}\n\n", cancellationToken);
+                }
+                await Response.Body.FlushAsync(cancellationToken);
+            }
+        }
+        catch (OperationCanceledException)
+        {
+            // Client disconnected
+        }
+    }
+
     /// <summary>
     /// Get information about the available cache range for a location (oldest and newest cache folders).
     /// Helps clients understand what historical data is available before requesting extended timespans.
@@ -65,6 +134,64 @@ public class CacheController : ControllerBase
         }
     }
 
+    /// <summary>
+    /// Get a location's cache status without triggering an update: validity, the running update's phase,
+    /// frame progress and start time, and how long recent updates took.
+    /// </summary>
+    [HttpGet("{suburb}/{state}/status")]
+    public async Task<ActionResult<CacheUpdateStatus>> GetCacheStatus(string suburb, string state, CancellationToken cancellationToken = default)
+    {
+        try
+        {
+            var validationError = ValidationHelper.ValidateLocation(suburb, state);
+            if (validationError != null)
+            {
+                return BadRequest(ApiErrorResponseBuilder.ValidationError(validationError));
+            }
+
+            var status = await _bomRadarService.GetCacheStatusAsync(suburb, state, cancellationToken);
+            return Ok(status);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error getting cache status for suburb: {Suburb}, state: {State}", suburb, state);
+            var errorResponse = ApiErrorResponseBuilder.InternalError(
+                "An error occurred while getting cache status", 
+                ex);
+            errorResponse.Details!["location"] = new { suburb, state };
+            return StatusCode(500, errorResponse);
+        }
+    }
+
+    /// <summary>
+    /// List a location's complete cache folders (oldest first) with their timestamps and frame counts.
+    /// Returns an empty list when nothing is cached, so admin tools can show an empty cache rather than an error.
+    /// </summary>
+    [HttpGet("{suburb}/{state}/folders")]
+    public async Task<ActionResult<List<CacheFolderSummary>>> GetCacheFolders(string suburb, string state, CancellationToken cancellationToken = default)
+    {
+        try
+        {
+            var validationError = ValidationHelper.ValidateLocation(suburb, state);
+            if (validationError != null)
+            {
+                return BadRequest(ApiErrorResponseBuilder.ValidationError(validationError));
+            }
+
+            var folders = await _bomRadarService.GetCacheFolderSummariesAsync(suburb, state, cancellationToken);
+            return Ok(folders);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error listing cache folders for suburb: {Suburb}, state: {State}", suburb, state);
+            var errorResponse = ApiErrorResponseBuilder.InternalError(
+                "An error occurred while listing cache folders", 
+                ex);
+            errorResponse.Details!["location"] = new { suburb, state };
+            return StatusCode(500, errorResponse);
+        }
+    }
+
     /// <summary>
     /// Manually trigger a cache refresh for a location. Returns status of the update operation.
     /// </summary>
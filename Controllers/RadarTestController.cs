@@ -1,3 +1,4 @@
+using BomLocalService.Models;
 using BomLocalService.Utilities;
 using Microsoft.AspNetCore.Mvc;
 
@@ -10,6 +11,13 @@ namespace BomLocalService.Controllers;
 [Route("radar")]
 public class RadarTestController : Controller
 {
+    private readonly IConfiguration _configuration;
+
+    public RadarTestController(IConfiguration configuration)
+    {
+        _configuration = configuration;
+    }
+
     /// <summary>
     /// Serves the test page for viewing radar data for a specific location.
     /// Route: /radar/{suburb}/{state}
@@ -27,6 +35,28 @@ public class RadarTestController : Controller
         ViewBag.State = state;
         ViewBag.ApiBaseUrl = $"/api/radar/{Uri.EscapeDataString(suburb)}/{Uri.EscapeDataString(state)}";
         
+        // "fixture" serves recorded responses from static files instead of the radar API (development)
+        var dataSource = _configuration.GetValue<string>("Viewer:DataSource") ?? "http";
+        ViewBag.DataSource = string.Equals(dataSource, "fixture", StringComparison.OrdinalIgnoreCase)
+            ? new { type = "fixture", baseUrl = _configuration.GetValue<string>("Viewer:FixtureBaseUrl") ?? "/fixtures/radar" }
+            : new { type = "http", baseUrl = (string?)null };
+        
+        // Crop offsets and radar sites let the viewer project lat/lon onto the cropped images (map markers)
+        var cropSection = _configuration.GetSection("Screenshot:Crop");
+        var radarSites = _configuration.GetSection("Viewer:RadarSites").Get<Dictionary<string, RadarSite>>() ?? new();
+        ViewBag.MapProjection = new
+        {
+            crop = new
+            {
+                x = cropSection.GetValue<int?>("X") ?? 0,
+                y = cropSection.GetValue<int?>("Y") ?? 0,
+                rightOffset = cropSection.GetValue<int?>("RightOffset") ?? 0
+            },
+            sites = radarSites.ToDictionary(
+                site => site.Key.ToLowerInvariant(),
+                site => new { latitude = site.Value.Latitude, longitude = site.Value.Longitude, rangeKm = site.Value.RangeKm })
+        };
+        
         return View();
     }
 }
@@ -0,0 +1,87 @@
+namespace BomLocalService.Models;
+
+/// <summary>
+/// Event types published to clients listening on the cache event stream (/api/cache/events).
+/// </summary>
+public static class CacheEventTypes
+{
+    /// <summary>
+    /// A cache update is running. Sent when the update starts and whenever its phase or frame progress changes.
+    /// </summary>
+    public const string UpdateProgress = "update-progress";
+
+    /// <summary>
+    /// A cache update captured a new set of frames. Clients should fetch the latest data.
+    /// </summary>
+    public const string NewFrames = "new-frames";
+
+    /// <summary>
+    /// A cache update finished (successfully or not) and the location is no longer updating.
+    /// </summary>
+    public const string CacheUpdated = "cache-updated";
+}
+
+/// <summary>
+/// An event describing a change to a location's cache, streamed to clients as Server-Sent Events.
+/// Only the properties relevant to the event type are set.
+/// </summary>
+public class CacheEvent
+{
+    /// <summary>
+    /// The event type (one of <see cref="CacheEventTypes"/>).
+    /// </summary>
+    public string Type { get; set; } = string.Empty;
+
+    /// <summary>
+    /// The location key in "suburb_state" format (e.g., "Pomona_QLD").
+    /// Clients should compare keys case-insensitively.
+    /// </summary>
+    public string LocationKey { get; set; } = string.Empty;
+
+    /// <summary>
+    /// The UTC timestamp when the event was published.
+    /// </summary>
+    public DateTime Timestamp { get; set; } = DateTime.UtcNow;
+
+    /// <summary>
+    /// Current phase of the update. Set for update-progress events.
+    /// </summary>
+    public CacheUpdatePhase? Phase { get; set; }
+
+    /// <summary>
+    /// Frame currently being captured (0-based). Set for update-progress events during frame capture.
+    /// </summary>
+    public int? CurrentFrame { get; set; }
+
+    /// <summary>
+    /// Total frames being captured. Set for update-progress events during frame capture.
+    /// </summary>
+    public int? TotalFrames { get; set; }
+
+    /// <summary>
+    /// Estimated seconds until the update completes, based on metrics from previous updates.
+    /// Set for update-progress events; 0 if no estimate is available yet.
+    /// </summary>
+    public int? EstimatedRemainingSeconds { get; set; }
+
+    /// <summary>
+    /// When the running update started (UTC). Set for update-progress events, so clients that connect
+    /// mid-update can show elapsed time.
+    /// </summary>
+    public DateTime? UpdateStartedAt { get; set; }
+
+    /// <summary>
+    /// The cache folder that now holds the newest frames. Set for new-frames events.
+    /// </summary>
+    public string? CacheFolderName { get; set; }
+
+    /// <summary>
+    /// Observation time of the newest frames. Set for new-frames events.
+    /// </summary>
+    public DateTime? ObservationTime { get; set; }
+
+    /// <summary>
+    /// Number of frames captured. Set for new-frames events.
+    /// </summary>
+    public int? FrameCount { get; set; }
+}
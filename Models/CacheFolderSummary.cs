@@ -0,0 +1,13 @@
+namespace BomLocalService.Models;
+
+/// <summary>
+/// A cache folder with the number of radar frames it holds.
+/// Used by the cache folder listing so clients can see what each capture session contains without loading its frames.
+/// </summary>
+public class CacheFolderSummary : CacheFolder
+{
+    /// <summary>
+    /// Number of radar frames stored in this cache folder (typically 7).
+    /// </summary>
+    public int FrameCount { get; set; }
+}
@@ -0,0 +1,28 @@
+namespace BomLocalService.Models;
+
+/// <summary>
+/// A completed cache update, kept in a short in-memory history so clients can compare a running update
+/// with how long recent updates took.
+/// </summary>
+public class CacheUpdateHistoryEntry
+{
+    /// <summary>
+    /// The location key in "suburb_state" format (e.g., "Pomona_QLD").
+    /// </summary>
+    public string LocationKey { get; set; } = string.Empty;
+
+    /// <summary>
+    /// When the update started (UTC).
+    /// </summary>
+    public DateTime StartedAt { get; set; }
+
+    /// <summary>
+    /// When the update finished (UTC).
+    /// </summary>
+    public DateTime CompletedAt { get; set; }
+
+    /// <summary>
+    /// Total duration of the update in seconds.
+    /// </summary>
+    public double DurationSeconds { get; set; }
+}
@@ -1,3 +1,5 @@
+using System.Text.Json.Serialization;
+
 namespace BomLocalService.Models;
 
 /// <summary>
@@ -90,5 +92,39 @@ public class CacheUpdateStatus
     /// Null if no update has been attempted yet.
     /// </summary>
     public DateTime? LastUpdateAttempt { get; set; }
+
+    /// <summary>
+    /// Current phase of the running update (serialized by name, e.g. "CapturingFrames").
+    /// Null when no update is running for this location.
+    /// </summary>
+    [JsonConverter(typeof(JsonStringEnumConverter))]
+    public CacheUpdatePhase? Phase { get; set; }
+
+    /// <summary>
+    /// Frame currently being captured (0-based) while the running update is in the CapturingFrames phase.
+    /// </summary>
+    public int? CurrentFrame { get; set; }
+
+    /// <summary>
+    /// Total frames the running update is capturing.
+    /// </summary>
+    public int? TotalFrames { get; set; }
+
+    /// <summary>
+    /// When the running update started (UTC). Null when no update is running.
+    /// </summary>
+    public DateTime? UpdateStartedAt { get; set; }
+
+    /// <summary>
+    /// Median duration of this location's recent updates in seconds (the typical update time),
+    /// or of all locations' recent updates until this location has completed one.
+    /// Null until an update has completed since the service started.
+    /// </summary>
+    public int? TypicalDurationSeconds { get; set; }
+
+    /// <summary>
+    /// Recently completed updates for this location, most recent first.
+    /// </summary>
+    public List<CacheUpdateHistoryEntry>? RecentUpdates { get; set; }
 }
 
@@ -0,0 +1,23 @@
+namespace BomLocalService.Models;
+
+/// <summary>
+/// Geographic reference for a location's radar images, used by the viewer to place
+/// point-of-interest markers. Configured per location under Viewer:RadarSites (key: suburb_state).
+/// </summary>
+public class RadarSite
+{
+    /// <summary>
+    /// Latitude of the point the BOM map is centred on (the radar site or searched location).
+    /// </summary>
+    public double Latitude { get; set; }
+
+    /// <summary>
+    /// Longitude of the point the BOM map is centred on.
+    /// </summary>
+    public double Longitude { get; set; }
+
+    /// <summary>
+    /// Range in kilometres from the map centre to the left/right edge of the uncropped map container.
+    /// </summary>
+    public double RangeKm { get; set; }
+}
@@ -12,6 +12,7 @@ public class BomRadarService : IBomRadarService, IDisposable
     private readonly IBrowserService _browserService;
     private readonly IScrapingService _scrapingService;
     private readonly IDebugService _debugService;
+    private readonly ICacheEventService _cacheEventService;
     private readonly IConfiguration _configuration;
     private readonly double _cacheExpirationMinutes;
     private readonly int _cacheManagementCheckIntervalMinutes;
@@ -24,6 +25,7 @@ public class BomRadarService : IBomRadarService, IDisposable
         IBrowserService browserService,
         IScrapingService scrapingService,
         IDebugService debugService,
+        ICacheEventService cacheEventService,
         IConfiguration configuration)
     {
         _logger = logger;
@@ -31,6 +33,7 @@ public class BomRadarService : IBomRadarService, IDisposable
         _browserService = browserService;
         _scrapingService = scrapingService;
         _debugService = debugService;
+        _cacheEventService = cacheEventService;
         _configuration = configuration;
         
         var cacheExpirationMinutesConfig = configuration.GetValue<double?>("CacheExpirationMinutes");
@@ -163,6 +166,7 @@ public class BomRadarService : IBomRadarService, IDisposable
                 status.NextUpdateTime = DateTime.UtcNow.AddSeconds(_estimatedUpdateDurationSeconds);
             }
             
+            _cacheService.AddUpdateProgress(status, locationKey);
             return status;
         }
         
@@ -337,6 +341,16 @@ public class BomRadarService : IBomRadarService, IDisposable
                     networkRequests,
                     cancellationToken);
                 
+                // Let connected clients fetch the new frames straight away
+                _cacheEventService.Publish(new CacheEvent
+                {
+                    Type = CacheEventTypes.NewFrames,
+                    LocationKey = locationKey,
+                    CacheFolderName = Path.GetFileName(newCacheFolderPath),
+                    ObservationTime = result.ObservationTime,
+                    FrameCount = result.Frames.Count
+                });
+                
                 // Remove from active tracking once complete
                 _cacheService.ClearActiveCacheFolder(locationKey);
                 
@@ -474,6 +488,45 @@ public class BomRadarService : IBomRadarService, IDisposable
         };
     }
 
+    public Task<CacheUpdateStatus> GetCacheStatusAsync(string suburb, string state, CancellationToken cancellationToken = default)
+    {
+        return _cacheService.GetCacheStatusAsync(
+            suburb, 
+            state, 
+            CachedDataType.Radar, 
+            (int)_cacheExpirationMinutes, 
+            _cacheManagementCheckIntervalMinutes, 
+            cancellationToken);
+    }
+
+    public async Task<List<CacheFolderSummary>> GetCacheFolderSummariesAsync(string suburb, string state, CancellationToken cancellationToken = default)
+    {
+        var allFolders = await _cacheService.GetAllCacheFoldersAsync(suburb, state, cancellationToken);
+        var result = new List<CacheFolderSummary>();
+        
+        foreach (var folder in allFolders)
+        {
+            var frames = await _cacheService.GetFramesFromCacheFolderAsync(
+                suburb, 
+                state, 
+                folder.FolderName, 
+                CachedDataType.Radar, 
+                cancellationToken);
+            
+            result.Add(new CacheFolderSummary
+            {
+                FolderName = folder.FolderName,
+                CacheTimestamp = folder.CacheTimestamp,
+                ObservationTime = folder.ObservationTime,
+                AvailableDataTypes = folder.AvailableDataTypes,
+                IsComplete = folder.IsComplete,
+                FrameCount = frames.Count
+            });
+        }
+        
+        return result;
+    }
+
     public async Task<RadarTimeSeriesResponse> GetRadarTimeSeriesAsync(
         string suburb, 
         string state, 
@@ -0,0 +1,53 @@
+using BomLocalService.Models;
+using BomLocalService.Services.Interfaces;
+using System.Collections.Concurrent;
+using System.Threading.Channels;
+
+namespace BomLocalService.Services;
+
+public class CacheEventService : ICacheEventService
+{
+    private readonly ILogger<CacheEventService> _logger;
+    private readonly ConcurrentDictionary<Guid, Channel<CacheEvent>> _subscribers = new();
+    private const int SubscriberBufferSize = 100;
+
+    public CacheEventService(ILogger<CacheEventService> logger)
+    {
+        _logger = logger;
+    }
+
+    public int SubscriberCount => _subscribers.Count;
+
+    public void Publish(CacheEvent cacheEvent)
+    {
+        foreach (var channel in _subscribers.Values)
+        {
+            // Bounded with DropOldest, so this only fails once the subscriber has completed
+            channel.Writer.TryWrite(cacheEvent);
+        }
+    }
+
+    public ChannelReader<CacheEvent> Subscribe(CancellationToken cancellationToken)
+    {
+        var id = Guid.NewGuid();
+        var channel = Channel.CreateBounded<CacheEvent>(new BoundedChannelOptions(SubscriberBufferSize)
+        {
+            FullMode = BoundedChannelFullMode.DropOldest,
+            SingleReader = true,
+            SingleWriter = false
+        });
+        _subscribers[id] = channel;
+        _logger.LogDebug("Cache event subscriber added ({Count} active)", _subscribers.Count);
+
+        cancellationToken.Register(() =>
+        {
+            if (_subscribers.TryRemove(id, out var removed))
+            {
+                removed.Writer.TryComplete();
+                _logger.LogDebug("Cache event subscriber removed ({Count} active)", _subscribers.Count);
+            }
+        });
+
+        return channel.Reader;
+    }
+}
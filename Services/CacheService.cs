@@ -12,20 +12,23 @@ public class CacheService : ICacheService
     private readonly string _cacheDirectory;
     private readonly double _cacheExpirationMinutes;
     private readonly IConfiguration _configuration;
+    private readonly ICacheEventService _cacheEventService;
     private readonly ConcurrentDictionary<string, string> _activeCacheFolders = new(); // locationKey -> cacheFolderPath
     
     // Progress tracking for cache updates
     private readonly ConcurrentDictionary<string, (DateTime startTime, CacheUpdatePhase phase, int? currentFrame, int? totalFrames)> _updateProgress = new();
     private readonly ConcurrentQueue<double> _recentTotalDurations = new(); // Overall durations in seconds
+    private readonly ConcurrentDictionary<string, ConcurrentQueue<CacheUpdateHistoryEntry>> _recentUpdates = new(); // locationKey -> completed updates, oldest first
     private readonly ConcurrentDictionary<CacheUpdatePhase, ConcurrentQueue<double>> _phaseDurations = new(); // Phase -> durations
     private readonly ConcurrentDictionary<string, ConcurrentQueue<double>> _stepDurations = new(); // Step name -> durations
     private readonly object _metricsLock = new();
     private const int MaxSamples = 20;
 
-    public CacheService(ILogger<CacheService> logger, IConfiguration configuration)
+    public CacheService(ILogger<CacheService> logger, IConfiguration configuration, ICacheEventService cacheEventService)
     {
         _logger = logger;
         _configuration = configuration;
+        _cacheEventService = cacheEventService;
         _cacheDirectory = FilePathHelper.GetCacheDirectory(configuration);
         
         var cacheExpirationMinutesConfig = configuration.GetValue<double?>("CacheExpirationMinutes");
@@ -534,6 +537,7 @@ public class CacheService : ICacheService
         _activeCacheFolders[locationKey] = cacheFolderPath;
         _updateProgress[locationKey] = (DateTime.UtcNow, CacheUpdatePhase.Initializing, null, null);
         _logger.LogDebug("Tracking active cache folder: {Folder} for location: {Location}", cacheFolderPath, locationKey);
+        PublishUpdateProgress(locationKey, CacheUpdatePhase.Initializing, null, null);
     }
     
     public void ClearActiveCacheFolder(string locationKey)
@@ -543,6 +547,12 @@ public class CacheService : ICacheService
             RecordUpdateComplete(locationKey);
             _updateProgress.TryRemove(locationKey, out _);
             _logger.LogDebug("Cleared active cache folder tracking: {Folder} for location: {Location}", folder, locationKey);
+            
+            _cacheEventService.Publish(new CacheEvent
+            {
+                Type = CacheEventTypes.CacheUpdated,
+                LocationKey = locationKey
+            });
         }
     }
     
@@ -575,6 +585,25 @@ public class CacheService : ICacheService
         // Update progress
         var startTime = _updateProgress.TryGetValue(locationKey, out var current) ? current.startTime : DateTime.UtcNow;
         _updateProgress[locationKey] = (startTime, phase, currentFrame, totalFrames);
+        
+        PublishUpdateProgress(locationKey, phase, currentFrame, totalFrames);
+    }
+    
+    /// <summary>
+    /// Publishes an update-progress event with the current estimate for the location.
+    /// </summary>
+    private void PublishUpdateProgress(string locationKey, CacheUpdatePhase phase, int? currentFrame, int? totalFrames)
+    {
+        _cacheEventService.Publish(new CacheEvent
+        {
+            Type = CacheEventTypes.UpdateProgress,
+            LocationKey = locationKey,
+            Phase = phase,
+            CurrentFrame = currentFrame,
+            TotalFrames = totalFrames,
+            EstimatedRemainingSeconds = GetEstimatedRemainingSeconds(locationKey),
+            UpdateStartedAt = _updateProgress.TryGetValue(locationKey, out var progress) ? progress.startTime : null
+        });
     }
     
     /// <summary>
@@ -593,6 +622,19 @@ public class CacheService : ICacheService
                 {
                     _recentTotalDurations.TryDequeue(out _);
                 }
+                
+                var history = _recentUpdates.GetOrAdd(locationKey, _ => new ConcurrentQueue<CacheUpdateHistoryEntry>());
+                history.Enqueue(new CacheUpdateHistoryEntry
+                {
+                    LocationKey = locationKey,
+                    StartedAt = progress.startTime,
+                    CompletedAt = DateTime.UtcNow,
+                    DurationSeconds = totalDuration
+                });
+                while (history.Count > MaxSamples)
+                {
+                    history.TryDequeue(out _);
+                }
             }
             
             _logger.LogInformation("Cache update completed in {Duration:F1} seconds for {Location}", totalDuration, locationKey);
@@ -675,17 +717,47 @@ public class CacheService : ICacheService
     {
         lock (_metricsLock)
         {
-            if (_recentTotalDurations.Count == 0) return 0;
-            var durations = _recentTotalDurations.ToArray();
-            Array.Sort(durations);
             // Use median for robustness
-            var median = durations.Length % 2 == 0
-                ? (durations[durations.Length / 2 - 1] + durations[durations.Length / 2]) / 2.0
-                : durations[durations.Length / 2];
-            return median;
+            return GetMedian(_recentTotalDurations.ToArray());
         }
     }
     
+    /// <summary>
+    /// Median of a set of durations (0 when there are none).
+    /// </summary>
+    private static double GetMedian(double[] durations)
+    {
+        if (durations.Length == 0) return 0;
+        Array.Sort(durations);
+        return durations.Length % 2 == 0
+            ? (durations[durations.Length / 2 - 1] + durations[durations.Length / 2]) / 2.0
+            : durations[durations.Length / 2];
+    }
+    
+    public void AddUpdateProgress(CacheUpdateStatus status, string locationKey)
+    {
+        if (_updateProgress.TryGetValue(locationKey, out var progress))
+        {
+            status.Phase = progress.phase;
+            status.CurrentFrame = progress.currentFrame;
+            status.TotalFrames = progress.totalFrames;
+            status.UpdateStartedAt = progress.startTime;
+        }
+        
+        CacheUpdateHistoryEntry[] history;
+        lock (_metricsLock)
+        {
+            history = _recentUpdates.TryGetValue(locationKey, out var updates) ? updates.ToArray() : Array.Empty<CacheUpdateHistoryEntry>();
+        }
+        status.RecentUpdates = history.Reverse().ToList();
+        
+        // Median of this location's recent updates, or of all locations' until this one has completed an update
+        var typicalDuration = history.Length > 0
+            ? GetMedian(history.Select(update => update.DurationSeconds).ToArray())
+            : GetAverageTotalDuration();
+        status.TypicalDurationSeconds = typicalDuration > 0 ? (int)Math.Round(typicalDuration) : null;
+    }
+    
     /// <summary>
     /// Gets the average duration per frame based on historical CapturingFrames phase data.
     /// </summary>
@@ -916,6 +988,7 @@ public class CacheService : ICacheService
             status.NextUpdateTime = ResponseBuilder.CalculateNextServiceCheck(cacheManagementCheckIntervalMinutes);
         }
         
+        AddUpdateProgress(status, locationKey);
         return status;
     }
 }
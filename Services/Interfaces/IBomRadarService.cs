@@ -82,6 +82,17 @@ public interface IBomRadarService : ISingletonService
     /// </summary>
     Task<CacheRange> GetCacheRangeAsync(string suburb, string state, CancellationToken cancellationToken = default);
     
+    /// <summary>
+    /// Gets a location's cache status without triggering an update, including the running update's progress
+    /// and the recent update history.
+    /// </summary>
+    Task<CacheUpdateStatus> GetCacheStatusAsync(string suburb, string state, CancellationToken cancellationToken = default);
+    
+    /// <summary>
+    /// Gets all complete cache folders for a location with their frame counts, ordered by timestamp (oldest first).
+    /// </summary>
+    Task<List<CacheFolderSummary>> GetCacheFolderSummariesAsync(string suburb, string state, CancellationToken cancellationToken = default);
+    
     /// <summary>
     /// Gets historical radar data (frames from multiple cache folders) between specified timestamps.
     /// Radar frames can be joined across cache folders because they represent a historical time series.
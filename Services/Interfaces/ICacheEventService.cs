@@ -0,0 +1,32 @@
+using BomLocalService.Models;
+using BomLocalService.Services.Interfaces.Registration;
+using System.Threading.Channels;
+
+namespace BomLocalService.Services.Interfaces;
+
+/// <summary>
+/// Service interface for publishing cache change events to connected clients.
+/// The cache services publish update progress, new frames and update completion;
+/// the event stream endpoint subscribes and forwards them as Server-Sent Events.
+/// </summary>
+public interface ICacheEventService : ISingletonService
+{
+    /// <summary>
+    /// Publishes an event to all current subscribers. Never blocks - slow subscribers drop their oldest events.
+    /// </summary>
+    /// <param name="cacheEvent">The event to publish</param>
+    void Publish(CacheEvent cacheEvent);
+
+    /// <summary>
+    /// Subscribes to cache events for all locations.
+    /// The subscription ends (and the reader completes) when the cancellation token is cancelled.
+    /// </summary>
+    /// <param name="cancellationToken">Token that ends the subscription (e.g., the request's aborted token)</param>
+    /// <returns>Reader that receives events published after subscribing</returns>
+    ChannelReader<CacheEvent> Subscribe(CancellationToken cancellationToken);
+
+    /// <summary>
+    /// Gets the number of active subscribers.
+    /// </summary>
+    int SubscriberCount { get; }
+}
@@ -241,5 +241,12 @@ public interface ICacheService : ISingletonService
     /// </summary>
     /// <returns>Average total duration in seconds, or 0 if no data available</returns>
     double GetAverageTotalDuration();
+    
+    /// <summary>
+    /// Adds the running update's phase, frame progress and start time (if any) and the location's recent update history to a status.
+    /// </summary>
+    /// <param name="status">The status to fill in</param>
+    /// <param name="locationKey">The location key (suburb_state)</param>
+    void AddUpdateProgress(CacheUpdateStatus status, string locationKey);
 }
 
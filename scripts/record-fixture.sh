@@ -0,0 +1,72 @@
+#!/bin/bash
+# Record the radar API responses and frame images for one location into a fixture directory,
+# so the viewer can run against it with Viewer__DataSource=fixture (no scraping needed).
+#
+# Usage: scripts/record-fixture.sh <suburb> <state> [service-url] [output-dir]
+#   service-url  running service to record from (default: http://localhost:8082)
+#   output-dir   fixture root (default: wwwroot/fixtures/radar)
+#
+# Requires curl and jq.
+set -e
+
+if [ $# -lt 2 ]; then
+    echo "Usage: $0 <suburb> <state> [service-url] [output-dir]" >&2
+    exit 1
+fi
+
+SUBURB="$1"
+STATE="$2"
+SERVICE_URL="${3:-http://localhost:8082}"
+OUTPUT_ROOT="${4:-wwwroot/fixtures/radar}"
+
+uri_encode() {
+    jq -rn --arg value "$1" '$value | @uri'
+}
+
+# Folder name matches the viewer's location key: lowercase suburb_state
+LOCATION_DIR="$OUTPUT_ROOT/$(echo "${SUBURB}_${STATE}" | tr '[:upper:]' '[:lower:]')"
+LOCATION_PATH="$(uri_encode "$SUBURB")/$(uri_encode "$STATE")"
+RAW_DIR="$(mktemp -d)"
+trap 'rm -rf "$RAW_DIR"' EXIT
+
+# Local file for a frame URL: frames/{cacheFolder or "latest"}_{frameIndex}.png
+JQ_LOCAL_NAME='def local_name: capture("/frame/(?<index>[0-9]+)(\\?cacheFolder=(?<folder>.*))?$")
+    | "frames/\((.folder // "latest") | gsub("[^A-Za-z0-9_-]"; "_"))_\(.index).png";'
+
+# Fetch an API response, returns non-zero if it isn't available
+record() {
+    local name="$1"
+    local url="$2"
+    if curl -fs --max-time 60 "$SERVICE_URL$url" -o "$RAW_DIR/$name"; then
+        echo "Recorded $name"
+    else
+        echo "Skipped $name (not available)" >&2
+        rm -f "$RAW_DIR/$name"
+        return 1
+    fi
+}
+
+record latest.json "/api/radar/$LOCATION_PATH" || {
+    echo "ERROR: No radar data for $SUBURB, $STATE - is the cache populated?" >&2
+    exit 1
+}
+record timeseries.json "/api/radar/$LOCATION_PATH/timeseries" || true
+record metadata.json "/api/radar/$LOCATION_PATH/metadata" || true
+record range.json "/api/cache/$LOCATION_PATH/range" || true
+
+mkdir -p "$LOCATION_DIR/frames"
+
+# Download every frame image referenced by the recorded responses
+jq -r '[.. | objects | select(has("imageUrl")) | .imageUrl] | .[]' "$RAW_DIR"/*.json | sort -u | while read -r image_url; do
+    local_name="$(echo "$image_url" | jq -Rr "$JQ_LOCAL_NAME local_name")"
+    curl -fsS --max-time 30 "$SERVICE_URL$image_url" -o "$LOCATION_DIR/$local_name"
+done
+echo "Downloaded $(ls "$LOCATION_DIR/frames" | wc -l) frame images"
+
+# Point the responses at the downloaded images (relative to the location folder)
+for file in "$RAW_DIR"/*.json; do
+    jq "$JQ_LOCAL_NAME walk(if type == \"object\" and has(\"imageUrl\") then .imageUrl |= local_name else . end)" \
+        "$file" > "$LOCATION_DIR/$(basename "$file")"
+done
+
+echo "Fixture written to $LOCATION_DIR"
@@ -0,0 +1,104 @@
+// Accessibility - screen reader announcements, modal dialog focus handling and the reduced motion preference
+import { state } from './state.js';
+import { getElement } from './utils.js';
+
+const ANNOUNCE_RESET_MS = 50; // clear the live region first so a repeated message is read again
+const FRAME_ANNOUNCE_DELAY_MS = 500; // only the frame that stays on screen is read (slider drags, key repeat)
+const FOCUSABLE_SELECTOR = 'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+const frameAnnouncements = new WeakMap(); // state -> pending frame announcement timer
+const openDialogs = new Map(); // dialog element -> { returnFocus, onClose }
+
+/**
+ * Read a message to screen reader users through the state's live region (#sr-announcer)
+ */
+export function announce(message, s = state) {
+    clearTimeout(frameAnnouncements.get(s));
+    const announcerEl = getElement('sr-announcer', s.root);
+    if (!announcerEl || !message) return;
+    
+    announcerEl.textContent = '';
+    setTimeout(() => { announcerEl.textContent = message; }, ANNOUNCE_RESET_MS);
+}
+
+/**
+ * Announce the frame on screen once it has stopped changing (a newer frame replaces a pending one)
+ */
+export function scheduleFrameAnnouncement(message, s = state) {
+    clearTimeout(frameAnnouncements.get(s));
+    frameAnnouncements.set(s, setTimeout(() => announce(message, s), FRAME_ANNOUNCE_DELAY_MS));
+}
+
+/**
+ * Has the user asked the system to minimise motion?
+ */
+export function prefersReducedMotion() {
+    return typeof window.matchMedia === 'function' && window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+}
+
+function getFocusableElements(dialog) {
+    return [...dialog.querySelectorAll(FOCUSABLE_SELECTOR)].filter(el => el.offsetParent !== null || el === document.activeElement);
+}
+
+/**
+ * Escape closes the top dialog; Tab and Shift+Tab wrap around inside it
+ */
+function handleDialogKeydown(e) {
+    const dialogs = [...openDialogs.keys()];
+    const dialog = dialogs[dialogs.length - 1];
+    if (!dialog) return;
+    
+    if (e.key === 'Escape') {
+        e.preventDefault();
+        openDialogs.get(dialog).onClose();
+        return;
+    }
+    if (e.key !== 'Tab') return;
+    
+    const focusable = getFocusableElements(dialog);
+    if (focusable.length === 0) {
+        e.preventDefault();
+        dialog.focus();
+        return;
+    }
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    if (!dialog.contains(document.activeElement)) {
+        e.preventDefault();
+        first.focus();
+    } else if (e.shiftKey && (document.activeElement === first || document.activeElement === dialog)) {
+        e.preventDefault();
+        last.focus();
+    } else if (!e.shiftKey && document.activeElement === last) {
+        e.preventDefault();
+        first.focus();
+    }
+}
+
+/**
+ * Show a modal dialog (role="dialog" aria-modal="true"): focus moves into it and stays there until it closes.
+ * onClose is called for Escape and should end in closeDialog.
+ */
+export function openDialog(dialog, onClose) {
+    if (!dialog) return;
+    dialog.style.display = 'flex';
+    if (openDialogs.has(dialog)) return;
+    
+    if (openDialogs.size === 0) document.addEventListener('keydown', handleDialogKeydown);
+    openDialogs.set(dialog, { returnFocus: document.activeElement, onClose: onClose });
+    (dialog.querySelector('[autofocus]') || getFocusableElements(dialog)[0] || dialog).focus();
+}
+
+/**
+ * Hide a modal dialog and return focus to where it was before the dialog opened
+ */
+export function closeDialog(dialog) {
+    if (!dialog) return;
+    dialog.style.display = 'none';
+    const open = openDialogs.get(dialog);
+    if (!open) return;
+    
+    openDialogs.delete(dialog);
+    if (openDialogs.size === 0) document.removeEventListener('keydown', handleDialogKeydown);
+    if (open.returnFocus?.isConnected && typeof open.returnFocus.focus === 'function') open.returnFocus.focus();
+}
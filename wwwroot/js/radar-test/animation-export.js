@@ -0,0 +1,281 @@
+// Export the current animation as an animated GIF or WebM video (encoded in the browser)
+import { state } from './state.js';
+import { getFrameImage } from './frame-renderer.js';
+import { createPaletteBuilder, createGifWriter } from './gif-encoder.js';
+import { formatDate, formatFrameTime, getElement, escapeHtml, downloadBlob } from './utils.js';
+import { openDialog, closeDialog } from './a11y.js';
+import { t } from './i18n.js';
+
+const WEBM_MIME_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+
+let isExporting = false;
+let cancelRequested = false;
+
+/**
+ * Pick a WebM type MediaRecorder can produce, or null if WebM recording isn't supported
+ */
+function getSupportedWebmType() {
+    if (typeof MediaRecorder === 'undefined' || typeof HTMLCanvasElement.prototype.captureStream !== 'function') {
+        return null;
+    }
+    return WEBM_MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type)) || null;
+}
+
+/**
+ * Yield to the browser so progress updates paint between frames
+ */
+function nextTick() {
+    return new Promise(resolve => setTimeout(resolve, 0));
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Draw a frame scaled onto the export canvas and stamp its observation time and location
+ */
+function drawStampedFrame(ctx, image, frame, width, height) {
+    ctx.drawImage(image, 0, 0, width, height);
+    
+    const fontSize = Math.max(12, Math.round(height / 28));
+    const padding = Math.round(fontSize / 2);
+    const lines = [formatDate(frame.absoluteObservationTime)];
+    if (frame.isForecast) {
+        lines.push(t('export.forecastStamp', { minutes: frame.forecastMinutes }));
+    }
+    if (state.location) {
+        lines.unshift(`${state.location.suburb}, ${state.location.state}`);
+    }
+    
+    ctx.save();
+    ctx.font = `600 ${fontSize}px sans-serif`;
+    ctx.textBaseline = 'top';
+    const textWidth = Math.max(...lines.map(line => ctx.measureText(line).width));
+    const boxHeight = lines.length * fontSize * 1.25 + padding * 2;
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+    ctx.fillRect(padding, height - boxHeight - padding, textWidth + padding * 2, boxHeight);
+    ctx.fillStyle = '#ffffff';
+    lines.forEach((line, idx) => {
+        ctx.fillText(line, padding * 2, height - boxHeight + idx * fontSize * 1.25);
+    });
+    ctx.restore();
+}
+
+/**
+ * Build the download file name from the location and the last frame's time
+ */
+function buildFileName(frames, extension) {
+    const locationPart = state.location
+        ? `${state.location.suburb}_${state.location.state}`.replace(/[^a-z0-9_-]+/gi, '_')
+        : 'radar';
+    const lastTime = frames[frames.length - 1]?.absoluteObservationTime;
+    const timePart = lastTime ? new Date(lastTime).toISOString().slice(0, 16).replace(/[-:]/g, '').replace('T', '_') : 'export';
+    return `radar_${locationPart}_${timePart}.${extension}`;
+}
+
+/**
+ * Encode frames as a looping GIF. Two passes keep memory flat: the first builds
+ * one palette from every frame, the second encodes.
+ */
+async function encodeGif(frames, width, height, delayMs, onProgress) {
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    
+    const renderFrame = async (frame) => {
+        drawStampedFrame(ctx, await getFrameImage(frame), frame, width, height);
+        return ctx.getImageData(0, 0, width, height);
+    };
+    
+    const paletteBuilder = createPaletteBuilder();
+    for (let i = 0; i < frames.length; i++) {
+        if (cancelRequested) return null;
+        paletteBuilder.addFrame(await renderFrame(frames[i]));
+        onProgress(t('export.analysing', { frame: i + 1, count: frames.length }));
+        await nextTick();
+    }
+    
+    const writer = createGifWriter(width, height, paletteBuilder.build());
+    for (let i = 0; i < frames.length; i++) {
+        if (cancelRequested) return null;
+        writer.addFrame(await renderFrame(frames[i]), delayMs);
+        onProgress(t('export.encoding', { frame: i + 1, count: frames.length }));
+        await nextTick();
+    }
+    return writer.finish();
+}
+
+/**
+ * Record frames to WebM in real time (one frame interval per frame)
+ */
+async function encodeWebm(frames, width, height, delayMs, mimeType, onProgress) {
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d');
+    
+    // Decode everything first so recording isn't held up by network
+    const images = [];
+    for (let i = 0; i < frames.length; i++) {
+        images.push(await getFrameImage(frames[i]));
+        onProgress(t('export.loading', { frame: i + 1, count: frames.length }));
+    }
+    
+    const stream = canvas.captureStream(0);
+    const track = stream.getVideoTracks()[0];
+    const recorder = new MediaRecorder(stream, { mimeType: mimeType });
+    const chunks = [];
+    recorder.ondataavailable = (e) => {
+        if (e.data.size > 0) chunks.push(e.data);
+    };
+    const stopped = new Promise(resolve => { recorder.onstop = resolve; });
+    
+    recorder.start();
+    for (let i = 0; i < frames.length && !cancelRequested; i++) {
+        drawStampedFrame(ctx, images[i], frames[i], width, height);
+        track.requestFrame();
+        onProgress(t('export.recording', { frame: i + 1, count: frames.length }));
+        await sleep(delayMs);
+    }
+    recorder.stop();
+    await stopped;
+    track.stop();
+    
+    return cancelRequested ? null : new Blob(chunks, { type: 'video/webm' });
+}
+
+/**
+ * Export frames [startIndex, endIndex] of state.frames.
+ * @param {Object} options - { format: 'gif' | 'webm', startIndex, endIndex, scale, onProgress }
+ * @returns {Promise<boolean>} true if a file was downloaded
+ */
+export async function exportAnimation({ format, startIndex = 0, endIndex = state.frames.length - 1, scale = 1, onProgress = () => {} }) {
+    if (isExporting) return false;
+    
+    const frames = state.frames.slice(Math.max(0, startIndex), endIndex + 1);
+    if (frames.length === 0) throw new Error(t('export.noFramesToExport'));
+    
+    isExporting = true;
+    cancelRequested = false;
+    try {
+        const firstImage = await getFrameImage(frames[0]);
+        const width = Math.max(1, Math.round(firstImage.width * scale));
+        const height = Math.max(1, Math.round(firstImage.height * scale));
+        const delayMs = state.settings.frameInterval * 1000;
+        
+        let blob;
+        if (format === 'webm') {
+            const mimeType = getSupportedWebmType();
+            if (!mimeType) throw new Error(t('export.webmUnsupported'));
+            blob = await encodeWebm(frames, width, height, delayMs, mimeType, onProgress);
+        } else {
+            blob = await encodeGif(frames, width, height, delayMs, onProgress);
+        }
+        
+        if (!blob) return false; // cancelled
+        downloadBlob(blob, buildFileName(frames, format === 'webm' ? 'webm' : 'gif'));
+        return true;
+    } finally {
+        isExporting = false;
+    }
+}
+
+/**
+ * Export modal management
+ */
+function showExportDialog() {
+    const modal = getElement('export-modal');
+    if (!modal) return;
+    
+    populateRangeSelects();
+    setExportProgress(state.frames.length === 0 ? t('export.noFramesLoaded') : '');
+    
+    const webmOption = getElement('export-format-select')?.querySelector('option[value="webm"]');
+    if (webmOption) webmOption.disabled = !getSupportedWebmType();
+    
+    const intervalNote = getElement('export-interval-note');
+    if (intervalNote) intervalNote.textContent = t('export.intervalNote', { count: state.settings.frameInterval });
+    
+    openDialog(modal, hideExportDialog);
+}
+
+function hideExportDialog() {
+    cancelRequested = isExporting;
+    closeDialog(getElement('export-modal'));
+}
+
+/**
+ * Fill the from/to selects with the loaded frames (defaults to all frames)
+ */
+function populateRangeSelects() {
+    const options = state.frames
+        .map((frame, idx) => `<option value="${idx}">${escapeHtml(formatFrameTime(frame, state.isExtendedMode))}</option>`)
+        .join('');
+    
+    const startSelect = getElement('export-start-select');
+    const endSelect = getElement('export-end-select');
+    if (startSelect) {
+        startSelect.innerHTML = options;
+        startSelect.value = '0';
+    }
+    if (endSelect) {
+        endSelect.innerHTML = options;
+        endSelect.value = String(Math.max(0, state.frames.length - 1));
+    }
+}
+
+function setExportProgress(text) {
+    const progressEl = getElement('export-progress');
+    if (progressEl) progressEl.textContent = text;
+}
+
+/**
+ * Set up the export button and dialog
+ */
+export function setupAnimationExport() {
+    const exportBtn = getElement('export-btn');
+    if (exportBtn) exportBtn.addEventListener('click', showExportDialog);
+    
+    const closeBtn = getElement('close-export-btn');
+    if (closeBtn) closeBtn.addEventListener('click', hideExportDialog);
+    
+    const cancelBtn = getElement('cancel-export-btn');
+    if (cancelBtn) cancelBtn.addEventListener('click', hideExportDialog);
+    
+    const modal = getElement('export-modal');
+    if (modal) {
+        modal.addEventListener('click', (e) => {
+            if (e.target.id === 'export-modal') hideExportDialog();
+        });
+    }
+    
+    const startBtn = getElement('start-export-btn');
+    if (!startBtn) return;
+    startBtn.addEventListener('click', async () => {
+        const startIndex = parseInt(getElement('export-start-select')?.value ?? '0');
+        const endIndex = parseInt(getElement('export-end-select')?.value ?? String(state.frames.length - 1));
+        if (startIndex > endIndex) {
+            setExportProgress(t('export.startAfterEnd'));
+            return;
+        }
+        
+        startBtn.disabled = true;
+        try {
+            const downloaded = await exportAnimation({
+                format: getElement('export-format-select')?.value || 'gif',
+                startIndex: startIndex,
+                endIndex: endIndex,
+                scale: parseFloat(getElement('export-scale-select')?.value || '1'),
+                onProgress: setExportProgress
+            });
+            if (downloaded) setExportProgress(t('export.done'));
+        } catch (error) {
+            console.error('Export failed:', error);
+            setExportProgress(t('export.failed', { reason: error.message }));
+        } finally {
+            startBtn.disabled = false;
+        }
+    });
+}
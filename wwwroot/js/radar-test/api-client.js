@@ -1,16 +1,106 @@
 // API client for fetching radar data
-import { API_BASE } from './config.js';
-import { formatDate, isNetworkError, isNetworkErrorResponse, createCacheStatusData, triggerBackgroundRefresh } from './utils.js';
+import { formatDate, isNetworkError, isNetworkErrorResponse, createCacheStatusData } from './utils.js';
 import { state } from './state.js';
+import { getDataSource } from './data-source.js';
+import { storeOfflineFrames } from './offline-cache.js';
+import { t } from './i18n.js';
+
+// Result of a request that a newer request for the same state replaced (callers ignore it)
+const ABORTED_RESULT = Object.freeze({ error: 'aborted' });
+
+// Request generations are numbered across all states, so a generation never repeats after a state is reset
+let lastRequestGeneration = 0;
+
+/**
+ * Start a new request generation for a state, aborting the requests of the previous one.
+ * Only the latest generation's results may update the state and the page.
+ * @returns {{ generation: number, signal: AbortSignal }}
+ */
+export function beginRadarRequest(s = state) {
+    s.requestController?.abort();
+    s.requestController = new AbortController();
+    s.requestGeneration = ++lastRequestGeneration;
+    return { generation: s.requestGeneration, signal: s.requestController.signal };
+}
+
+/**
+ * Abort a state's requests in flight (switching location, removing a tile) - they resolve as aborted
+ */
+export function cancelRadarRequests(s = state) {
+    s.requestController?.abort();
+    s.requestController = null;
+    s.requestGeneration = ++lastRequestGeneration;
+}
+
+/**
+ * Ask the data source for a cache update without waiting for it (non-critical)
+ */
+function triggerBackgroundRefresh(s) {
+    getDataSource().refresh(s).catch(err => {
+        console.debug('Background cache refresh trigger failed (non-critical):', err);
+    });
+}
+
+/**
+ * Typed error from a failed response's ApiErrorResponse body (errorCode, message, details, suggestions).
+ * Responses without one (proxies, old servers) get an HTTP_<status> code and empty details.
+ * @returns {{ code: string, type: string|null, status: number, message: string, details: object, suggestions: object,
+ *   retryAfter: number|null, suggestedRange: { start: string, end: string }|null }} retryAfter is in seconds
+ */
+export function parseApiError(response) {
+    const body = response.body || {};
+    const suggestions = body.suggestions || {};
+    const retryAfter = Number(suggestions.retryAfter ?? body.retryAfter);
+    const suggestedRange = suggestions.suggestedRange;
+    return Object.freeze({
+        code: body.errorCode || `HTTP_${response.status}`,
+        type: body.errorType || null,
+        status: response.status,
+        message: body.message || body.error || `HTTP ${response.status}${response.statusText ? `: ${response.statusText}` : ''}`,
+        details: body.details || {},
+        suggestions: suggestions,
+        retryAfter: retryAfter > 0 ? retryAfter : null,
+        suggestedRange: suggestedRange?.start && suggestedRange?.end
+            ? { start: suggestedRange.start, end: suggestedRange.end }
+            : null
+    });
+}
+
+/**
+ * Message for an API error, with the requested and available ranges and the server's suggestion of a TIME_RANGE_ERROR spelled out
+ */
+export function describeApiError(apiError) {
+    if (apiError.code !== 'TIME_RANGE_ERROR') return apiError.message;
+    
+    const requested = apiError.details.requestedRange;
+    const available = apiError.details.availableRange;
+    let detail = '';
+    if (requested?.requestedHours) {
+        const hours = Math.round(requested.requestedHours * 10) / 10;
+        detail = apiError.details.maxHours
+            ? t('error.requestedMaxHours', { count: hours, max: apiError.details.maxHours })
+            : t('error.requestedHours', { count: hours });
+    }
+    if (apiError.suggestedRange) {
+        detail += t('error.availableRange', { start: formatDate(apiError.suggestedRange.start), end: formatDate(apiError.suggestedRange.end) });
+    } else if (available?.oldest && available?.newest) {
+        detail += t('error.availableRange', { start: formatDate(available.oldest), end: formatDate(available.newest) });
+    } else if (available?.totalCacheFolders > 0) {
+        detail += t('error.availableFolders', { count: available.totalCacheFolders });
+    }
+    if (apiError.suggestions.suggestion) {
+        detail += t('error.suggestion', { suggestion: apiError.suggestions.suggestion });
+    }
+    return apiError.message + detail;
+}
 
 /**
  * Fetch cache range information
  */
-export async function fetchCacheRange() {
+export async function fetchCacheRange(s = state, { signal = null } = {}) {
     try {
-        const response = await fetch(`${API_BASE.replace('/api/radar', '/api/cache')}/range`, {
-            signal: AbortSignal.timeout(10000)
-        });
+        const response = await getDataSource().getCacheRange(s, { signal });
+        if (signal?.aborted) return { data: null, error: 'aborted' };
         
         if (!response.ok) {
             if (isNetworkErrorResponse(response)) {
@@ -20,107 +110,86 @@ export async function fetchCacheRange() {
             return { data: null, error: null };
         }
         
-        const data = await response.json();
-        state.cacheRangeInfo = data;
-        
-        // Update UI
-        const rangeTextEl = document.getElementById('cache-range-text');
-        if (rangeTextEl) {
-            if (data.totalCacheFolders > 0) {
-                const spanHours = data.timeSpanMinutes ? Math.round(data.timeSpanMinutes / 60 * 10) / 10 : 0;
-                rangeTextEl.innerHTML = `
-                    <div>Oldest: ${formatDate(data.oldestCache.cacheTimestamp)}</div>
-                    <div>Newest: ${formatDate(data.newestCache.cacheTimestamp)}</div>
-                    <div>Total: ${data.totalCacheFolders} cache folders (${spanHours} hours)</div>
-                `;
-            } else {
-                rangeTextEl.textContent = 'No cache data available';
-            }
-        }
+        const data = response.body;
+        s.cacheRangeInfo = data;
         
         return { data: data, error: null };
     } catch (error) {
+        if (signal?.aborted) return { data: null, error: 'aborted' };
         console.error('Error fetching cache range:', error);
-        const rangeTextEl = document.getElementById('cache-range-text');
-        if (rangeTextEl) {
-            rangeTextEl.textContent = 'Unable to load cache range';
-        }
-        
         if (isNetworkError(error)) {
             return { data: null, error: 'network' };
         }
-        return { data: null, error: null };
+        return { data: null, error: 'unknown' };
     }
 }
 
+/**
+ * Run a cache request (status or administration). Resolves to { data, error, apiError }, where error is
+ * 'network' (API unreachable), 'api_error' (see apiError), 'aborted' or null.
+ */
+async function runCacheRequest(request, description) {
+    try {
+        const response = await request();
+        if (!response.ok) {
+            return { data: null, error: 'api_error', apiError: parseApiError(response) };
+        }
+        return { data: response.body, error: null, apiError: null };
+    } catch (error) {
+        if (error.name === 'AbortError') return { data: null, error: 'aborted', apiError: null };
+        console.error(`Error ${description}:`, error);
+        return { data: null, error: isNetworkError(error) ? 'network' : 'api_error', apiError: null };
+    }
+}
+
+/**
+ * List a location's cache folders (oldest first) with their timestamps and frame counts
+ */
+export function fetchCacheFolders(s = state, { signal = null } = {}) {
+    return runCacheRequest(() => getDataSource().getCacheFolders(s, { signal }), 'listing cache folders');
+}
+
+/**
+ * Get a location's cache status (data is the CacheUpdateStatus: running update phase, frame progress,
+ * start time, typical duration and recent updates)
+ */
+export function fetchCacheStatus(s = state, { signal = null } = {}) {
+    return runCacheRequest(() => getDataSource().getCacheStatus(s, { signal }), 'getting cache status');
+}
+
+/**
+ * Ask the server to update a location's cache now (data is the CacheUpdateStatus)
+ */
+export function requestCacheRefresh(s = state) {
+    return runCacheRequest(() => getDataSource().refresh(s), 'requesting cache refresh');
+}
+
+/**
+ * Delete every cached folder for a location
+ */
+export function deleteLocationCache(s = state) {
+    return runCacheRequest(() => getDataSource().deleteCache(s), 'deleting cache');
+}
+
 /**
  * Fetch historical radar data for extended timespan
  */
-export async function fetchHistoricalRadar(startTime, endTime) {
+export async function fetchHistoricalRadar(startTime, endTime, s = state, { signal = null } = {}) {
     try {
-        let url = `${API_BASE}/timeseries`;
-        const params = new URLSearchParams();
-        if (startTime) params.append('startTime', startTime.toISOString());
-        if (endTime) params.append('endTime', endTime.toISOString());
-        if (params.toString()) url += '?' + params.toString();
-        
-        const response = await fetch(url, {
-            signal: AbortSignal.timeout(30000) // Longer timeout for potentially large responses
-        });
+        const response = await getDataSource().getTimeseries(s, { startTime, endTime, signal });
+        if (signal?.aborted) return { frames: null, error: 'aborted' };
         
         if (!response.ok) {
-            const errorData = await response.json().catch(() => ({ message: `HTTP ${response.status}` }));
-            
-            // Handle 400 Bad Request
-            if (response.status === 400) {
-                const errorMessage = errorData.message || 'Invalid request';
-                let details = '';
-                if (errorData.errorCode === 'TIME_RANGE_ERROR' && errorData.details?.requestedRange) {
-                    const requested = errorData.details.requestedRange;
-                    if (requested.requestedHours && errorData.details.maxHours) {
-                        details = ` Requested: ${requested.requestedHours.toFixed(1)} hours, Maximum: ${errorData.details.maxHours} hours.`;
-                    }
-                }
-                throw new Error(errorMessage + details);
+            const apiError = parseApiError(response);
+            if (apiError.code === 'CACHE_NOT_FOUND') {
+                triggerBackgroundRefresh(s);
+                return { frames: null, error: 'location_missing', apiError: apiError };
             }
-            
-            // Handle 404 Not Found
-            if (response.status === 404) {
-                if (errorData.errorCode === 'CACHE_NOT_FOUND') {
-                    triggerBackgroundRefresh(errorData.suggestions?.refreshEndpoint);
-                    return { 
-                        frames: null, 
-                        error: 'location_missing',
-                        cacheStatus: errorData.details || errorData
-                    };
-                } else if (errorData.errorCode === 'TIME_RANGE_ERROR' && errorData.details?.availableRange) {
-                    const availableRange = errorData.details.availableRange;
-                    let rangeMessage = '';
-                    
-                    if (errorData.suggestions?.suggestedRange) {
-                        const suggested = errorData.suggestions.suggestedRange;
-                        rangeMessage = ` Suggested range: ${formatDate(suggested.start)} to ${formatDate(suggested.end)}.`;
-                    } else if (availableRange.oldest && availableRange.newest) {
-                        rangeMessage = ` Available data: ${formatDate(availableRange.oldest)} to ${formatDate(availableRange.newest)}.`;
-                    } else if (availableRange.totalCacheFolders > 0) {
-                        rangeMessage = ` ${availableRange.totalCacheFolders} cache folders available.`;
-                    }
-                    
-                    if (errorData.suggestions?.suggestion) {
-                        rangeMessage += ` ${errorData.suggestions.suggestion}`;
-                    }
-                    
-                    throw new Error(errorData.message + rangeMessage);
-                } else {
-                    throw new Error(errorData.message || 'No historical data found');
-                }
-            }
-            
-            throw new Error(errorData.message || 'Failed to fetch historical radar');
+            return { frames: null, error: apiError.code === 'TIME_RANGE_ERROR' ? 'time_range' : 'api_error', apiError: apiError };
         }
         
-        const data = await response.json();
-        state.historicalData = data;
+        const data = response.body;
+        s.historicalData = data;
         
         // Flatten all frames from all cache folders
         const allFrames = [];
@@ -180,6 +249,7 @@ export async function fetchHistoricalRadar(startTime, endTime) {
         
         return { frames: validFrames, error: null };
     } catch (error) {
+        if (signal?.aborted) return { frames: null, error: 'aborted' };
         console.error('Error fetching historical radar:', error);
         if (isNetworkError(error)) {
             return { frames: null, error: 'network' };
@@ -191,14 +261,12 @@ export async function fetchHistoricalRadar(startTime, endTime) {
 /**
  * Fetch metadata separately
  */
-export async function fetchMetadata() {
+export async function fetchMetadata(s = state, { signal = null } = {}) {
     try {
-        const response = await fetch(`${API_BASE}/metadata`, {
-            signal: AbortSignal.timeout(5000)
-        });
+        const response = await getDataSource().getMetadata(s, { signal });
         
         if (response.ok) {
-            return await response.json();
+            return response.body;
         }
     } catch (error) {
         console.debug('Could not fetch metadata:', error);
@@ -209,72 +277,97 @@ export async function fetchMetadata() {
 /**
  * Fetch latest radar data (for latest mode)
  */
-export async function fetchLatestRadar() {
-    const response = await fetch(API_BASE, {
-        signal: AbortSignal.timeout(10000)
-    });
+export async function fetchLatestRadar(s = state, { signal = null } = {}) {
+    const response = await getDataSource().getLatest(s, { signal });
+    if (signal?.aborted) return ABORTED_RESULT;
     
     if (!response.ok) {
-        const error = await response.json().catch(() => ({ message: `HTTP ${response.status}: ${response.statusText}` }));
+        const apiError = parseApiError(response);
         
         if (response.status === 404) {
-            const errorData = await response.json().catch(() => ({}));
-            state.lastRefreshTime = new Date();
-            
-            const refreshEndpoint = errorData.suggestions?.refreshEndpoint || errorData.refreshEndpoint;
-            triggerBackgroundRefresh(refreshEndpoint);
-            
-            const cacheStatusData = createCacheStatusData(errorData);
-            const retryAfter = errorData.suggestions?.retryAfter || errorData.retryAfter || 30;
-            const message = errorData.message || `Cache is being generated. Please wait ${retryAfter} seconds and refresh.`;
+            s.lastRefreshTime = new Date();
+            triggerBackgroundRefresh(s);
             
+            const retryAfter = apiError.retryAfter || 30;
             return {
                 error: 'cache_generating',
-                cacheStatus: cacheStatusData,
-                message: message,
-                refreshEndpoint: refreshEndpoint
+                cacheStatus: createCacheStatusData(apiError),
+                message: response.body?.message || t('noFrames.generating', { count: retryAfter }),
+                retryAfter: retryAfter,
+                apiError: apiError
             };
         }
         
-        throw new Error(error.message || error.error || 'Failed to fetch radar data');
+        return { error: 'api_error', message: describeApiError(apiError), apiError: apiError };
     }
     
-    const data = await response.json();
+    const data = response.body;
     data.isExtendedMode = false;
     return { data: data, error: null };
 }
 
 /**
- * Main function to fetch radar data (handles both latest and extended modes)
+ * Calculate the requested time range for extended mode from settings
+ */
+export function getRequestedTimeRange(s = state) {
+    let startTime = null;
+    let endTime = new Date();
+    
+    if (s.settings.timespan === 'custom') {
+        if (s.settings.customStartTime) startTime = new Date(s.settings.customStartTime);
+        if (s.settings.customEndTime) endTime = new Date(s.settings.customEndTime);
+    } else if (s.settings.timespan !== 'latest') {
+        const hours = parseInt(s.settings.timespan.replace('h', '')) || 1;
+        startTime = new Date(endTime.getTime() - (hours * 60 * 60 * 1000));
+    }
+    
+    return { startTime, endTime };
+}
+
+/**
+ * Main function to fetch radar data (handles both latest and extended modes).
+ * Pass a location's own state object to fetch for something other than the main viewer.
+ * Each call starts a new request generation for the state and aborts the previous one, which then
+ * resolves to { error: 'aborted' } - so a slow earlier response can never overwrite a newer one.
+ * Other failures give { error, message } with the error kind ('cache_generating', 'time_range', 'api_error', ...),
+ * plus the typed `apiError` (see parseApiError) and server `retryAfter` seconds when the API reported them.
  */
-export async function fetchRadarData() {
+export async function fetchRadarData(s = state) {
+    const { generation, signal } = beginRadarRequest(s);
+    const result = await requestRadarData(s, signal);
+    if (generation !== s.requestGeneration) return ABORTED_RESULT;
+    if (signal === s.requestController?.signal) s.requestController = null;
+    return result;
+}
+
+async function requestRadarData(s, signal) {
     try {
         // Extended mode
-        if (state.settings.timespan !== 'latest') {
+        if (s.settings.timespan !== 'latest') {
             // Fetch cache range first if needed
-            if (!state.cacheRangeInfo) {
-                const rangeResult = await fetchCacheRange();
+            if (!s.cacheRangeInfo) {
+                const rangeResult = await fetchCacheRange(s, { signal });
+                if (rangeResult.error === 'aborted') return ABORTED_RESULT;
                 if (rangeResult.error === 'network') {
                     throw new Error('Network error - API unavailable');
                 }
-                state.cacheRangeInfo = rangeResult.data;
+                s.cacheRangeInfo = rangeResult.data;
             }
             
-            if (!state.cacheRangeInfo || state.cacheRangeInfo.totalCacheFolders === 0) {
-                const refreshEndpoint = `${API_BASE.replace('/api/radar', '/api/cache')}/refresh`;
-                triggerBackgroundRefresh(refreshEndpoint);
+            if (!s.cacheRangeInfo || s.cacheRangeInfo.totalCacheFolders === 0) {
+                triggerBackgroundRefresh(s);
                 
                 // Try to fetch cache status
                 try {
-                    const statusResponse = await fetch(`${API_BASE}`, {
-                        signal: AbortSignal.timeout(5000)
-                    });
+                    const statusResponse = await getDataSource().getLatest(s, { signal });
                     if (statusResponse.status === 404) {
-                        const errorData = await statusResponse.json().catch(() => ({}));
+                        const apiError = parseApiError(statusResponse);
                         return {
                             error: 'no_cache_data',
-                            cacheStatus: createCacheStatusData(errorData),
-                            message: 'No historical cache data available yet. Cache update has been triggered in the background.'
+                            cacheStatus: createCacheStatusData(apiError),
+                            message: t('noFrames.noHistory'),
+                            retryAfter: apiError.retryAfter,
+                            apiError: apiError
                         };
                     }
                 } catch (err) {
@@ -283,26 +376,16 @@ export async function fetchRadarData() {
                 
                 return {
                     error: 'no_cache_data',
-                    message: 'No historical cache data available yet. Cache update has been triggered in the background.'
+                    message: t('noFrames.noHistory')
                 };
             }
             
             // Calculate time range
-            let startTime = null;
-            let endTime = new Date();
-            
-            if (state.settings.timespan === 'custom') {
-                const startInput = document.getElementById('start-time-input');
-                const endInput = document.getElementById('end-time-input');
-                if (startInput && startInput.value) startTime = new Date(startInput.value);
-                if (endInput && endInput.value) endTime = new Date(endInput.value);
-            } else {
-                const hours = parseInt(state.settings.timespan.replace('h', '')) || 1;
-                startTime = new Date(endTime.getTime() - (hours * 60 * 60 * 1000));
-            }
+            const { startTime, endTime } = getRequestedTimeRange(s);
             
             // Fetch historical data
-            const result = await fetchHistoricalRadar(startTime, endTime);
+            const result = await fetchHistoricalRadar(startTime, endTime, s, { signal });
+            if (result.error === 'aborted') return ABORTED_RESULT;
             if (result.error === 'network') {
                 throw new Error('Network error - API unavailable');
             }
@@ -310,26 +393,30 @@ export async function fetchRadarData() {
             if (result.error === 'location_missing') {
                 return {
                     error: 'location_missing',
-                    cacheStatus: createCacheStatusData(result.cacheStatus || {}),
-                    message: 'No cached data found for this location. Cache update has been triggered in background.'
+                    cacheStatus: createCacheStatusData(result.apiError),
+                    message: t('noFrames.locationMissing'),
+                    retryAfter: result.apiError.retryAfter,
+                    apiError: result.apiError
                 };
             }
             
+            if (result.error === 'time_range' || result.error === 'api_error') {
+                return { error: result.error, message: describeApiError(result.apiError), apiError: result.apiError };
+            }
+            
             if (!result.frames || result.frames.length === 0) {
                 return {
                     error: 'no_frames',
-                    message: 'No frames found for selected timespan. Try a different range or wait for more cache data.'
+                    message: t('noFrames.emptyRange')
                 };
             }
             
             // Fetch metadata
             let metadata = null;
             try {
-                const metadataResponse = await fetch(API_BASE, {
-                    signal: AbortSignal.timeout(5000)
-                });
+                const metadataResponse = await getDataSource().getLatest(s, { signal });
                 if (metadataResponse.ok) {
-                    const latestData = await metadataResponse.json();
+                    const latestData = metadataResponse.body;
                     metadata = {
                         weatherStation: latestData.weatherStation,
                         distance: latestData.distance,
@@ -343,9 +430,13 @@ export async function fetchRadarData() {
             } catch (err) {
                 console.debug('Could not fetch metadata for extended mode:', err);
             }
+            if (signal.aborted) return ABORTED_RESULT;
+            
+            // Keep a copy for offline use (background, non-blocking)
+            storeOfflineFrames(s, result.frames);
             
             // Create response object
-            const newestCacheFolder = state.historicalData.cacheFolders[state.historicalData.cacheFolders.length - 1];
+            const newestCacheFolder = s.historicalData.cacheFolders[s.historicalData.cacheFolders.length - 1];
             return {
                 data: {
                     frames: result.frames,
@@ -365,13 +456,15 @@ export async function fetchRadarData() {
             };
         } else {
             // Latest mode
-            const result = await fetchLatestRadar();
+            const result = await fetchLatestRadar(s, { signal });
             if (result.error) {
                 return result;
             }
+            storeOfflineFrames(s, result.data.frames);
             return result;
         }
     } catch (error) {
+        if (signal.aborted) return ABORTED_RESULT;
         console.error('Error fetching radar data:', error);
         if (isNetworkError(error)) {
             return { error: 'network', originalError: error };
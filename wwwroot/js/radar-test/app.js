@@ -1,26 +1,271 @@
 // Main application entry point
-import { loadSettings, saveSettings, updateSettingsUI, applySettings } from './settings.js';
-import { fetchRadarData } from './api-client.js';
-import { updateUI, updateRelativeTimes } from './ui-updater.js';
+import { loadSettings, saveSettings, updateSettingsUI, applySettings, updateTimeZonePreview } from './settings.js';
+import { fetchRadarData, getRequestedTimeRange, cancelRadarRequests } from './api-client.js';
+import { updateUI, updateRelativeTimes, updateApiStatus, updateLiveProgress, updateNextClientCheck } from './ui-updater.js';
 import { showError, showNoFramesMessage, clearError } from './ui-updater.js';
-import { handleApiDown, resetApiRetryState } from './error-handler.js';
-import { buildFrameControls, showFrame, findFrameToShowAfterRefresh } from './frame-navigation.js';
-import { play, pause, togglePlay, previousFrame, nextFrame } from './slideshow.js';
+import { handleApiDown, resetApiRetryState, reconnectNow, handleBrowserOffline, scheduleSuggestedRetry, clearSuggestedRetry } from './error-handler.js';
+import { buildFrameControls, showFrame, findFrameToShowAfterRefresh, findClosestFrameIndex } from './frame-navigation.js';
+import { play, pause, togglePlay, previousFrame, nextFrame, shouldAutoPlay } from './slideshow.js';
 import { setupKeyboardNavigation } from './keyboard.js';
-import { state } from './state.js';
-import { isNetworkError } from './utils.js';
+import { state, createState } from './state.js';
+import { isNetworkError, getTimeDisplay, fromDateTimeLocalValue } from './utils.js';
+import { buildApiBase, buildViewerUrl, parseViewerPath, isSameLocation } from './location.js';
+import { setupLocationSwitcher, renderLocationSwitcher } from './location-switcher.js';
+import { setupDashboard, showDashboard, hideDashboard, syncDashboardTiles, applyDashboardSettings } from './dashboard.js';
+import { setupCompare, showCompare, hideCompare } from './compare.js';
+import { getRenderer, releaseFrames } from './frame-renderer.js';
+import { loadOfflineRadarData, registerOfflineServiceWorker } from './offline-cache.js';
+import { subscribeToLiveUpdates, isLiveConnected } from './live-updates.js';
+import { setupAnimationExport } from './animation-export.js';
+import { setupCacheAdmin } from './cache-admin.js';
+import { applyUpdateProgress, completeUpdateProgress, loadUpdateStatus, resetUpdateProgress } from './update-progress.js';
+import { takePendingView, buildViewerQuery, syncUrlState, setupShareLink } from './url-state.js';
+import { setupIntensityProbe, refreshIntensityProbe, clearIntensityProbe } from './intensity-probe.js';
+import { setupMapMarkers, renderMarkerSettings, saveRadarSiteFromUI } from './map-markers.js';
+import { setupNowcast, updateNowcast, clearNowcast } from './nowcast.js';
+import { setupPlaybackControls } from './playback-controls.js';
+import { setupBookmarks, refreshBookmarks } from './bookmarks.js';
+import { setupStormWatch, checkStormApproach, clearStormAlert, renderStormWatchOptions, requestStormAlertPermission } from './storm-watch.js';
+import { LIVE_REFRESH_DEBOUNCE_MS } from './config.js';
+import { t, getLocale } from './i18n.js';
+import { openDialog, closeDialog, prefersReducedMotion } from './a11y.js';
+import { setupFrameDescription } from './frame-description.js';
+
+let liveRefreshTimeout = null;
 
 /**
  * Settings modal management
  */
 function showSettings() {
-    const modal = document.getElementById('settings-modal');
-    if (modal) modal.style.display = 'flex';
+    renderMarkerSettings();
+    renderStormWatchOptions();
+    openDialog(document.getElementById('settings-modal'), hideSettings);
 }
 
 function hideSettings() {
-    const modal = document.getElementById('settings-modal');
-    if (modal) modal.style.display = 'none';
+    closeDialog(document.getElementById('settings-modal'));
+}
+
+/**
+ * Poll for new data on the refresh interval - only while live updates are unavailable and the API is up
+ */
+function startPolling() {
+    if (state.refreshInterval || state.isApiDown || state.isLiveConnected) return;
+    state.refreshInterval = setInterval(refreshData, state.settings.refreshInterval * 1000);
+}
+
+function stopPolling() {
+    if (state.refreshInterval) {
+        clearInterval(state.refreshInterval);
+        state.refreshInterval = null;
+    }
+}
+
+/**
+ * Refresh shortly after a live event (new-frames and cache-updated arrive together)
+ */
+function scheduleLiveRefresh() {
+    clearTimeout(liveRefreshTimeout);
+    liveRefreshTimeout = setTimeout(refreshData, LIVE_REFRESH_DEBOUNCE_MS);
+}
+
+/**
+ * Listen for live cache events for the current location, falling back to polling while the stream is down
+ */
+function subscribeViewerToLiveUpdates() {
+    state.liveUnsubscribe = subscribeToLiveUpdates(state.location, {
+        onProgress: (progress) => {
+            updateLiveProgress(progress);
+            applyUpdateProgress(progress);
+        },
+        onNewFrames: scheduleLiveRefresh,
+        onCacheUpdated: () => {
+            completeUpdateProgress();
+            scheduleLiveRefresh();
+        },
+        onConnectionChange: (connected) => {
+            state.isLiveConnected = connected;
+            if (connected) {
+                stopPolling();
+                if (!state.isApiDown) updateApiStatus('live');
+                // Catch up on anything published while the stream was down
+                scheduleLiveRefresh();
+            } else {
+                if (!state.isApiDown) updateApiStatus('connected');
+                startPolling();
+            }
+            updateNextClientCheck();
+        }
+    });
+    state.isLiveConnected = isLiveConnected();
+}
+
+/**
+ * Stop the main viewer's playback and timers
+ */
+function stopViewer() {
+    pause();
+    stopPolling();
+    resetApiRetryState();
+    clearSuggestedRetry();
+    resetUpdateProgress();
+    if (state.liveUnsubscribe) {
+        state.liveUnsubscribe();
+        state.liveUnsubscribe = null;
+    }
+    state.isLiveConnected = false;
+    clearTimeout(liveRefreshTimeout);
+    cancelRadarRequests(state);
+    releaseFrames(state);
+}
+
+/**
+ * Load the main viewer and start live updates (or auto-refresh polling)
+ */
+async function startViewer() {
+    subscribeViewerToLiveUpdates();
+    await refreshData();
+    startPolling();
+}
+
+/**
+ * Switch the viewer to another location without reloading the page
+ */
+function switchLocation(location, pushHistory = true) {
+    if (isSameLocation(location, state.location)) return;
+    
+    stopViewer();
+    clearIntensityProbe();
+    clearStormAlert();
+    clearNowcast();
+    Object.assign(state, createState({
+        apiBase: buildApiBase(location),
+        location: location,
+        settings: state.settings,
+        eventTarget: state.eventTarget
+    }));
+    
+    if (pushHistory) {
+        history.pushState({ location: location }, '', `${buildViewerUrl(location)}?${buildViewerQuery()}`);
+    }
+    updateLocationHeader();
+    renderLocationSwitcher();
+    if (state.settings.dashboardMode) syncDashboardTiles();
+    
+    // Reset display until the new location's data arrives
+    clearError();
+    const canvasEl = document.getElementById('radar-image');
+    const loadingEl = document.getElementById('loading');
+    if (canvasEl) {
+        getRenderer(canvasEl).clear();
+        canvasEl.style.display = 'none';
+    }
+    if (loadingEl) {
+        loadingEl.textContent = t('player.loading');
+        loadingEl.style.display = 'block';
+    }
+    
+    if (isViewerMode()) {
+        startViewer();
+    }
+}
+
+/**
+ * Update page title and subtitle for the current location
+ */
+function updateLocationHeader() {
+    if (!state.location) return;
+    const label = `${state.location.suburb}, ${state.location.state}`;
+    document.title = t('page.title', { place: label });
+    const subtitleEl = document.getElementById('location-subtitle');
+    if (subtitleEl) subtitleEl.textContent = label;
+}
+
+/**
+ * Switch between the single viewer, the multi-location dashboard and compare mode
+ * @param {'viewer'|'dashboard'|'compare'} mode
+ */
+function setViewMode(mode) {
+    const wasDashboard = state.settings.dashboardMode;
+    const wasCompare = state.settings.compareMode;
+    state.settings.dashboardMode = mode === 'dashboard';
+    state.settings.compareMode = mode === 'compare';
+    saveSettings();
+    
+    const dashboardLabel = document.getElementById('dashboard-toggle-label');
+    if (dashboardLabel) dashboardLabel.textContent = mode === 'dashboard' ? t('header.singleView') : t('header.dashboard');
+    const compareLabel = document.getElementById('compare-toggle-label');
+    if (compareLabel) compareLabel.textContent = mode === 'compare' ? t('header.singleView') : t('header.compare');
+    
+    if (wasDashboard && mode !== 'dashboard') hideDashboard();
+    if (wasCompare && mode !== 'compare') hideCompare();
+    
+    if (mode === 'viewer') {
+        startViewer();
+        return;
+    }
+    stopViewer();
+    clearStormAlert();
+    if (mode === 'dashboard') {
+        showDashboard();
+    } else {
+        showCompare();
+    }
+}
+
+/**
+ * Whether the single viewer is on screen (not the dashboard or compare mode)
+ */
+function isViewerMode() {
+    return !state.settings.dashboardMode && !state.settings.compareMode;
+}
+
+/**
+ * Update the features that work on the loaded frames. Forecast frames are appended
+ * asynchronously, so the probe samples again once they arrive.
+ */
+function onFramesLoaded() {
+    refreshIntensityProbe();
+    refreshBookmarks();
+    checkStormApproach();
+    updateNowcast().then(changed => {
+        if (changed) refreshIntensityProbe();
+    });
+}
+
+/**
+ * Show frames from the offline cache when the API is unreachable and nothing is loaded yet
+ */
+async function showOfflineData() {
+    // Frames already in memory keep playing - only fall back when there is nothing to show
+    if (state.frames.length > 0) return;
+    
+    const { startTime, endTime } = getRequestedTimeRange();
+    const offlineData = await loadOfflineRadarData(state, startTime, endTime);
+    if (!offlineData || state.frames.length > 0) return;
+    
+    updateUI(offlineData);
+    buildFrameControls();
+    showFrame(state.frames.length - 1);
+    onFramesLoaded();
+    if (shouldAutoPlay() && !state.isPlaying) {
+        play();
+    }
+}
+
+/**
+ * Switch to the custom range the API suggested after a TIME_RANGE_ERROR and reload
+ */
+function applySuggestedRange(range) {
+    state.settings.timespan = 'custom';
+    state.settings.customStartTime = new Date(range.start).toISOString();
+    // Round the end up to the next second so the newest cache folder stays in range when the inputs are saved again
+    state.settings.customEndTime = new Date(Math.ceil(new Date(range.end).getTime() / 1000) * 1000).toISOString();
+    state.cacheRangeInfo = null;
+    saveSettings();
+    syncUrlState();
+    stopPolling();
+    refreshData();
 }
 
 /**
@@ -32,25 +277,38 @@ async function refreshData() {
         clearError();
     }
     
+    clearSuggestedRetry();
     const result = await fetchRadarData();
+    // A newer refresh (interval, retry, settings change) replaced this one
+    if (result.error === 'aborted') return;
+    const generation = state.requestGeneration;
     
     if (result.error) {
         if (result.error === 'network') {
-            handleApiDown(result.originalError || new Error('Network error'));
+            await showOfflineData();
+            if (generation !== state.requestGeneration) return;
+            handleApiDown(result.originalError || new Error('Network error'), refreshData);
             return;
         }
+        // The API answered, so stop retrying even if it had no frames for us
+        resetApiRetryState();
         
         // Handle other errors
-        if (result.error === 'cache_generating') {
-            updateUI(result.cacheStatus);
-            showNoFramesMessage(result.message, result.refreshEndpoint);
-        } else if (result.error === 'location_missing' || result.error === 'no_cache_data' || result.error === 'no_frames') {
+        if (result.error === 'cache_generating' || result.error === 'location_missing' || result.error === 'no_cache_data' || result.error === 'no_frames') {
             if (result.cacheStatus) {
                 updateUI(result.cacheStatus);
             }
-            showNoFramesMessage(result.message, result.refreshEndpoint);
+            loadUpdateStatus();
+            // Try again once the server expects the cache to be ready
+            if (result.retryAfter) scheduleSuggestedRetry(result.retryAfter, refreshData);
+            showNoFramesMessage(result.message, { retryAt: state.suggestedRetryTime, onRetry: refreshData });
+        } else if (result.error === 'time_range' && result.apiError.suggestedRange) {
+            showError(result.message, {
+                label: t('error.applySuggestedRange'),
+                onClick: () => applySuggestedRange(result.apiError.suggestedRange)
+            });
         } else {
-            showError(result.message || 'An error occurred');
+            showError(result.message || t('error.generic'));
         }
         return;
     }
@@ -59,28 +317,35 @@ async function refreshData() {
         state.lastRefreshTime = new Date();
         resetApiRetryState();
         updateUI(result.data);
+        loadUpdateStatus();
         
         // Build frame controls after UI update
         buildFrameControls();
         
+        // A shared link's frame and play state apply to the first frames loaded
+        const pendingView = state.frames.length > 0 ? takePendingView() : null;
+        
         // Find and show appropriate frame
-        const frameToShow = findFrameToShowAfterRefresh();
+        const frameToShow = pendingView?.frameTime
+            ? findClosestFrameIndex(pendingView.frameTime)
+            : findFrameToShowAfterRefresh();
         showFrame(frameToShow);
+        onFramesLoaded();
         
         // Restart auto-refresh if it was stopped
-        if (!state.refreshInterval && !state.isApiDown) {
-            state.refreshInterval = setInterval(refreshData, state.settings.refreshInterval * 1000);
-        }
+        startPolling();
         
         // Restart play if it was playing before refresh
         const wasPlaying = state.isPlaying;
-        if (wasPlaying && result.data.frames && result.data.frames.length > 0) {
+        if (pendingView && pendingView.isPlaying !== undefined) {
+            if (pendingView.isPlaying && !prefersReducedMotion()) setTimeout(() => play(), 500);
+        } else if (wasPlaying && result.data.frames && result.data.frames.length > 0) {
             setTimeout(() => {
                 if (!state.isPlaying) {
                     play();
                 }
             }, 100);
-        } else if (state.settings.autoPlay && !state.isPlaying && result.data.frames && result.data.frames.length > 0) {
+        } else if (shouldAutoPlay() && !state.isPlaying && result.data.frames && result.data.frames.length > 0) {
             // Auto-play on initial load only
             setTimeout(() => play(), 500);
         }
@@ -99,9 +364,12 @@ async function init() {
     const prevBtn = document.getElementById('prev-btn');
     const nextBtn = document.getElementById('next-btn');
     
-    if (playBtn) playBtn.addEventListener('click', togglePlay);
-    if (prevBtn) prevBtn.addEventListener('click', previousFrame);
-    if (nextBtn) nextBtn.addEventListener('click', nextFrame);
+    if (playBtn) playBtn.addEventListener('click', () => togglePlay());
+    if (prevBtn) prevBtn.addEventListener('click', () => previousFrame());
+    if (nextBtn) nextBtn.addEventListener('click', () => nextFrame());
+    
+    // Playback mode, speed and A-B loop
+    setupPlaybackControls();
     
     // Settings button
     const settingsBtn = document.getElementById('settings-btn-header');
@@ -116,31 +384,67 @@ async function init() {
             const frameIntervalValue = parseFloat(document.getElementById('frame-interval-input').value);
             state.settings.frameInterval = (frameIntervalValue > 0) ? frameIntervalValue : 2.0;
             
+            const crossfadeValue = parseFloat(document.getElementById('crossfade-input').value);
+            state.settings.crossfadeDuration = (crossfadeValue >= 0) ? crossfadeValue : 0;
+            
             const refreshIntervalValue = parseInt(document.getElementById('refresh-interval-input').value);
             state.settings.refreshInterval = (refreshIntervalValue >= 5) ? refreshIntervalValue : 30;
             state.settings.autoPlay = document.getElementById('auto-play-input').checked;
+            state.settings.nowcastMinutes = parseInt(document.getElementById('nowcast-select').value) || 0;
+            const endDwellValue = parseFloat(document.getElementById('end-dwell-input').value);
+            state.settings.endDwell = (endDwellValue >= 0) ? endDwellValue : 0;
             state.settings.timespan = document.getElementById('timespan-select').value;
+            state.settings.timeZone = document.getElementById('time-zone-select').value || 'location';
+            state.settings.timeFormat = document.getElementById('time-format-select').value === '24h' ? '24h' : '12h';
             
             if (state.settings.timespan === 'custom') {
+                // The inputs are in the display time zone just chosen - store absolute times
+                const inputZone = getTimeDisplay().timeZone;
                 const startInput = document.getElementById('start-time-input');
                 const endInput = document.getElementById('end-time-input');
                 if (startInput && startInput.value) {
-                    state.settings.customStartTime = startInput.value;
+                    state.settings.customStartTime = fromDateTimeLocalValue(startInput.value, inputZone).toISOString();
                 }
                 if (endInput && endInput.value) {
-                    state.settings.customEndTime = endInput.value;
+                    state.settings.customEndTime = fromDateTimeLocalValue(endInput.value, inputZone).toISOString();
                 }
             }
             
+            state.settings.stormAlerts = document.getElementById('storm-alerts-input').checked;
+            state.settings.stormWatchPoint = document.getElementById('storm-watch-point-select').value || 'centre';
+            const stormRadiusValue = parseFloat(document.getElementById('storm-radius-input').value);
+            state.settings.stormAlertRadiusKm = (stormRadiusValue > 0) ? stormRadiusValue : 50;
+            const stormLeadValue = parseInt(document.getElementById('storm-lead-input').value);
+            state.settings.stormAlertLeadMinutes = (stormLeadValue > 0) ? stormLeadValue : 30;
+            state.settings.locale = document.getElementById('locale-select').value || 'auto';
+            
+            const previousLocale = getLocale();
             saveSettings();
+            saveRadarSiteFromUI();
+            requestStormAlertPermission();
             hideSettings();
+            syncUrlState();
+            
+            // Text already on screen was written in the old language - load the page again in the new one
+            if (getLocale() !== previousLocale) {
+                window.location.reload();
+                return;
+            }
+            
+            // Dashboard tiles keep their own timers
+            if (state.settings.dashboardMode) {
+                applyDashboardSettings();
+                return;
+            }
+            // Compare panes reload with the new frame interval and refresh rate
+            if (state.settings.compareMode) {
+                showCompare();
+                return;
+            }
             
             // Apply settings and restart refresh interval
             applySettings();
-            if (state.refreshInterval) {
-                clearInterval(state.refreshInterval);
-                state.refreshInterval = null;
-            }
+            stopPolling();
             
             // Reload data with new timespan
             refreshData();
@@ -159,6 +463,11 @@ async function init() {
         });
     }
     
+    // Preview the time zone and format before they are saved
+    ['time-zone-select', 'time-format-select'].forEach(id => {
+        document.getElementById(id)?.addEventListener('change', updateTimeZonePreview);
+    });
+    
     // Cancel settings button
     const cancelSettingsBtn = document.getElementById('cancel-settings-btn');
     if (cancelSettingsBtn) {
@@ -187,12 +496,81 @@ async function init() {
     // Setup keyboard navigation
     setupKeyboardNavigation();
     
-    // Initial load
-    await refreshData();
+    // Export button and dialog
+    setupAnimationExport();
     
-    // Auto-refresh based on settings (only if API is up)
-    if (!state.isApiDown) {
-        state.refreshInterval = setInterval(refreshData, state.settings.refreshInterval * 1000);
+    // Copy link to the current view
+    setupShareLink();
+    
+    // List, refresh or delete the location's server cache
+    setupCacheAdmin(() => {
+        if (isViewerMode()) refreshData();
+    });
+    
+    // Click the map to chart rainfall at a point
+    setupIntensityProbe();
+    
+    // Describe the frame on screen in words
+    setupFrameDescription();
+    
+    // Points of interest drawn over every frame
+    setupMapMarkers();
+    
+    // Bookmarked frames with notes and shapes
+    setupBookmarks();
+    
+    // Heavy rain approaching the watched point
+    setupStormWatch();
+    
+    // Label extrapolated forecast frames on the image
+    setupNowcast();
+    
+    // Serve the viewer shell and cached frames when offline
+    registerOfflineServiceWorker();
+    
+    // Reconnect at once when the network comes back (or on request) instead of waiting for the next retry
+    window.addEventListener('online', () => {
+        if (isViewerMode()) reconnectNow(refreshData);
+    });
+    window.addEventListener('offline', () => {
+        if (isViewerMode()) handleBrowserOffline();
+    });
+    const reconnectBtn = document.getElementById('reconnect-btn');
+    if (reconnectBtn) {
+        reconnectBtn.addEventListener('click', () => reconnectNow(refreshData));
+    }
+    
+    // Location switcher and dashboard
+    setupLocationSwitcher(switchLocation, () => {
+        if (state.settings.dashboardMode) syncDashboardTiles();
+    });
+    setupDashboard();
+    
+    const dashboardToggleBtn = document.getElementById('dashboard-toggle-btn');
+    if (dashboardToggleBtn) {
+        dashboardToggleBtn.addEventListener('click', () => setViewMode(state.settings.dashboardMode ? 'viewer' : 'dashboard'));
+    }
+    
+    // Two panes compared by observation time
+    setupCompare();
+    const compareToggleBtn = document.getElementById('compare-toggle-btn');
+    if (compareToggleBtn) {
+        compareToggleBtn.addEventListener('click', () => setViewMode(state.settings.compareMode ? 'viewer' : 'compare'));
+    }
+    
+    // Browser back/forward between locations
+    window.addEventListener('popstate', () => {
+        const location = parseViewerPath(window.location.pathname);
+        if (location) switchLocation(location, false);
+    });
+    
+    // Initial load
+    if (state.settings.dashboardMode) {
+        setViewMode('dashboard');
+    } else if (state.settings.compareMode) {
+        setViewMode('compare');
+    } else {
+        await startViewer();
     }
     
     // Update relative times every second
@@ -0,0 +1,157 @@
+// Frame bookmarks - notes and shapes saved per location against a frame's observation time
+import { getLocationKey } from './location.js';
+import { t } from './i18n.js';
+
+// Notes and shapes outgrow a cookie quickly, so bookmarks live in localStorage
+const BOOKMARKS_STORAGE_KEY = 'radarTestBookmarks';
+const EXPORT_VERSION = 1;
+export const SHAPE_TYPES = ['arrow', 'circle', 'rect'];
+
+/**
+ * Saved bookmarks: { [locationKey]: [{ time, note, shapes: [{ type, x1, y1, x2, y2, color }] }] }
+ * Shape coordinates are fractions of the image width/height so they survive image size changes.
+ */
+function loadAllBookmarks() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(BOOKMARKS_STORAGE_KEY) || '{}');
+        return saved && typeof saved === 'object' && !Array.isArray(saved) ? saved : {};
+    } catch (error) {
+        console.debug('Could not read bookmarks:', error);
+        return {};
+    }
+}
+
+function saveAllBookmarks(all) {
+    try {
+        localStorage.setItem(BOOKMARKS_STORAGE_KEY, JSON.stringify(all));
+    } catch (error) {
+        console.error('Could not save bookmarks:', error);
+    }
+}
+
+function isFraction(value) {
+    return Number.isFinite(value) && value >= -1 && value <= 2; // shapes may be dragged a little off the image
+}
+
+/**
+ * Clean up a bookmark from storage or an imported file, or null if it is unusable
+ */
+function normalizeBookmark(bookmark) {
+    const time = new Date(bookmark?.time);
+    if (isNaN(time.getTime())) return null;
+    
+    const shapes = Array.isArray(bookmark.shapes) ? bookmark.shapes : [];
+    return {
+        time: time.toISOString(),
+        note: typeof bookmark.note === 'string' ? bookmark.note : '',
+        shapes: shapes
+            .filter(shape => SHAPE_TYPES.includes(shape?.type) && ['x1', 'y1', 'x2', 'y2'].every(k => isFraction(shape[k])))
+            .map(shape => ({
+                type: shape.type,
+                x1: shape.x1,
+                y1: shape.y1,
+                x2: shape.x2,
+                y2: shape.y2,
+                color: /^#[0-9a-f]{6}$/i.test(shape.color) ? shape.color : '#ff0000'
+            }))
+    };
+}
+
+function sortByTime(bookmarks) {
+    return bookmarks.sort((a, b) => new Date(a.time) - new Date(b.time));
+}
+
+/**
+ * Bookmarks for a location, oldest first
+ */
+export function loadBookmarks(location) {
+    if (!location) return [];
+    const saved = loadAllBookmarks()[getLocationKey(location)];
+    return Array.isArray(saved) ? sortByTime(saved.map(normalizeBookmark).filter(Boolean)) : [];
+}
+
+function saveBookmarks(location, bookmarks) {
+    const all = loadAllBookmarks();
+    const key = getLocationKey(location);
+    if (bookmarks.length === 0) {
+        delete all[key];
+    } else {
+        all[key] = sortByTime(bookmarks);
+    }
+    saveAllBookmarks(all);
+}
+
+function isSameTime(a, b) {
+    return new Date(a).getTime() === new Date(b).getTime();
+}
+
+/**
+ * Add or change the bookmark for an observation time
+ * @param {(bookmark) => void} update - edits the bookmark (a new, empty one if the time had none)
+ */
+export function updateBookmark(location, time, update) {
+    const bookmarks = loadBookmarks(location);
+    let bookmark = bookmarks.find(b => isSameTime(b.time, time));
+    if (!bookmark) {
+        bookmark = { time: new Date(time).toISOString(), note: '', shapes: [] };
+        bookmarks.push(bookmark);
+    }
+    update(bookmark);
+    saveBookmarks(location, bookmarks);
+    return bookmark;
+}
+
+export function removeBookmark(location, time) {
+    saveBookmarks(location, loadBookmarks(location).filter(bookmark => !isSameTime(bookmark.time, time)));
+}
+
+/**
+ * Bookmarked frames among the loaded frames
+ * @returns {Array<{ index: number, bookmark }>}
+ */
+export function getFrameBookmarks(location, frames) {
+    const bookmarks = loadBookmarks(location);
+    if (bookmarks.length === 0) return [];
+    
+    const byTime = new Map(bookmarks.map(bookmark => [new Date(bookmark.time).getTime(), bookmark]));
+    const result = [];
+    frames.forEach((frame, index) => {
+        if (frame.isForecast || !frame.absoluteObservationTime) return;
+        const bookmark = byTime.get(new Date(frame.absoluteObservationTime).getTime());
+        if (bookmark) result.push({ index, bookmark });
+    });
+    return result;
+}
+
+/**
+ * JSON document with a location's bookmarks, for attaching to incident reports
+ */
+export function exportBookmarks(location) {
+    return {
+        version: EXPORT_VERSION,
+        location: { suburb: location.suburb, state: location.state },
+        exportedAt: new Date().toISOString(),
+        bookmarks: loadBookmarks(location)
+    };
+}
+
+/**
+ * Merge an exported bookmarks document into storage. Bookmarks go to the location named in the file
+ * (or `fallbackLocation` if it names none); imported bookmarks replace saved ones for the same frame.
+ * @returns {{ location, count: number }}
+ * @throws {Error} if the document is not a bookmarks export
+ */
+export function importBookmarks(data, fallbackLocation) {
+    if (!data || typeof data !== 'object' || !Array.isArray(data.bookmarks)) {
+        throw new Error(t('bookmarks.notBookmarksFile'));
+    }
+    const location = data.location?.suburb && data.location?.state
+        ? { suburb: String(data.location.suburb), state: String(data.location.state) }
+        : fallbackLocation;
+    if (!location) throw new Error(t('bookmarks.noLocationInFile'));
+    
+    const imported = data.bookmarks.map(normalizeBookmark).filter(Boolean);
+    const kept = loadBookmarks(location).filter(saved => !imported.some(b => isSameTime(b.time, saved.time)));
+    saveBookmarks(location, kept.concat(imported));
+    return { location, count: imported.length };
+}
@@ -0,0 +1,335 @@
+// Frame bookmarks panel - bookmark frames, add notes, draw shapes over them and export/import as JSON
+import { state } from './state.js';
+import { getRenderer, clientToImagePoint } from './frame-renderer.js';
+import { showFrame, renderBookmarkMarkers } from './frame-navigation.js';
+import { pause } from './slideshow.js';
+import { loadBookmarks, updateBookmark, removeBookmark, getFrameBookmarks, exportBookmarks, importBookmarks } from './bookmark-store.js';
+import { formatDate, getElement, escapeHtml, downloadBlob } from './utils.js';
+import { t } from './i18n.js';
+
+let bookmarksByTime = new Map(); // current location's bookmarks keyed by observation time (ms)
+let activeTool = null; // 'arrow' | 'circle' | 'rect' while drawing on the frame
+let draftShape = null; // shape being dragged out, in image fractions
+let suppressNextClick = false; // the click that ends a drag should not also place a rainfall probe
+let shownNoteTime = null; // bookmark whose note is in the textarea
+
+function getCurrentFrame() {
+    const frame = state.frames[state.currentFrameIndex];
+    return frame?.absoluteObservationTime && !frame.isForecast ? frame : null;
+}
+
+function getBookmarkForFrame(frame) {
+    return frame ? bookmarksByTime.get(new Date(frame.absoluteObservationTime).getTime()) || null : null;
+}
+
+/**
+ * Loaded frame index for each bookmark time (ms) that is among the loaded frames
+ */
+function getLoadedBookmarkIndexes() {
+    return new Map(getFrameBookmarks(state.location, state.frames)
+        .map(({ index, bookmark }) => [new Date(bookmark.time).getTime(), index]));
+}
+
+/**
+ * Draw one shape (coordinates are fractions of the image size)
+ */
+function drawShape(ctx, shape, width, height) {
+    const x1 = shape.x1 * width;
+    const y1 = shape.y1 * height;
+    const x2 = shape.x2 * width;
+    const y2 = shape.y2 * height;
+    const lineWidth = Math.max(2, Math.round(width / 250));
+    
+    ctx.save();
+    ctx.lineWidth = lineWidth;
+    ctx.strokeStyle = shape.color;
+    ctx.fillStyle = shape.color;
+    ctx.lineCap = 'round';
+    ctx.beginPath();
+    if (shape.type === 'circle') {
+        // Dragged from the centre out to the edge
+        ctx.arc(x1, y1, Math.hypot(x2 - x1, y2 - y1), 0, Math.PI * 2);
+        ctx.stroke();
+    } else if (shape.type === 'rect') {
+        ctx.strokeRect(Math.min(x1, x2), Math.min(y1, y2), Math.abs(x2 - x1), Math.abs(y2 - y1));
+    } else {
+        // Arrow from the drag start to the point it ends on
+        const angle = Math.atan2(y2 - y1, x2 - x1);
+        const headLength = lineWidth * 5;
+        ctx.moveTo(x1, y1);
+        ctx.lineTo(x2, y2);
+        ctx.stroke();
+        ctx.beginPath();
+        ctx.moveTo(x2, y2);
+        ctx.lineTo(x2 - headLength * Math.cos(angle - Math.PI / 6), y2 - headLength * Math.sin(angle - Math.PI / 6));
+        ctx.lineTo(x2 - headLength * Math.cos(angle + Math.PI / 6), y2 - headLength * Math.sin(angle + Math.PI / 6));
+        ctx.closePath();
+        ctx.fill();
+    }
+    ctx.restore();
+}
+
+/**
+ * Overlay: the bookmarked frame's shapes, plus the shape being drawn
+ */
+function drawBookmarkShapes(ctx, { frame, width, height }) {
+    const bookmark = getBookmarkForFrame(frame);
+    bookmark?.shapes.forEach(shape => drawShape(ctx, shape, width, height));
+    if (draftShape && frame === getCurrentFrame()) {
+        drawShape(ctx, draftShape, width, height);
+    }
+}
+
+/**
+ * Re-read the current location's bookmarks and refresh everything that shows them
+ */
+function bookmarksChanged() {
+    bookmarksByTime = new Map(loadBookmarks(state.location).map(bookmark => [new Date(bookmark.time).getTime(), bookmark]));
+    renderBookmarkMarkers();
+    renderBookmarkPanel();
+    getRenderer(getElement('radar-image'))?.redraw();
+}
+
+function setBookmarkStatus(text) {
+    const statusEl = getElement('bookmark-status');
+    if (statusEl) statusEl.textContent = text;
+}
+
+function setActiveTool(tool) {
+    activeTool = tool;
+    draftShape = null;
+    if (tool) pause();
+    getElement('radar-image')?.classList.toggle('radar-image-drawing', !!tool);
+    renderBookmarkPanel();
+}
+
+/**
+ * Bookmark the current frame (or just open its note if it is already bookmarked)
+ */
+export function bookmarkCurrentFrame() {
+    const frame = getCurrentFrame();
+    if (!frame || !state.location) return;
+    
+    if (!getBookmarkForFrame(frame)) {
+        updateBookmark(state.location, frame.absoluteObservationTime, () => {});
+        bookmarksChanged();
+    }
+    getElement('bookmark-note')?.focus();
+}
+
+/**
+ * Show the previous (-1) or next (1) bookmarked frame, wrapping around
+ */
+export function jumpToBookmark(direction) {
+    const indexes = [...getLoadedBookmarkIndexes().values()];
+    if (indexes.length === 0) return;
+    
+    const current = state.currentFrameIndex;
+    const target = direction < 0
+        ? [...indexes].reverse().find(index => index < current) ?? indexes[indexes.length - 1]
+        : indexes.find(index => index > current) ?? indexes[0];
+    pause();
+    showFrame(target);
+}
+
+/**
+ * Bookmark list and the editor for the current frame's bookmark
+ */
+export function renderBookmarkPanel() {
+    const frame = getCurrentFrame();
+    const bookmark = getBookmarkForFrame(frame);
+    
+    const bookmarkBtn = getElement('bookmark-btn');
+    if (bookmarkBtn) {
+        bookmarkBtn.disabled = !frame;
+        bookmarkBtn.textContent = bookmark ? t('bookmarks.bookmarked') : t('bookmarks.bookmark');
+        bookmarkBtn.setAttribute('aria-pressed', bookmark ? 'true' : 'false');
+    }
+    
+    const editorEl = getElement('bookmark-editor');
+    if (editorEl) editorEl.style.display = bookmark ? 'block' : 'none';
+    if (!bookmark && activeTool) setActiveTool(null);
+    
+    // Leave the note alone while it is being typed in
+    const noteInput = getElement('bookmark-note');
+    if (noteInput && (shownNoteTime !== bookmark?.time || document.activeElement !== noteInput)) {
+        noteInput.value = bookmark ? bookmark.note : '';
+        shownNoteTime = bookmark?.time || null;
+    }
+    document.querySelectorAll('[data-bookmark-tool]').forEach(btn => {
+        btn.classList.toggle('active', btn.getAttribute('data-bookmark-tool') === activeTool);
+    });
+    const undoBtn = getElement('bookmark-undo-shape');
+    if (undoBtn) undoBtn.disabled = !bookmark || bookmark.shapes.length === 0;
+    
+    const listEl = getElement('bookmark-list');
+    if (!listEl) return;
+    const bookmarks = [...bookmarksByTime.values()];
+    if (bookmarks.length === 0) {
+        listEl.innerHTML = `<div class="timestamp">${escapeHtml(t('bookmarks.none'))}</div>`;
+        return;
+    }
+    const loaded = getLoadedBookmarkIndexes();
+    listEl.innerHTML = bookmarks.map(b => {
+        const index = loaded.get(new Date(b.time).getTime());
+        const details = [b.note, b.shapes.length > 0 ? t('bookmarks.shapes', { count: b.shapes.length }) : '']
+            .filter(Boolean).join(' • ');
+        return `<button class="bookmark-item${index === state.currentFrameIndex ? ' active' : ''}" ${index === undefined ? `disabled title="${escapeHtml(t('bookmarks.notLoaded'))}"` : `data-frame-index="${index}"`}>
+            <span class="bookmark-item-time">${escapeHtml(formatDate(b.time))}</span>
+            <span class="bookmark-item-note">${escapeHtml(details)}</span>
+        </button>`;
+    }).join('');
+}
+
+/**
+ * Reload bookmarks after the location or the loaded frames change
+ */
+export function refreshBookmarks() {
+    bookmarksChanged();
+}
+
+function getImageFraction(canvasEl, e) {
+    const point = clientToImagePoint(canvasEl, e.clientX, e.clientY);
+    return point ? { x: point.x / canvasEl.width, y: point.y / canvasEl.height } : null;
+}
+
+/**
+ * Drag on the radar image to draw the selected shape onto the current frame's bookmark
+ */
+function setupShapeDrawing(canvasEl) {
+    canvasEl.addEventListener('pointerdown', (e) => {
+        const frame = getCurrentFrame();
+        if (!activeTool || !getBookmarkForFrame(frame)) return;
+        const start = getImageFraction(canvasEl, e);
+        if (!start) return;
+        
+        e.preventDefault();
+        canvasEl.setPointerCapture?.(e.pointerId);
+        draftShape = {
+            type: activeTool,
+            x1: start.x,
+            y1: start.y,
+            x2: start.x,
+            y2: start.y,
+            color: getElement('bookmark-color')?.value || '#ff0000'
+        };
+    });
+    canvasEl.addEventListener('pointermove', (e) => {
+        if (!draftShape) return;
+        const point = getImageFraction(canvasEl, e);
+        if (!point) return;
+        draftShape.x2 = point.x;
+        draftShape.y2 = point.y;
+        getRenderer(canvasEl)?.redraw();
+    });
+    canvasEl.addEventListener('pointerup', (e) => {
+        if (!draftShape) return;
+        const shape = draftShape;
+        draftShape = null;
+        suppressNextClick = true;
+        canvasEl.releasePointerCapture?.(e.pointerId);
+        
+        // A click without a drag draws nothing
+        const frame = getCurrentFrame();
+        if (frame && Math.hypot(shape.x2 - shape.x1, shape.y2 - shape.y1) > 0.005) {
+            updateBookmark(state.location, frame.absoluteObservationTime, bookmark => {
+                bookmark.shapes = [...bookmark.shapes, shape];
+            });
+        }
+        bookmarksChanged();
+    });
+    
+    // Runs before the rainfall probe's click handler
+    canvasEl.addEventListener('click', (e) => {
+        if (activeTool || suppressNextClick) e.stopImmediatePropagation();
+        suppressNextClick = false;
+    }, true);
+}
+
+/**
+ * Read a bookmarks JSON file and merge it in
+ */
+async function importBookmarksFile(file) {
+    try {
+        const result = importBookmarks(JSON.parse(await file.text()), state.location);
+        const isOtherLocation = result.location.suburb.toLowerCase() !== state.location?.suburb.toLowerCase()
+            || result.location.state.toLowerCase() !== state.location?.state.toLowerCase();
+        setBookmarkStatus(isOtherLocation
+            ? t('bookmarks.importedOther', { count: result.count, place: `${result.location.suburb}, ${result.location.state}` })
+            : t('bookmarks.imported', { count: result.count }));
+        bookmarksChanged();
+    } catch (error) {
+        setBookmarkStatus(t('bookmarks.importFailed', { reason: error.message }));
+    }
+}
+
+/**
+ * Set up the bookmark button, panel, shape drawing and the overlay that draws shapes
+ */
+export function setupBookmarks() {
+    const canvasEl = getElement('radar-image');
+    if (canvasEl) {
+        getRenderer(canvasEl)?.addOverlay(drawBookmarkShapes);
+        setupShapeDrawing(canvasEl);
+    }
+    
+    getElement('bookmark-btn')?.addEventListener('click', bookmarkCurrentFrame);
+    
+    getElement('bookmark-note')?.addEventListener('input', (e) => {
+        const frame = getCurrentFrame();
+        if (!getBookmarkForFrame(frame)) return;
+        updateBookmark(state.location, frame.absoluteObservationTime, bookmark => {
+            bookmark.note = e.target.value;
+        });
+        bookmarksChanged();
+    });
+    
+    document.querySelectorAll('[data-bookmark-tool]').forEach(btn => {
+        btn.addEventListener('click', () => {
+            const tool = btn.getAttribute('data-bookmark-tool');
+            setActiveTool(activeTool === tool ? null : tool);
+        });
+    });
+    
+    getElement('bookmark-undo-shape')?.addEventListener('click', () => {
+        const frame = getCurrentFrame();
+        if (!getBookmarkForFrame(frame)) return;
+        updateBookmark(state.location, frame.absoluteObservationTime, bookmark => {
+            bookmark.shapes = bookmark.shapes.slice(0, -1);
+        });
+        bookmarksChanged();
+    });
+    
+    getElement('bookmark-remove')?.addEventListener('click', () => {
+        const frame = getCurrentFrame();
+        if (!frame) return;
+        removeBookmark(state.location, frame.absoluteObservationTime);
+        bookmarksChanged();
+    });
+    
+    getElement('bookmark-list')?.addEventListener('click', (e) => {
+        const item = e.target.closest('[data-frame-index]');
+        if (!item) return;
+        pause();
+        showFrame(parseInt(item.getAttribute('data-frame-index')));
+    });
+    
+    getElement('bookmark-export-btn')?.addEventListener('click', () => {
+        if (!state.location) return;
+        const data = exportBookmarks(state.location);
+        const locationPart = `${state.location.suburb}_${state.location.state}`.replace(/[^a-z0-9_-]+/gi, '_');
+        downloadBlob(new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' }), `radar_bookmarks_${locationPart}.json`);
+        setBookmarkStatus(t('bookmarks.exported', { count: data.bookmarks.length }));
+    });
+    
+    const importInput = getElement('bookmark-import-input');
+    getElement('bookmark-import-btn')?.addEventListener('click', () => importInput?.click());
+    importInput?.addEventListener('change', () => {
+        const file = importInput.files?.[0];
+        importInput.value = '';
+        if (file) importBookmarksFile(file);
+    });
+    
+    document.addEventListener('frameshown', renderBookmarkPanel);
+    bookmarksChanged();
+}
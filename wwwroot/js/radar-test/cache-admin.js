@@ -0,0 +1,189 @@
+// Cache administration panel - list a location's server cache folders, trigger a refresh, delete the cache
+import { state } from './state.js';
+import { fetchCacheFolders, requestCacheRefresh, deleteLocationCache, describeApiError } from './api-client.js';
+import { formatDate, getTimeDisplay, getElement, escapeHtml } from './utils.js';
+import { openDialog, closeDialog } from './a11y.js';
+import { t, getIntlLocale } from './i18n.js';
+
+const MAX_LOG_ENTRIES = 8;
+
+let onCacheDeleted = null; // reloads the page's data once the location's cache is gone
+let folderCount = 0;
+
+/**
+ * Why a cache request failed, for the panel
+ */
+function describeFailure(result) {
+    if (result.error === 'network') return t('cacheAdmin.unreachable');
+    return result.apiError ? describeApiError(result.apiError) : t('cacheAdmin.unexpectedError');
+}
+
+/**
+ * Add an action result to the top of the panel's log
+ */
+function logResult(text, succeeded) {
+    const logEl = getElement('cache-admin-log');
+    if (!logEl) return;
+    
+    const item = document.createElement('li');
+    item.className = succeeded ? 'succeeded' : 'failed';
+    const time = new Date().toLocaleTimeString(getIntlLocale(), { ...getTimeDisplay(), hour: '2-digit', minute: '2-digit', second: '2-digit' });
+    item.innerHTML = `<span class="cache-admin-log-time">${time}</span>${succeeded ? '✓' : '✗'} ${escapeHtml(text)}`;
+    logEl.prepend(item);
+    while (logEl.children.length > MAX_LOG_ENTRIES) {
+        logEl.lastElementChild.remove();
+    }
+}
+
+function setBusy(isBusy) {
+    ['cache-admin-reload-btn', 'cache-admin-refresh-btn', 'cache-admin-delete-btn', 'cache-admin-confirm-delete-btn'].forEach(id => {
+        const button = getElement(id);
+        if (button) button.disabled = isBusy;
+    });
+}
+
+/**
+ * Show the folders newest first, with a summary line above them
+ */
+function renderFolders(folders) {
+    const summaryEl = getElement('cache-admin-summary');
+    const foldersEl = getElement('cache-admin-folders');
+    folderCount = folders.length;
+    
+    if (folders.length === 0) {
+        summaryEl.textContent = t('cacheAdmin.noFolders');
+        foldersEl.innerHTML = `<div class="cache-admin-empty">${escapeHtml(t('cacheAdmin.empty'))}</div>`;
+        return;
+    }
+    
+    const totalFrames = folders.reduce((sum, folder) => sum + (folder.frameCount || 0), 0);
+    summaryEl.textContent = t('cacheAdmin.summary', { count: folders.length, frames: totalFrames });
+    
+    const rows = [...folders].reverse().map(folder => `
+        <tr>
+            <td>${formatDate(folder.cacheTimestamp)}</td>
+            <td>${formatDate(folder.observationTime)}</td>
+            <td class="cache-admin-frames">${folder.frameCount ?? '-'}</td>
+            <td class="cache-admin-folder-name">${escapeHtml(folder.folderName)}</td>
+        </tr>`).join('');
+    foldersEl.innerHTML = `
+        <table>
+            <thead>
+                <tr>
+                    <th scope="col">${escapeHtml(t('cacheAdmin.cachedColumn'))}</th>
+                    <th scope="col">${escapeHtml(t('cacheAdmin.observationColumn'))}</th>
+                    <th scope="col">${escapeHtml(t('cacheAdmin.framesColumn'))}</th>
+                    <th scope="col">${escapeHtml(t('cacheAdmin.folderColumn'))}</th>
+                </tr>
+            </thead>
+            <tbody>${rows}</tbody>
+        </table>`;
+}
+
+/**
+ * Load the folder list for the viewer's location
+ */
+async function loadFolders() {
+    getElement('cache-admin-summary').textContent = t('common.loading');
+    setBusy(true);
+    const result = await fetchCacheFolders();
+    setBusy(false);
+    
+    if (result.error) {
+        getElement('cache-admin-summary').textContent = t('cacheAdmin.listFailed', { reason: describeFailure(result) });
+        getElement('cache-admin-folders').innerHTML = '';
+        folderCount = 0;
+        return;
+    }
+    renderFolders(result.data || []);
+}
+
+async function refreshCache() {
+    setBusy(true);
+    const result = await requestCacheRefresh();
+    setBusy(false);
+    
+    if (result.error) {
+        logResult(t('cacheAdmin.refreshFailed', { reason: describeFailure(result) }), false);
+        return;
+    }
+    const status = result.data || {};
+    const message = status.message || t('cacheAdmin.refreshRequested');
+    logResult(status.nextUpdateTime ? t('cacheAdmin.refreshExpected', { message: message, time: formatDate(status.nextUpdateTime) }) : message, true);
+}
+
+function askToDelete() {
+    const place = state.location ? `${state.location.suburb}, ${state.location.state}` : t('cacheAdmin.thisLocation');
+    getElement('cache-admin-confirm-text').textContent = folderCount > 0
+        ? t('cacheAdmin.confirmFolders', { count: folderCount, place: place })
+        : t('cacheAdmin.confirm', { place: place });
+    getElement('cache-admin-confirm').style.display = 'block';
+    getElement('cache-admin-cancel-delete-btn').focus();
+}
+
+function hideDeleteConfirm() {
+    const confirmEl = getElement('cache-admin-confirm');
+    if (confirmEl) confirmEl.style.display = 'none';
+}
+
+async function deleteCache() {
+    hideDeleteConfirm();
+    setBusy(true);
+    const result = await deleteLocationCache();
+    setBusy(false);
+    
+    if (result.error) {
+        logResult(t('cacheAdmin.deleteFailed', { reason: describeFailure(result) }), false);
+        return;
+    }
+    logResult(result.data?.message || t('cacheAdmin.deleted'), true);
+    state.cacheRangeInfo = null;
+    onCacheDeleted?.();
+    await loadFolders();
+}
+
+/**
+ * Open the panel for the viewer's current location
+ */
+export function showCacheAdmin() {
+    const modal = getElement('cache-admin-modal');
+    if (!modal) return;
+    
+    getElement('cache-admin-location').textContent = state.location
+        ? t('cacheAdmin.location', { place: `${state.location.suburb}, ${state.location.state}` })
+        : '';
+    hideDeleteConfirm();
+    openDialog(modal, hideCacheAdmin);
+    loadFolders();
+}
+
+export function hideCacheAdmin() {
+    closeDialog(getElement('cache-admin-modal'));
+}
+
+/**
+ * Set up the Cache header button and the panel
+ * @param {() => void} cacheDeleted - called after the location's cache is deleted
+ */
+export function setupCacheAdmin(cacheDeleted) {
+    onCacheDeleted = cacheDeleted;
+    
+    const openBtn = getElement('cache-admin-btn');
+    if (openBtn) openBtn.addEventListener('click', showCacheAdmin);
+    
+    const closeBtn = getElement('close-cache-admin-btn');
+    if (closeBtn) closeBtn.addEventListener('click', hideCacheAdmin);
+    
+    const modal = getElement('cache-admin-modal');
+    if (modal) {
+        modal.addEventListener('click', (e) => {
+            if (e.target.id === 'cache-admin-modal') hideCacheAdmin();
+        });
+    }
+    
+    getElement('cache-admin-reload-btn')?.addEventListener('click', loadFolders);
+    getElement('cache-admin-refresh-btn')?.addEventListener('click', refreshCache);
+    getElement('cache-admin-delete-btn')?.addEventListener('click', askToDelete);
+    getElement('cache-admin-confirm-delete-btn')?.addEventListener('click', deleteCache);
+    getElement('cache-admin-cancel-delete-btn')?.addEventListener('click', hideDeleteConfirm);
+}
@@ -0,0 +1,429 @@
+// Compare mode - two radar panes (side by side or swipe) played together by matching observation time
+import { state, createState } from './state.js';
+import { fetchRadarData, cancelRadarRequests } from './api-client.js';
+import { getRenderer, releaseFrames, waitForFrame } from './frame-renderer.js';
+import { getFrameDelayMs, preloadFrameWindow } from './frame-navigation.js';
+import { persistSettings } from './settings.js';
+import { buildApiBase, getLocationKey, loadSavedLocations, isSameLocation } from './location.js';
+import { formatDate, getElement, escapeHtml } from './utils.js';
+import { PLAYBACK_WAIT_MS } from './config.js';
+import { t } from './i18n.js';
+
+const PANE_COUNT = 2;
+const PANE_LABELS = ['A', 'B'];
+const PANE_TIMESPANS = ['1h', '3h', '6h', '12h', '24h'];
+const PANE_SHIFTS = [
+    { hours: 0, labelKey: 'compare.shift.now' },
+    { hours: 1, labelKey: 'compare.shift.hourEarlier' },
+    { hours: 3, labelKey: 'compare.shift.threeHoursEarlier' },
+    { hours: 24, labelKey: 'compare.shift.yesterday' },
+    { hours: 48, labelKey: 'compare.shift.twoDaysEarlier' },
+    { hours: 168, labelKey: 'compare.shift.weekEarlier' }
+];
+const STEP_MERGE_MS = 60 * 1000; // pane times closer than this are one playback step
+const MATCH_TOLERANCE_MS = 7.5 * 60 * 1000; // a pane with no frame this close to the step time is marked as missing it
+
+let panes = []; // [{ index, source, state, loadingState, canvas, labelEl, loadingEl, loadToken }]
+let steps = []; // playback steps: aligned times (ms) from both panes, oldest first
+let currentStep = 0;
+let playTimer = null;
+let refreshTimer = null;
+let isComparePlaying = false;
+let isCompareShown = false;
+
+/**
+ * Saved pane sources, defaulting to the current location now and the same time yesterday
+ * @returns {Array<{ suburb: string, state: string, timespan: string, shiftHours: number }>}
+ */
+function getPaneSources() {
+    const saved = Array.isArray(state.settings.compareSources) ? state.settings.compareSources : [];
+    const fallbackShifts = [0, 24];
+    return Array.from({ length: PANE_COUNT }, (_, i) => {
+        const source = saved[i] || {};
+        const location = source.suburb && source.state ? source : state.location;
+        return {
+            suburb: location?.suburb || '',
+            state: location?.state || '',
+            timespan: PANE_TIMESPANS.includes(source.timespan) ? source.timespan : '3h',
+            shiftHours: PANE_SHIFTS.some(s => s.hours === source.shiftHours) ? source.shiftHours : fallbackShifts[i]
+        };
+    });
+}
+
+function saveAllPaneSources() {
+    state.settings.compareSources = panes.map(pane => ({ ...pane.source }));
+    persistSettings();
+}
+
+/**
+ * Pane state for a source - a time-shifted source asks for a custom range ending `shiftHours` ago
+ */
+function createPaneState(source) {
+    const location = { suburb: source.suburb, state: source.state };
+    const settings = { ...state.settings, timespan: source.timespan };
+    if (source.shiftHours > 0) {
+        const endTime = Date.now() - source.shiftHours * 60 * 60 * 1000;
+        const spanMs = parseInt(source.timespan) * 60 * 60 * 1000;
+        settings.timespan = 'custom';
+        settings.customStartTime = new Date(endTime - spanMs).toISOString();
+        settings.customEndTime = new Date(endTime).toISOString();
+    }
+    return createState({ apiBase: buildApiBase(location), location: location, settings: settings });
+}
+
+/**
+ * Frame time moved onto the shared timeline (a pane showing yesterday lines up with today)
+ */
+function getAlignedTime(pane, frame) {
+    return new Date(frame.absoluteObservationTime).getTime() + pane.source.shiftHours * 60 * 60 * 1000;
+}
+
+/**
+ * Playback steps: every aligned frame time from both panes, merging times within a minute
+ */
+function buildSteps() {
+    const times = panes
+        .flatMap(pane => pane.state.frames.filter(f => f.absoluteObservationTime).map(f => getAlignedTime(pane, f)))
+        .sort((a, b) => a - b);
+    const merged = [];
+    times.forEach(time => {
+        if (merged.length === 0 || time - merged[merged.length - 1] > STEP_MERGE_MS) merged.push(time);
+    });
+    return merged;
+}
+
+/**
+ * The pane's frame closest to an aligned time, and whether it is close enough to count as a match
+ */
+function findPaneFrame(pane, alignedTime) {
+    let best = null;
+    pane.state.frames.forEach((frame, index) => {
+        if (!frame.absoluteObservationTime) return;
+        const diff = Math.abs(getAlignedTime(pane, frame) - alignedTime);
+        if (!best || diff < best.diff) best = { index, frame, diff };
+    });
+    return best ? { ...best, isMatch: best.diff <= MATCH_TOLERANCE_MS } : null;
+}
+
+function describeSource(source) {
+    const shift = PANE_SHIFTS.find(s => s.hours === source.shiftHours);
+    const place = `${source.suburb}, ${source.state}`;
+    return source.shiftHours > 0 ? t('compare.shiftedSource', { place: place, shift: t(shift.labelKey) }) : place;
+}
+
+/**
+ * Show the frame of every pane that matches a playback step
+ */
+function showStep(stepIndex) {
+    if (steps.length === 0) return;
+    currentStep = Math.max(0, Math.min(steps.length - 1, stepIndex));
+    const alignedTime = steps[currentStep];
+    
+    panes.forEach(pane => {
+        const match = findPaneFrame(pane, alignedTime);
+        if (!match) return;
+        pane.state.currentFrameIndex = match.index;
+        preloadFrameWindow(pane.state);
+        pane.element.classList.toggle('compare-pane-missing', !match.isMatch);
+        getRenderer(pane.canvas)?.showFrame(match.frame).then(shown => {
+            if (!shown) return;
+            pane.canvas.style.display = 'block';
+            pane.loadingEl.style.display = 'none';
+        }).catch(err => console.error('Compare pane could not draw frame:', err));
+        pane.labelEl.textContent = t(match.isMatch ? 'compare.paneLabel' : 'compare.paneLabelMissing', {
+            pane: PANE_LABELS[pane.index],
+            source: describeSource(pane.source),
+            time: formatDate(match.frame.absoluteObservationTime, pane.state)
+        });
+    });
+    
+    const slider = getElement('compare-slider');
+    if (slider) {
+        slider.max = String(Math.max(0, steps.length - 1));
+        slider.value = String(currentStep);
+        slider.setAttribute('aria-valuetext', formatDate(new Date(alignedTime).toISOString()));
+    }
+    const timeEl = getElement('compare-time');
+    if (timeEl) timeEl.textContent = `${currentStep + 1} / ${steps.length}`;
+}
+
+/**
+ * Rebuild the shared steps after a pane loads, staying on the same aligned time where possible
+ */
+function stepsChanged() {
+    const previousTime = steps[currentStep];
+    steps = buildSteps();
+    
+    let stepIndex = steps.length - 1;
+    if (previousTime !== undefined && steps.length > 0) {
+        stepIndex = steps.reduce((best, time, i) => Math.abs(time - previousTime) < Math.abs(steps[best] - previousTime) ? i : best, 0);
+    }
+    showStep(stepIndex);
+}
+
+function setPaneState(pane, paneState) {
+    releaseFrames(pane.state);
+    pane.state = paneState;
+}
+
+/**
+ * Fetch a pane's frames for its source. A failed refresh keeps the frames already shown.
+ */
+async function loadPane(pane, { isRefresh = false } = {}) {
+    const token = ++pane.loadToken;
+    // Only the newest load for a pane runs - a source change aborts the one in flight
+    if (pane.loadingState) cancelRadarRequests(pane.loadingState);
+    const paneState = createPaneState(pane.source);
+    pane.loadingState = paneState;
+    if (!isRefresh) pane.statusEl.textContent = t('common.loading');
+    
+    const result = await fetchRadarData(paneState);
+    // Source changed or compare mode closed while loading
+    if (token !== pane.loadToken || !isCompareShown || result.error === 'aborted') return;
+    pane.loadingState = null;
+    
+    const frames = result.data?.frames || [];
+    if (result.error || frames.length === 0) {
+        if (isRefresh && pane.state.frames.length > 0) return;
+        setPaneState(pane, paneState);
+        pane.statusEl.textContent = result.message || (result.error === 'network' ? t('dashboard.apiUnavailable') : t('compare.noFrames'));
+        pane.loadingEl.textContent = pane.statusEl.textContent;
+        pane.loadingEl.style.display = 'block';
+        pane.canvas.style.display = 'none';
+        getRenderer(pane.canvas)?.clear();
+    } else {
+        paneState.frames = frames;
+        paneState.isExtendedMode = result.data.isExtendedMode || false;
+        setPaneState(pane, paneState);
+        pane.statusEl.textContent = t('compare.frameCount', { count: frames.length });
+    }
+    stepsChanged();
+}
+
+/**
+ * Source pickers for one pane: location, timespan and time shift
+ */
+function renderPaneSource(pane) {
+    const locations = loadSavedLocations();
+    if (state.location && !locations.some(l => isSameLocation(l, state.location))) locations.unshift(state.location);
+    if (pane.source.suburb && !locations.some(l => isSameLocation(l, pane.source))) locations.push({ suburb: pane.source.suburb, state: pane.source.state });
+    
+    const selectedKey = getLocationKey(pane.source);
+    pane.sourceEl.innerHTML = `
+        <span class="compare-source-label">${PANE_LABELS[pane.index]}</span>
+        <select data-source-field="location" aria-label="${escapeHtml(t('compare.locationLabel', { pane: PANE_LABELS[pane.index] }))}">
+            ${locations.map(l => `<option value="${escapeHtml(getLocationKey(l))}"${getLocationKey(l) === selectedKey ? ' selected' : ''}>${escapeHtml(l.suburb)}, ${escapeHtml(l.state)}</option>`).join('')}
+        </select>
+        <select data-source-field="timespan" aria-label="${escapeHtml(t('compare.timespanLabel', { pane: PANE_LABELS[pane.index] }))}">
+            ${PANE_TIMESPANS.map(timespan => `<option value="${timespan}"${timespan === pane.source.timespan ? ' selected' : ''}>${escapeHtml(t('compare.lastTimespan', { timespan: timespan }))}</option>`).join('')}
+        </select>
+        <select data-source-field="shift" aria-label="${escapeHtml(t('compare.shiftLabel', { pane: PANE_LABELS[pane.index] }))}">
+            ${PANE_SHIFTS.map(s => `<option value="${s.hours}"${s.hours === pane.source.shiftHours ? ' selected' : ''}>${escapeHtml(t(s.labelKey))}</option>`).join('')}
+        </select>
+        <span class="compare-source-status timestamp"></span>
+    `;
+    pane.statusEl = pane.sourceEl.querySelector('.compare-source-status');
+    
+    pane.sourceEl.querySelectorAll('select').forEach(select => {
+        select.addEventListener('change', () => {
+            const field = select.getAttribute('data-source-field');
+            if (field === 'location') {
+                const location = locations.find(l => getLocationKey(l) === select.value);
+                if (location) Object.assign(pane.source, { suburb: location.suburb, state: location.state });
+            } else if (field === 'timespan') {
+                pane.source.timespan = select.value;
+            } else {
+                pane.source.shiftHours = parseInt(select.value) || 0;
+            }
+            saveAllPaneSources();
+            loadPane(pane);
+        });
+    });
+}
+
+function updateComparePlayButton() {
+    const playBtn = getElement('compare-play-btn');
+    if (playBtn) playBtn.textContent = isComparePlaying ? t('player.pause') : t('player.play');
+}
+
+/**
+ * Play both panes together, one step per frame interval (at the playback speed)
+ */
+export function playCompare() {
+    pauseCompare();
+    if (steps.length === 0) return;
+    isComparePlaying = true;
+    const scheduleTick = () => {
+        const timer = setTimeout(async () => {
+            const nextStep = currentStep < steps.length - 1 ? currentStep + 1 : 0;
+            // Hold the current step while the panes' next frames load (for a while)
+            await Promise.all(panes.map(pane => {
+                const match = findPaneFrame(pane, steps[nextStep]);
+                return match ? waitForFrame(match.frame, PLAYBACK_WAIT_MS) : true;
+            }));
+            if (playTimer !== timer) return;
+            showStep(nextStep);
+            scheduleTick();
+        }, getFrameDelayMs());
+        playTimer = timer;
+    };
+    scheduleTick();
+    updateComparePlayButton();
+}
+
+export function pauseCompare() {
+    isComparePlaying = false;
+    clearTimeout(playTimer);
+    playTimer = null;
+    updateComparePlayButton();
+}
+
+/**
+ * Side by side panes, or pane B laid over pane A and revealed right of a draggable divider
+ */
+function applyLayout() {
+    const layout = state.settings.compareLayout === 'swipe' ? 'swipe' : 'side';
+    const stageEl = getElement('compare-stage');
+    if (stageEl) {
+        stageEl.classList.toggle('compare-layout-swipe', layout === 'swipe');
+        stageEl.classList.toggle('compare-layout-side', layout === 'side');
+    }
+    const layoutSelect = getElement('compare-layout-select');
+    if (layoutSelect) layoutSelect.value = layout;
+    setSwipePosition(50);
+}
+
+function setSwipePosition(percent) {
+    const position = Math.max(0, Math.min(100, percent));
+    const stageEl = getElement('compare-stage');
+    if (stageEl) stageEl.style.setProperty('--swipe-position', `${position}%`);
+    const divider = getElement('compare-divider');
+    if (divider) divider.setAttribute('aria-valuenow', String(Math.round(position)));
+}
+
+function setupSwipeDivider() {
+    const stageEl = getElement('compare-stage');
+    const divider = getElement('compare-divider');
+    if (!stageEl || !divider) return;
+    
+    let dragging = false;
+    const moveTo = (e) => {
+        const rect = stageEl.getBoundingClientRect();
+        if (rect.width) setSwipePosition(((e.clientX - rect.left) / rect.width) * 100);
+    };
+    divider.addEventListener('pointerdown', (e) => {
+        dragging = true;
+        divider.setPointerCapture?.(e.pointerId);
+        e.preventDefault();
+    });
+    divider.addEventListener('pointermove', (e) => {
+        if (dragging) moveTo(e);
+    });
+    divider.addEventListener('pointerup', (e) => {
+        dragging = false;
+        divider.releasePointerCapture?.(e.pointerId);
+    });
+    divider.addEventListener('keydown', (e) => {
+        if (e.key !== 'ArrowLeft' && e.key !== 'ArrowRight') return;
+        e.preventDefault();
+        e.stopPropagation();
+        const current = parseFloat(divider.getAttribute('aria-valuenow')) || 50;
+        setSwipePosition(current + (e.key === 'ArrowLeft' ? -5 : 5));
+    });
+}
+
+/**
+ * Show compare mode and load both panes
+ */
+export function showCompare() {
+    const compareEl = getElement('compare-section');
+    const viewerEl = getElement('viewer-section');
+    if (compareEl) compareEl.style.display = 'block';
+    if (viewerEl) viewerEl.style.display = 'none';
+    isCompareShown = true;
+    panes.forEach(pane => releaseFrames(pane.state));
+    
+    const sources = getPaneSources();
+    panes = sources.map((source, index) => {
+        const element = document.querySelector(`.compare-pane[data-pane="${index}"]`);
+        return {
+            index,
+            source,
+            state: createPaneState(source),
+            element,
+            canvas: element.querySelector('canvas'),
+            labelEl: element.querySelector('.compare-pane-label'),
+            loadingEl: element.querySelector('.loading'),
+            sourceEl: getElement(`compare-source-${index}`),
+            statusEl: null,
+            loadingState: null,
+            loadToken: 0
+        };
+    });
+    steps = [];
+    currentStep = 0;
+    panes.forEach(pane => {
+        renderPaneSource(pane);
+        pane.loadingEl.textContent = t('common.loading');
+        pane.loadingEl.style.display = 'block';
+        pane.canvas.style.display = 'none';
+        getRenderer(pane.canvas)?.clear();
+        loadPane(pane);
+    });
+    applyLayout();
+    
+    // Time-shifted ranges move with the clock, so reload both panes on the refresh interval
+    clearInterval(refreshTimer);
+    refreshTimer = setInterval(() => panes.forEach(pane => loadPane(pane, { isRefresh: true })), state.settings.refreshInterval * 1000);
+}
+
+/**
+ * Leave compare mode and stop its timers
+ */
+export function hideCompare() {
+    isCompareShown = false;
+    pauseCompare();
+    clearInterval(refreshTimer);
+    refreshTimer = null;
+    panes.forEach(pane => {
+        pane.loadToken++;
+        if (pane.loadingState) cancelRadarRequests(pane.loadingState);
+        releaseFrames(pane.state);
+    });
+    
+    const compareEl = getElement('compare-section');
+    const viewerEl = getElement('viewer-section');
+    if (compareEl) compareEl.style.display = 'none';
+    if (viewerEl) viewerEl.style.display = '';
+}
+
+/**
+ * Set up the shared playback controls, layout switch and swipe divider
+ */
+export function setupCompare() {
+    getElement('compare-play-btn')?.addEventListener('click', () => {
+        if (isComparePlaying) {
+            pauseCompare();
+        } else {
+            playCompare();
+        }
+    });
+    getElement('compare-prev-btn')?.addEventListener('click', () => {
+        pauseCompare();
+        showStep(currentStep > 0 ? currentStep - 1 : steps.length - 1);
+    });
+    getElement('compare-next-btn')?.addEventListener('click', () => {
+        pauseCompare();
+        showStep(currentStep < steps.length - 1 ? currentStep + 1 : 0);
+    });
+    getElement('compare-slider')?.addEventListener('input', (e) => {
+        pauseCompare();
+        showStep(parseInt(e.target.value));
+    });
+    getElement('compare-layout-select')?.addEventListener('change', (e) => {
+        state.settings.compareLayout = e.target.value;
+        persistSettings();
+        applyLayout();
+    });
+    setupSwipeDivider();
+}
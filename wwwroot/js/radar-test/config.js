@@ -1,15 +1,90 @@
 // Configuration constants
-export const MAX_RETRY_ATTEMPTS = 10;
-export const RETRY_DELAY_MS = 5000; // 5 seconds between retries
+// API outages - fast retries with exponential backoff, then the circuit stays open and probes slowly
+export const MAX_RETRY_ATTEMPTS = 10; // fast retries before falling back to background probes
+export const RETRY_DELAY_MS = 5000; // first retry after 5 seconds, doubling after each failure
+export const RETRY_MAX_DELAY_MS = 120000; // longest wait between fast retries
+export const RETRY_JITTER = 0.25; // retry delays vary by up to ±25% so displays don't retry in step
+export const PROBE_INTERVAL_MS = 5 * 60 * 1000; // background probe once the fast retries are used up
+
+// Offline frame cache (IndexedDB) - database/store names are shared with radar-sw.js
+export const OFFLINE_DB_NAME = 'bom-radar-offline';
+export const OFFLINE_FRAMES_STORE = 'frames';
+export const OFFLINE_RETENTION_HOURS = 24;
+export const OFFLINE_MAX_FRAMES_PER_LOCATION = 300;
+
+// Number of frames in a latest-mode response
+export const LATEST_FRAME_COUNT = 7;
+
+// Live cache events (Server-Sent Events) - polling is only used while the stream is unavailable
+export const LIVE_UPDATES_URL = '/api/cache/events';
+export const LIVE_RECONNECT_DELAY_MS = 30000; // retry a stream the server closed or refused
+export const LIVE_REFRESH_DEBOUNCE_MS = 500; // coalesce new-frames/cache-updated into one fetch
+
+// Cache update progress view
+export const UPDATE_STALL_SECONDS = 90; // no new stage or frame for this long - the update looks stuck
+export const UPDATE_SLOW_FACTOR = 1.5; // slower than usual once elapsed passes the typical duration by this factor
+export const UPDATE_HISTORY_SHOWN = 5; // recent update durations listed under the progress view
+
+// Frame preloading - long timeseries are decoded in a window around the current frame, a few at a time
+export const PRELOAD_AHEAD_FRAMES = 10; // frames about to play (in the play direction)
+export const PRELOAD_BEHIND_FRAMES = 3; // frames just shown (for stepping back)
+export const PRELOAD_KEEP_FRAMES = 40; // decoded frames further than this from the current frame are released
+export const PRELOAD_CONCURRENCY = 4; // image requests in flight at once
+export const PLAYBACK_WAIT_MS = 3000; // longest playback holds a frame while the next one loads
 
 // Get API base URL from global variable set by Razor view
 export const API_BASE = window.API_BASE || '';
 
+// Where radar data comes from - { type: 'http' } (default) or { type: 'fixture', baseUrl, shiftToNow } for recorded data
+export const DATA_SOURCE = window.RADAR_DATA_SOURCE || { type: 'http' };
+
+// Screenshot crop offsets and configured radar sites (keyed by suburb_state) for projecting lat/lon onto frames
+export const MAP_PROJECTION = window.RADAR_MAP_PROJECTION || { crop: { x: 0, y: 0, rightOffset: 0 }, sites: {} };
+
+// Timespan setting values ('custom' uses customStartTime/customEndTime)
+export const TIMESPAN_OPTIONS = ['latest', '1h', '3h', '6h', '12h', '24h', 'custom'];
+
+// Playback mode and speed setting values
+export const PLAYBACK_MODES = ['loop', 'bounce', 'reverse'];
+export const PLAYBACK_SPEEDS = [0.25, 0.5, 1, 2, 4, 8];
+
+// Time zone of each state's locations (the default for the timeZone setting)
+export const STATE_TIME_ZONES = {
+    QLD: 'Australia/Brisbane',
+    NSW: 'Australia/Sydney',
+    ACT: 'Australia/Sydney',
+    VIC: 'Australia/Melbourne',
+    TAS: 'Australia/Hobart',
+    SA: 'Australia/Adelaide',
+    NT: 'Australia/Darwin',
+    WA: 'Australia/Perth'
+};
+export const FALLBACK_TIME_ZONE = 'Australia/Brisbane'; // locations in an unknown state
+
 // Default settings
 export const DEFAULT_SETTINGS = {
     frameInterval: 2.0,      // seconds between frames
+    crossfadeDuration: 0.3,  // seconds to blend between frames (0 = off)
     refreshInterval: 30,     // seconds between API refreshes
     autoPlay: true,          // auto-play on load
-    timespan: 'latest'       // 'latest', '1h', '3h', '6h', '12h', '24h', 'custom'
+    timespan: 'latest',      // 'latest', '1h', '3h', '6h', '12h', '24h', 'custom'
+    dashboardMode: false,    // show the multi-location dashboard instead of the single viewer
+    dashboardSync: true,     // keep dashboard tiles playing in step
+    compareMode: false,      // show the two-pane compare view instead of the single viewer
+    compareLayout: 'side',   // 'side' (panes side by side) or 'swipe' (pane B over pane A with a divider)
+    compareSources: null,    // [{ suburb, state, timespan, shiftHours }] per pane (null = current location now vs yesterday)
+    stormAlerts: false,      // warn when heavy rain approaches the watched point
+    stormWatchPoint: 'centre', // 'centre' (the location itself) or a map marker name
+    stormAlertRadiusKm: 50,  // look for heavy rain this far from the watched point
+    stormAlertLeadMinutes: 30, // alert when heavy rain is expected within this many minutes
+    nowcastMinutes: 0,       // forecast frames extrapolated after the newest frame (0 = off, 30-60)
+    playbackMode: 'loop',    // 'loop', 'bounce' (ping-pong) or 'reverse'
+    playbackSpeed: 1,        // multiplier on the frame interval (0.25-8)
+    endDwell: 0,             // extra seconds to hold the newest frame before looping
+    loopStart: null,         // observation time of the A marker (A-B loop), or null to play all frames
+    loopEnd: null,           // observation time of the B marker
+    timeZone: 'location',    // 'location' (from the location's state), 'local' (browser), 'UTC' or an IANA zone name
+    timeFormat: '12h',       // '12h' or '24h'
+    locale: 'auto'           // UI language: 'auto' (browser language) or a message catalog locale (messages.js)
 };
 
@@ -0,0 +1,390 @@
+// Multi-location dashboard (grid of independently refreshing radar tiles)
+import { state, createState } from './state.js';
+import { fetchRadarData, cancelRadarRequests } from './api-client.js';
+import { saveSettings } from './settings.js';
+import { renderLocationSwitcher } from './location-switcher.js';
+import { formatFrameTime, getElement, escapeHtml } from './utils.js';
+import { getRenderer, releaseFrames } from './frame-renderer.js';
+import { preloadFrameWindow } from './frame-navigation.js';
+import { buildApiBase, buildViewerUrl, getLocationKey, isSameLocation, loadSavedLocations, removeSavedLocation } from './location.js';
+import { loadOfflineRadarData } from './offline-cache.js';
+import { subscribeToLiveUpdates, isLiveConnected } from './live-updates.js';
+import { LIVE_REFRESH_DEBOUNCE_MS } from './config.js';
+import { prefersReducedMotion } from './a11y.js';
+import { t } from './i18n.js';
+
+const tiles = new Map(); // locationKey -> tile
+let syncInterval = null;
+let syncStep = 0;
+let isDashboardPlaying = false;
+
+/**
+ * Create a tile element and its own state for one location
+ */
+function createTile(location) {
+    const tileState = createState({
+        apiBase: buildApiBase(location),
+        location: location,
+        settings: { ...state.settings }
+    });
+    
+    const placeName = `${location.suburb}, ${location.state}`;
+    const element = document.createElement('div');
+    element.className = 'dashboard-tile';
+    element.innerHTML = `
+        <div class="dashboard-tile-header">
+            <a class="dashboard-tile-title" href="${escapeHtml(buildViewerUrl(location))}" title="${escapeHtml(t('dashboard.openInViewer'))}">${escapeHtml(placeName)}</a>
+            <button class="dashboard-tile-remove" title="${escapeHtml(t('dashboard.remove'))}" aria-label="${escapeHtml(t('dashboard.removeLabel', { place: placeName }))}">×</button>
+        </div>
+        <div class="dashboard-tile-image">
+            <div class="loading">${escapeHtml(t('common.loading'))}</div>
+            <canvas class="radar-image" style="display: none;" role="img" aria-label="${escapeHtml(t('dashboard.imageLabel', { place: placeName }))}"></canvas>
+        </div>
+        <div class="dashboard-tile-info">
+            <span class="dashboard-tile-time">-</span>
+            <span class="dashboard-tile-status"></span>
+        </div>
+    `;
+    
+    const tile = {
+        location: location,
+        state: tileState,
+        element: element,
+        canvas: element.querySelector('.radar-image'),
+        loadingEl: element.querySelector('.loading'),
+        timeEl: element.querySelector('.dashboard-tile-time'),
+        statusEl: element.querySelector('.dashboard-tile-status'),
+        removeBtn: element.querySelector('.dashboard-tile-remove'),
+        liveRefreshTimeout: null
+    };
+    
+    tile.removeBtn.addEventListener('click', () => {
+        if (isSameLocation(location, state.location)) return;
+        removeSavedLocation(location);
+        removeTile(getLocationKey(location));
+        renderLocationSwitcher();
+    });
+    
+    return tile;
+}
+
+/**
+ * Show a frame in a tile
+ */
+function showTileFrame(tile, index) {
+    const frames = tile.state.frames;
+    if (index < 0 || index >= frames.length) return;
+    
+    tile.state.currentFrameIndex = index;
+    const frame = frames[index];
+    
+    // The tile keeps its previous frame on screen until this one has decoded
+    getRenderer(tile.canvas)?.showFrame(frame).then(shown => {
+        if (!shown) return;
+        tile.canvas.style.display = 'block';
+        tile.loadingEl.style.display = 'none';
+    }).catch(err => console.error('Dashboard tile could not draw frame:', err));
+    preloadFrameWindow(tile.state);
+    tile.timeEl.textContent = formatFrameTime(frame, tile.state.isExtendedMode, tile.state);
+}
+
+/**
+ * Fetch data for a tile and show its newest frame (or keep its position)
+ */
+async function refreshTile(tile) {
+    const result = await fetchRadarData(tile.state);
+    if (result.error === 'aborted') return;
+    
+    // Fall back to frames stored offline when the API is unreachable and the tile is empty
+    if (result.error === 'network' && tile.state.frames.length === 0) {
+        const offlineData = await loadOfflineRadarData(tile.state);
+        if (offlineData) {
+            result.data = offlineData;
+            delete result.error;
+        }
+    }
+    
+    // Tile may have been removed while the request was in flight
+    if (!tiles.has(getLocationKey(tile.location))) return;
+    
+    if (result.error) {
+        tile.statusEl.textContent = result.error === 'network' ? t('dashboard.apiUnavailable') : (result.message || t('dashboard.noData'));
+        tile.statusEl.classList.add('dashboard-tile-status-error');
+        if (tile.state.frames.length === 0) {
+            tile.loadingEl.textContent = result.error === 'network' ? t('dashboard.apiUnavailable') : t('dashboard.waitingForCache');
+        }
+        return;
+    }
+    
+    const data = result.data;
+    if (!data || !data.frames || data.frames.length === 0) {
+        tile.loadingEl.textContent = t('dashboard.waitingForCache');
+        return;
+    }
+    
+    const previousFrame = tile.state.frames[tile.state.currentFrameIndex];
+    tile.state.radarData = data;
+    tile.state.isExtendedMode = data.isExtendedMode || false;
+    tile.state.frames = tile.state.isExtendedMode
+        ? data.frames
+        : data.frames.sort((a, b) => a.frameIndex - b.frameIndex);
+    tile.state.lastRefreshTime = new Date();
+    
+    tile.statusEl.textContent = data.fromOfflineCache ? t('cacheStatus.offline') : (data.isUpdating ? t('cacheStatus.updating') : (data.cacheIsValid ? '' : t('dashboard.stale')));
+    tile.statusEl.classList.remove('dashboard-tile-status-error');
+    
+    // Keep showing the same observation time if it is still present, otherwise jump to newest
+    const matchingIndex = previousFrame
+        ? tile.state.frames.findIndex(f => f.absoluteObservationTime === previousFrame.absoluteObservationTime)
+        : -1;
+    showTileFrame(tile, matchingIndex >= 0 ? matchingIndex : tile.state.frames.length - 1);
+}
+
+/**
+ * Start the per-tile refresh timer (not needed while live updates are connected)
+ */
+function startTileRefresh(tile) {
+    stopTileRefresh(tile);
+    if (isLiveConnected()) return;
+    tile.state.refreshInterval = setInterval(() => refreshTile(tile), state.settings.refreshInterval * 1000);
+}
+
+function stopTileRefresh(tile) {
+    if (tile.state.refreshInterval) {
+        clearInterval(tile.state.refreshInterval);
+        tile.state.refreshInterval = null;
+    }
+}
+
+/**
+ * Refresh a tile shortly after a live event (new-frames and cache-updated arrive together)
+ */
+function scheduleTileRefresh(tile) {
+    clearTimeout(tile.liveRefreshTimeout);
+    tile.liveRefreshTimeout = setTimeout(() => refreshTile(tile), LIVE_REFRESH_DEBOUNCE_MS);
+}
+
+/**
+ * Listen for live cache events for a tile's location
+ */
+function subscribeTileToLiveUpdates(tile) {
+    tile.state.liveUnsubscribe = subscribeToLiveUpdates(tile.location, {
+        onProgress: () => {
+            tile.statusEl.textContent = t('cacheStatus.updating');
+        },
+        onNewFrames: () => scheduleTileRefresh(tile),
+        onCacheUpdated: () => scheduleTileRefresh(tile),
+        onConnectionChange: (connected) => {
+            tile.state.isLiveConnected = connected;
+            if (connected) {
+                stopTileRefresh(tile);
+                scheduleTileRefresh(tile);
+            } else {
+                startTileRefresh(tile);
+            }
+        }
+    });
+    tile.state.isLiveConnected = isLiveConnected();
+}
+
+/**
+ * Advance a single tile (independent playback)
+ */
+function startTilePlayback(tile) {
+    stopTilePlayback(tile);
+    tile.state.isPlaying = true;
+    tile.state.playInterval = setInterval(() => {
+        const frames = tile.state.frames;
+        if (frames.length === 0) return;
+        showTileFrame(tile, (tile.state.currentFrameIndex + 1) % frames.length);
+    }, state.settings.frameInterval * 1000);
+}
+
+function stopTilePlayback(tile) {
+    tile.state.isPlaying = false;
+    if (tile.state.playInterval) {
+        clearInterval(tile.state.playInterval);
+        tile.state.playInterval = null;
+    }
+}
+
+/**
+ * Advance all tiles together. Tiles are aligned on their newest frame so
+ * tiles with fewer frames wait on their first frame until the others catch up.
+ */
+function syncTick() {
+    const maxFrames = Math.max(0, ...[...tiles.values()].map(tile => tile.state.frames.length));
+    if (maxFrames === 0) return;
+    
+    syncStep = (syncStep + 1) % maxFrames;
+    tiles.forEach(tile => {
+        const frameCount = tile.state.frames.length;
+        if (frameCount === 0) return;
+        showTileFrame(tile, Math.max(0, syncStep - (maxFrames - frameCount)));
+    });
+}
+
+/**
+ * Play all tiles (in sync or independently depending on settings)
+ */
+export function playDashboard() {
+    pauseDashboard();
+    isDashboardPlaying = true;
+    
+    if (state.settings.dashboardSync) {
+        syncStep = 0;
+        syncInterval = setInterval(syncTick, state.settings.frameInterval * 1000);
+    } else {
+        tiles.forEach(startTilePlayback);
+    }
+    updateDashboardPlayButton();
+}
+
+/**
+ * Pause all tiles
+ */
+export function pauseDashboard() {
+    isDashboardPlaying = false;
+    if (syncInterval) {
+        clearInterval(syncInterval);
+        syncInterval = null;
+    }
+    tiles.forEach(stopTilePlayback);
+    updateDashboardPlayButton();
+}
+
+function updateDashboardPlayButton() {
+    const playBtn = getElement('dashboard-play-btn');
+    if (playBtn) playBtn.textContent = isDashboardPlaying ? t('dashboard.pauseAll') : t('dashboard.playAll');
+}
+
+/**
+ * Add a tile for a location (no-op if already present)
+ */
+function addTile(location) {
+    const key = getLocationKey(location);
+    if (tiles.has(key)) return;
+    
+    const tile = createTile(location);
+    tiles.set(key, tile);
+    
+    const grid = getElement('dashboard-grid');
+    if (grid) grid.appendChild(tile.element);
+    
+    refreshTile(tile);
+    subscribeTileToLiveUpdates(tile);
+    startTileRefresh(tile);
+    if (isDashboardPlaying && !state.settings.dashboardSync) {
+        startTilePlayback(tile);
+    }
+}
+
+/**
+ * Remove a tile and stop its timers
+ */
+function removeTile(key) {
+    const tile = tiles.get(key);
+    if (!tile) return;
+    
+    stopTileRefresh(tile);
+    stopTilePlayback(tile);
+    clearTimeout(tile.liveRefreshTimeout);
+    tile.state.liveUnsubscribe?.();
+    cancelRadarRequests(tile.state);
+    releaseFrames(tile.state);
+    tile.element.remove();
+    tiles.delete(key);
+    updateEmptyMessage();
+}
+
+function updateEmptyMessage() {
+    const emptyEl = getElement('dashboard-empty');
+    if (emptyEl) emptyEl.style.display = tiles.size === 0 ? 'block' : 'none';
+}
+
+/**
+ * Sync tiles with the saved locations list and the current location
+ */
+export function syncDashboardTiles() {
+    const locations = loadSavedLocations();
+    const keys = new Set(locations.map(getLocationKey));
+    
+    [...tiles.keys()].forEach(key => {
+        if (!keys.has(key)) removeTile(key);
+    });
+    locations.forEach(addTile);
+    // The current location can't be removed (as in the settings location list)
+    tiles.forEach(tile => {
+        tile.removeBtn.disabled = isSameLocation(tile.location, state.location);
+    });
+    updateEmptyMessage();
+}
+
+/**
+ * Show the dashboard and start all tiles
+ */
+export function showDashboard() {
+    const dashboardEl = getElement('dashboard-section');
+    const viewerEl = getElement('viewer-section');
+    if (dashboardEl) dashboardEl.style.display = 'block';
+    if (viewerEl) viewerEl.style.display = 'none';
+    
+    const syncInput = getElement('dashboard-sync-input');
+    if (syncInput) syncInput.checked = state.settings.dashboardSync;
+    
+    syncDashboardTiles();
+    if (state.settings.autoPlay && !prefersReducedMotion()) {
+        playDashboard();
+    }
+}
+
+/**
+ * Hide the dashboard and stop all tile timers
+ */
+export function hideDashboard() {
+    pauseDashboard();
+    [...tiles.keys()].forEach(removeTile);
+    
+    const dashboardEl = getElement('dashboard-section');
+    const viewerEl = getElement('viewer-section');
+    if (dashboardEl) dashboardEl.style.display = 'none';
+    if (viewerEl) viewerEl.style.display = '';
+}
+
+/**
+ * Apply changed settings (frame interval, sync mode) to running playback
+ */
+export function applyDashboardSettings() {
+    tiles.forEach(tile => {
+        tile.state.settings = { ...state.settings };
+        startTileRefresh(tile);
+    });
+    if (isDashboardPlaying) {
+        playDashboard();
+    }
+}
+
+/**
+ * Set up dashboard controls
+ */
+export function setupDashboard() {
+    const playBtn = getElement('dashboard-play-btn');
+    if (playBtn) {
+        playBtn.addEventListener('click', () => {
+            if (isDashboardPlaying) {
+                pauseDashboard();
+            } else {
+                playDashboard();
+            }
+        });
+    }
+    
+    const syncInput = getElement('dashboard-sync-input');
+    if (syncInput) {
+        syncInput.addEventListener('change', (e) => {
+            state.settings.dashboardSync = e.target.checked;
+            saveSettings();
+            applyDashboardSettings();
+        });
+    }
+}
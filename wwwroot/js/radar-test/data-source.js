@@ -0,0 +1,126 @@
+// Data sources - where radar data comes from (the HTTP API by default, recorded fixtures for development)
+import { DATA_SOURCE } from './config.js';
+import { buildCacheApiBase } from './location.js';
+import { createFixtureDataSource } from './fixture-data-source.js';
+
+/**
+ * A data source answers these requests for a location state object (uses `s.location` / `s.apiBase`):
+ *   getLatest(s, { signal })                          - latest frames (GET /api/radar/{suburb}/{state})
+ *   getTimeseries(s, { startTime, endTime, signal }) - historical cache folders (.../timeseries)
+ *   getMetadata(s, { signal })                        - location metadata (.../metadata)
+ *   getCacheRange(s, { signal })                      - available cache range (/api/cache/{suburb}/{state}/range)
+ *   getCacheFolders(s, { signal })                    - cache folders with frame counts (.../folders)
+ *   getCacheStatus(s, { signal })                     - cache validity, running update progress, recent update durations (.../status)
+ *   refresh(s)                                        - ask for a cache update (POST .../refresh)
+ *   deleteCache(s)                                    - delete the location's cache (DELETE /api/cache/{suburb}/{state})
+ * Each resolves to { ok, status, statusText, body } where body is the parsed JSON (null if none).
+ * Network failures, timeouts and aborting `signal` reject, like fetch.
+ */
+
+/**
+ * Fetch a URL and parse its JSON body (error responses included)
+ */
+async function requestJson(url, { method = 'GET', timeoutMs = 10000, signal = null } = {}) {
+    const timeout = AbortSignal.timeout(timeoutMs);
+    const response = await fetch(url, {
+        method: method,
+        signal: signal ? AbortSignal.any([signal, timeout]) : timeout
+    });
+    const body = await response.json().catch(() => null);
+    return {
+        ok: response.ok,
+        status: response.status,
+        statusText: response.statusText,
+        body: body
+    };
+}
+
+/**
+ * Point the server's root-relative frame image URLs at the API origin (when it is not the page's own)
+ */
+function resolveImageUrls(frames, apiOrigin) {
+    if (!apiOrigin || !Array.isArray(frames)) return;
+    frames.forEach(frame => {
+        if (frame.imageUrl?.startsWith('/')) frame.imageUrl = `${apiOrigin}${frame.imageUrl}`;
+    });
+}
+
+/**
+ * Data source backed by the service's HTTP API
+ */
+export function createHttpDataSource() {
+    const cacheBase = (s) => buildCacheApiBase(s.location, s.apiOrigin);
+    
+    return {
+        name: 'http',
+        
+        async getLatest(s, { signal = null } = {}) {
+            const response = await requestJson(s.apiBase, { signal });
+            resolveImageUrls(response.body?.frames, s.apiOrigin);
+            return response;
+        },
+        
+        async getTimeseries(s, { startTime = null, endTime = null, signal = null } = {}) {
+            const params = new URLSearchParams();
+            if (startTime) params.append('startTime', startTime.toISOString());
+            if (endTime) params.append('endTime', endTime.toISOString());
+            const query = params.toString();
+            // Longer timeout for potentially large responses
+            const response = await requestJson(`${s.apiBase}/timeseries${query ? '?' + query : ''}`, { timeoutMs: 30000, signal });
+            response.body?.cacheFolders?.forEach(folder => resolveImageUrls(folder.frames, s.apiOrigin));
+            return response;
+        },
+        
+        getMetadata(s, { signal = null } = {}) {
+            return requestJson(`${s.apiBase}/metadata`, { timeoutMs: 5000, signal });
+        },
+        
+        getCacheRange(s, { signal = null } = {}) {
+            return requestJson(`${cacheBase(s)}/range`, { signal });
+        },
+        
+        getCacheFolders(s, { signal = null } = {}) {
+            return requestJson(`${cacheBase(s)}/folders`, { signal });
+        },
+        
+        getCacheStatus(s, { signal = null } = {}) {
+            return requestJson(`${cacheBase(s)}/status`, { timeoutMs: 5000, signal });
+        },
+        
+        refresh(s) {
+            return requestJson(`${cacheBase(s)}/refresh`, { method: 'POST', timeoutMs: 5000 });
+        },
+        
+        deleteCache(s) {
+            return requestJson(cacheBase(s), { method: 'DELETE' });
+        }
+    };
+}
+
+/**
+ * Build the data source described by a config object ({ type: 'http' } or { type: 'fixture', baseUrl, shiftToNow })
+ */
+export function createDataSource(config) {
+    if (config?.type === 'fixture') {
+        return createFixtureDataSource(config);
+    }
+    return createHttpDataSource();
+}
+
+let dataSource = createDataSource(DATA_SOURCE);
+
+/**
+ * The data source every fetch goes through
+ */
+export function getDataSource() {
+    return dataSource;
+}
+
+/**
+ * Swap the data source (e.g. a test double). Takes a data source object or a config object.
+ */
+export function setDataSource(sourceOrConfig) {
+    dataSource = typeof sourceOrConfig?.getLatest === 'function'
+        ? sourceOrConfig
+        : createDataSource(sourceOrConfig);
+}
@@ -1,9 +1,60 @@
-// Error handling and API retry logic
-import { MAX_RETRY_ATTEMPTS, RETRY_DELAY_MS } from './config.js';
+// Error handling and API retry logic (exponential backoff, circuit breaker, slow background probes, server retry hints)
+import { MAX_RETRY_ATTEMPTS, RETRY_DELAY_MS, RETRY_MAX_DELAY_MS, RETRY_JITTER, PROBE_INTERVAL_MS } from './config.js';
 import { state } from './state.js';
-import { updateApiStatus, showError, clearError } from './ui-updater.js';
-import { fetchRadarData } from './api-client.js';
-import { updateUI } from './ui-updater.js';
+import { updateApiStatus, updateCircuitStatus, showError, clearError } from './ui-updater.js';
+import { t } from './i18n.js';
+
+let retryCallback = null; // refetches and shows data (the viewer's refresh)
+
+/**
+ * Spread a delay by ±RETRY_JITTER so many displays don't retry in step after an outage
+ */
+function withJitter(delayMs) {
+    return Math.round(delayMs * (1 + RETRY_JITTER * (Math.random() * 2 - 1)));
+}
+
+/**
+ * Delay before fast retry `attempt` (1-based): RETRY_DELAY_MS doubled each time, capped at RETRY_MAX_DELAY_MS
+ */
+export function getRetryDelayMs(attempt) {
+    return withJitter(Math.min(RETRY_MAX_DELAY_MS, RETRY_DELAY_MS * 2 ** Math.max(0, attempt - 1)));
+}
+
+function clearRetryTimer() {
+    if (state.retryTimeout) {
+        clearTimeout(state.retryTimeout);
+        state.retryTimeout = null;
+    }
+    state.nextRetryTime = null;
+}
+
+/**
+ * Schedule the next try - backoff retries until MAX_RETRY_ATTEMPTS, then a probe every PROBE_INTERVAL_MS.
+ * Nothing is scheduled while the browser is offline; the online event retries instead.
+ */
+function scheduleRetry() {
+    clearRetryTimer();
+    if (navigator.onLine !== false) {
+        const delayMs = state.retryAttempts < MAX_RETRY_ATTEMPTS
+            ? getRetryDelayMs(state.retryAttempts)
+            : withJitter(PROBE_INTERVAL_MS);
+        state.nextRetryTime = new Date(Date.now() + delayMs);
+        state.retryTimeout = setTimeout(attemptReconnect, delayMs);
+    }
+    updateCircuitStatus();
+}
+
+/**
+ * Let one request through (half-open). Success closes the circuit through resetApiRetryState;
+ * failure comes back through handleApiDown, which opens it again.
+ */
+async function attemptReconnect() {
+    clearRetryTimer();
+    state.circuitState = 'half-open';
+    updateApiStatus('reconnecting');
+    updateCircuitStatus();
+    await retryCallback?.();
+}
 
 /**
  * Reset API retry state when connection is restored
@@ -13,26 +64,27 @@ export function resetApiRetryState() {
         state.isApiDown = false;
         state.retryAttempts = 0;
         clearError();
-        if (state.retryInterval) {
-            clearInterval(state.retryInterval);
-            state.retryInterval = null;
-        }
-        updateApiStatus('connected');
+        updateApiStatus(state.isLiveConnected ? 'live' : 'connected');
     }
+    clearRetryTimer();
+    state.circuitState = 'closed';
+    updateCircuitStatus();
 }
 
 /**
- * Handle API being down
+ * Handle API being down: open the circuit and schedule the next try
+ * @param {() => Promise} retry - fetches and shows data again (the viewer's refresh, so retries and
+ *   regular refreshes share one request pipeline and a late response can't overwrite a newer one)
  */
-export function handleApiDown(error) {
+export function handleApiDown(error, retry) {
+    retryCallback = retry;
     if (!state.isApiDown) {
         state.isApiDown = true;
         state.retryAttempts = 0;
-        updateApiStatus('disconnected');
     }
     
     state.retryAttempts++;
-    showError(`API connection lost. Retrying... (Attempt ${state.retryAttempts}/${MAX_RETRY_ATTEMPTS})`);
+    state.circuitState = 'open';
     
     // Stop auto-refresh while retrying
     if (state.refreshInterval) {
@@ -40,29 +92,58 @@ export function handleApiDown(error) {
         state.refreshInterval = null;
     }
     
-    // Start retry mechanism
-    if (!state.retryInterval && state.retryAttempts < MAX_RETRY_ATTEMPTS) {
-        state.retryInterval = setInterval(async () => {
-            if (state.retryAttempts >= MAX_RETRY_ATTEMPTS) {
-                clearInterval(state.retryInterval);
-                state.retryInterval = null;
-                showError('API connection failed after multiple attempts. Please check if the service is running.');
-                updateApiStatus('failed');
-                return;
-            }
-            
-            state.retryAttempts++;
-            showError(`API connection lost. Retrying... (Attempt ${state.retryAttempts}/${MAX_RETRY_ATTEMPTS})`);
-            
-            // Try to fetch data
-            const result = await fetchRadarData();
-            if (result.data) {
-                updateUI(result.data);
-            }
-        }, RETRY_DELAY_MS);
-    } else if (state.retryAttempts >= MAX_RETRY_ATTEMPTS) {
-        showError('API connection failed after multiple attempts. Please check if the service is running.');
+    if (navigator.onLine === false) {
+        showError(t('error.offline'), null, { isRetrying: true });
+        updateApiStatus('offline');
+    } else if (state.retryAttempts < MAX_RETRY_ATTEMPTS) {
+        showError(t('error.connectionLost', { attempt: state.retryAttempts, max: MAX_RETRY_ATTEMPTS }), null, { isRetrying: true });
+        updateApiStatus('disconnected');
+    } else {
+        showError(t('error.connectionFailed'));
         updateApiStatus('failed');
     }
+    scheduleRetry();
+}
+
+/**
+ * Try the API straight away (the Reconnect now button, or the browser coming back online).
+ * Starts the fast retries over if this try fails too.
+ */
+export function reconnectNow(retry) {
+    retryCallback = retry;
+    if (!state.isApiDown) {
+        updateApiStatus(state.isLiveConnected ? 'live' : 'connected');
+        retry();
+        return;
+    }
+    state.retryAttempts = 0;
+    attemptReconnect();
 }
 
+/**
+ * The browser went offline - hold retries until it is back
+ */
+export function handleBrowserOffline() {
+    if (state.isApiDown) clearRetryTimer();
+    updateApiStatus('offline');
+    updateCircuitStatus();
+}
+
+/**
+ * Retry once the server's retryAfter hint has passed (the no-frames message counts down to it)
+ */
+export function scheduleSuggestedRetry(retryAfterSeconds, retry) {
+    clearSuggestedRetry();
+    const delayMs = retryAfterSeconds * 1000;
+    state.suggestedRetryTime = new Date(Date.now() + delayMs);
+    state.suggestedRetryTimeout = setTimeout(() => {
+        clearSuggestedRetry();
+        retry();
+    }, delayMs);
+}
+
+export function clearSuggestedRetry() {
+    clearTimeout(state.suggestedRetryTimeout);
+    state.suggestedRetryTimeout = null;
+    state.suggestedRetryTime = null;
+}
@@ -0,0 +1,219 @@
+// Fixture data source - serves recorded API responses and images from a static directory (no scraping needed)
+import { getLocationKey } from './location.js';
+
+// Response fields holding timestamps (shifted so recorded data looks current)
+const TIME_FIELDS = new Set([
+    'absoluteObservationTime', 'observationTime', 'cacheTimestamp', 'lastUpdated', 'forecastTime',
+    'cacheExpiresAt', 'nextUpdateTime', 'startTime', 'endTime'
+]);
+
+/**
+ * Fetch a fixture file, null if it wasn't recorded
+ */
+async function loadJson(url) {
+    const response = await fetch(url, { signal: AbortSignal.timeout(10000) });
+    if (response.status === 404) return null;
+    if (!response.ok) throw new Error(`Failed to load fixture ${url}: HTTP ${response.status}`);
+    return response.json();
+}
+
+/**
+ * Copy a response with every known timestamp moved by offsetMs
+ */
+function shiftTimes(value, offsetMs) {
+    if (Array.isArray(value)) return value.map(item => shiftTimes(item, offsetMs));
+    if (!value || typeof value !== 'object') return value;
+    
+    const result = {};
+    Object.entries(value).forEach(([key, item]) => {
+        const time = TIME_FIELDS.has(key) && typeof item === 'string' ? new Date(item).getTime() : NaN;
+        result[key] = isNaN(time) ? shiftTimes(item, offsetMs) : new Date(time + offsetMs).toISOString();
+    });
+    return result;
+}
+
+/**
+ * Point relative image URLs at the fixture directory
+ */
+function resolveImageUrls(frames, directoryUrl) {
+    frames.forEach(frame => {
+        if (frame.imageUrl && !/^([a-z]+:|\/)/i.test(frame.imageUrl)) {
+            frame.imageUrl = new URL(frame.imageUrl, directoryUrl).href;
+        }
+    });
+}
+
+function newestFrameTime(responses) {
+    const times = responses.flatMap(frames => frames.map(f => new Date(f.absoluteObservationTime).getTime()))
+        .filter(t => !isNaN(t));
+    return times.length > 0 ? Math.max(...times) : null;
+}
+
+function describeFolder(folder) {
+    return {
+        folderName: folder.cacheFolderName,
+        cacheTimestamp: folder.cacheTimestamp,
+        observationTime: folder.observationTime,
+        isComplete: true
+    };
+}
+
+/**
+ * Cache range derived from recorded cache folders (used when range.json wasn't recorded)
+ */
+function buildCacheRange(cacheFolders) {
+    const oldest = cacheFolders[0];
+    const newest = cacheFolders[cacheFolders.length - 1];
+    return {
+        oldestCache: oldest ? describeFolder(oldest) : null,
+        newestCache: newest ? describeFolder(newest) : null,
+        totalCacheFolders: cacheFolders.length,
+        timeSpanMinutes: cacheFolders.length >= 2
+            ? Math.round((new Date(newest.cacheTimestamp) - new Date(oldest.cacheTimestamp)) / 60000)
+            : null
+    };
+}
+
+function ok(body) {
+    return { ok: true, status: 200, statusText: 'OK', body: structuredClone(body) };
+}
+
+function notRecorded(location) {
+    return {
+        ok: false,
+        status: 404,
+        statusText: 'Not Found',
+        body: {
+            errorCode: 'CACHE_NOT_FOUND',
+            message: `No fixture recorded for ${location.suburb}, ${location.state}`
+        }
+    };
+}
+
+/**
+ * Data source that reads recordings laid out as:
+ *   {baseUrl}/{suburb_state}/latest.json      - GET /api/radar/{suburb}/{state} response (required)
+ *   {baseUrl}/{suburb_state}/timeseries.json  - GET .../timeseries response covering everything recorded
+ *   {baseUrl}/{suburb_state}/metadata.json    - GET .../metadata response
+ *   {baseUrl}/{suburb_state}/range.json       - GET /api/cache/{suburb}/{state}/range response
+ * The location folder name is lowercase. Relative imageUrls are resolved against the location folder.
+ * With shiftToNow, all timestamps move so the newest recorded frame is "now" when first loaded.
+ */
+export function createFixtureDataSource({ baseUrl = '/fixtures/radar', shiftToNow = true } = {}) {
+    const recordings = new Map(); // location key -> Promise<recording | null>
+    
+    const loadRecording = async (location) => {
+        const directoryUrl = new URL(`${baseUrl.replace(/\/$/, '')}/${encodeURIComponent(getLocationKey(location))}/`, window.location.href);
+        const [latest, timeseries, metadata, range] = await Promise.all(
+            ['latest.json', 'timeseries.json', 'metadata.json', 'range.json'].map(file => loadJson(new URL(file, directoryUrl).href)));
+        if (!latest) return null;
+        
+        const cacheFolders = timeseries?.cacheFolders || [];
+        resolveImageUrls(latest.frames || [], directoryUrl);
+        cacheFolders.forEach(folder => resolveImageUrls(folder.frames || [], directoryUrl));
+        
+        const recording = {
+            latest: latest,
+            cacheFolders: cacheFolders,
+            metadata: metadata,
+            range: range || buildCacheRange(cacheFolders)
+        };
+        
+        const newest = newestFrameTime([latest.frames || [], ...cacheFolders.map(f => f.frames || [])]);
+        return shiftToNow && newest !== null ? shiftTimes(recording, Date.now() - newest) : recording;
+    };
+    
+    // Recordings are shared by every request, so an aborted request stops waiting rather than cancelling the load
+    const getRecording = async (s, signal = null) => {
+        const key = getLocationKey(s.location);
+        if (!recordings.has(key)) {
+            const loading = loadRecording(s.location);
+            // Don't remember failures - the next request retries
+            loading.catch(() => recordings.delete(key));
+            recordings.set(key, loading);
+        }
+        const recording = await recordings.get(key);
+        signal?.throwIfAborted();
+        return recording;
+    };
+    
+    return {
+        name: 'fixture',
+        
+        async getLatest(s, { signal = null } = {}) {
+            const recording = await getRecording(s, signal);
+            return recording ? ok(recording.latest) : notRecorded(s.location);
+        },
+        
+        async getTimeseries(s, { startTime = null, endTime = null, signal = null } = {}) {
+            const recording = await getRecording(s, signal);
+            if (!recording) return notRecorded(s.location);
+            
+            const inRange = (frame) => {
+                const time = new Date(frame.absoluteObservationTime).getTime();
+                return (!startTime || time >= startTime.getTime()) && (!endTime || time <= endTime.getTime());
+            };
+            const cacheFolders = recording.cacheFolders
+                .map(folder => ({ ...folder, frames: (folder.frames || []).filter(inRange) }))
+                .filter(folder => folder.frames.length > 0);
+            
+            return ok({
+                cacheFolders: cacheFolders,
+                startTime: startTime?.toISOString() || null,
+                endTime: endTime?.toISOString() || null,
+                totalFrames: cacheFolders.reduce((sum, folder) => sum + folder.frames.length, 0)
+            });
+        },
+        
+        async getMetadata(s, { signal = null } = {}) {
+            const recording = await getRecording(s, signal);
+            if (!recording) return notRecorded(s.location);
+            if (recording.metadata) return ok(recording.metadata);
+            
+            const { frames, ...metadata } = recording.latest;
+            return ok(metadata);
+        },
+        
+        async getCacheRange(s, { signal = null } = {}) {
+            const recording = await getRecording(s, signal);
+            return recording ? ok(recording.range) : notRecorded(s.location);
+        },
+        
+        async getCacheFolders(s, { signal = null } = {}) {
+            const recording = await getRecording(s, signal);
+            return ok((recording?.cacheFolders || []).map(folder => ({
+                folderName: folder.cacheFolderName,
+                cacheTimestamp: folder.cacheTimestamp,
+                observationTime: folder.observationTime,
+                isComplete: true,
+                frameCount: (folder.frames || []).length
+            })));
+        },
+        
+        async getCacheStatus(s, { signal = null } = {}) {
+            const recording = await getRecording(s, signal);
+            // Recordings are never updated, so there is no progress or history to report
+            return ok({
+                updateTriggered: false,
+                cacheExists: !!recording,
+                cacheIsValid: !!recording,
+                message: recording ? 'Recorded fixture' : 'Not recorded',
+                recentUpdates: []
+            });
+        },
+        
+        async refresh() {
+            // Recordings never change
+            return { ok: true, status: 202, statusText: 'Accepted', body: null };
+        },
+        
+        async deleteCache() {
+            return {
+                ok: false,
+                status: 405,
+                statusText: 'Method Not Allowed',
+                body: { errorCode: 'READ_ONLY', message: 'Recorded fixtures are read-only - their cache cannot be deleted.' }
+            };
+        }
+    };
+}
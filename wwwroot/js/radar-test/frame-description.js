@@ -0,0 +1,183 @@
+// Frame description - the rain in a radar frame in words (coverage, heaviest rain and where it is, rain at the location)
+import { state } from './state.js';
+import { getFramePixels } from './frame-renderer.js';
+import { classifyRainColor, describeRainLevel } from './rain-legend.js';
+import { createMapProjection, getKmPerPixel } from './map-projection.js';
+import { getRadarSite } from './map-markers.js';
+import { formatDate, getRelativeTime, getElement } from './utils.js';
+import { t } from './i18n.js';
+
+const MAX_SAMPLES_PER_AXIS = 200; // sample grid limit across the image
+const LOCATION_RADIUS_KM = 5; // rain this close to the location counts as rain at the location
+const LOCATION_RADIUS_PX = 8; // the same when the map scale is unknown
+const TRACE_COVERAGE = 0.01; // less of the map than this is described as a few patches
+const COMPASS_POINTS = ['north', 'northEast', 'east', 'southEast', 'south', 'southWest', 'west', 'northWest'];
+
+const analyses = new WeakMap(); // frame -> Promise of its rain analysis (a frame's image never changes)
+let describeToken = 0;
+let isOpen = false;
+
+/**
+ * The location in image pixels and the map scale - the map centre when no radar site is known
+ */
+function getMapGeometry(location, imageSize) {
+    const site = getRadarSite(location);
+    const project = createMapProjection(site, imageSize);
+    const point = project ? project(site.latitude, site.longitude) : { x: imageSize.width / 2, y: imageSize.height / 2 };
+    return { point: point, kmPerPixel: project ? getKmPerPixel(site, imageSize) : null };
+}
+
+/**
+ * Sample the frame on a grid: share of the map with rain, the heaviest level (the sample of it nearest
+ * the location) and the heaviest level around the location
+ */
+function analyseRain(imageData, point, kmPerPixel) {
+    const { width, height, data } = imageData;
+    const step = Math.max(1, Math.ceil(Math.max(width, height) / MAX_SAMPLES_PER_AXIS));
+    const locationRadiusPx = kmPerPixel ? LOCATION_RADIUS_KM / kmPerPixel : LOCATION_RADIUS_PX;
+    const result = { sampled: 0, rainy: 0, heaviestLevel: -1, heaviestDistancePx: 0, heaviestPoint: null, levelAtLocation: -1 };
+    
+    for (let y = 0; y < height; y += step) {
+        for (let x = 0; x < width; x += step) {
+            result.sampled++;
+            const i = (y * width + x) * 4;
+            if (data[i + 3] === 0) continue;
+            const level = classifyRainColor(data[i], data[i + 1], data[i + 2]);
+            if (level < 0) continue;
+            
+            result.rainy++;
+            const distancePx = Math.hypot(x - point.x, y - point.y);
+            if (distancePx <= locationRadiusPx) result.levelAtLocation = Math.max(result.levelAtLocation, level);
+            if (level > result.heaviestLevel || (level === result.heaviestLevel && distancePx < result.heaviestDistancePx)) {
+                result.heaviestLevel = level;
+                result.heaviestDistancePx = distancePx;
+                result.heaviestPoint = { x: x, y: y };
+            }
+        }
+    }
+    return result;
+}
+
+function analyseFrame(frame, location) {
+    if (!analyses.has(frame)) {
+        const analysis = getFramePixels(frame).then(imageData => {
+            const { point, kmPerPixel } = getMapGeometry(location, imageData);
+            return { ...analyseRain(imageData, point, kmPerPixel), point: point, kmPerPixel: kmPerPixel };
+        });
+        // Let a frame that failed to load be tried again
+        analysis.catch(() => analyses.delete(frame));
+        analyses.set(frame, analysis);
+    }
+    return analyses.get(frame);
+}
+
+/**
+ * Compass direction from one image point to another (north is up)
+ */
+function getCompassDirection(from, to) {
+    const degrees = (Math.atan2(to.x - from.x, from.y - to.y) * 180 / Math.PI + 360) % 360;
+    return t(`direction.${COMPASS_POINTS[Math.round(degrees / 45) % COMPASS_POINTS.length]}`);
+}
+
+/**
+ * Describe the rain in a frame in a few sentences
+ */
+export async function describeFrame(frame, s = state) {
+    const place = s.location?.suburb || t('describe.mapCentre');
+    const sentences = [frame.isForecast
+        ? t('describe.forecast', { minutes: frame.forecastMinutes, time: formatDate(frame.absoluteObservationTime, s) })
+        : t('describe.observed', { time: formatDate(frame.absoluteObservationTime, s), relative: getRelativeTime(frame.absoluteObservationTime) })];
+    
+    const rain = await analyseFrame(frame, s.location);
+    if (rain.rainy === 0) {
+        sentences.push(t('describe.noRain'));
+        return sentences.join(' ');
+    }
+    
+    const coverage = rain.rainy / rain.sampled;
+    sentences.push(coverage < TRACE_COVERAGE
+        ? t('describe.coverageTrace')
+        : t('describe.coverage', { percent: Math.round(coverage * 100) }));
+    
+    const rate = describeRainLevel(rain.heaviestLevel);
+    if (rain.heaviestLevel === rain.levelAtLocation) {
+        sentences.push(t('describe.heaviestAtLocation', { rate: rate, place: place }));
+        return sentences.join(' ');
+    }
+    const direction = getCompassDirection(rain.point, rain.heaviestPoint);
+    if (rain.kmPerPixel) {
+        const distanceKm = Math.max(1, Math.round(rain.heaviestDistancePx * rain.kmPerPixel));
+        sentences.push(t('describe.heaviest', { rate: rate, distance: distanceKm, direction: direction, place: place }));
+    } else {
+        sentences.push(t('describe.heaviestNoDistance', { rate: rate, direction: direction, place: place }));
+    }
+    
+    sentences.push(rain.levelAtLocation >= 0
+        ? t('describe.rainAtLocation', { place: place, rate: describeRainLevel(rain.levelAtLocation) })
+        : t('describe.dryAtLocation', { place: place }));
+    return sentences.join(' ');
+}
+
+/**
+ * Set the panel text (only on change - the panel is a live region and frames change often)
+ */
+function setDescriptionText(descriptionEl, text) {
+    if (descriptionEl.textContent !== text) descriptionEl.textContent = text;
+}
+
+/**
+ * Describe the frame on screen in the description panel (only while it is open and playback is paused)
+ */
+export async function refreshFrameDescription() {
+    const descriptionEl = getElement('frame-description');
+    if (!isOpen || !descriptionEl) return;
+    
+    const token = ++describeToken;
+    const frame = state.frames[state.currentFrameIndex];
+    if (!frame) {
+        setDescriptionText(descriptionEl, '');
+        return;
+    }
+    if (state.isPlaying) {
+        descriptionEl.removeAttribute('aria-busy');
+        setDescriptionText(descriptionEl, t('describe.whilePlaying'));
+        return;
+    }
+    
+    descriptionEl.setAttribute('aria-busy', 'true');
+    let text;
+    try {
+        text = await describeFrame(frame);
+    } catch (error) {
+        console.debug('Frame description failed:', error);
+        text = t('describe.unavailable');
+    }
+    // Another frame was shown while this one was analysed
+    if (token !== describeToken) return;
+    descriptionEl.removeAttribute('aria-busy');
+    setDescriptionText(descriptionEl, text);
+}
+
+/**
+ * Show or hide the description panel
+ */
+export function toggleFrameDescription() {
+    isOpen = !isOpen;
+    const descriptionEl = getElement('frame-description');
+    const describeBtn = getElement('describe-btn');
+    if (descriptionEl) descriptionEl.style.display = isOpen ? 'block' : 'none';
+    if (describeBtn) describeBtn.setAttribute('aria-expanded', isOpen ? 'true' : 'false');
+    if (isOpen) {
+        refreshFrameDescription();
+    } else {
+        describeToken++;
+    }
+}
+
+/**
+ * Set up the Describe button and keep the description on the frame on screen
+ */
+export function setupFrameDescription() {
+    getElement('describe-btn')?.addEventListener('click', toggleFrameDescription);
+    ['frameshown', 'play', 'pause'].forEach(type => document.addEventListener(type, refreshFrameDescription));
+}
@@ -1,58 +1,86 @@
 // Frame navigation and display
-import { formatDate, formatFrameTime, getMinutesAgo, preloadImages } from './utils.js';
-import { state } from './state.js';
+import { formatDate, formatFrameTime, getMinutesAgo, getRelativeTime, getTimeDisplay, getElement, escapeHtml } from './utils.js';
+import { state, dispatchStateEvent } from './state.js';
+import { getRenderer, preloadFrames } from './frame-renderer.js';
+import { PRELOAD_AHEAD_FRAMES, PRELOAD_BEHIND_FRAMES, PRELOAD_KEEP_FRAMES } from './config.js';
+import { scheduleUrlStateSync } from './url-state.js';
+import { canShowTimeline, renderTimeline, updateTimelineCursor, getTimelinePercent } from './timeline.js';
+import { getFrameBookmarks } from './bookmark-store.js';
+import { scheduleFrameAnnouncement, prefersReducedMotion } from './a11y.js';
+import { t } from './i18n.js';
 
 /**
  * Calculate jump amount for frame navigation
  * Returns 10% of total frames (min 1, max 50) for extended mode, 0 otherwise
  */
-export function getJumpAmount() {
-    if (!state.isExtendedMode || state.frames.length === 0) {
+export function getJumpAmount(s = state) {
+    if (!s.isExtendedMode || s.frames.length === 0) {
         return 0;
     }
-    return Math.max(1, Math.min(50, Math.round(state.frames.length / 10)));
+    return Math.max(1, Math.min(50, Math.round(s.frames.length / 10)));
 }
 
 /**
  * Build frame controls HTML and attach event listeners
  */
-export function buildFrameControls() {
-    const controlsEl = document.getElementById('frame-controls');
+export function buildFrameControls(s = state) {
+    const controlsEl = getElement('frame-controls', s.root);
     if (!controlsEl) return;
     
     // Calculate jump amount - 10% of total frames, minimum 1, maximum 50
     // Only used in extended mode (timeseries)
-    const jumpAmount = getJumpAmount();
+    const jumpAmount = getJumpAmount(s);
     
     // Build jump buttons HTML only for extended mode
-    const prevJumpButtonHtml = state.isExtendedMode && jumpAmount > 0
-        ? `<button class="frame-nav-btn" id="frame-prev-jump-btn" title="Go back ${jumpAmount} frames" aria-label="Go back ${jumpAmount} frames">-${jumpAmount}</button>`
+    const prevJumpButtonHtml = s.isExtendedMode && jumpAmount > 0
+        ? `<button class="frame-nav-btn" id="frame-prev-jump-btn" title="${escapeHtml(t('frames.back', { count: jumpAmount }))}" aria-label="${escapeHtml(t('frames.back', { count: jumpAmount }))}">-${jumpAmount}</button>`
         : '';
-    const nextJumpButtonHtml = state.isExtendedMode && jumpAmount > 0
-        ? `<button class="frame-nav-btn" id="frame-next-jump-btn" title="Go forward ${jumpAmount} frames" aria-label="Go forward ${jumpAmount} frames">+${jumpAmount}</button>`
+    const nextJumpButtonHtml = s.isExtendedMode && jumpAmount > 0
+        ? `<button class="frame-nav-btn" id="frame-next-jump-btn" title="${escapeHtml(t('frames.forward', { count: jumpAmount }))}" aria-label="${escapeHtml(t('frames.forward', { count: jumpAmount }))}">+${jumpAmount}</button>`
         : '';
     
+    // Forecast (nowcast) frames get their own colour on the slider track from the first forecast frame on
+    const firstForecastIndex = s.frames.findIndex(frame => frame.isForecast);
+    const hasForecast = firstForecastIndex > 0;
+    const forecastStart = hasForecast ? ((firstForecastIndex - 0.5) / (s.frames.length - 1)) * 100 : 100;
+    const sliderAttributes = hasForecast
+        ? ` class="frame-slider frame-slider-forecast" style="--forecast-start: ${forecastStart.toFixed(1)}%;"`
+        : ' class="frame-slider"';
+    const forecastNoteHtml = hasForecast
+        ? `<div class="frame-forecast-note">${escapeHtml(t('frames.forecastNote'))}</div>`
+        : '';
+    
+    // Extended mode spans hours to days, so lay frames out by time to show coverage and outages
+    const useTimeline = s.isExtendedMode && canShowTimeline(s.frames);
+    const sliderHtml = useTimeline
+        ? `<div class="frame-timeline" id="frame-timeline" tabindex="0"></div>`
+        : `<input type="range"${sliderAttributes} id="frame-slider" min="0" max="${s.frames.length - 1}" value="${s.currentFrameIndex}" aria-label="${escapeHtml(t('frames.slider'))}">`;
+    
     controlsEl.innerHTML = `
         <div class="frame-slider-container">
             <div class="frame-slider-wrapper">
-                <button class="frame-nav-btn" id="frame-first-btn" title="First frame" aria-label="First frame">⏮</button>
+                <button class="frame-nav-btn" id="frame-first-btn" title="${escapeHtml(t('frames.first'))}" aria-label="${escapeHtml(t('frames.first'))}">⏮</button>
                 ${prevJumpButtonHtml}
-                <input type="range" class="frame-slider" id="frame-slider" min="0" max="${state.frames.length - 1}" value="${state.currentFrameIndex}" aria-label="Frame slider">
+                <div class="frame-slider-track">
+                    ${sliderHtml}
+                    <div class="frame-bookmark-markers" id="frame-bookmark-markers"></div>
+                </div>
                 ${nextJumpButtonHtml}
-                <button class="frame-nav-btn" id="frame-last-btn" title="Last frame" aria-label="Last frame">⏭</button>
+                <button class="frame-nav-btn" id="frame-last-btn" title="${escapeHtml(t('frames.last'))}" aria-label="${escapeHtml(t('frames.last'))}">⏭</button>
             </div>
+            ${forecastNoteHtml}
             <div class="frame-info-display">
                 <div class="frame-info-item">
-                    <span class="frame-info-label">Frame:</span>
-                    <input type="number" class="frame-jump-input" id="frame-jump-input" min="0" max="${state.frames.length - 1}" value="0">
-                    <span class="frame-info-value">/ ${state.frames.length - 1}</span>
+                    <span class="frame-info-label">${escapeHtml(t('frames.frameLabel'))}</span>
+                    <input type="number" class="frame-jump-input" id="frame-jump-input" min="0" max="${s.frames.length - 1}" value="0">
+                    <span class="frame-info-value">/ ${s.frames.length - 1}</span>
                 </div>
                 <div class="frame-info-item">
-                    <span class="frame-info-label">Time:</span>
+                    <span class="frame-info-label">${escapeHtml(t('frames.timeLabel'))}</span>
                     <span class="frame-info-value" id="current-frame-time">-</span>
                 </div>
                 <div class="frame-info-item">
-                    <span class="frame-info-label">Progress:</span>
+                    <span class="frame-info-label">${escapeHtml(t('frames.progressLabel'))}</span>
                     <span class="frame-info-value" id="frame-progress">0%</span>
                 </div>
             </div>
@@ -60,174 +88,271 @@ export function buildFrameControls() {
     `;
     
     // Attach event listeners
-    const firstBtn = document.getElementById('frame-first-btn');
-    const prevJumpBtn = document.getElementById('frame-prev-jump-btn');
-    const nextJumpBtn = document.getElementById('frame-next-jump-btn');
-    const lastBtn = document.getElementById('frame-last-btn');
-    const slider = document.getElementById('frame-slider');
-    const jumpInput = document.getElementById('frame-jump-input');
-    
-    if (firstBtn) firstBtn.addEventListener('click', () => showFrame(0));
+    const firstBtn = getElement('frame-first-btn', s.root);
+    const prevJumpBtn = getElement('frame-prev-jump-btn', s.root);
+    const nextJumpBtn = getElement('frame-next-jump-btn', s.root);
+    const lastBtn = getElement('frame-last-btn', s.root);
+    const slider = getElement('frame-slider', s.root);
+    const timeline = getElement('frame-timeline', s.root);
+    const jumpInput = getElement('frame-jump-input', s.root);
+    const bookmarkMarkers = getElement('frame-bookmark-markers', s.root);
+    
+    if (firstBtn) firstBtn.addEventListener('click', () => showFrame(0, s));
     if (prevJumpBtn && jumpAmount > 0) {
-        prevJumpBtn.addEventListener('click', () => jumpFrame(-jumpAmount));
+        prevJumpBtn.addEventListener('click', () => jumpFrame(-jumpAmount, s));
     }
     if (nextJumpBtn && jumpAmount > 0) {
-        nextJumpBtn.addEventListener('click', () => jumpFrame(jumpAmount));
+        nextJumpBtn.addEventListener('click', () => jumpFrame(jumpAmount, s));
     }
-    if (lastBtn) lastBtn.addEventListener('click', () => showFrame(state.frames.length - 1));
+    if (lastBtn) lastBtn.addEventListener('click', () => showFrame(s.frames.length - 1, s));
     if (slider) {
-        slider.addEventListener('input', (e) => updateFrameFromSlider(parseInt(e.target.value)));
+        slider.addEventListener('input', (e) => updateFrameFromSlider(parseInt(e.target.value), s));
+    }
+    if (timeline) {
+        renderTimeline(timeline, s.frames, {
+            timeDisplay: getTimeDisplay(s),
+            onSeek: (time) => {
+                const index = findClosestFrameIndex(time, s);
+                updateTimelineCursor(timeline, s.frames[index], s);
+                updateFrameFromSlider(index, s);
+            }
+        });
+    }
+    if (bookmarkMarkers) {
+        bookmarkMarkers.addEventListener('click', (e) => {
+            const marker = e.target.closest('[data-frame-index]');
+            if (marker) showFrame(parseInt(marker.getAttribute('data-frame-index')), s);
+        });
+        renderBookmarkMarkers(s);
     }
     if (jumpInput) {
-        jumpInput.addEventListener('change', (e) => jumpToFrame(parseInt(e.target.value)));
+        jumpInput.addEventListener('change', (e) => jumpToFrame(parseInt(e.target.value), s));
         jumpInput.addEventListener('keypress', (e) => {
-            if (e.key === 'Enter') jumpToFrame(parseInt(e.target.value));
+            if (e.key === 'Enter') jumpToFrame(parseInt(e.target.value), s);
         });
     }
     
     // Update initial display
-    updateFrameSliderInfo(state.currentFrameIndex);
+    updateFrameSliderInfo(s.currentFrameIndex, s);
+    
+    // Decode the frames around the current one so frame changes draw from memory
+    preloadFrameWindow(s);
+}
+
+/**
+ * Preload the frames around a state's current frame - the next frames in the play direction first,
+ * then the ones just shown - and release decoded frames far from it. The window wraps around the
+ * ends because playback loops. Long timeseries are never requested all at once.
+ */
+export function preloadFrameWindow(s = state) {
+    const count = s.frames.length;
+    if (count === 0) return;
+    
+    const direction = s.playDirection < 0 ? -1 : 1;
+    const frameAt = (offset) => s.frames[(((s.currentFrameIndex + offset) % count) + count) % count];
+    const wanted = [frameAt(0)];
+    for (let i = 1; i <= PRELOAD_AHEAD_FRAMES && i < count; i++) wanted.push(frameAt(i * direction));
+    for (let i = 1; i <= PRELOAD_BEHIND_FRAMES && i < count; i++) wanted.push(frameAt(-i * direction));
+    const keep = [];
+    for (let i = -PRELOAD_KEEP_FRAMES; i <= PRELOAD_KEEP_FRAMES && keep.length < count; i++) keep.push(frameAt(i));
     
-    // Preload all frame images
-    preloadImages(state.frames);
+    preloadFrames(wanted, { owner: s, keep });
+}
+
+/**
+ * Mark bookmarked frames above the slider or timeline (bookmarks belong to the main viewer's location)
+ */
+export function renderBookmarkMarkers(s = state) {
+    const markersEl = getElement('frame-bookmark-markers', s.root);
+    if (!markersEl) return;
+    
+    const bookmarks = s === state ? getFrameBookmarks(s.location, s.frames) : [];
+    const timeline = getElement('frame-timeline', s.root);
+    const lastIndex = Math.max(1, s.frames.length - 1);
+    markersEl.innerHTML = bookmarks.map(({ index, bookmark }) => {
+        // The range input's thumb centre travels between half a thumb width from each end
+        const left = timeline
+            ? `${getTimelinePercent(timeline, s.frames[index]).toFixed(2)}%`
+            : `calc(12px + (100% - 24px) * ${(index / lastIndex).toFixed(4)})`;
+        const label = bookmark.note
+            ? t('bookmarks.markerWithNote', { time: formatDate(bookmark.time, s), note: bookmark.note })
+            : t('bookmarks.marker', { time: formatDate(bookmark.time, s) });
+        return `<button class="frame-bookmark-marker" style="left: ${left};" data-frame-index="${index}" title="${escapeHtml(label)}" aria-label="${escapeHtml(label)}">🔖</button>`;
+    }).join('');
 }
 
 /**
  * Update frame slider info display
  */
-export function updateFrameSliderInfo(index) {
-    if (index < 0 || index >= state.frames.length) return;
+export function updateFrameSliderInfo(index, s = state) {
+    if (index < 0 || index >= s.frames.length) return;
     
-    const frame = state.frames[index];
-    const progress = Math.round(((index + 1) / state.frames.length) * 100);
+    const frame = s.frames[index];
+    const progress = Math.round(((index + 1) / s.frames.length) * 100);
     
     // Update jump input
-    const jumpInput = document.getElementById('frame-jump-input');
+    const jumpInput = getElement('frame-jump-input', s.root);
     if (jumpInput) jumpInput.value = index;
     
     // Update slider
-    const slider = document.getElementById('frame-slider');
+    const slider = getElement('frame-slider', s.root);
     if (slider) slider.value = index;
+    updateTimelineCursor(getElement('frame-timeline', s.root), frame, s);
     
     // Update frame number display
-    const frameNumDisplay = document.getElementById('current-frame-num-display');
+    const frameNumDisplay = getElement('current-frame-num-display', s.root);
     if (frameNumDisplay) frameNumDisplay.textContent = index + 1;
     
     // Update time display
-    const timeDisplay = document.getElementById('current-frame-time');
+    const timeDisplay = getElement('current-frame-time', s.root);
     if (timeDisplay) {
-        timeDisplay.textContent = formatFrameTime(frame, state.isExtendedMode);
+        timeDisplay.textContent = formatFrameTime(frame, s.isExtendedMode, s);
     }
     
     // Update progress
-    const progressDisplay = document.getElementById('frame-progress');
+    const progressDisplay = getElement('frame-progress', s.root);
     if (progressDisplay) progressDisplay.textContent = `${progress}%`;
     
     // Update navigation buttons
-    const firstBtn = document.getElementById('frame-first-btn');
-    const prevJumpBtn = document.getElementById('frame-prev-jump-btn');
-    const nextJumpBtn = document.getElementById('frame-next-jump-btn');
-    const lastBtn = document.getElementById('frame-last-btn');
+    const firstBtn = getElement('frame-first-btn', s.root);
+    const prevJumpBtn = getElement('frame-prev-jump-btn', s.root);
+    const nextJumpBtn = getElement('frame-next-jump-btn', s.root);
+    const lastBtn = getElement('frame-last-btn', s.root);
     
     if (firstBtn) firstBtn.disabled = index === 0;
     if (prevJumpBtn) prevJumpBtn.disabled = index === 0;
-    if (nextJumpBtn) nextJumpBtn.disabled = index >= state.frames.length - 1;
-    if (lastBtn) lastBtn.disabled = index >= state.frames.length - 1;
+    if (nextJumpBtn) nextJumpBtn.disabled = index >= s.frames.length - 1;
+    if (lastBtn) lastBtn.disabled = index >= s.frames.length - 1;
 }
 
-let sliderUpdateTimeout;
 /**
  * Update frame from slider (with debouncing)
  */
-export function updateFrameFromSlider(value) {
-    clearTimeout(sliderUpdateTimeout);
-    sliderUpdateTimeout = setTimeout(() => {
-        showFrame(value);
+export function updateFrameFromSlider(value, s = state) {
+    clearTimeout(s.sliderUpdateTimeout);
+    s.sliderUpdateTimeout = setTimeout(() => {
+        showFrame(value, s);
     }, 50);
 }
 
 /**
  * Jump to specific frame number
  */
-export function jumpToFrame(frameNum) {
-    const index = Math.max(0, Math.min(state.frames.length - 1, frameNum));
-    showFrame(index);
+export function jumpToFrame(frameNum, s = state) {
+    const index = Math.max(0, Math.min(s.frames.length - 1, frameNum));
+    showFrame(index, s);
 }
 
 /**
  * Jump forward/backward by N frames
  */
-export function jumpFrame(offset) {
-    const newIndex = Math.max(0, Math.min(state.frames.length - 1, state.currentFrameIndex + offset));
-    showFrame(newIndex);
+export function jumpFrame(offset, s = state) {
+    const newIndex = Math.max(0, Math.min(s.frames.length - 1, s.currentFrameIndex + offset));
+    showFrame(newIndex, s);
+}
+
+function getFrameTime(frame) {
+    return frame.absoluteObservationTime || frame.cacheTimestamp;
 }
 
 /**
- * Build alt text for frame image
+ * Accessible name for the radar image: where and when the frame was observed
+ * (the Describe panel, linked with aria-describedby, says what rain is in it)
  */
-function buildFrameAltText(frame, index) {
-    if (state.isExtendedMode) {
-        const frameNum = frame.sequentialIndex !== undefined ? frame.sequentialIndex : index;
-        const timeInfo = frame.absoluteObservationTime 
-            ? formatDate(frame.absoluteObservationTime)
-            : (frame.cacheTimestamp ? formatDate(frame.cacheTimestamp) : '');
-        return `Radar frame ${frameNum}${timeInfo ? ' (' + timeInfo + ')' : ''}`;
-    } else {
-        const minutesAgo = getMinutesAgo(frame.absoluteObservationTime);
-        if (minutesAgo !== null) {
-            return `Radar frame ${frame.frameIndex} (${minutesAgo} minutes ago)`;
-        } else {
-            // Fall back to formatted date if minutes ago calculation fails
-            const timeInfo = frame.absoluteObservationTime ? formatDate(frame.absoluteObservationTime) : '';
-            return `Radar frame ${frame.frameIndex}${timeInfo ? ' (' + timeInfo + ')' : ''}`;
-        }
+function buildFrameAltText(frame, s) {
+    const place = s.location ? `${s.location.suburb}, ${s.location.state}` : t('a11y.unknownPlace');
+    const time = getFrameTime(frame);
+    if (frame.isForecast) {
+        return t('a11y.forecastLabel', { place: place, minutes: frame.forecastMinutes, time: formatDate(time, s) });
+    }
+    return t('a11y.frameLabel', { place: place, time: formatDate(time, s), relative: getRelativeTime(time) });
+}
+
+/**
+ * Screen reader announcement for a frame chosen by the user: its position and time
+ */
+function buildFrameAnnouncement(frame, index, s) {
+    const position = { position: index + 1, count: s.frames.length };
+    if (frame.isForecast) {
+        return t('a11y.forecastAnnouncement', { ...position, minutes: frame.forecastMinutes });
     }
+    const time = getFrameTime(frame);
+    return t('a11y.frameAnnouncement', { ...position, time: formatDate(time, s), relative: getRelativeTime(time) });
 }
 
 /**
  * Build frame info text
  */
-function buildFrameInfoText(frame, index) {
-    if (state.isExtendedMode) {
+function buildFrameInfoText(frame, index, s) {
+    if (frame.isForecast) {
+        return t('frameInfo.forecast', { minutes: frame.forecastMinutes, time: formatDate(frame.absoluteObservationTime, s) });
+    }
+    const text = buildFrameInfoBaseText(frame, index, s);
+    return frame.fromOfflineCache ? t('frameInfo.offline', { text: text }) : text;
+}
+
+function buildFrameInfoBaseText(frame, index, s) {
+    if (s.isExtendedMode) {
         const frameNum = frame.sequentialIndex !== undefined ? frame.sequentialIndex : index;
         const timeInfo = frame.absoluteObservationTime 
-            ? formatDate(frame.absoluteObservationTime)
-            : (frame.cacheTimestamp ? formatDate(frame.cacheTimestamp) : '');
-        return `Frame ${frameNum} of ${state.frames.length - 1}${timeInfo ? ' • ' + timeInfo : ''}`;
+            ? formatDate(frame.absoluteObservationTime, s)
+            : (frame.cacheTimestamp ? formatDate(frame.cacheTimestamp, s) : '');
+        return timeInfo
+            ? t('frameInfo.frameAt', { frame: frameNum, last: s.frames.length - 1, time: timeInfo })
+            : t('frameInfo.frame', { frame: frameNum, last: s.frames.length - 1 });
     } else {
         const minutesAgo = getMinutesAgo(frame.absoluteObservationTime);
         if (minutesAgo !== null) {
-            return `Frame ${frame.frameIndex} of ${state.frames.length - 1} • ${minutesAgo} minutes ago`;
+            return t('frameInfo.frameMinutesAgo', { frame: frame.frameIndex, last: s.frames.length - 1, count: minutesAgo });
         } else {
             // Fall back to formatted date if minutes ago calculation fails
-            const timeInfo = frame.absoluteObservationTime ? formatDate(frame.absoluteObservationTime) : '';
-            return `Frame ${frame.frameIndex} of ${state.frames.length - 1}${timeInfo ? ' • ' + timeInfo : ''}`;
+            const timeInfo = frame.absoluteObservationTime ? formatDate(frame.absoluteObservationTime, s) : '';
+            return timeInfo
+                ? t('frameInfo.frameAt', { frame: frame.frameIndex, last: s.frames.length - 1, time: timeInfo })
+                : t('frameInfo.frame', { frame: frame.frameIndex, last: s.frames.length - 1 });
         }
     }
 }
 
 /**
- * Show specific frame
+ * Time each frame is shown during playback: the frame interval divided by the playback speed
+ */
+export function getFrameDelayMs(s = state) {
+    const speed = s.settings.playbackSpeed > 0 ? s.settings.playbackSpeed : 1;
+    return (s.settings.frameInterval * 1000) / speed;
+}
+
+/**
+ * Crossfade duration in ms, capped so the fade always finishes before the next frame (none with reduced motion)
+ */
+function getCrossfadeMs(s) {
+    if (prefersReducedMotion()) return 0;
+    const crossfadeMs = (s.settings.crossfadeDuration || 0) * 1000;
+    return Math.max(0, Math.min(crossfadeMs, getFrameDelayMs(s) * 0.8));
+}
+
+/**
+ * Show specific frame (pass a state object to show it in that state's elements)
  */
-export function showFrame(index) {
-    if (index < 0 || index >= state.frames.length) {
-        console.error(`showFrame: Invalid index ${index}, frames.length = ${state.frames.length}`);
+export function showFrame(index, s = state) {
+    if (index < 0 || index >= s.frames.length) {
+        console.error(`showFrame: Invalid index ${index}, frames.length = ${s.frames.length}`);
         return;
     }
     
-    if (!state.frames[index]) {
+    if (!s.frames[index]) {
         console.error(`showFrame: Frame at index ${index} is undefined`);
         return;
     }
     
-    state.currentFrameIndex = index;
-    const frame = state.frames[index];
+    s.currentFrameIndex = index;
+    const frame = s.frames[index];
     
     // Update slider info
-    updateFrameSliderInfo(index);
+    updateFrameSliderInfo(index, s);
     
     // Update active button state
-    document.querySelectorAll('.frame-btn').forEach(btn => {
+    s.root.querySelectorAll('.frame-btn').forEach(btn => {
         btn.classList.remove('active');
         if (parseInt(btn.getAttribute('data-frame')) === index) {
             btn.classList.add('active');
@@ -235,71 +360,82 @@ export function showFrame(index) {
     });
     
     // Update image
-    const imgEl = document.getElementById('radar-image');
-    const loadingEl = document.getElementById('loading');
-    const altText = buildFrameAltText(frame, index);
-    
-    // Check if image is already loaded (from preload)
-    const preloadedImg = new Image();
-    preloadedImg.onload = () => {
-        if (imgEl) {
-            imgEl.src = frame.imageUrl;
-            imgEl.alt = altText;
-        }
-        if (loadingEl) loadingEl.style.display = 'none';
-        if (imgEl) imgEl.style.display = 'block';
-    };
-    preloadedImg.onerror = () => {
-        if (imgEl) {
-            imgEl.src = frame.imageUrl;
-            imgEl.alt = altText;
-        }
-    };
-    preloadedImg.src = frame.imageUrl;
+    const canvasEl = getElement('radar-image', s.root);
+    const loadingEl = getElement('loading', s.root);
+    const renderer = getRenderer(canvasEl);
+    if (renderer) {
+        canvasEl.setAttribute('aria-label', buildFrameAltText(frame, s));
+        
+        // Crossfade only while playing forward; manual jumps show the frame immediately
+        const crossfadeMs = s.isPlaying ? getCrossfadeMs(s) : 0;
+        renderer.showFrame(frame, { crossfadeMs }).then(shown => {
+            if (!shown) return;
+            if (loadingEl) loadingEl.style.display = 'none';
+            canvasEl.style.display = 'block';
+        }).catch(err => {
+            console.error(`showFrame: Failed to draw frame ${index}:`, err);
+        });
+    }
+    preloadFrameWindow(s);
     
     // Update frame info
-    const frameInfoEl = document.getElementById('frame-info');
+    const frameInfoEl = getElement('frame-info', s.root);
     if (frameInfoEl) {
-        frameInfoEl.textContent = buildFrameInfoText(frame, index);
+        frameInfoEl.textContent = buildFrameInfoText(frame, index, s);
     }
+    
+    // Frames shown by playback aren't read out - only where the user stops
+    if (!s.isPlaying) scheduleFrameAnnouncement(buildFrameAnnouncement(frame, index, s), s);
+    
+    dispatchStateEvent(s, 'frameshown', { index: index, frame: frame });
+    
+    // Only the main viewer's state is kept in the page URL
+    if (s === state) scheduleUrlStateSync();
+}
+
+/**
+ * Find the frame closest to an observation time (index 0 if no frame has a time)
+ */
+export function findClosestFrameIndex(time, s = state) {
+    const targetTime = new Date(time).getTime();
+    let closestIndex = 0;
+    let closestDiff = Infinity;
+    s.frames.forEach((f, idx) => {
+        if (f.absoluteObservationTime) {
+            const diff = Math.abs(new Date(f.absoluteObservationTime).getTime() - targetTime);
+            if (diff < closestDiff) {
+                closestDiff = diff;
+                closestIndex = idx;
+            }
+        }
+    });
+    return closestIndex;
 }
 
 /**
  * Find frame to show after refresh (preserves position)
  */
-export function findFrameToShowAfterRefresh() {
-    if (state.frames.length === 0) return 0;
+export function findFrameToShowAfterRefresh(s = state) {
+    if (s.frames.length === 0) return 0;
     
-    const previousFrameIndex = state.currentFrameIndex;
-    if (previousFrameIndex < 0 || !state.radarData?.frames) return 0;
+    const previousFrameIndex = s.currentFrameIndex;
+    if (previousFrameIndex < 0 || !s.radarData?.frames) return 0;
     
-    const previousFrame = state.radarData.frames[previousFrameIndex];
+    const previousFrame = s.radarData.frames[previousFrameIndex];
     if (!previousFrame) return 0;
     
     if (previousFrame.absoluteObservationTime) {
         // Find frame with same absolute observation time
-        const matchingIndex = state.frames.findIndex(f => 
+        const matchingIndex = s.frames.findIndex(f => 
             f.absoluteObservationTime === previousFrame.absoluteObservationTime
         );
         if (matchingIndex >= 0) return matchingIndex;
         
         // Find closest frame by time
-        const previousTime = new Date(previousFrame.absoluteObservationTime).getTime();
-        let closestIndex = 0;
-        let closestDiff = Infinity;
-        state.frames.forEach((f, idx) => {
-            if (f.absoluteObservationTime) {
-                const diff = Math.abs(new Date(f.absoluteObservationTime).getTime() - previousTime);
-                if (diff < closestDiff) {
-                    closestDiff = diff;
-                    closestIndex = idx;
-                }
-            }
-        });
-        return closestIndex;
+        return findClosestFrameIndex(previousFrame.absoluteObservationTime, s);
     }
     
     // Fallback: keep same index if valid
-    return previousFrameIndex < state.frames.length ? previousFrameIndex : 0;
+    return previousFrameIndex < s.frames.length ? previousFrameIndex : 0;
 }
 
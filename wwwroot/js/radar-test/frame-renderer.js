@@ -0,0 +1,393 @@
+// Canvas frame renderer (decoded frame cache with bounded preloading, crossfade transitions, overlays)
+import { PRELOAD_CONCURRENCY } from './config.js';
+
+// Frame images shared by every renderer, keyed by image URL and observation time
+const frameLoads = new Map(); // frame key -> { promise, priority, isUrgent, isStarted, isSettled, controller }
+// Preloads waiting for a free request slot, and the number of image requests in flight
+const pendingLoads = [];
+let activeLoads = 0;
+// Frames each owner (a viewer state, dashboard tile or compare pane) wants loaded and wants kept decoded
+const preloadOwners = new Map(); // owner -> { wanted: Set<frame key>, keep: Set<frame key> }
+
+// One renderer per canvas
+const renderers = new WeakMap();
+
+/**
+ * Decode an image URL. Uses ImageBitmap where available, falling back to a decoded <img>.
+ * Aborting `signal` cancels the request.
+ */
+function decodeImage(imageUrl, signal) {
+    if (typeof createImageBitmap === 'function') {
+        return fetch(imageUrl, { signal })
+            .then(response => {
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                return response.blob();
+            })
+            .then(blob => createImageBitmap(blob))
+            .catch(error => {
+                if (signal.aborted) throw error;
+                return decodeWithImageElement(imageUrl, signal);
+            });
+    }
+    return decodeWithImageElement(imageUrl, signal);
+}
+
+function decodeWithImageElement(imageUrl, signal) {
+    return new Promise((resolve, reject) => {
+        const img = new Image();
+        img.onload = () => resolve(img);
+        img.onerror = () => reject(new Error(`Failed to load frame image: ${imageUrl}`));
+        signal.addEventListener('abort', () => {
+            img.src = '';
+            reject(new DOMException('Frame load cancelled', 'AbortError'));
+        }, { once: true });
+        img.src = imageUrl;
+    });
+}
+
+/**
+ * Cache key for a frame. Latest-mode image URLs (/frame/0-6) are reused when new
+ * frames are cached, so the observation time is part of the key.
+ */
+function getFrameKey(frame) {
+    return `${frame.imageUrl}#${frame.absoluteObservationTime || ''}`;
+}
+
+function startLoad(entry) {
+    const queued = pendingLoads.indexOf(entry);
+    if (queued >= 0) pendingLoads.splice(queued, 1);
+    entry.isStarted = true;
+    activeLoads++;
+    decodeImage(entry.imageUrl, entry.controller.signal)
+        .then(entry.resolve, entry.reject)
+        .finally(() => {
+            activeLoads--;
+            startPendingLoads();
+        });
+}
+
+/**
+ * Start queued preloads, lowest priority number first, while there are free request slots
+ */
+function startPendingLoads() {
+    pendingLoads.sort((a, b) => a.priority - b.priority);
+    while (activeLoads < PRELOAD_CONCURRENCY && pendingLoads.length > 0) {
+        startLoad(pendingLoads[0]);
+    }
+}
+
+/**
+ * Start (or reuse) the load of a frame. Urgent loads are for frames someone is waiting on:
+ * they start straight away and are never cancelled. Other loads queue by priority.
+ */
+function requestFrame(frame, { isUrgent = false, priority = 0 } = {}) {
+    const key = getFrameKey(frame);
+    let entry = frameLoads.get(key);
+    if (entry) {
+        if (isUrgent) {
+            entry.isUrgent = true;
+            if (!entry.isStarted) startLoad(entry);
+        } else if (!entry.isStarted) {
+            entry.priority = priority;
+        }
+        return entry.promise;
+    }
+    
+    entry = { key, imageUrl: frame.imageUrl, priority, isUrgent, isStarted: false, isSettled: false, controller: new AbortController() };
+    entry.promise = new Promise((resolve, reject) => {
+        entry.resolve = resolve;
+        entry.reject = reject;
+    });
+    entry.promise.then(() => { entry.isSettled = true; }, () => {
+        entry.isSettled = true;
+        // Don't keep failed or cancelled loads around, so the next request retries
+        if (frameLoads.get(key) === entry) frameLoads.delete(key);
+    });
+    frameLoads.set(key, entry);
+    
+    if (isUrgent) {
+        startLoad(entry);
+    } else {
+        pendingLoads.push(entry);
+        startPendingLoads();
+    }
+    return entry.promise;
+}
+
+function cancelLoad(entry) {
+    frameLoads.delete(entry.key);
+    const queued = pendingLoads.indexOf(entry);
+    if (queued >= 0) pendingLoads.splice(queued, 1);
+    entry.controller.abort();
+    entry.reject(new DOMException('Frame load cancelled', 'AbortError'));
+}
+
+/**
+ * Cancel loads no owner wants any more and release decoded frames no owner keeps.
+ * Bitmaps are not closed here because a renderer may still be showing one; they are freed once unreferenced.
+ */
+function pruneFrameLoads() {
+    const wanted = new Set();
+    const keep = new Set();
+    preloadOwners.forEach(owner => {
+        owner.wanted.forEach(key => wanted.add(key));
+        owner.keep.forEach(key => keep.add(key));
+    });
+    [...frameLoads.values()].forEach(entry => {
+        if (!entry.isSettled) {
+            if (!entry.isUrgent && !wanted.has(entry.key)) cancelLoad(entry);
+        } else if (!keep.has(entry.key) && !wanted.has(entry.key)) {
+            frameLoads.delete(entry.key);
+        }
+    });
+}
+
+/**
+ * Get the decoded image for a frame, loading it ahead of any queued preloads
+ */
+export function getFrameImage(frame) {
+    if (!frame?.imageUrl) {
+        return Promise.reject(new Error('Frame has no imageUrl'));
+    }
+    return requestFrame(frame, { isUrgent: true });
+}
+
+/**
+ * Check whether a frame has been decoded (or is loading)
+ */
+export function isFrameDecoded(frame) {
+    return !!frame?.imageUrl && frameLoads.has(getFrameKey(frame));
+}
+
+/**
+ * Load a frame now and wait for it, giving up after `timeoutMs`
+ * @returns {Promise<boolean>} false if the frame was still loading when the time ran out
+ */
+export function waitForFrame(frame, timeoutMs) {
+    if (!frame?.imageUrl) return Promise.resolve(true);
+    let timer = null;
+    const timeout = new Promise(resolve => {
+        timer = setTimeout(() => resolve(false), timeoutMs);
+    });
+    const loaded = getFrameImage(frame).then(() => true, () => true);
+    return Promise.race([loaded, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Decode frames in the background, in list order, a few at a time (PRELOAD_CONCURRENCY).
+ * Replaces `owner`'s previous preload: its queued and in-flight loads that are no longer listed are
+ * cancelled, and decoded frames that no owner lists in `keep` are released.
+ * @param {Array} frames - frames to load, most urgent first
+ * @param {{ owner?: object|string, keep?: Array }} options - `keep` defaults to `frames`
+ */
+export function preloadFrames(frames, { owner = 'default', keep = frames } = {}) {
+    const usable = frames.filter(frame => frame?.imageUrl);
+    preloadOwners.set(owner, {
+        wanted: new Set(usable.map(getFrameKey)),
+        keep: new Set(keep.filter(frame => frame?.imageUrl).map(getFrameKey))
+    });
+    pruneFrameLoads();
+    usable.forEach((frame, priority) => {
+        requestFrame(frame, { priority }).catch(err => {
+            if (err.name !== 'AbortError') console.debug('Frame preload failed:', err);
+        });
+    });
+}
+
+/**
+ * Forget an owner's preloads (a removed tile, a closed compare pane) - cancels its loads and releases its frames
+ */
+export function releaseFrames(owner) {
+    if (preloadOwners.delete(owner)) pruneFrameLoads();
+}
+
+/**
+ * Read the pixels of a decoded frame (for pixel analysis)
+ * @returns {Promise<ImageData>}
+ */
+export async function getFramePixels(frame) {
+    const image = await getFrameImage(frame);
+    const canvas = document.createElement('canvas');
+    canvas.width = image.width;
+    canvas.height = image.height;
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    ctx.drawImage(image, 0, 0);
+    return ctx.getImageData(0, 0, canvas.width, canvas.height);
+}
+
+/**
+ * Read a small square of pixels from a decoded frame, centred on (x, y) and clipped to the image
+ * @returns {Promise<ImageData>}
+ */
+export async function getFramePixelArea(frame, x, y, size = 3) {
+    const image = await getFrameImage(frame);
+    const left = Math.max(0, Math.min(image.width - size, x - Math.floor(size / 2)));
+    const top = Math.max(0, Math.min(image.height - size, y - Math.floor(size / 2)));
+    const canvas = document.createElement('canvas');
+    canvas.width = size;
+    canvas.height = size;
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    ctx.drawImage(image, left, top, size, size, 0, 0, size, size);
+    return ctx.getImageData(0, 0, size, size);
+}
+
+/**
+ * Convert a client (mouse) position to image pixel coordinates on a canvas
+ * drawn with object-fit: contain. Returns null if the point is outside the image.
+ */
+export function clientToImagePoint(canvas, clientX, clientY) {
+    const rect = canvas.getBoundingClientRect();
+    if (!canvas.width || !canvas.height || !rect.width || !rect.height) return null;
+    
+    const scale = Math.min(rect.width / canvas.width, rect.height / canvas.height);
+    const offsetX = (rect.width - canvas.width * scale) / 2;
+    const offsetY = (rect.height - canvas.height * scale) / 2;
+    const x = (clientX - rect.left - offsetX) / scale;
+    const y = (clientY - rect.top - offsetY) / scale;
+    
+    if (x < 0 || y < 0 || x >= canvas.width || y >= canvas.height) return null;
+    return { x: Math.floor(x), y: Math.floor(y) };
+}
+
+/**
+ * Create a renderer bound to a canvas
+ */
+function createRenderer(canvas) {
+    const ctx = canvas.getContext('2d');
+    const overlays = new Set();
+    let currentFrame = null;
+    let currentImage = null;
+    let previousImage = null;
+    let fadeProgress = 1;
+    let fadeAnimation = null;
+    let requestToken = 0;
+    
+    function resizeTo(image) {
+        if (canvas.width !== image.width || canvas.height !== image.height) {
+            canvas.width = image.width;
+            canvas.height = image.height;
+        }
+    }
+    
+    function draw() {
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        if (previousImage && fadeProgress < 1) {
+            ctx.globalAlpha = 1;
+            ctx.drawImage(previousImage, 0, 0, canvas.width, canvas.height);
+            ctx.globalAlpha = fadeProgress;
+        }
+        if (currentImage) {
+            ctx.drawImage(currentImage, 0, 0, canvas.width, canvas.height);
+        }
+        ctx.globalAlpha = 1;
+        
+        overlays.forEach(drawOverlay => {
+            ctx.save();
+            try {
+                drawOverlay(ctx, { frame: currentFrame, width: canvas.width, height: canvas.height });
+            } catch (err) {
+                console.error('Overlay draw failed:', err);
+            }
+            ctx.restore();
+        });
+    }
+    
+    function stopFade() {
+        if (fadeAnimation) {
+            cancelAnimationFrame(fadeAnimation);
+            fadeAnimation = null;
+        }
+        fadeProgress = 1;
+        previousImage = null;
+    }
+    
+    function startFade(durationMs) {
+        const start = performance.now();
+        const step = (now) => {
+            fadeProgress = Math.min(1, (now - start) / durationMs);
+            draw();
+            if (fadeProgress < 1) {
+                fadeAnimation = requestAnimationFrame(step);
+            } else {
+                fadeAnimation = null;
+                previousImage = null;
+            }
+        };
+        fadeProgress = 0;
+        fadeAnimation = requestAnimationFrame(step);
+    }
+    
+    return {
+        canvas: canvas,
+        
+        /**
+         * Show a frame, optionally crossfading from the frame currently on screen.
+         * Resolves to false if a newer showFrame call replaced this one before it was drawn.
+         */
+        async showFrame(frame, { crossfadeMs = 0 } = {}) {
+            const token = ++requestToken;
+            const image = await getFrameImage(frame);
+            if (token !== requestToken) return false;
+            
+            const fadeFrom = currentImage;
+            stopFade();
+            resizeTo(image);
+            currentFrame = frame;
+            currentImage = image;
+            
+            const canFade = crossfadeMs > 0 && fadeFrom && fadeFrom !== image &&
+                fadeFrom.width === image.width && fadeFrom.height === image.height;
+            if (canFade) {
+                previousImage = fadeFrom;
+                startFade(crossfadeMs);
+            } else {
+                draw();
+            }
+            return true;
+        },
+        
+        /**
+         * Register an overlay draw function: (ctx, { frame, width, height }) => void
+         * Overlays are drawn in image pixel coordinates after every frame.
+         */
+        addOverlay(drawOverlay) {
+            overlays.add(drawOverlay);
+            draw();
+            return () => this.removeOverlay(drawOverlay);
+        },
+        
+        removeOverlay(drawOverlay) {
+            overlays.delete(drawOverlay);
+            draw();
+        },
+        
+        redraw() {
+            draw();
+        },
+        
+        getCurrentFrame() {
+            return currentFrame;
+        },
+        
+        clear() {
+            requestToken++;
+            stopFade();
+            currentFrame = null;
+            currentImage = null;
+            ctx.clearRect(0, 0, canvas.width, canvas.height);
+        }
+    };
+}
+
+/**
+ * Get the renderer for a canvas (created on first use)
+ */
+export function getRenderer(canvas) {
+    if (!canvas) return null;
+    let renderer = renderers.get(canvas);
+    if (!renderer) {
+        renderer = createRenderer(canvas);
+        renderers.set(canvas, renderer);
+    }
+    return renderer;
+}
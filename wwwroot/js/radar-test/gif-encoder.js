@@ -0,0 +1,228 @@
+// Animated GIF encoder (global median-cut palette, LZW compression)
+
+const HISTOGRAM_BITS = 5; // bits kept per channel when building the palette
+const HISTOGRAM_SIZE = 1 << (HISTOGRAM_BITS * 3);
+const MAX_COLORS = 256;
+
+/**
+ * Histogram bin for a pixel (5 bits per channel)
+ */
+function binIndex(data, i) {
+    return ((data[i] >> 3) << 10) | ((data[i + 1] >> 3) << 5) | (data[i + 2] >> 3);
+}
+
+/**
+ * Collects colours from every frame, then builds one palette for the whole animation.
+ * Usage: addFrame(imageData) for each frame, then build() -> { palette, lookup }.
+ */
+export function createPaletteBuilder() {
+    const counts = new Uint32Array(HISTOGRAM_SIZE);
+    const sums = new Float64Array(HISTOGRAM_SIZE * 3);
+    
+    return {
+        addFrame(imageData) {
+            const data = imageData.data;
+            for (let i = 0; i < data.length; i += 4) {
+                const bin = binIndex(data, i);
+                counts[bin]++;
+                sums[bin * 3] += data[i];
+                sums[bin * 3 + 1] += data[i + 1];
+                sums[bin * 3 + 2] += data[i + 2];
+            }
+        },
+        
+        build() {
+            const bins = [];
+            for (let bin = 0; bin < HISTOGRAM_SIZE; bin++) {
+                if (counts[bin] > 0) bins.push(bin);
+            }
+            
+            // Radar images rarely have more than 256 colours, so most of the time every bin keeps its own colour
+            const boxes = bins.length <= MAX_COLORS ? bins.map(bin => [bin]) : medianCut(bins, counts);
+            
+            const palette = new Uint8Array(MAX_COLORS * 3);
+            const lookup = new Uint8Array(HISTOGRAM_SIZE);
+            boxes.forEach((box, index) => {
+                let total = 0, r = 0, g = 0, b = 0;
+                box.forEach(bin => {
+                    total += counts[bin];
+                    r += sums[bin * 3];
+                    g += sums[bin * 3 + 1];
+                    b += sums[bin * 3 + 2];
+                    lookup[bin] = index;
+                });
+                palette[index * 3] = Math.round(r / total);
+                palette[index * 3 + 1] = Math.round(g / total);
+                palette[index * 3 + 2] = Math.round(b / total);
+            });
+            
+            return { palette, lookup };
+        }
+    };
+}
+
+/**
+ * Split histogram bins into at most 256 boxes, always splitting the most populated box
+ * along its widest channel at the weighted median
+ */
+function medianCut(bins, counts) {
+    const channel = (bin, c) => (bin >> (10 - c * 5)) & 31;
+    const population = box => box.reduce((sum, bin) => sum + counts[bin], 0);
+    
+    const boxes = [{ bins: bins, population: population(bins) }];
+    while (boxes.length < MAX_COLORS) {
+        let target = -1;
+        boxes.forEach((box, idx) => {
+            if (box.bins.length > 1 && (target < 0 || box.population > boxes[target].population)) target = idx;
+        });
+        if (target < 0) break;
+        
+        const box = boxes[target];
+        let widest = 0, widestRange = -1;
+        for (let c = 0; c < 3; c++) {
+            const values = box.bins.map(bin => channel(bin, c));
+            const range = Math.max(...values) - Math.min(...values);
+            if (range > widestRange) {
+                widest = c;
+                widestRange = range;
+            }
+        }
+        
+        const sorted = [...box.bins].sort((a, b) => channel(a, widest) - channel(b, widest));
+        let running = 0;
+        let split = 1;
+        for (let i = 0; i < sorted.length - 1; i++) {
+            running += counts[sorted[i]];
+            split = i + 1;
+            if (running >= box.population / 2) break;
+        }
+        
+        const left = sorted.slice(0, split);
+        const right = sorted.slice(split);
+        boxes.splice(target, 1,
+            { bins: left, population: population(left) },
+            { bins: right, population: population(right) });
+    }
+    return boxes.map(box => box.bins);
+}
+
+/**
+ * Map a frame's pixels to palette indices
+ */
+function indexPixels(imageData, lookup) {
+    const data = imageData.data;
+    const indices = new Uint8Array(imageData.width * imageData.height);
+    for (let i = 0, p = 0; i < data.length; i += 4, p++) {
+        indices[p] = lookup[binIndex(data, i)];
+    }
+    return indices;
+}
+
+/**
+ * GIF-flavoured LZW compression of palette indices, returned as data sub-blocks
+ */
+function lzwEncode(indices, minCodeSize) {
+    const clearCode = 1 << minCodeSize;
+    const eoiCode = clearCode + 1;
+    let codeSize = minCodeSize + 1;
+    let nextCode = eoiCode + 1;
+    let table = new Map();
+    
+    const bytes = [];
+    let bitBuffer = 0;
+    let bitCount = 0;
+    const emit = (code) => {
+        bitBuffer |= code << bitCount;
+        bitCount += codeSize;
+        while (bitCount >= 8) {
+            bytes.push(bitBuffer & 0xff);
+            bitBuffer >>>= 8;
+            bitCount -= 8;
+        }
+    };
+    
+    emit(clearCode);
+    let prefix = indices[0];
+    for (let i = 1; i < indices.length; i++) {
+        const k = indices[i];
+        const key = (prefix << 8) | k;
+        const code = table.get(key);
+        if (code !== undefined) {
+            prefix = code;
+            continue;
+        }
+        
+        emit(prefix);
+        if (nextCode === 4096) {
+            // Table full - start again
+            emit(clearCode);
+            table = new Map();
+            codeSize = minCodeSize + 1;
+            nextCode = eoiCode + 1;
+        } else {
+            if (nextCode >= (1 << codeSize)) codeSize++;
+            table.set(key, nextCode++);
+        }
+        prefix = k;
+    }
+    emit(prefix);
+    emit(eoiCode);
+    if (bitCount > 0) bytes.push(bitBuffer & 0xff);
+    
+    // Split into sub-blocks of at most 255 bytes, terminated by an empty block
+    const blocks = new Uint8Array(bytes.length + Math.ceil(bytes.length / 255) + 1);
+    let offset = 0;
+    for (let i = 0; i < bytes.length; i += 255) {
+        const chunk = bytes.slice(i, i + 255);
+        blocks[offset++] = chunk.length;
+        blocks.set(chunk, offset);
+        offset += chunk.length;
+    }
+    blocks[offset] = 0;
+    return blocks;
+}
+
+function uint16(value) {
+    return [value & 0xff, (value >> 8) & 0xff];
+}
+
+/**
+ * Create a looping GIF writer for frames of one size.
+ * Usage: addFrame(imageData, delayMs) for each frame, then finish() -> Blob.
+ */
+export function createGifWriter(width, height, { palette, lookup }) {
+    const chunks = [];
+    
+    // Header, logical screen descriptor (global colour table, 256 entries) and palette
+    chunks.push(new Uint8Array([
+        0x47, 0x49, 0x46, 0x38, 0x39, 0x61, // GIF89a
+        ...uint16(width), ...uint16(height),
+        0xf7, 0, 0
+    ]));
+    chunks.push(palette);
+    
+    // NETSCAPE2.0 extension - loop forever
+    chunks.push(new Uint8Array([
+        0x21, 0xff, 0x0b,
+        0x4e, 0x45, 0x54, 0x53, 0x43, 0x41, 0x50, 0x45, 0x32, 0x2e, 0x30,
+        0x03, 0x01, 0, 0, 0
+    ]));
+    
+    return {
+        addFrame(imageData, delayMs) {
+            // Browsers treat delays under 20ms as 100ms, so clamp to 2 centiseconds
+            const delay = Math.max(2, Math.round(delayMs / 10));
+            chunks.push(new Uint8Array([
+                0x21, 0xf9, 0x04, 0, ...uint16(delay), 0, 0, // graphic control extension
+                0x2c, 0, 0, 0, 0, ...uint16(width), ...uint16(height), 0, // image descriptor
+                8 // LZW minimum code size
+            ]));
+            chunks.push(lzwEncode(indexPixels(imageData, lookup), 8));
+        },
+        
+        finish() {
+            chunks.push(new Uint8Array([0x3b]));
+            return new Blob(chunks, { type: 'image/gif' });
+        }
+    };
+}
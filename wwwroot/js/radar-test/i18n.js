@@ -0,0 +1,100 @@
+// Localisation - the UI locale, catalog lookup with interpolation and plurals, relative times
+import { CATALOGS, FALLBACK_LOCALE } from './messages.js';
+
+const RELATIVE_TIME_UNITS = [['day', 86400], ['hour', 3600], ['minute', 60], ['second', 1]];
+const TRANSLATED_ATTRIBUTES = ['title', 'aria-label', 'placeholder', 'label']; // data-i18n-<attribute>="key"
+
+let currentLocale = FALLBACK_LOCALE;
+
+/**
+ * Locales with a catalog, as [{ locale, name }]
+ */
+export function getAvailableLocales() {
+    return Object.entries(CATALOGS).map(([locale, catalog]) => ({ locale: locale, name: catalog.name }));
+}
+
+/**
+ * Catalog locale for a locale setting. 'auto' takes the first browser language with a catalog;
+ * a regional tag (e.g. 'de-AT') falls back to its language's catalog ('de').
+ */
+export function resolveLocale(setting) {
+    const wanted = !setting || setting === 'auto'
+        ? (navigator.languages?.length ? navigator.languages : [navigator.language])
+        : [setting];
+    for (const tag of wanted) {
+        if (!tag) continue;
+        if (CATALOGS[tag]) return tag;
+        const language = tag.split('-')[0].toLowerCase();
+        if (CATALOGS[language]) return language;
+    }
+    return FALLBACK_LOCALE;
+}
+
+/**
+ * Switch the UI locale (the locale setting: 'auto' or a catalog locale) and translate the page's markup
+ */
+export function setLocale(setting) {
+    const locale = resolveLocale(setting);
+    const changed = locale !== currentLocale;
+    currentLocale = locale;
+    document.documentElement.lang = getIntlLocale();
+    // The markup is already in this locale otherwise, and may have been changed since (e.g. Play is now Pause)
+    if (changed) translateElements(document);
+}
+
+export function getLocale() {
+    return currentLocale;
+}
+
+/**
+ * Locale for Intl formatting of dates, numbers and plurals (e.g. 'en-AU' for the English catalog)
+ */
+export function getIntlLocale() {
+    return CATALOGS[currentLocale].intlLocale || currentLocale;
+}
+
+function formatValue(value) {
+    return typeof value === 'number' ? new Intl.NumberFormat(getIntlLocale()).format(value) : String(value);
+}
+
+/**
+ * Message for a key in the current locale, with {name} placeholders filled from params.
+ * Plural messages pick their form from params.count. Unknown keys return the key itself.
+ */
+export function t(key, params = {}) {
+    const entry = CATALOGS[currentLocale].messages[key] ?? CATALOGS[FALLBACK_LOCALE].messages[key];
+    if (entry === undefined) {
+        console.warn('Missing message:', key);
+        return key;
+    }
+    
+    const text = typeof entry === 'string'
+        ? entry
+        : entry[new Intl.PluralRules(getIntlLocale()).select(Number(params.count))] ?? entry.other;
+    return text.replace(/\{(\w+)\}/g, (placeholder, name) => (name in params ? formatValue(params[name]) : placeholder));
+}
+
+/**
+ * Translate static markup: data-i18n="key" sets an element's text, data-i18n-title="key" (also aria-label,
+ * placeholder and label) sets that attribute. The English in the markup shows until this runs.
+ */
+export function translateElements(root) {
+    root.querySelectorAll('[data-i18n]').forEach(el => {
+        el.textContent = t(el.getAttribute('data-i18n'));
+    });
+    TRANSLATED_ATTRIBUTES.forEach(attribute => {
+        root.querySelectorAll(`[data-i18n-${attribute}]`).forEach(el => {
+            el.setAttribute(attribute, t(el.getAttribute(`data-i18n-${attribute}`)));
+        });
+    });
+}
+
+/**
+ * A time relative to now in the current locale ("in 5 minutes", "2 hours ago", "now")
+ */
+export function formatRelativeTime(date) {
+    const diffSeconds = (new Date(date).getTime() - Date.now()) / 1000;
+    const [unit, unitSeconds] = RELATIVE_TIME_UNITS.find(([, seconds]) => Math.abs(diffSeconds) >= seconds)
+        || RELATIVE_TIME_UNITS[RELATIVE_TIME_UNITS.length - 1];
+    return new Intl.RelativeTimeFormat(getIntlLocale(), { numeric: 'auto' }).format(Math.round(diffSeconds / unitSeconds), unit);
+}
@@ -0,0 +1,187 @@
+// Rainfall intensity probe - click the radar image to chart the rain rate at that point across every frame
+import { state } from './state.js';
+import { getRenderer, getFramePixelArea, clientToImagePoint } from './frame-renderer.js';
+import { showFrame } from './frame-navigation.js';
+import { RAIN_RATE_LEGEND, classifyRainArea, describeRainLevel, getRainLevelColor } from './rain-legend.js';
+import { formatDate, formatFrameTime, getElement, escapeHtml } from './utils.js';
+import { t } from './i18n.js';
+
+const SAMPLE_SIZE = 3; // pixels square around the chosen point
+const PEAK_WINDOW_MS = 60 * 60 * 1000; // summary shows the peak over the hour up to the current frame
+const CHART_UPDATE_EVERY = 10; // redraw while sampling every N frames
+
+let probePoint = null; // { x, y } in image pixels
+let samples = []; // legend level per frame index (-1 = no rain, null = not sampled yet)
+let sampleToken = 0;
+let removeMarker = null;
+
+/**
+ * Marker drawn over the radar image at the probed point
+ */
+function drawProbeMarker(ctx, { width }) {
+    if (!probePoint) return;
+    
+    const radius = Math.max(6, Math.round(width / 120));
+    ctx.beginPath();
+    ctx.arc(probePoint.x + 0.5, probePoint.y + 0.5, radius, 0, Math.PI * 2);
+    ctx.lineWidth = Math.max(3, radius / 2);
+    ctx.strokeStyle = 'rgba(0, 0, 0, 0.8)';
+    ctx.stroke();
+    ctx.lineWidth = Math.max(1.5, radius / 4);
+    ctx.strokeStyle = '#ffffff';
+    ctx.stroke();
+}
+
+/**
+ * Sample the probed point in every loaded frame, drawing the chart as results arrive
+ */
+async function sampleAllFrames() {
+    const token = ++sampleToken;
+    const frames = state.frames;
+    const point = probePoint;
+    samples = frames.map(() => null);
+    renderProbeChart();
+    
+    for (let i = 0; i < frames.length; i++) {
+        let level = null;
+        try {
+            level = classifyRainArea(await getFramePixelArea(frames[i], point.x, point.y, SAMPLE_SIZE));
+        } catch (error) {
+            console.debug('Intensity probe could not sample frame:', error);
+        }
+        // A newer point or a data refresh started another pass
+        if (token !== sampleToken) return;
+        
+        samples[i] = level;
+        if ((i + 1) % CHART_UPDATE_EVERY === 0) renderProbeChart();
+    }
+    renderProbeChart();
+}
+
+/**
+ * Summary line: level at the current frame and the peak over the preceding hour
+ */
+function buildProbeSummary() {
+    const sampledCount = samples.filter(level => level !== null).length;
+    const index = state.currentFrameIndex;
+    const currentFrame = state.frames[index];
+    const parts = [];
+    
+    if (samples[index] !== null && samples[index] !== undefined) {
+        parts.push(t('probe.thisFrame', { rate: describeRainLevel(samples[index]) }));
+    }
+    
+    if (currentFrame?.absoluteObservationTime) {
+        const endTime = new Date(currentFrame.absoluteObservationTime).getTime();
+        let peakIndex = -1;
+        state.frames.forEach((frame, idx) => {
+            const time = new Date(frame.absoluteObservationTime).getTime();
+            if (time > endTime || time < endTime - PEAK_WINDOW_MS || samples[idx] === null) return;
+            if (peakIndex < 0 || samples[idx] > samples[peakIndex]) peakIndex = idx;
+        });
+        if (peakIndex >= 0) {
+            parts.push(samples[peakIndex] >= 0
+                ? t('probe.peak', { rate: describeRainLevel(samples[peakIndex]), time: formatDate(state.frames[peakIndex].absoluteObservationTime) })
+                : t('probe.noRainPastHour'));
+        }
+    }
+    
+    if (sampledCount < samples.length) {
+        parts.push(t('probe.sampling', { sampled: sampledCount, count: samples.length }));
+    }
+    return parts.join(' • ');
+}
+
+/**
+ * Draw the probe chart: one bar per frame, height by legend band, current frame highlighted
+ */
+function renderProbeChart() {
+    const chartEl = getElement('intensity-probe-chart');
+    const summaryEl = getElement('intensity-probe-summary');
+    if (!chartEl || !probePoint) return;
+    
+    const count = samples.length;
+    const levels = RAIN_RATE_LEGEND.length;
+    const bars = samples.map((level, idx) => {
+        const frame = state.frames[idx];
+        const height = level === null || level < 0 ? 0 : ((level + 1) / levels) * 100;
+        const title = t('probe.barTitle', { time: formatFrameTime(frame, state.isExtendedMode), rate: level === null ? t('probe.notSampled') : describeRainLevel(level) });
+        return `<rect class="intensity-bar-hit${idx === state.currentFrameIndex ? ' intensity-bar-current' : ''}" data-index="${idx}" x="${idx}" y="0" width="1" height="100"><title>${escapeHtml(title)}</title></rect>` +
+            (height > 0 ? `<rect class="intensity-bar${frame.isForecast ? ' intensity-bar-forecast' : ''}" x="${idx + 0.1}" y="${100 - height}" width="0.8" height="${height}" fill="${getRainLevelColor(level)}"></rect>` : '');
+    }).join('');
+    
+    chartEl.innerHTML = `<svg class="intensity-chart" viewBox="0 0 ${Math.max(1, count)} 100" preserveAspectRatio="none" role="img" aria-label="${escapeHtml(t('probe.chartLabel'))}">${bars}</svg>`;
+    if (summaryEl) summaryEl.textContent = buildProbeSummary();
+}
+
+/**
+ * Probe a point (image pixel coordinates) in every frame
+ */
+export function setProbePoint(point) {
+    const canvasEl = getElement('radar-image');
+    probePoint = point;
+    
+    if (!removeMarker) {
+        removeMarker = getRenderer(canvasEl)?.addOverlay(drawProbeMarker) || null;
+    } else {
+        getRenderer(canvasEl)?.redraw();
+    }
+    
+    const panelEl = getElement('intensity-probe');
+    if (panelEl) panelEl.style.display = 'block';
+    
+    sampleAllFrames();
+}
+
+/**
+ * Remove the probe point, marker and chart
+ */
+export function clearIntensityProbe() {
+    sampleToken++;
+    probePoint = null;
+    samples = [];
+    if (removeMarker) {
+        removeMarker();
+        removeMarker = null;
+    }
+    
+    const panelEl = getElement('intensity-probe');
+    if (panelEl) panelEl.style.display = 'none';
+}
+
+/**
+ * Re-sample after the loaded frames change
+ */
+export function refreshIntensityProbe() {
+    if (probePoint) sampleAllFrames();
+}
+
+/**
+ * Set up map clicks, the chart and the clear button
+ */
+export function setupIntensityProbe() {
+    const canvasEl = getElement('radar-image');
+    if (canvasEl) {
+        canvasEl.addEventListener('click', (e) => {
+            if (state.frames.length === 0) return;
+            const point = clientToImagePoint(canvasEl, e.clientX, e.clientY);
+            if (point) setProbePoint(point);
+        });
+    }
+    
+    const chartEl = getElement('intensity-probe-chart');
+    if (chartEl) {
+        chartEl.addEventListener('click', (e) => {
+            const bar = e.target.closest('[data-index]');
+            if (bar) showFrame(parseInt(bar.getAttribute('data-index')));
+        });
+    }
+    
+    const clearBtn = getElement('intensity-probe-clear');
+    if (clearBtn) clearBtn.addEventListener('click', clearIntensityProbe);
+    
+    // Keep the current-frame highlight in step with playback and navigation
+    document.addEventListener('frameshown', () => {
+        if (probePoint) renderProbeChart();
+    });
+}
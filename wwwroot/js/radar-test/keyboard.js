@@ -2,6 +2,8 @@
 import { state } from './state.js';
 import { showFrame, jumpFrame, getJumpAmount } from './frame-navigation.js';
 import { togglePlay } from './slideshow.js';
+import { jumpToBookmark, bookmarkCurrentFrame } from './bookmarks.js';
+import { toggleFrameDescription } from './frame-description.js';
 
 /**
  * Setup keyboard navigation
@@ -9,7 +11,17 @@ import { togglePlay } from './slideshow.js';
 export function setupKeyboardNavigation() {
     document.addEventListener('keydown', (e) => {
         // Don't handle keyboard shortcuts if user is typing in an input
-        if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') {
+        if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA' || e.target.tagName === 'SELECT') {
+            return;
+        }
+        
+        // Keys inside a dialog (settings, export, cache admin) belong to its buttons
+        if (e.target.closest?.('[aria-modal="true"]')) {
+            return;
+        }
+        
+        // Dashboard tiles and compare panes have their own controls
+        if (state.settings.dashboardMode || state.settings.compareMode) {
             return;
         }
         
@@ -49,6 +61,22 @@ export function setupKeyboardNavigation() {
             showFrame(state.frames.length - 1);
         }
         
+        // [ / ] for previous/next bookmark, B to bookmark the current frame
+        if (e.key === '[' || e.key === ']') {
+            e.preventDefault();
+            jumpToBookmark(e.key === '[' ? -1 : 1);
+        }
+        if ((e.key === 'b' || e.key === 'B') && !e.ctrlKey && !e.metaKey && !e.altKey) {
+            e.preventDefault();
+            bookmarkCurrentFrame();
+        }
+        
+        // D to describe the frame in words
+        if ((e.key === 'd' || e.key === 'D') && !e.ctrlKey && !e.metaKey && !e.altKey) {
+            e.preventDefault();
+            toggleFrameDescription();
+        }
+        
         // Spacebar for play/pause
         if (e.key === ' ' && state.frames.length > 0) {
             e.preventDefault();
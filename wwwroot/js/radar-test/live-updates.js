@@ -0,0 +1,113 @@
+// Live cache updates over shared Server-Sent Events streams (one per API origin)
+import { LIVE_UPDATES_URL, LIVE_RECONNECT_DELAY_MS } from './config.js';
+import { getLocationKey } from './location.js';
+
+const EVENT_HANDLERS = {
+    'update-progress': 'onProgress',
+    'new-frames': 'onNewFrames',
+    'cache-updated': 'onCacheUpdated'
+};
+
+const streams = new Map(); // event stream URL -> { url, subscribers, eventSource, reconnectTimeout, isConnected }
+
+/**
+ * Absolute URL of the event stream for an API origin ('' for the page's own host)
+ */
+function getStreamUrl(apiOrigin) {
+    return new URL(`${apiOrigin}${LIVE_UPDATES_URL}`, window.location.href).href;
+}
+
+/**
+ * Check whether the event stream for an API origin is currently connected
+ */
+export function isLiveConnected(apiOrigin = '') {
+    return !!streams.get(getStreamUrl(apiOrigin))?.isConnected;
+}
+
+/**
+ * Subscribe to live cache events for a location.
+ * handlers: { onProgress, onNewFrames, onCacheUpdated, onConnectionChange(connected) } - all optional.
+ * One stream per API origin is shared by every subscriber; it opens with the first and closes with the last.
+ * @returns {Function} unsubscribe
+ */
+export function subscribeToLiveUpdates(location, handlers, apiOrigin = '') {
+    const url = getStreamUrl(apiOrigin);
+    let stream = streams.get(url);
+    if (!stream) {
+        stream = { url: url, subscribers: new Set(), eventSource: null, reconnectTimeout: null, isConnected: false };
+        streams.set(url, stream);
+    }
+    const subscriber = { locationKey: getLocationKey(location), handlers: handlers };
+    stream.subscribers.add(subscriber);
+    
+    if (!stream.eventSource && !stream.reconnectTimeout) {
+        connect(stream);
+    }
+    
+    return () => {
+        stream.subscribers.delete(subscriber);
+        if (stream.subscribers.size === 0) {
+            disconnect(stream);
+            if (streams.get(url) === stream) streams.delete(url);
+        }
+    };
+}
+
+function connect(stream) {
+    if (typeof EventSource === 'undefined') return; // polling only
+    
+    stream.reconnectTimeout = null;
+    const eventSource = new EventSource(stream.url);
+    stream.eventSource = eventSource;
+    
+    eventSource.onopen = () => setConnected(stream, true);
+    eventSource.onerror = () => {
+        setConnected(stream, false);
+        
+        // EventSource retries by itself unless the server refused the stream (e.g. not found)
+        if (stream.eventSource === eventSource && eventSource.readyState === EventSource.CLOSED) {
+            stream.eventSource = null;
+            stream.reconnectTimeout = setTimeout(() => connect(stream), LIVE_RECONNECT_DELAY_MS);
+        }
+    };
+    
+    Object.keys(EVENT_HANDLERS).forEach(type => {
+        eventSource.addEventListener(type, (e) => dispatch(stream, type, e.data));
+    });
+}
+
+function disconnect(stream) {
+    if (stream.reconnectTimeout) {
+        clearTimeout(stream.reconnectTimeout);
+        stream.reconnectTimeout = null;
+    }
+    if (stream.eventSource) {
+        stream.eventSource.close();
+        stream.eventSource = null;
+    }
+    stream.isConnected = false;
+}
+
+function setConnected(stream, connected) {
+    if (stream.isConnected === connected) return;
+    stream.isConnected = connected;
+    stream.subscribers.forEach(subscriber => subscriber.handlers.onConnectionChange?.(connected));
+}
+
+function dispatch(stream, type, rawData) {
+    let cacheEvent;
+    try {
+        cacheEvent = JSON.parse(rawData);
+    } catch (error) {
+        console.warn('Ignoring malformed cache event:', rawData);
+        return;
+    }
+    
+    const locationKey = (cacheEvent.locationKey || '').toLowerCase();
+    const handlerName = EVENT_HANDLERS[type];
+    stream.subscribers.forEach(subscriber => {
+        if (subscriber.locationKey === locationKey) {
+            subscriber.handlers[handlerName]?.(cacheEvent);
+        }
+    });
+}
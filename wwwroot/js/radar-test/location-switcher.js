@@ -0,0 +1,114 @@
+// Location switcher (header select and saved locations list in settings)
+import { state } from './state.js';
+import { getElement, escapeHtml } from './utils.js';
+import { t } from './i18n.js';
+import {
+    AUSTRALIAN_STATES,
+    loadSavedLocations,
+    addSavedLocation,
+    removeSavedLocation,
+    normalizeLocation,
+    getLocationKey,
+    isSameLocation
+} from './location.js';
+
+let onSwitch = null;
+let onLocationsChanged = null;
+
+/**
+ * Render the header location select from saved locations
+ */
+export function renderLocationSwitcher() {
+    const select = getElement('location-select');
+    if (!select) return;
+    
+    const locations = loadSavedLocations();
+    select.innerHTML = locations.map(location => {
+        const key = getLocationKey(location);
+        const selected = isSameLocation(location, state.location) ? ' selected' : '';
+        return `<option value="${escapeHtml(key)}"${selected}>${escapeHtml(location.suburb)}, ${escapeHtml(location.state)}</option>`;
+    }).join('');
+    select.disabled = locations.length < 2;
+    
+    renderSavedLocationsList(locations);
+}
+
+/**
+ * Render saved locations list in the settings modal
+ */
+function renderSavedLocationsList(locations) {
+    const listEl = getElement('saved-locations-list');
+    if (!listEl) return;
+    
+    if (locations.length === 0) {
+        listEl.textContent = t('locations.none');
+        return;
+    }
+    
+    listEl.innerHTML = locations.map(location => {
+        const key = getLocationKey(location);
+        const isCurrent = isSameLocation(location, state.location);
+        const placeName = `${location.suburb}, ${location.state}`;
+        return `<div class="saved-location-item">
+            <span>${isCurrent ? escapeHtml(t('locations.current', { place: placeName })) : escapeHtml(placeName)}</span>
+            <button class="saved-location-remove" data-location-key="${escapeHtml(key)}" title="${escapeHtml(t('locations.remove'))}" aria-label="${escapeHtml(t('locations.removeLabel', { place: placeName }))}"${isCurrent ? ' disabled' : ''}>×</button>
+        </div>`;
+    }).join('');
+    
+    listEl.querySelectorAll('.saved-location-remove').forEach(btn => {
+        btn.addEventListener('click', () => {
+            const location = locations.find(l => getLocationKey(l) === btn.getAttribute('data-location-key'));
+            if (!location) return;
+            removeSavedLocation(location);
+            renderLocationSwitcher();
+            if (onLocationsChanged) onLocationsChanged();
+        });
+    });
+}
+
+/**
+ * Set up location switcher event listeners
+ * @param {Function} switchHandler - called with the selected location
+ * @param {Function} changeHandler - called when locations are added or removed
+ */
+export function setupLocationSwitcher(switchHandler, changeHandler) {
+    onSwitch = switchHandler;
+    onLocationsChanged = changeHandler;
+    
+    // Make sure the location being viewed is always in the saved list
+    if (state.location) {
+        addSavedLocation(state.location);
+    }
+    
+    const stateSelect = getElement('new-location-state');
+    if (stateSelect) {
+        stateSelect.innerHTML = AUSTRALIAN_STATES.map(s => `<option value="${s}">${s}</option>`).join('');
+    }
+    
+    const select = getElement('location-select');
+    if (select) {
+        select.addEventListener('change', (e) => {
+            const location = loadSavedLocations().find(l => getLocationKey(l) === e.target.value);
+            if (location && onSwitch) onSwitch(location);
+        });
+    }
+    
+    const addBtn = getElement('add-location-btn');
+    if (addBtn) {
+        addBtn.addEventListener('click', () => {
+            const suburbInput = getElement('new-location-suburb');
+            const location = normalizeLocation({
+                suburb: suburbInput?.value,
+                state: stateSelect?.value
+            });
+            if (!location) return;
+            
+            addSavedLocation(location);
+            if (suburbInput) suburbInput.value = '';
+            renderLocationSwitcher();
+            if (onLocationsChanged) onLocationsChanged();
+        });
+    }
+    
+    renderLocationSwitcher();
+}
@@ -0,0 +1,97 @@
+// Location management (saved locations, switching, URL building)
+import { getCookie, setCookie } from './utils.js';
+
+const LOCATIONS_COOKIE = 'radarTestLocations';
+
+export const AUSTRALIAN_STATES = ['QLD', 'NSW', 'VIC', 'SA', 'WA', 'TAS', 'NT', 'ACT'];
+
+/**
+ * Build the radar API base URL for a location (apiOrigin: '' for the page's own host)
+ */
+export function buildApiBase(location, apiOrigin = '') {
+    return `${apiOrigin}/api/radar/${encodeURIComponent(location.suburb)}/${encodeURIComponent(location.state)}`;
+}
+
+/**
+ * Build the cache API base URL for a location (apiOrigin: '' for the page's own host)
+ */
+export function buildCacheApiBase(location, apiOrigin = '') {
+    return `${apiOrigin}/api/cache/${encodeURIComponent(location.suburb)}/${encodeURIComponent(location.state)}`;
+}
+
+/**
+ * Build the viewer page URL for a location
+ */
+export function buildViewerUrl(location) {
+    return `/radar/${encodeURIComponent(location.suburb)}/${encodeURIComponent(location.state)}`;
+}
+
+/**
+ * Parse a location from a viewer page path (/radar/{suburb}/{state})
+ */
+export function parseViewerPath(pathname) {
+    const match = pathname.match(/^\/radar\/([^/]+)\/([^/]+)\/?$/);
+    if (!match) return null;
+    return normalizeLocation({
+        suburb: decodeURIComponent(match[1]),
+        state: decodeURIComponent(match[2])
+    });
+}
+
+/**
+ * Normalise suburb/state input, returns null if either part is missing
+ */
+export function normalizeLocation(location) {
+    const suburb = (location?.suburb || '').trim();
+    const state = (location?.state || '').trim().toUpperCase();
+    if (!suburb || !state) return null;
+    return { suburb, state };
+}
+
+/**
+ * Stable key for a location (matches the server's suburb_state convention)
+ */
+export function getLocationKey(location) {
+    return `${location.suburb}_${location.state}`.toLowerCase();
+}
+
+export function isSameLocation(a, b) {
+    return !!a && !!b && getLocationKey(a) === getLocationKey(b);
+}
+
+/**
+ * Load saved locations from cookies
+ */
+export function loadSavedLocations() {
+    const saved = getCookie(LOCATIONS_COOKIE);
+    if (!Array.isArray(saved)) return [];
+    return saved.map(normalizeLocation).filter(Boolean);
+}
+
+/**
+ * Save locations to cookies
+ */
+export function saveLocations(locations) {
+    setCookie(LOCATIONS_COOKIE, locations.map(l => ({ suburb: l.suburb, state: l.state })));
+}
+
+/**
+ * Add a location to the saved list (no-op if already saved)
+ */
+export function addSavedLocation(location) {
+    const locations = loadSavedLocations();
+    if (!locations.some(l => isSameLocation(l, location))) {
+        locations.push(location);
+        saveLocations(locations);
+    }
+    return locations;
+}
+
+/**
+ * Remove a location from the saved list
+ */
+export function removeSavedLocation(location) {
+    const locations = loadSavedLocations().filter(l => !isSameLocation(l, location));
+    saveLocations(locations);
+    return locations;
+}
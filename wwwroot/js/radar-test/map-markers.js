@@ -0,0 +1,211 @@
+// Point-of-interest markers - saved per location and drawn over every frame
+import { state, dispatchStateEvent } from './state.js';
+import { getRenderer } from './frame-renderer.js';
+import { createMapProjection, isValidRadarSite } from './map-projection.js';
+import { getLocationKey } from './location.js';
+import { getCookie, setCookie, getElement, escapeHtml } from './utils.js';
+import { MAP_PROJECTION } from './config.js';
+import { t } from './i18n.js';
+
+const MARKERS_COOKIE = 'radarTestMarkers';
+
+/**
+ * Saved marker settings: { [locationKey]: { site?: { latitude, longitude, rangeKm }, markers: [{ name, latitude, longitude }] } }
+ */
+function loadMarkerSettings() {
+    const saved = getCookie(MARKERS_COOKIE);
+    return saved && typeof saved === 'object' && !Array.isArray(saved) ? saved : {};
+}
+
+function updateLocationMarkerSettings(location, update) {
+    const all = loadMarkerSettings();
+    const key = getLocationKey(location);
+    const entry = { markers: [], ...all[key] };
+    update(entry);
+    
+    if (!entry.site && entry.markers.length === 0) {
+        delete all[key];
+    } else {
+        all[key] = entry;
+    }
+    setCookie(MARKERS_COOKIE, all);
+}
+
+function parseCoordinate(value, limit) {
+    const number = parseFloat(value);
+    return Number.isFinite(number) && Math.abs(number) <= limit ? number : null;
+}
+
+/**
+ * Radar site for a location - the one saved in settings, otherwise the server's Viewer:RadarSites entry
+ */
+export function getRadarSite(location) {
+    if (!location) return null;
+    const key = getLocationKey(location);
+    const saved = loadMarkerSettings()[key]?.site;
+    if (isValidRadarSite(saved)) return saved;
+    const configured = MAP_PROJECTION.sites?.[key];
+    return isValidRadarSite(configured) ? configured : null;
+}
+
+/**
+ * Markers saved for a location
+ */
+export function loadMarkers(location) {
+    if (!location) return [];
+    const markers = loadMarkerSettings()[getLocationKey(location)]?.markers;
+    return Array.isArray(markers) ? markers : [];
+}
+
+/**
+ * Markers for a location with their image pixel positions (empty if the location has no radar site)
+ * @returns {Array<{ name: string, latitude: number, longitude: number, x: number, y: number }>}
+ */
+export function getProjectedMarkers(location, imageSize) {
+    const project = createMapProjection(getRadarSite(location), imageSize);
+    if (!project) return [];
+    return loadMarkers(location).map(marker => ({ ...marker, ...project(marker.latitude, marker.longitude) }));
+}
+
+/**
+ * Draw the current location's markers (pin and name) over the frame
+ */
+function drawMarkers(ctx, { width, height }) {
+    const markers = getProjectedMarkers(state.location, { width, height });
+    if (markers.length === 0) return;
+    
+    const radius = Math.max(4, Math.round(width / 160));
+    ctx.font = `600 ${Math.max(11, Math.round(width / 60))}px sans-serif`;
+    ctx.textBaseline = 'middle';
+    
+    markers.forEach(marker => {
+        if (marker.x < 0 || marker.y < 0 || marker.x > width || marker.y > height) return;
+        
+        ctx.beginPath();
+        ctx.arc(marker.x, marker.y, radius, 0, Math.PI * 2);
+        ctx.fillStyle = '#667eea';
+        ctx.fill();
+        ctx.lineWidth = 2;
+        ctx.strokeStyle = '#ffffff';
+        ctx.stroke();
+        
+        // Label with a dark outline so it stays readable over rain and map colours
+        const labelX = marker.x + radius + 4;
+        ctx.lineWidth = 3;
+        ctx.strokeStyle = 'rgba(0, 0, 0, 0.75)';
+        ctx.strokeText(marker.name, labelX, marker.y);
+        ctx.fillStyle = '#ffffff';
+        ctx.fillText(marker.name, labelX, marker.y);
+    });
+}
+
+/**
+ * Redraw after markers or the radar site change, and let other features (storm alerts) know
+ */
+function markersChanged() {
+    getRenderer(getElement('radar-image'))?.redraw();
+    dispatchStateEvent(state, 'markerschange', { location: state.location });
+}
+
+/**
+ * Render the map marker section of the settings modal for the current location
+ */
+export function renderMarkerSettings() {
+    const location = state.location;
+    const site = location ? getRadarSite(location) : null;
+    
+    const locationEl = getElement('map-markers-location');
+    if (locationEl && location) locationEl.textContent = `${location.suburb}, ${location.state}`;
+    
+    const latitudeInput = getElement('radar-site-latitude');
+    const longitudeInput = getElement('radar-site-longitude');
+    const rangeInput = getElement('radar-site-range');
+    if (latitudeInput) latitudeInput.value = site ? site.latitude : '';
+    if (longitudeInput) longitudeInput.value = site ? site.longitude : '';
+    if (rangeInput) rangeInput.value = site ? site.rangeKm : '';
+    
+    const listEl = getElement('map-markers-list');
+    if (!listEl) return;
+    
+    const markers = loadMarkers(location);
+    if (markers.length === 0) {
+        listEl.textContent = t('markers.none');
+        return;
+    }
+    
+    listEl.innerHTML = markers.map((marker, index) => {
+        const name = escapeHtml(marker.name);
+        return `<div class="saved-location-item">
+            <span>📍 ${name} <span class="timestamp">${marker.latitude.toFixed(4)}, ${marker.longitude.toFixed(4)}</span></span>
+            <button class="saved-location-remove" data-marker-index="${index}" title="${escapeHtml(t('markers.remove'))}" aria-label="${escapeHtml(t('markers.removeLabel', { name: marker.name }))}">×</button>
+        </div>`;
+    }).join('');
+    
+    listEl.querySelectorAll('.saved-location-remove').forEach(btn => {
+        btn.addEventListener('click', () => {
+            const index = parseInt(btn.getAttribute('data-marker-index'));
+            updateLocationMarkerSettings(location, entry => {
+                entry.markers = entry.markers.filter((_, i) => i !== index);
+            });
+            renderMarkerSettings();
+            markersChanged();
+        });
+    });
+}
+
+/**
+ * Save the radar site inputs for the current location (called when settings are saved).
+ * Empty inputs fall back to the server's configured site.
+ */
+export function saveRadarSiteFromUI() {
+    const location = state.location;
+    if (!location) return;
+    
+    const site = {
+        latitude: parseCoordinate(getElement('radar-site-latitude')?.value, 90),
+        longitude: parseCoordinate(getElement('radar-site-longitude')?.value, 180),
+        rangeKm: parseFloat(getElement('radar-site-range')?.value)
+    };
+    const configured = MAP_PROJECTION.sites?.[getLocationKey(location)];
+    const matchesConfigured = configured && ['latitude', 'longitude', 'rangeKm'].every(k => configured[k] === site[k]);
+    
+    updateLocationMarkerSettings(location, entry => {
+        if (isValidRadarSite(site) && !matchesConfigured) {
+            entry.site = site;
+        } else {
+            delete entry.site;
+        }
+    });
+    markersChanged();
+}
+
+/**
+ * Draw markers over the main viewer and set up the marker editor in settings
+ */
+export function setupMapMarkers() {
+    getRenderer(getElement('radar-image'))?.addOverlay(drawMarkers);
+    
+    const addBtn = getElement('add-marker-btn');
+    if (addBtn) {
+        addBtn.addEventListener('click', () => {
+            const nameInput = getElement('new-marker-name');
+            const latitudeInput = getElement('new-marker-latitude');
+            const longitudeInput = getElement('new-marker-longitude');
+            const name = (nameInput?.value || '').trim();
+            const latitude = parseCoordinate(latitudeInput?.value, 90);
+            const longitude = parseCoordinate(longitudeInput?.value, 180);
+            if (!state.location || !name || latitude === null || longitude === null) return;
+            
+            updateLocationMarkerSettings(state.location, entry => {
+                entry.markers = [...entry.markers, { name, latitude, longitude }];
+            });
+            [nameInput, latitudeInput, longitudeInput].forEach(input => {
+                if (input) input.value = '';
+            });
+            renderMarkerSettings();
+            markersChanged();
+        });
+    }
+    
+    renderMarkerSettings();
+}
@@ -0,0 +1,70 @@
+// Map projection - converts latitude/longitude to pixel positions on the cropped radar images
+import { MAP_PROJECTION } from './config.js';
+
+const EARTH_RADIUS_KM = 6371;
+
+function toRadians(degrees) {
+    return degrees * Math.PI / 180;
+}
+
+function mercatorY(latitude) {
+    return Math.log(Math.tan(Math.PI / 4 + toRadians(latitude) / 2));
+}
+
+/**
+ * Check a radar site has a usable centre and range
+ */
+export function isValidRadarSite(site) {
+    return !!site &&
+        Number.isFinite(site.latitude) && Math.abs(site.latitude) < 85 &&
+        Number.isFinite(site.longitude) && Math.abs(site.longitude) <= 180 &&
+        Number.isFinite(site.rangeKm) && site.rangeKm > 0;
+}
+
+/**
+ * Size of the uncropped map container for an image cropped by crop.x/crop.y/crop.rightOffset
+ */
+function getContainerSize(imageSize, crop) {
+    return {
+        width: imageSize.width + (crop?.x || 0) + (crop?.rightOffset || 0),
+        height: imageSize.height + (crop?.y || 0)
+    };
+}
+
+/**
+ * Ground distance covered by one image pixel at the map centre
+ */
+export function getKmPerPixel(site, imageSize, crop = MAP_PROJECTION.crop) {
+    if (!isValidRadarSite(site) || !imageSize?.width) return null;
+    return site.rangeKm / (getContainerSize(imageSize, crop).width / 2);
+}
+
+/**
+ * Create a projection from lat/lon to image pixels.
+ *
+ * The BOM map is Web Mercator, centred on the site, with rangeKm from the centre to the left/right
+ * edge of the map container. Frames are cropped from that container by crop.x/crop.y/crop.rightOffset,
+ * so the container is imageWidth + x + rightOffset wide; its bottom edge is assumed to be the image's
+ * bottom edge (Screenshot:Crop:Height unset).
+ *
+ * @param {{ latitude: number, longitude: number, rangeKm: number }} site
+ * @param {{ width: number, height: number }} imageSize
+ * @param {{ x: number, y: number, rightOffset: number }} crop
+ * @returns {((latitude: number, longitude: number) => { x: number, y: number }) | null}
+ */
+export function createMapProjection(site, imageSize, crop = MAP_PROJECTION.crop) {
+    if (!isValidRadarSite(site) || !imageSize?.width || !imageSize?.height) return null;
+    
+    const container = getContainerSize(imageSize, crop);
+    const centreX = container.width / 2 - (crop?.x || 0);
+    const centreY = container.height / 2 - (crop?.y || 0);
+    
+    // Ground scale at the centre, converted to Mercator units (which stretch by 1/cos(latitude))
+    const pixelsPerRadian = EARTH_RADIUS_KM * Math.cos(toRadians(site.latitude)) / getKmPerPixel(site, imageSize, crop);
+    const siteMercatorY = mercatorY(site.latitude);
+    
+    return (latitude, longitude) => ({
+        x: centreX + toRadians(longitude - site.longitude) * pixelsPerRadian,
+        y: centreY - (mercatorY(latitude) - siteMercatorY) * pixelsPerRadian
+    });
+}
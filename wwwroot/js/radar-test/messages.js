@@ -0,0 +1,1064 @@
+// Message catalogs - user-facing strings by locale (looked up through i18n.js)
+//
+// Messages use {name} placeholders. A message with plural forms is an object keyed by Intl.PluralRules
+// category ('zero', 'one', 'two', 'few', 'many', 'other') and is chosen by its {count} parameter.
+// A catalog only needs the keys it translates - missing keys fall back to English.
+
+export const FALLBACK_LOCALE = 'en';
+
+export const CATALOGS = {
+    en: {
+        name: 'English',
+        intlLocale: 'en-AU', // dates, numbers, plurals and relative times
+        messages: {
+            // Embedded <bom-radar> element
+            'embed.invalidLocation': 'Set the suburb and state attributes to show a radar loop.',
+            'embed.unavailable': 'Radar service unavailable.',
+            'embed.noFrames': 'No radar frames available yet.',
+            'embed.offline': 'Showing frames stored offline - the radar service is unreachable.',
+            
+            // Shared
+            'common.loading': 'Loading...',
+            'common.cancel': 'Cancel',
+            'page.title': 'BOM Radar Test - {place}',
+            'header.dashboard': 'Dashboard',
+            'header.compare': 'Compare',
+            'header.singleView': 'Single View',
+            'header.cacheTitle': "List, refresh or delete this location's server cache",
+            'header.cache': 'Cache',
+            'header.settings': 'Settings',
+            
+            // Status card titles
+            'cards.cacheStatus': 'Cache & Update Status',
+            'cards.observationTime': 'Observation Time',
+            'cards.cacheExpires': 'Cache Expires',
+            'cards.nextUpdate': 'Next Update',
+            'cards.weatherStation': 'Weather Station',
+            'cards.distance': 'Distance',
+            'cards.autoRefresh': 'Auto Refresh',
+            
+            // Auto Refresh card
+            'apiStatus.connected': 'Active',
+            'apiStatus.live': 'Live',
+            'apiStatus.disconnected': 'Reconnecting...',
+            'apiStatus.reconnecting': 'Trying API...',
+            'apiStatus.failed': 'Connection Failed',
+            'apiStatus.offline': 'Offline',
+            'circuit.halfOpen': 'Circuit half-open • trying the API now',
+            'circuit.waitingForNetwork': 'Circuit open • waiting for the network to come back',
+            'circuit.retrying': 'Circuit open • retry {attempt} of {max}',
+            'circuit.probing': 'Circuit open • fast retries used up, checking in the background',
+            'circuit.nextTry': ' • next try {time}',
+            'clientCheck.live': 'Live updates connected',
+            'clientCheck.next': 'Next check: {time} ({relative})',
+            'lastChecked': 'Last checked: {time}',
+            
+            // Errors and retries
+            'error.prefix': '❌ Error: ',
+            'error.generic': 'An error occurred',
+            'error.offline': 'You are offline. Retrying when the network comes back...',
+            'error.connectionLost': 'API connection lost. Retrying... (Attempt {attempt}/{max})',
+            'error.connectionFailed': 'API connection failed after multiple attempts. Still checking in the background - use Reconnect now to try again.',
+            'error.requestedHours': {
+                one: ' Requested: {count} hour.',
+                other: ' Requested: {count} hours.'
+            },
+            'error.requestedMaxHours': {
+                one: ' Requested: {count} hour, Maximum: {max} hours.',
+                other: ' Requested: {count} hours, Maximum: {max} hours.'
+            },
+            'error.availableRange': ' Available data: {start} to {end}.',
+            'error.availableFolders': {
+                one: ' {count} cache folder available.',
+                other: ' {count} cache folders available.'
+            },
+            'error.suggestion': ' {suggestion}',
+            'error.applySuggestedRange': 'Apply suggested range',
+            'retry.now': 'Retrying now...',
+            'retry.countdown': 'Retrying automatically in {countdown}',
+            'retry.button': '🔄 Retry now',
+            'retry.reconnect': '↻ Reconnect now',
+            
+            // No frames
+            'noFrames.generating': {
+                one: 'Cache is being generated. Please wait {count} second.',
+                other: 'Cache is being generated. Please wait {count} seconds.'
+            },
+            'noFrames.noHistory': 'No historical cache data available yet. Cache update has been triggered in the background.',
+            'noFrames.locationMissing': 'No cached data found for this location. Cache update has been triggered in background.',
+            'noFrames.emptyRange': 'No frames found for selected timespan. Try a different range or wait for more cache data.',
+            'noFrames.waiting': 'No radar frames available yet. Cache is being generated in the background and frames will load automatically once it is ready.',
+            'noFrames.frameInfo': 'Waiting for cache to be generated...',
+            'offline.banner': '📦 Offline — showing radar frames cached in this browser (stored {time}). Live data will load automatically when the service is reachable.',
+            
+            // Cache & Update Status card
+            'cacheStatus.checking': 'Checking...',
+            'cacheStatus.offline': 'Offline',
+            'cacheStatus.updating': 'Updating',
+            'cacheStatus.generating': 'Generating',
+            'cacheStatus.valid': 'Valid',
+            'cacheStatus.invalid': 'Invalid',
+            'badge.cached': 'CACHED',
+            'badge.inProgress': 'IN PROGRESS',
+            'badge.active': 'ACTIVE',
+            'badge.expired': 'EXPIRED',
+            'update.offline': 'Showing frames stored in this browser while the service is unreachable',
+            'update.inProgress': 'Update in progress • Estimated completion: {time} ({relative})',
+            'update.inProgressWithStage': 'Update in progress ({stage}) • Estimated completion: {time} ({relative})',
+            'update.inProgressTitle': 'Estimate is based on historical metrics and current progress. Accuracy improves as more updates complete.',
+            'update.inProgressNoEstimate': 'Update in progress, please wait...',
+            'update.inProgressNoEstimateTitle': 'Cache update is in progress. Completion time will be estimated once progress tracking begins.',
+            'update.valid': 'Cache is valid, no update needed',
+            'update.scheduled': 'Update scheduled: {time} ({relative})',
+            'update.scheduledTitle': 'Estimated time when cache update will be triggered or completed. Based on metrics from previous updates.',
+            'update.background': 'Update will be triggered by background service',
+            'update.backgroundTitle': 'The background cache management service will check and update the cache periodically.',
+            'update.generating': 'Cache generation in progress, please wait...',
+            'update.generatingReadyIn': {
+                one: 'Cache generation in progress. Estimated ready in {count} second.',
+                other: 'Cache generation in progress. Estimated ready in {count} seconds.'
+            },
+            'update.estimationNote': 'Estimates improve as metrics are collected from completed updates',
+            'stage.initializing': 'Starting browser',
+            'stage.capturingFrames': 'Capturing frames',
+            'stage.capturingFrame': 'Capturing frame {frame} of {total}',
+            'stage.saving': 'Saving',
+            'stage.savingFrames': 'Saving frames',
+            
+            // Update progress view
+            'progress.elapsed': '{elapsed} elapsed of ~{estimate} estimated',
+            'progress.elapsedNoEstimate': '{elapsed} elapsed (no estimate until an update completes)',
+            'progress.stalled': 'No progress for {duration} - the update may be stuck',
+            'progress.slow': 'Slower than usual (typically {typical}) but still progressing',
+            'progress.onTrack': 'Progressing normally',
+            'progress.history': 'Recent updates',
+            'progress.historyTypical': 'Recent updates (typically {typical})',
+            
+            // Cache range (settings modal)
+            'cacheRange.unavailable': 'Unable to load cache range',
+            'cacheRange.empty': 'No cache data available',
+            'cacheRange.oldest': 'Oldest: {time}',
+            'cacheRange.newest': 'Newest: {time}',
+            'cacheRange.total': {
+                one: 'Total: {count} cache folder ({hours} hours)',
+                other: 'Total: {count} cache folders ({hours} hours)'
+            },
+            
+            // Player
+            'player.play': '▶ Play',
+            'player.pause': '⏸ Pause',
+            'player.loading': 'Loading radar data...',
+            'player.previous': '◀ Previous',
+            'player.next': 'Next ▶',
+            'player.imageLabel': 'Radar image',
+            'player.copyLink': '🔗 Copy Link',
+            'player.exportTitle': 'Download the animation as a GIF or WebM',
+            'player.export': '⬇ Export',
+            'player.copyLinkTitle': 'Copy a link that opens this exact view',
+            'player.bookmarkTitle': 'Bookmark this frame to add a note or draw on it (B)',
+            'player.describeTitle': 'Describe the rain in this frame in words (D)',
+            'player.describe': '📝 Describe',
+            
+            // Frame controls and frame info
+            'frames.back': {
+                one: 'Go back {count} frame',
+                other: 'Go back {count} frames'
+            },
+            'frames.forward': {
+                one: 'Go forward {count} frame',
+                other: 'Go forward {count} frames'
+            },
+            'frames.first': 'First frame',
+            'frames.last': 'Last frame',
+            'frames.slider': 'Frame slider',
+            'frames.frameLabel': 'Frame:',
+            'frames.timeLabel': 'Time:',
+            'frames.progressLabel': 'Progress:',
+            'frames.forecastNote': '🔮 The orange part of the slider is a forecast extrapolated from recent radar motion, not observed data',
+            'frameInfo.frame': 'Frame {frame} of {last}',
+            'frameInfo.frameAt': 'Frame {frame} of {last} • {time}',
+            'frameInfo.frameMinutesAgo': {
+                one: 'Frame {frame} of {last} • {count} minute ago',
+                other: 'Frame {frame} of {last} • {count} minutes ago'
+            },
+            'frameInfo.forecast': 'Forecast +{minutes} min • {time} • extrapolated from radar motion, not observed',
+            'frameInfo.offline': '{text} • offline cache',
+            
+            // Playback options
+            'playback.mode': 'Mode',
+            'playback.loop': '🔁 Loop',
+            'playback.bounce': '↔ Ping-pong',
+            'playback.reverse': '⏪ Reverse',
+            'playback.speed': 'Speed',
+            'loop.startMarked': 'A at {time} - mark B to loop between them',
+            'loop.endMarked': 'B at {time} - mark A to loop between them',
+            'loop.looping': {
+                one: 'Looping {start} → {end} ({count} frame)',
+                other: 'Looping {start} → {end} ({count} frames)'
+            },
+            'loop.outsideFrames': 'Marked A–B range is outside the loaded frames - playing all frames',
+            'loop.startTitle': 'Mark the current frame as the start of the loop',
+            'loop.startLabel': 'Mark loop start (A)',
+            'loop.endTitle': 'Mark the current frame as the end of the loop',
+            'loop.endLabel': 'Mark loop end (B)',
+            'loop.clearTitle': 'Play all frames again',
+            'loop.clearLabel': 'Clear A–B loop',
+            
+            // Cache administration
+            'cacheAdmin.location': 'Server cache for {place}',
+            'cacheAdmin.thisLocation': 'this location',
+            'cacheAdmin.unreachable': 'the API is unreachable',
+            'cacheAdmin.unexpectedError': 'unexpected error',
+            'cacheAdmin.noFolders': 'No cache folders',
+            'cacheAdmin.empty': 'Nothing is cached for this location yet.',
+            'cacheAdmin.summary': {
+                one: '{count} folder • {frames} frames',
+                other: '{count} folders • {frames} frames'
+            },
+            'cacheAdmin.cachedColumn': 'Cached',
+            'cacheAdmin.observationColumn': 'Observation',
+            'cacheAdmin.framesColumn': 'Frames',
+            'cacheAdmin.folderColumn': 'Folder',
+            'cacheAdmin.listFailed': 'Unable to list cache folders: {reason}',
+            'cacheAdmin.refreshFailed': 'Refresh failed: {reason}',
+            'cacheAdmin.refreshRequested': 'Cache update requested.',
+            'cacheAdmin.refreshExpected': '{message} Expected by {time}.',
+            'cacheAdmin.confirm': 'Delete the cache for {place}? The frames cannot be recovered; the next request starts a new capture.',
+            'cacheAdmin.confirmFolders': {
+                one: 'Delete the {count} cache folder for {place}? The frames cannot be recovered; the next request starts a new capture.',
+                other: 'Delete all {count} cache folders for {place}? The frames cannot be recovered; the next request starts a new capture.'
+            },
+            'cacheAdmin.deleteFailed': 'Delete failed: {reason}',
+            'cacheAdmin.deleted': 'Cache deleted.',
+            'cacheAdmin.close': 'Close cache administration',
+            'cacheAdmin.title': 'Cache Administration',
+            'cacheAdmin.reloadTitle': 'Load the folder list again',
+            'cacheAdmin.reload': '↻ Reload',
+            'cacheAdmin.delete': '🗑 Delete',
+            'cacheAdmin.keep': 'Keep cache',
+            'cacheAdmin.refreshTitle': 'Ask the server to capture new frames for this location now',
+            'cacheAdmin.refresh': '🔄 Refresh Cache',
+            'cacheAdmin.deleteAllTitle': 'Delete every cached folder for this location',
+            'cacheAdmin.deleteAll': '🗑 Delete Cache',
+            
+            // Dashboard
+            'dashboard.openInViewer': 'Open in viewer',
+            'dashboard.remove': 'Remove from dashboard',
+            'dashboard.removeLabel': 'Remove {place} from dashboard',
+            'dashboard.imageLabel': 'Radar image for {place}',
+            'dashboard.apiUnavailable': 'API unavailable',
+            'dashboard.noData': 'No data yet',
+            'dashboard.waitingForCache': 'Waiting for cache...',
+            'dashboard.stale': 'Stale',
+            'dashboard.playAll': '▶ Play All',
+            'dashboard.pauseAll': '⏸ Pause All',
+            'dashboard.sync': 'Keep tiles in step',
+            'dashboard.empty': 'No saved locations. Add locations in Settings to watch them here.',
+            
+            // Compare mode
+            'compare.shift.now': 'Now',
+            'compare.shift.hourEarlier': '1 hour earlier',
+            'compare.shift.threeHoursEarlier': '3 hours earlier',
+            'compare.shift.yesterday': 'Same time yesterday',
+            'compare.shift.twoDaysEarlier': '2 days earlier',
+            'compare.shift.weekEarlier': '1 week earlier',
+            'compare.shiftedSource': '{place} • {shift}',
+            'compare.paneLabel': '{pane} • {source} • {time}',
+            'compare.paneLabelMissing': '{pane} • {source} • {time} (no frame at this time)',
+            'compare.noFrames': 'No frames for this time',
+            'compare.frameCount': {
+                one: '{count} frame',
+                other: '{count} frames'
+            },
+            'compare.locationLabel': 'Pane {pane} location',
+            'compare.timespanLabel': 'Pane {pane} timespan',
+            'compare.shiftLabel': 'Pane {pane} time shift',
+            'compare.lastTimespan': 'Last {timespan}',
+            'compare.layout': 'Layout',
+            'compare.layoutSide': 'Side by side',
+            'compare.layoutSwipe': 'Swipe',
+            'compare.paneImageA': 'Compare pane A',
+            'compare.paneImageB': 'Compare pane B',
+            'compare.divider': 'Swipe divider',
+            'compare.previous': 'Previous time',
+            'compare.next': 'Next time',
+            'compare.timeLabel': 'Compare time',
+            
+            // Sharing and locations
+            'share.copied': '✓ Link copied',
+            'share.copyPrompt': 'Copy this link:',
+            'locations.none': 'No saved locations',
+            'locations.current': '{place} (current)',
+            'locations.remove': 'Remove location',
+            'locations.removeLabel': 'Remove {place}',
+            'locations.switch': 'Switch location',
+            
+            // Rain rates and the rainfall probe
+            'rain.none': 'No rain',
+            'rain.rate': '{min}–{max} mm/h ({label})',
+            'rain.rateOpen': '{min}+ mm/h ({label})',
+            'rain.light': 'Light',
+            'rain.moderate': 'Moderate',
+            'rain.heavy': 'Heavy',
+            'rain.veryHeavy': 'Very heavy',
+            'rain.extreme': 'Extreme',
+            'probe.thisFrame': 'This frame: {rate}',
+            'probe.peak': 'Past hour peak: {rate} at {time}',
+            'probe.noRainPastHour': 'Past hour: no rain',
+            'probe.sampling': 'Sampling {sampled}/{count}...',
+            'probe.barTitle': '{time}: {rate}',
+            'probe.notSampled': 'not sampled yet',
+            'probe.chartLabel': 'Rain rate at the selected point for each frame',
+            'probe.imageTitle': 'Click to chart rainfall at a point',
+            'probe.title': '🌧 Rainfall at selected point',
+            'probe.clear': 'Remove the point',
+            'probe.clearLabel': 'Remove rainfall probe point',
+            
+            // Map markers and storm alerts
+            'markers.none': 'No markers for this location',
+            'markers.remove': 'Remove marker',
+            'markers.removeLabel': 'Remove {name}',
+            'storm.bannerTitle': 'Storm alert',
+            'storm.arrived': 'Heavy rain at {name} now.',
+            'storm.approachingNow': 'Heavy rain {distance} km from {name}, approaching at about {speed} km/h - likely any minute.',
+            'storm.approaching': 'Heavy rain {distance} km from {name}, approaching at about {speed} km/h - likely in about {minutes} min.',
+            'storm.notificationArrived': 'Heavy rain has arrived',
+            'storm.notificationApproaching': 'Heavy rain approaching',
+            'storm.watchCentre': 'Map centre',
+            'storm.watchCentreOf': '{place} (map centre)',
+            'storm.dismiss': 'Dismiss alert',
+            'storm.dismissLabel': 'Dismiss storm alert',
+            
+            // Bookmarks
+            'bookmarks.bookmark': '🔖 Bookmark',
+            'bookmarks.bookmarked': '🔖 Bookmarked',
+            'bookmarks.none': 'No bookmarks for this location. Press 🔖 Bookmark (or B) on a frame to add one.',
+            'bookmarks.shapes': {
+                one: '{count} shape',
+                other: '{count} shapes'
+            },
+            'bookmarks.notLoaded': 'Not in the loaded frames - change the timespan to see it',
+            'bookmarks.marker': 'Bookmark: {time}',
+            'bookmarks.markerWithNote': 'Bookmark: {time} - {note}',
+            'bookmarks.imported': {
+                one: 'Imported {count} bookmark.',
+                other: 'Imported {count} bookmarks.'
+            },
+            'bookmarks.importedOther': {
+                one: 'Imported {count} bookmark for {place} - switch to that location to see it.',
+                other: 'Imported {count} bookmarks for {place} - switch to that location to see them.'
+            },
+            'bookmarks.importFailed': 'Could not import bookmarks: {reason}',
+            'bookmarks.exported': {
+                one: 'Exported {count} bookmark.',
+                other: 'Exported {count} bookmarks.'
+            },
+            'bookmarks.notBookmarksFile': 'Not a radar bookmarks file',
+            'bookmarks.noLocationInFile': 'The file does not say which location the bookmarks are for',
+            'bookmarks.title': '🔖 Bookmarks',
+            'bookmarks.exportTitle': "Download this location's bookmarks as JSON",
+            'bookmarks.export': '⬇ Export',
+            'bookmarks.importTitle': 'Add bookmarks from an exported JSON file',
+            'bookmarks.import': '⬆ Import',
+            'bookmarks.noteLabel': 'Bookmark note',
+            'bookmarks.notePlaceholder': 'Note for this frame',
+            'bookmarks.draw': 'Draw:',
+            'bookmarks.drawArrowTitle': 'Drag on the image to draw an arrow',
+            'bookmarks.drawArrow': '➚ Arrow',
+            'bookmarks.drawCircleTitle': 'Drag out from the centre to draw a circle',
+            'bookmarks.drawCircle': '◯ Circle',
+            'bookmarks.drawBoxTitle': 'Drag corner to corner to draw a rectangle',
+            'bookmarks.drawBox': '▭ Box',
+            'bookmarks.colourLabel': 'Shape colour',
+            'bookmarks.undoTitle': 'Remove the last shape',
+            'bookmarks.undo': '↶ Undo',
+            'bookmarks.removeTitle': 'Remove this bookmark, its note and shapes',
+            'bookmarks.remove': '🗑 Remove',
+            
+            // Animation export
+            'export.forecastStamp': 'Forecast +{minutes} min (extrapolated)',
+            'export.analysing': 'Analysing colours ({frame}/{count})',
+            'export.encoding': 'Encoding frame {frame}/{count}',
+            'export.loading': 'Loading frame {frame}/{count}',
+            'export.recording': 'Recording frame {frame}/{count}',
+            'export.noFramesToExport': 'No frames to export',
+            'export.webmUnsupported': 'WebM recording is not supported in this browser',
+            'export.noFramesLoaded': 'No frames loaded yet.',
+            'export.intervalNote': {
+                one: '{count} second per frame (from Settings → Frame Interval)',
+                other: '{count} seconds per frame (from Settings → Frame Interval)'
+            },
+            'export.startAfterEnd': 'The start frame must be before the end frame.',
+            'export.done': 'Done - check your downloads.',
+            'export.failed': 'Export failed: {reason}',
+            'export.close': 'Close export',
+            'export.title': 'Export Animation',
+            'export.format': 'Format',
+            'export.gif': 'Animated GIF',
+            'export.webm': 'WebM video',
+            'export.formatHint': 'GIFs paste anywhere; WebM is smaller but is recorded in real time',
+            'export.frames': 'Frames',
+            'export.firstFrame': 'First frame',
+            'export.to': 'to',
+            'export.lastFrame': 'Last frame',
+            'export.size': 'Size',
+            'export.fullSize': 'Full size',
+            
+            // Frame times and durations
+            'frameTime.forecast': '+{minutes} min (forecast)',
+            'frameTime.forecastImageLabel': 'FORECAST +{minutes} min',
+            'frameTime.minutesAgo': '{minutes} min ago',
+            'duration.seconds': '{seconds}s',
+            'duration.minutes': '{minutes}m {seconds}s',
+            'duration.minutesOnly': '{minutes}m',
+            'duration.hours': '{hours}h',
+            'duration.hoursMinutes': '{hours}h {minutes}m',
+            
+            // Timeline
+            'timeline.label': 'Timeline',
+            'timeline.folder': {
+                one: '{name}: {start} – {end} ({count} frame)',
+                other: '{name}: {start} – {end} ({count} frames)'
+            },
+            'timeline.gap': 'No data {start} – {end} ({duration})',
+            'timeline.forecast': 'Forecast (extrapolated)',
+            
+            // Screen reader announcements and labels
+            'a11y.frameLabel': 'Rain radar for {place}, {time} ({relative})',
+            'a11y.unknownPlace': 'this area',
+            'a11y.forecastLabel': 'Forecast rain radar for {place}, {minutes} minutes after the newest observation ({time}, extrapolated)',
+            'a11y.frameAnnouncement': 'Frame {position} of {count}: {time} ({relative})',
+            'a11y.forecastAnnouncement': 'Frame {position} of {count}: forecast {minutes} minutes ahead',
+            'a11y.playing': 'Playing',
+            'a11y.paused': 'Paused',
+            'a11y.connection.connected': 'Connected to the radar service',
+            'a11y.connection.live': 'Live updates connected',
+            'a11y.connection.disconnected': 'Connection to the radar service lost. Retrying.',
+            'a11y.connection.reconnecting': 'Trying to reconnect to the radar service',
+            'a11y.connection.failed': 'Could not reconnect to the radar service. Still checking in the background.',
+            'a11y.connection.offline': 'You are offline',
+            
+            // Frame description
+            'describe.observed': 'Radar observed {time} ({relative}).',
+            'describe.forecast': 'Forecast {minutes} minutes after the newest observation ({time}), extrapolated from rain motion.',
+            'describe.noRain': 'No rain on the map.',
+            'describe.coverageTrace': 'A few small patches of rain on the map.',
+            'describe.coverage': 'Rain covers about {percent}% of the map.',
+            'describe.heaviest': 'Heaviest rain: {rate}, about {distance} km {direction} of {place}.',
+            'describe.heaviestNoDistance': 'Heaviest rain: {rate}, {direction} of {place}.',
+            'describe.heaviestAtLocation': 'Heaviest rain: {rate}, at {place}.',
+            'describe.rainAtLocation': 'Rain at {place}: {rate}.',
+            'describe.dryAtLocation': 'No rain at {place}.',
+            'describe.mapCentre': 'the map centre',
+            'describe.whilePlaying': 'Pause playback to describe the frame on screen.',
+            'describe.unavailable': 'This frame cannot be described - its image has not loaded.',
+            'direction.north': 'north',
+            'direction.northEast': 'north-east',
+            'direction.east': 'east',
+            'direction.southEast': 'south-east',
+            'direction.south': 'south',
+            'direction.southWest': 'south-west',
+            'direction.west': 'west',
+            'direction.northWest': 'north-west',
+            
+            // Settings
+            'settings.localeAuto': 'Browser language (auto)',
+            'settings.timeZonePreview': 'Times are shown in {zone} ({label}), e.g. now is {time}',
+            'settings.close': 'Close settings',
+            'settings.title': 'Settings',
+            'settings.tip': '💡 Tip',
+            'settings.tipText': 'Configure your slideshow experience and select extended timespans to view historical radar data.',
+            'settings.slideshow': 'Slideshow Configuration',
+            'settings.timespan': 'Slideshow Timespan',
+            'settings.timespanLatest': 'Latest 7 frames (default)',
+            'settings.timespan1h': 'Last 1 hour',
+            'settings.timespan3h': 'Last 3 hours',
+            'settings.timespan6h': 'Last 6 hours',
+            'settings.timespan12h': 'Last 12 hours',
+            'settings.timespan24h': 'Last 24 hours',
+            'settings.timespanCustom': 'Custom range...',
+            'settings.timespanHint': 'Select how much historical data to include in slideshow',
+            'settings.cacheRange': '📊 Available Cache Range:',
+            'settings.frameInterval': 'Frame Interval (seconds)',
+            'settings.frameIntervalHint': 'Time between frames in slideshow (minimum 0.1 seconds)',
+            'settings.crossfade': 'Crossfade Duration (seconds)',
+            'settings.crossfadeHint': 'Blend between frames during playback (0 to switch instantly). Limited to 80% of the frame interval.',
+            'settings.autoRefresh': 'Auto Refresh',
+            'settings.refreshInterval': 'Auto Refresh Interval (seconds)',
+            'settings.refreshIntervalHint': 'How often to check for new radar data (minimum 5 seconds)',
+            'settings.customRange': '📅 Custom Time Range',
+            'settings.startTime': 'Start Time ({zone})',
+            'settings.endTime': 'End Time ({zone})',
+            'settings.customRangeHint': 'Select custom time range (times are in the display time zone). Maximum range is based on your cache retention settings.',
+            'settings.locations': 'Locations',
+            'settings.addLocation': 'Add Location',
+            'settings.suburbPlaceholder': 'Suburb (e.g. Gold Coast)',
+            'settings.add': '➕ Add',
+            'settings.locationsHint': 'Saved locations appear in the location switcher and on the dashboard',
+            'settings.mapMarkers': 'Map Markers',
+            'settings.radarSiteFor': 'Radar Site for',
+            'settings.latitude': 'Latitude',
+            'settings.longitude': 'Longitude',
+            'settings.range': 'Range (km)',
+            'settings.radarSiteHint': 'The point the map is centred on and the distance in km from it to the left/right edge of the map before cropping. Markers are drawn once this is set.',
+            'settings.addMarker': 'Add Marker',
+            'settings.markerNamePlaceholder': 'Name (e.g. Depot)',
+            'settings.markersHint': 'Markers are saved for the current location and drawn over every frame',
+            'settings.stormAlerts': 'Storm Alerts',
+            'settings.stormAlertsHint': 'Shows a banner and a browser notification when heavy rain (15 mm/h or more) is moving towards the watched point',
+            'settings.stormAlertsSiteNote': 'Set the radar site under Map Markers to enable alerts for this location.',
+            'settings.watchedPoint': 'Watched Point',
+            'settings.watchRadius': 'Watch Radius (km)',
+            'settings.warningTime': 'Warning Time (minutes)',
+            'settings.stormTrackingHint': 'Rain within the radius is tracked across the last 30 minutes of frames to estimate how fast it is approaching',
+            'settings.playback': 'Playback Options',
+            'settings.forecastFrames': 'Forecast Frames',
+            'settings.forecastOff': 'Off (default)',
+            'settings.forecast30': '30 minutes',
+            'settings.forecast45': '45 minutes',
+            'settings.forecast60': '60 minutes',
+            'settings.forecastFramesHint': 'Add frames after the newest one by moving the rain along its recent motion. These are estimates: rain does not grow or decay in them.',
+            'settings.endDwell': 'Pause on Newest Frame (seconds)',
+            'settings.endDwellHint': 'Extra time to hold the newest frame (or the end of the A–B loop) before playback loops or turns around. Mode, speed and the A–B loop are set under the player.',
+            'settings.autoPlay': 'Auto-play on page load',
+            'settings.autoPlayHint': '(not when your system is set to reduce motion)',
+            'settings.languageTime': 'Language & Time',
+            'settings.language': 'Language',
+            'settings.timeZone': 'Time Zone',
+            'settings.timeZoneLocation': "Location's time zone (default)",
+            'settings.timeZoneLocal': "This browser's time zone",
+            'settings.timeZoneAustralia': 'Australian time zones',
+            'settings.timeFormat': 'Time Format',
+            'settings.timeFormat12h': '12-hour (2:05:00 pm)',
+            'settings.timeFormat24h': '24-hour (14:05:00)',
+            'settings.save': '💾 Save Settings'
+        }
+    },
+    de: {
+        name: 'Deutsch',
+        intlLocale: 'de-DE',
+        messages: {
+            // Embedded <bom-radar> element
+            'embed.invalidLocation': 'Setzen Sie die Attribute suburb und state, um eine Radarschleife anzuzeigen.',
+            'embed.unavailable': 'Radardienst nicht verfügbar.',
+            'embed.noFrames': 'Noch keine Radarbilder verfügbar.',
+            'embed.offline': 'Offline gespeicherte Bilder werden angezeigt - der Radardienst ist nicht erreichbar.',
+            
+            // Shared
+            'common.loading': 'Wird geladen...',
+            'common.cancel': 'Abbrechen',
+            'page.title': 'BOM Radar Test - {place}',
+            'header.dashboard': 'Dashboard',
+            'header.compare': 'Vergleich',
+            'header.singleView': 'Einzelansicht',
+            'header.cacheTitle': 'Server-Cache dieses Orts auflisten, aktualisieren oder löschen',
+            'header.cache': 'Cache',
+            'header.settings': 'Einstellungen',
+            
+            // Status card titles
+            'cards.cacheStatus': 'Cache- und Aktualisierungsstatus',
+            'cards.observationTime': 'Beobachtungszeit',
+            'cards.cacheExpires': 'Cache läuft ab',
+            'cards.nextUpdate': 'Nächste Aktualisierung',
+            'cards.weatherStation': 'Wetterstation',
+            'cards.distance': 'Entfernung',
+            'cards.autoRefresh': 'Automatische Aktualisierung',
+            
+            // Auto Refresh card
+            'apiStatus.connected': 'Aktiv',
+            'apiStatus.live': 'Live',
+            'apiStatus.disconnected': 'Verbindung wird wiederhergestellt...',
+            'apiStatus.reconnecting': 'API wird versucht...',
+            'apiStatus.failed': 'Verbindung fehlgeschlagen',
+            'apiStatus.offline': 'Offline',
+            'circuit.halfOpen': 'Schutzschalter halb offen • API wird jetzt versucht',
+            'circuit.waitingForNetwork': 'Schutzschalter offen • warte auf das Netzwerk',
+            'circuit.retrying': 'Schutzschalter offen • Versuch {attempt} von {max}',
+            'circuit.probing': 'Schutzschalter offen • schnelle Versuche aufgebraucht, Prüfung im Hintergrund',
+            'circuit.nextTry': ' • nächster Versuch {time}',
+            'clientCheck.live': 'Live-Aktualisierungen verbunden',
+            'clientCheck.next': 'Nächste Prüfung: {time} ({relative})',
+            'lastChecked': 'Zuletzt geprüft: {time}',
+            
+            // Errors and retries
+            'error.prefix': '❌ Fehler: ',
+            'error.generic': 'Ein Fehler ist aufgetreten',
+            'error.offline': 'Sie sind offline. Neuer Versuch, sobald das Netzwerk zurück ist...',
+            'error.connectionLost': 'API-Verbindung verloren. Neuer Versuch... (Versuch {attempt}/{max})',
+            'error.connectionFailed': 'API-Verbindung nach mehreren Versuchen fehlgeschlagen. Die Prüfung läuft im Hintergrund weiter - mit Jetzt neu verbinden erneut versuchen.',
+            'error.requestedHours': {
+                one: ' Angefordert: {count} Stunde.',
+                other: ' Angefordert: {count} Stunden.'
+            },
+            'error.requestedMaxHours': {
+                one: ' Angefordert: {count} Stunde, Maximum: {max} Stunden.',
+                other: ' Angefordert: {count} Stunden, Maximum: {max} Stunden.'
+            },
+            'error.availableRange': ' Verfügbare Daten: {start} bis {end}.',
+            'error.availableFolders': {
+                one: ' {count} Cache-Ordner verfügbar.',
+                other: ' {count} Cache-Ordner verfügbar.'
+            },
+            'error.suggestion': ' {suggestion}',
+            'error.applySuggestedRange': 'Vorgeschlagenen Zeitraum übernehmen',
+            'retry.now': 'Neuer Versuch läuft...',
+            'retry.countdown': 'Automatischer neuer Versuch in {countdown}',
+            'retry.button': '🔄 Jetzt erneut versuchen',
+            'retry.reconnect': '↻ Jetzt neu verbinden',
+            
+            // No frames
+            'noFrames.generating': {
+                one: 'Der Cache wird erstellt. Bitte {count} Sekunde warten.',
+                other: 'Der Cache wird erstellt. Bitte {count} Sekunden warten.'
+            },
+            'noFrames.noHistory': 'Noch keine historischen Cache-Daten verfügbar. Eine Cache-Aktualisierung wurde im Hintergrund gestartet.',
+            'noFrames.locationMissing': 'Keine Cache-Daten für diesen Ort gefunden. Eine Cache-Aktualisierung wurde im Hintergrund gestartet.',
+            'noFrames.emptyRange': 'Keine Bilder im gewählten Zeitraum gefunden. Wählen Sie einen anderen Zeitraum oder warten Sie auf weitere Cache-Daten.',
+            'noFrames.waiting': 'Noch keine Radarbilder verfügbar. Der Cache wird im Hintergrund erstellt, die Bilder werden danach automatisch geladen.',
+            'noFrames.frameInfo': 'Warte auf die Erstellung des Cache...',
+            'offline.banner': '📦 Offline — in diesem Browser gespeicherte Radarbilder werden angezeigt (gespeichert {time}). Live-Daten werden automatisch geladen, sobald der Dienst erreichbar ist.',
+            
+            // Cache & Update Status card
+            'cacheStatus.checking': 'Wird geprüft...',
+            'cacheStatus.offline': 'Offline',
+            'cacheStatus.updating': 'Aktualisierung',
+            'cacheStatus.generating': 'Wird erstellt',
+            'cacheStatus.valid': 'Gültig',
+            'cacheStatus.invalid': 'Ungültig',
+            'badge.cached': 'IM CACHE',
+            'badge.inProgress': 'LÄUFT',
+            'badge.active': 'AKTIV',
+            'badge.expired': 'ABGELAUFEN',
+            'update.offline': 'In diesem Browser gespeicherte Bilder werden angezeigt, solange der Dienst nicht erreichbar ist',
+            'update.inProgress': 'Aktualisierung läuft • Voraussichtlich fertig: {time} ({relative})',
+            'update.inProgressWithStage': 'Aktualisierung läuft ({stage}) • Voraussichtlich fertig: {time} ({relative})',
+            'update.inProgressTitle': 'Die Schätzung beruht auf früheren Messwerten und dem aktuellen Fortschritt. Sie wird mit jeder abgeschlossenen Aktualisierung genauer.',
+            'update.inProgressNoEstimate': 'Aktualisierung läuft, bitte warten...',
+            'update.inProgressNoEstimateTitle': 'Die Cache-Aktualisierung läuft. Die Fertigstellung wird geschätzt, sobald Fortschritt gemeldet wird.',
+            'update.valid': 'Cache ist gültig, keine Aktualisierung nötig',
+            'update.scheduled': 'Aktualisierung geplant: {time} ({relative})',
+            'update.scheduledTitle': 'Geschätzter Zeitpunkt, zu dem die Cache-Aktualisierung gestartet oder abgeschlossen wird. Beruht auf Messwerten früherer Aktualisierungen.',
+            'update.background': 'Die Aktualisierung wird vom Hintergrunddienst gestartet',
+            'update.backgroundTitle': 'Der Hintergrunddienst zur Cache-Verwaltung prüft und aktualisiert den Cache regelmäßig.',
+            'update.generating': 'Cache wird erstellt, bitte warten...',
+            'update.generatingReadyIn': {
+                one: 'Cache wird erstellt. Voraussichtlich fertig in {count} Sekunde.',
+                other: 'Cache wird erstellt. Voraussichtlich fertig in {count} Sekunden.'
+            },
+            'update.estimationNote': 'Die Schätzungen werden genauer, je mehr Aktualisierungen abgeschlossen sind',
+            'stage.initializing': 'Browser wird gestartet',
+            'stage.capturingFrames': 'Bilder werden erfasst',
+            'stage.capturingFrame': 'Bild {frame} von {total} wird erfasst',
+            'stage.saving': 'Wird gespeichert',
+            'stage.savingFrames': 'Bilder werden gespeichert',
+            
+            // Update progress view
+            'progress.elapsed': '{elapsed} von geschätzt ~{estimate} vergangen',
+            'progress.elapsedNoEstimate': '{elapsed} vergangen (keine Schätzung, bis eine Aktualisierung abgeschlossen ist)',
+            'progress.stalled': 'Seit {duration} kein Fortschritt - die Aktualisierung hängt möglicherweise',
+            'progress.slow': 'Langsamer als üblich (meist {typical}), aber es geht voran',
+            'progress.onTrack': 'Läuft normal',
+            'progress.history': 'Letzte Aktualisierungen',
+            'progress.historyTypical': 'Letzte Aktualisierungen (meist {typical})',
+            
+            // Cache range (settings modal)
+            'cacheRange.unavailable': 'Cache-Zeitraum konnte nicht geladen werden',
+            'cacheRange.empty': 'Keine Cache-Daten verfügbar',
+            'cacheRange.oldest': 'Ältestes: {time}',
+            'cacheRange.newest': 'Neuestes: {time}',
+            'cacheRange.total': {
+                one: 'Gesamt: {count} Cache-Ordner ({hours} Stunden)',
+                other: 'Gesamt: {count} Cache-Ordner ({hours} Stunden)'
+            },
+            
+            // Player
+            'player.play': '▶ Abspielen',
+            'player.pause': '⏸ Pause',
+            'player.loading': 'Radardaten werden geladen...',
+            'player.previous': '◀ Zurück',
+            'player.next': 'Weiter ▶',
+            'player.imageLabel': 'Radarbild',
+            'player.copyLink': '🔗 Link kopieren',
+            'player.exportTitle': 'Die Animation als GIF oder WebM herunterladen',
+            'player.export': '⬇ Exportieren',
+            'player.copyLinkTitle': 'Einen Link kopieren, der genau diese Ansicht öffnet',
+            'player.bookmarkTitle': 'Dieses Bild mit einem Lesezeichen versehen, um eine Notiz hinzuzufügen oder darauf zu zeichnen (B)',
+            'player.describeTitle': 'Den Regen in diesem Bild in Worten beschreiben (D)',
+            'player.describe': '📝 Beschreiben',
+            
+            // Frame controls and frame info
+            'frames.back': {
+                one: '{count} Bild zurück',
+                other: '{count} Bilder zurück'
+            },
+            'frames.forward': {
+                one: '{count} Bild vor',
+                other: '{count} Bilder vor'
+            },
+            'frames.first': 'Erstes Bild',
+            'frames.last': 'Letztes Bild',
+            'frames.slider': 'Bildregler',
+            'frames.frameLabel': 'Bild:',
+            'frames.timeLabel': 'Zeit:',
+            'frames.progressLabel': 'Fortschritt:',
+            'frames.forecastNote': '🔮 Der orange Teil des Reglers ist eine aus der jüngsten Radarbewegung hochgerechnete Vorhersage, keine Beobachtung',
+            'frameInfo.frame': 'Bild {frame} von {last}',
+            'frameInfo.frameAt': 'Bild {frame} von {last} • {time}',
+            'frameInfo.frameMinutesAgo': {
+                one: 'Bild {frame} von {last} • vor {count} Minute',
+                other: 'Bild {frame} von {last} • vor {count} Minuten'
+            },
+            'frameInfo.forecast': 'Vorhersage +{minutes} Min. • {time} • aus der Radarbewegung hochgerechnet, nicht beobachtet',
+            'frameInfo.offline': '{text} • Offline-Cache',
+            
+            // Playback options
+            'playback.mode': 'Modus',
+            'playback.loop': '🔁 Schleife',
+            'playback.bounce': '↔ Hin und zurück',
+            'playback.reverse': '⏪ Rückwärts',
+            'playback.speed': 'Tempo',
+            'loop.startMarked': 'A bei {time} - B markieren, um dazwischen zu wiederholen',
+            'loop.endMarked': 'B bei {time} - A markieren, um dazwischen zu wiederholen',
+            'loop.looping': {
+                one: 'Schleife {start} → {end} ({count} Bild)',
+                other: 'Schleife {start} → {end} ({count} Bilder)'
+            },
+            'loop.outsideFrames': 'Der markierte A–B-Bereich liegt außerhalb der geladenen Bilder - alle Bilder werden abgespielt',
+            'loop.startTitle': 'Das aktuelle Bild als Anfang der Schleife markieren',
+            'loop.startLabel': 'Schleifenanfang markieren (A)',
+            'loop.endTitle': 'Das aktuelle Bild als Ende der Schleife markieren',
+            'loop.endLabel': 'Schleifenende markieren (B)',
+            'loop.clearTitle': 'Wieder alle Bilder abspielen',
+            'loop.clearLabel': 'A–B-Schleife aufheben',
+            
+            // Cache administration
+            'cacheAdmin.location': 'Server-Cache für {place}',
+            'cacheAdmin.thisLocation': 'diesen Ort',
+            'cacheAdmin.unreachable': 'die API ist nicht erreichbar',
+            'cacheAdmin.unexpectedError': 'unerwarteter Fehler',
+            'cacheAdmin.noFolders': 'Keine Cache-Ordner',
+            'cacheAdmin.empty': 'Für diesen Ort ist noch nichts im Cache.',
+            'cacheAdmin.summary': {
+                one: '{count} Ordner • {frames} Bilder',
+                other: '{count} Ordner • {frames} Bilder'
+            },
+            'cacheAdmin.cachedColumn': 'Gespeichert',
+            'cacheAdmin.observationColumn': 'Beobachtung',
+            'cacheAdmin.framesColumn': 'Bilder',
+            'cacheAdmin.folderColumn': 'Ordner',
+            'cacheAdmin.listFailed': 'Cache-Ordner konnten nicht aufgelistet werden: {reason}',
+            'cacheAdmin.refreshFailed': 'Aktualisierung fehlgeschlagen: {reason}',
+            'cacheAdmin.refreshRequested': 'Cache-Aktualisierung angefordert.',
+            'cacheAdmin.refreshExpected': '{message} Erwartet bis {time}.',
+            'cacheAdmin.confirm': 'Den Cache für {place} löschen? Die Bilder lassen sich nicht wiederherstellen; die nächste Anfrage startet eine neue Erfassung.',
+            'cacheAdmin.confirmFolders': {
+                one: 'Den {count} Cache-Ordner für {place} löschen? Die Bilder lassen sich nicht wiederherstellen; die nächste Anfrage startet eine neue Erfassung.',
+                other: 'Alle {count} Cache-Ordner für {place} löschen? Die Bilder lassen sich nicht wiederherstellen; die nächste Anfrage startet eine neue Erfassung.'
+            },
+            'cacheAdmin.deleteFailed': 'Löschen fehlgeschlagen: {reason}',
+            'cacheAdmin.deleted': 'Cache gelöscht.',
+            'cacheAdmin.close': 'Cache-Verwaltung schließen',
+            'cacheAdmin.title': 'Cache-Verwaltung',
+            'cacheAdmin.reloadTitle': 'Die Ordnerliste neu laden',
+            'cacheAdmin.reload': '↻ Neu laden',
+            'cacheAdmin.delete': '🗑 Löschen',
+            'cacheAdmin.keep': 'Cache behalten',
+            'cacheAdmin.refreshTitle': 'Den Server bitten, jetzt neue Bilder für diesen Ort zu erfassen',
+            'cacheAdmin.refresh': '🔄 Cache aktualisieren',
+            'cacheAdmin.deleteAllTitle': 'Alle Cache-Ordner dieses Orts löschen',
+            'cacheAdmin.deleteAll': '🗑 Cache löschen',
+            
+            // Dashboard
+            'dashboard.openInViewer': 'In der Einzelansicht öffnen',
+            'dashboard.remove': 'Vom Dashboard entfernen',
+            'dashboard.removeLabel': '{place} vom Dashboard entfernen',
+            'dashboard.imageLabel': 'Radarbild für {place}',
+            'dashboard.apiUnavailable': 'API nicht verfügbar',
+            'dashboard.noData': 'Noch keine Daten',
+            'dashboard.waitingForCache': 'Warte auf den Cache...',
+            'dashboard.stale': 'Veraltet',
+            'dashboard.playAll': '▶ Alle abspielen',
+            'dashboard.pauseAll': '⏸ Alle anhalten',
+            'dashboard.sync': 'Kacheln im Gleichschritt halten',
+            'dashboard.empty': 'Keine gespeicherten Orte. Fügen Sie in den Einstellungen Orte hinzu, um sie hier zu beobachten.',
+            
+            // Compare mode
+            'compare.shift.now': 'Jetzt',
+            'compare.shift.hourEarlier': '1 Stunde früher',
+            'compare.shift.threeHoursEarlier': '3 Stunden früher',
+            'compare.shift.yesterday': 'Gestern zur gleichen Zeit',
+            'compare.shift.twoDaysEarlier': '2 Tage früher',
+            'compare.shift.weekEarlier': '1 Woche früher',
+            'compare.shiftedSource': '{place} • {shift}',
+            'compare.paneLabel': '{pane} • {source} • {time}',
+            'compare.paneLabelMissing': '{pane} • {source} • {time} (kein Bild zu dieser Zeit)',
+            'compare.noFrames': 'Keine Bilder für diese Zeit',
+            'compare.frameCount': {
+                one: '{count} Bild',
+                other: '{count} Bilder'
+            },
+            'compare.locationLabel': 'Ort von Bereich {pane}',
+            'compare.timespanLabel': 'Zeitraum von Bereich {pane}',
+            'compare.shiftLabel': 'Zeitversatz von Bereich {pane}',
+            'compare.lastTimespan': 'Letzte {timespan}',
+            'compare.layout': 'Anordnung',
+            'compare.layoutSide': 'Nebeneinander',
+            'compare.layoutSwipe': 'Wischen',
+            'compare.paneImageA': 'Vergleichsbereich A',
+            'compare.paneImageB': 'Vergleichsbereich B',
+            'compare.divider': 'Wisch-Trenner',
+            'compare.previous': 'Vorherige Zeit',
+            'compare.next': 'Nächste Zeit',
+            'compare.timeLabel': 'Vergleichszeit',
+            
+            // Sharing and locations
+            'share.copied': '✓ Link kopiert',
+            'share.copyPrompt': 'Diesen Link kopieren:',
+            'locations.none': 'Keine gespeicherten Orte',
+            'locations.current': '{place} (aktuell)',
+            'locations.remove': 'Ort entfernen',
+            'locations.removeLabel': '{place} entfernen',
+            'locations.switch': 'Ort wechseln',
+            
+            // Rain rates and the rainfall probe
+            'rain.none': 'Kein Regen',
+            'rain.rate': '{min}–{max} mm/h ({label})',
+            'rain.rateOpen': '{min}+ mm/h ({label})',
+            'rain.light': 'Leicht',
+            'rain.moderate': 'Mäßig',
+            'rain.heavy': 'Stark',
+            'rain.veryHeavy': 'Sehr stark',
+            'rain.extreme': 'Extrem',
+            'probe.thisFrame': 'Dieses Bild: {rate}',
+            'probe.peak': 'Höchstwert der letzten Stunde: {rate} um {time}',
+            'probe.noRainPastHour': 'Letzte Stunde: kein Regen',
+            'probe.sampling': 'Messung {sampled}/{count}...',
+            'probe.barTitle': '{time}: {rate}',
+            'probe.notSampled': 'noch nicht gemessen',
+            'probe.chartLabel': 'Regenrate am gewählten Punkt für jedes Bild',
+            'probe.imageTitle': 'Klicken, um den Regen an einem Punkt als Diagramm zu zeigen',
+            'probe.title': '🌧 Regen am gewählten Punkt',
+            'probe.clear': 'Punkt entfernen',
+            'probe.clearLabel': 'Messpunkt für Regen entfernen',
+            
+            // Map markers and storm alerts
+            'markers.none': 'Keine Markierungen für diesen Ort',
+            'markers.remove': 'Markierung entfernen',
+            'markers.removeLabel': '{name} entfernen',
+            'storm.bannerTitle': 'Unwetterwarnung',
+            'storm.arrived': 'Starker Regen jetzt bei {name}.',
+            'storm.approachingNow': 'Starker Regen {distance} km von {name}, nähert sich mit etwa {speed} km/h - wahrscheinlich jeden Moment.',
+            'storm.approaching': 'Starker Regen {distance} km von {name}, nähert sich mit etwa {speed} km/h - wahrscheinlich in etwa {minutes} Min.',
+            'storm.notificationArrived': 'Starker Regen ist angekommen',
+            'storm.notificationApproaching': 'Starker Regen zieht heran',
+            'storm.watchCentre': 'Kartenmitte',
+            'storm.watchCentreOf': '{place} (Kartenmitte)',
+            'storm.dismiss': 'Warnung schließen',
+            'storm.dismissLabel': 'Unwetterwarnung schließen',
+            
+            // Bookmarks
+            'bookmarks.bookmark': '🔖 Lesezeichen',
+            'bookmarks.bookmarked': '🔖 Gemerkt',
+            'bookmarks.none': 'Keine Lesezeichen für diesen Ort. Drücken Sie bei einem Bild auf 🔖 Lesezeichen (oder B), um eines hinzuzufügen.',
+            'bookmarks.shapes': {
+                one: '{count} Form',
+                other: '{count} Formen'
+            },
+            'bookmarks.notLoaded': 'Nicht in den geladenen Bildern - ändern Sie den Zeitraum, um es zu sehen',
+            'bookmarks.marker': 'Lesezeichen: {time}',
+            'bookmarks.markerWithNote': 'Lesezeichen: {time} - {note}',
+            'bookmarks.imported': {
+                one: '{count} Lesezeichen importiert.',
+                other: '{count} Lesezeichen importiert.'
+            },
+            'bookmarks.importedOther': {
+                one: '{count} Lesezeichen für {place} importiert - wechseln Sie zu diesem Ort, um es zu sehen.',
+                other: '{count} Lesezeichen für {place} importiert - wechseln Sie zu diesem Ort, um sie zu sehen.'
+            },
+            'bookmarks.importFailed': 'Lesezeichen konnten nicht importiert werden: {reason}',
+            'bookmarks.exported': {
+                one: '{count} Lesezeichen exportiert.',
+                other: '{count} Lesezeichen exportiert.'
+            },
+            'bookmarks.notBookmarksFile': 'Keine Radar-Lesezeichendatei',
+            'bookmarks.noLocationInFile': 'Die Datei gibt nicht an, für welchen Ort die Lesezeichen gelten',
+            'bookmarks.title': '🔖 Lesezeichen',
+            'bookmarks.exportTitle': 'Die Lesezeichen dieses Orts als JSON herunterladen',
+            'bookmarks.export': '⬇ Exportieren',
+            'bookmarks.importTitle': 'Lesezeichen aus einer exportierten JSON-Datei hinzufügen',
+            'bookmarks.import': '⬆ Importieren',
+            'bookmarks.noteLabel': 'Notiz zum Lesezeichen',
+            'bookmarks.notePlaceholder': 'Notiz zu diesem Bild',
+            'bookmarks.draw': 'Zeichnen:',
+            'bookmarks.drawArrowTitle': 'Auf dem Bild ziehen, um einen Pfeil zu zeichnen',
+            'bookmarks.drawArrow': '➚ Pfeil',
+            'bookmarks.drawCircleTitle': 'Von der Mitte nach außen ziehen, um einen Kreis zu zeichnen',
+            'bookmarks.drawCircle': '◯ Kreis',
+            'bookmarks.drawBoxTitle': 'Von Ecke zu Ecke ziehen, um ein Rechteck zu zeichnen',
+            'bookmarks.drawBox': '▭ Rechteck',
+            'bookmarks.colourLabel': 'Formfarbe',
+            'bookmarks.undoTitle': 'Die letzte Form entfernen',
+            'bookmarks.undo': '↶ Rückgängig',
+            'bookmarks.removeTitle': 'Dieses Lesezeichen samt Notiz und Formen entfernen',
+            'bookmarks.remove': '🗑 Entfernen',
+            
+            // Animation export
+            'export.forecastStamp': 'Vorhersage +{minutes} Min. (hochgerechnet)',
+            'export.analysing': 'Farben werden analysiert ({frame}/{count})',
+            'export.encoding': 'Bild {frame}/{count} wird kodiert',
+            'export.loading': 'Bild {frame}/{count} wird geladen',
+            'export.recording': 'Bild {frame}/{count} wird aufgenommen',
+            'export.noFramesToExport': 'Keine Bilder zum Exportieren',
+            'export.webmUnsupported': 'WebM-Aufnahme wird von diesem Browser nicht unterstützt',
+            'export.noFramesLoaded': 'Noch keine Bilder geladen.',
+            'export.intervalNote': {
+                one: '{count} Sekunde pro Bild (aus Einstellungen → Bildintervall)',
+                other: '{count} Sekunden pro Bild (aus Einstellungen → Bildintervall)'
+            },
+            'export.startAfterEnd': 'Das Anfangsbild muss vor dem Endbild liegen.',
+            'export.done': 'Fertig - sehen Sie in Ihren Downloads nach.',
+            'export.failed': 'Export fehlgeschlagen: {reason}',
+            'export.close': 'Export schließen',
+            'export.title': 'Animation exportieren',
+            'export.format': 'Format',
+            'export.gif': 'Animiertes GIF',
+            'export.webm': 'WebM-Video',
+            'export.formatHint': 'GIFs lassen sich überall einfügen; WebM ist kleiner, wird aber in Echtzeit aufgenommen',
+            'export.frames': 'Bilder',
+            'export.firstFrame': 'Erstes Bild',
+            'export.to': 'bis',
+            'export.lastFrame': 'Letztes Bild',
+            'export.size': 'Größe',
+            'export.fullSize': 'Volle Größe',
+            
+            // Frame times and durations
+            'frameTime.forecast': '+{minutes} Min. (Vorhersage)',
+            'frameTime.forecastImageLabel': 'VORHERSAGE +{minutes} Min.',
+            'frameTime.minutesAgo': 'vor {minutes} Min.',
+            'duration.seconds': '{seconds} s',
+            'duration.minutes': '{minutes} min {seconds} s',
+            'duration.minutesOnly': '{minutes} min',
+            'duration.hours': '{hours} h',
+            'duration.hoursMinutes': '{hours} h {minutes} min',
+            
+            // Timeline
+            'timeline.label': 'Zeitleiste',
+            'timeline.folder': {
+                one: '{name}: {start} – {end} ({count} Bild)',
+                other: '{name}: {start} – {end} ({count} Bilder)'
+            },
+            'timeline.gap': 'Keine Daten {start} – {end} ({duration})',
+            'timeline.forecast': 'Vorhersage (hochgerechnet)',
+            
+            // Screen reader announcements and labels
+            'a11y.frameLabel': 'Regenradar für {place}, {time} ({relative})',
+            'a11y.unknownPlace': 'dieses Gebiet',
+            'a11y.forecastLabel': 'Vorhergesagtes Regenradar für {place}, {minutes} Minuten nach der neuesten Beobachtung ({time}, hochgerechnet)',
+            'a11y.frameAnnouncement': 'Bild {position} von {count}: {time} ({relative})',
+            'a11y.forecastAnnouncement': 'Bild {position} von {count}: Vorhersage {minutes} Minuten voraus',
+            'a11y.playing': 'Wiedergabe',
+            'a11y.paused': 'Angehalten',
+            'a11y.connection.connected': 'Mit dem Radardienst verbunden',
+            'a11y.connection.live': 'Live-Aktualisierungen verbunden',
+            'a11y.connection.disconnected': 'Verbindung zum Radardienst verloren. Neuer Versuch läuft.',
+            'a11y.connection.reconnecting': 'Verbindung zum Radardienst wird wiederhergestellt',
+            'a11y.connection.failed': 'Keine Verbindung zum Radardienst möglich. Die Prüfung läuft im Hintergrund weiter.',
+            'a11y.connection.offline': 'Sie sind offline',
+            
+            // Frame description
+            'describe.observed': 'Radar beobachtet {time} ({relative}).',
+            'describe.forecast': 'Vorhersage {minutes} Minuten nach der neuesten Beobachtung ({time}), aus der Regenbewegung hochgerechnet.',
+            'describe.noRain': 'Kein Regen auf der Karte.',
+            'describe.coverageTrace': 'Einige kleine Regenflecken auf der Karte.',
+            'describe.coverage': 'Regen bedeckt etwa {percent} % der Karte.',
+            'describe.heaviest': 'Stärkster Regen: {rate}, etwa {distance} km {direction} von {place}.',
+            'describe.heaviestNoDistance': 'Stärkster Regen: {rate}, {direction} von {place}.',
+            'describe.heaviestAtLocation': 'Stärkster Regen: {rate}, bei {place}.',
+            'describe.rainAtLocation': 'Regen bei {place}: {rate}.',
+            'describe.dryAtLocation': 'Kein Regen bei {place}.',
+            'describe.mapCentre': 'der Kartenmitte',
+            'describe.whilePlaying': 'Halten Sie die Wiedergabe an, um das angezeigte Bild zu beschreiben.',
+            'describe.unavailable': 'Dieses Bild kann nicht beschrieben werden - es wurde nicht geladen.',
+            'direction.north': 'nördlich',
+            'direction.northEast': 'nordöstlich',
+            'direction.east': 'östlich',
+            'direction.southEast': 'südöstlich',
+            'direction.south': 'südlich',
+            'direction.southWest': 'südwestlich',
+            'direction.west': 'westlich',
+            'direction.northWest': 'nordwestlich',
+            
+            // Settings
+            'settings.localeAuto': 'Browsersprache (automatisch)',
+            'settings.timeZonePreview': 'Zeiten werden in {zone} ({label}) angezeigt, z. B. ist es jetzt {time}',
+            'settings.close': 'Einstellungen schließen',
+            'settings.title': 'Einstellungen',
+            'settings.tip': '💡 Tipp',
+            'settings.tipText': 'Passen Sie die Diashow an und wählen Sie längere Zeiträume, um historische Radardaten anzusehen.',
+            'settings.slideshow': 'Diashow',
+            'settings.timespan': 'Zeitraum der Diashow',
+            'settings.timespanLatest': 'Neueste 7 Bilder (Standard)',
+            'settings.timespan1h': 'Letzte Stunde',
+            'settings.timespan3h': 'Letzte 3 Stunden',
+            'settings.timespan6h': 'Letzte 6 Stunden',
+            'settings.timespan12h': 'Letzte 12 Stunden',
+            'settings.timespan24h': 'Letzte 24 Stunden',
+            'settings.timespanCustom': 'Eigener Zeitraum...',
+            'settings.timespanHint': 'Wählen Sie, wie viele historische Daten die Diashow enthält',
+            'settings.cacheRange': '📊 Verfügbarer Cache-Zeitraum:',
+            'settings.frameInterval': 'Bildintervall (Sekunden)',
+            'settings.frameIntervalHint': 'Zeit zwischen den Bildern der Diashow (mindestens 0,1 Sekunden)',
+            'settings.crossfade': 'Überblenddauer (Sekunden)',
+            'settings.crossfadeHint': 'Bilder während der Wiedergabe überblenden (0 für sofortigen Wechsel). Höchstens 80 % des Bildintervalls.',
+            'settings.autoRefresh': 'Automatische Aktualisierung',
+            'settings.refreshInterval': 'Aktualisierungsintervall (Sekunden)',
+            'settings.refreshIntervalHint': 'Wie oft nach neuen Radardaten gesucht wird (mindestens 5 Sekunden)',
+            'settings.customRange': '📅 Eigener Zeitraum',
+            'settings.startTime': 'Anfangszeit ({zone})',
+            'settings.endTime': 'Endzeit ({zone})',
+            'settings.customRangeHint': 'Eigenen Zeitraum wählen (Zeiten in der Anzeige-Zeitzone). Der längste Zeitraum hängt von der Cache-Aufbewahrung ab.',
+            'settings.locations': 'Orte',
+            'settings.addLocation': 'Ort hinzufügen',
+            'settings.suburbPlaceholder': 'Vorort (z. B. Gold Coast)',
+            'settings.add': '➕ Hinzufügen',
+            'settings.locationsHint': 'Gespeicherte Orte erscheinen in der Ortsauswahl und im Dashboard',
+            'settings.mapMarkers': 'Kartenmarkierungen',
+            'settings.radarSiteFor': 'Radarstandort für',
+            'settings.latitude': 'Breitengrad',
+            'settings.longitude': 'Längengrad',
+            'settings.range': 'Reichweite (km)',
+            'settings.radarSiteHint': 'Der Punkt, auf den die Karte zentriert ist, und die Entfernung in km von dort zum linken/rechten Kartenrand vor dem Zuschnitt. Markierungen werden gezeichnet, sobald dies gesetzt ist.',
+            'settings.addMarker': 'Markierung hinzufügen',
+            'settings.markerNamePlaceholder': 'Name (z. B. Depot)',
+            'settings.markersHint': 'Markierungen werden für den aktuellen Ort gespeichert und über jedes Bild gezeichnet',
+            'settings.stormAlerts': 'Unwetterwarnungen',
+            'settings.stormAlertsHint': 'Zeigt ein Banner und eine Browserbenachrichtigung, wenn starker Regen (15 mm/h oder mehr) auf den beobachteten Punkt zuzieht',
+            'settings.stormAlertsSiteNote': 'Legen Sie unter Kartenmarkierungen den Radarstandort fest, um Warnungen für diesen Ort zu aktivieren.',
+            'settings.watchedPoint': 'Beobachteter Punkt',
+            'settings.watchRadius': 'Beobachtungsradius (km)',
+            'settings.warningTime': 'Vorwarnzeit (Minuten)',
+            'settings.stormTrackingHint': 'Regen im Radius wird über die Bilder der letzten 30 Minuten verfolgt, um zu schätzen, wie schnell er näher kommt',
+            'settings.playback': 'Wiedergabe',
+            'settings.forecastFrames': 'Vorhersagebilder',
+            'settings.forecastOff': 'Aus (Standard)',
+            'settings.forecast30': '30 Minuten',
+            'settings.forecast45': '45 Minuten',
+            'settings.forecast60': '60 Minuten',
+            'settings.forecastFramesHint': 'Bilder nach dem neuesten anhängen, indem der Regen entlang seiner jüngsten Bewegung verschoben wird. Das sind Schätzungen: Der Regen wird darin weder stärker noch schwächer.',
+            'settings.endDwell': 'Pause beim neuesten Bild (Sekunden)',
+            'settings.endDwellHint': 'Zusätzliche Zeit auf dem neuesten Bild (oder dem Ende der A–B-Schleife), bevor die Wiedergabe neu beginnt oder umkehrt. Modus, Tempo und A–B-Schleife werden unter dem Player eingestellt.',
+            'settings.autoPlay': 'Beim Laden automatisch abspielen',
+            'settings.autoPlayHint': '(nicht, wenn Ihr System auf reduzierte Bewegung eingestellt ist)',
+            'settings.languageTime': 'Sprache und Zeit',
+            'settings.language': 'Sprache',
+            'settings.timeZone': 'Zeitzone',
+            'settings.timeZoneLocation': 'Zeitzone des Orts (Standard)',
+            'settings.timeZoneLocal': 'Zeitzone dieses Browsers',
+            'settings.timeZoneAustralia': 'Australische Zeitzonen',
+            'settings.timeFormat': 'Zeitformat',
+            'settings.timeFormat12h': '12 Stunden (2:05:00 pm)',
+            'settings.timeFormat24h': '24 Stunden (14:05:00)',
+            'settings.save': '💾 Einstellungen speichern'
+        }
+    }
+};
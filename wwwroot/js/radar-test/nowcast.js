@@ -0,0 +1,353 @@
+// Nowcast - extrapolates forecast frames from rain motion between the newest observed frames
+import { state } from './state.js';
+import { getFramePixels, getRenderer } from './frame-renderer.js';
+import { buildFrameControls } from './frame-navigation.js';
+import { classifyRainColor } from './rain-legend.js';
+import { getElement } from './utils.js';
+import { t } from './i18n.js';
+
+const CELL_SIZE = 4; // pixels per cell of the downsampled rain field used for matching
+const BLOCK_CELLS = 8; // matching block size in cells (32 px)
+const SEARCH_CELLS = 6; // largest displacement searched per frame step, in cells
+const MIN_BLOCK_RAIN = 0.1; // share of rainy cells a block needs before its motion is trusted
+const DEFAULT_STEP_MS = 5 * 60 * 1000;
+const MAX_OBSERVED_AGE_MS = 60 * 60 * 1000; // only nowcast from recent observations
+
+let nowcastToken = 0;
+let forecastUrls = []; // object URLs of the current forecast frame images
+
+/**
+ * Rain level per pixel (-1 = not rain)
+ */
+function classifyPixels(imageData) {
+    const { data } = imageData;
+    const levels = new Int8Array(imageData.width * imageData.height);
+    for (let i = 0, p = 0; p < levels.length; i += 4, p++) {
+        levels[p] = data[i + 3] === 0 ? -1 : classifyRainColor(data[i], data[i + 1], data[i + 2]);
+    }
+    return levels;
+}
+
+/**
+ * Downsample a level field to cells holding the heaviest level + 1 (0 = dry)
+ */
+function buildRainField(levels, width, height) {
+    const cols = Math.ceil(width / CELL_SIZE);
+    const rows = Math.ceil(height / CELL_SIZE);
+    const field = new Uint8Array(cols * rows);
+    for (let y = 0; y < height; y++) {
+        const rowOffset = Math.floor(y / CELL_SIZE) * cols;
+        for (let x = 0; x < width; x++) {
+            const value = levels[y * width + x] + 1;
+            const cell = rowOffset + Math.floor(x / CELL_SIZE);
+            if (value > field[cell]) field[cell] = value;
+        }
+    }
+    return { field, cols, rows, levels };
+}
+
+/**
+ * Sum of absolute differences between a size x size block of the newer field and the older field shifted by (dx, dy)
+ */
+function blockDifference(older, newer, cols, rows, bx, by, size, dx, dy) {
+    let sum = 0;
+    const endX = Math.min(cols, bx + size);
+    const endY = Math.min(rows, by + size);
+    for (let y = by; y < endY; y++) {
+        const sy = Math.min(rows - 1, Math.max(0, y - dy));
+        for (let x = bx; x < endX; x++) {
+            const sx = Math.min(cols - 1, Math.max(0, x - dx));
+            sum += Math.abs(newer[y * cols + x] - older[sy * cols + sx]);
+        }
+    }
+    return sum;
+}
+
+/**
+ * Displacement with the lowest difference in a search window (smaller displacements win ties,
+ * so stationary rain and uniform blocks stay put)
+ */
+function findBestDisplacement(costOf, centreX, centreY, radius) {
+    let best = { dx: centreX, dy: centreY, cost: Infinity };
+    for (let dy = centreY - radius; dy <= centreY + radius; dy++) {
+        for (let dx = centreX - radius; dx <= centreX + radius; dx++) {
+            const cost = costOf(dx, dy);
+            if (cost < best.cost || (cost === best.cost && Math.hypot(dx, dy) < Math.hypot(best.dx, best.dy))) {
+                best = { dx, dy, cost };
+            }
+        }
+    }
+    return best;
+}
+
+/**
+ * Block matching: motion of each rainy block from the older to the newer frame. A coarse search
+ * on the cell fields is refined to whole pixels on the full-resolution levels.
+ * @returns {Array<{ x: number, y: number, vx: number, vy: number }>} block centres (cells), vectors in pixels
+ */
+function matchBlocks(older, newer, image) {
+    const { cols, rows } = newer;
+    const vectors = [];
+    for (let by = 0; by < rows; by += BLOCK_CELLS) {
+        for (let bx = 0; bx < cols; bx += BLOCK_CELLS) {
+            let rainy = 0;
+            let total = 0;
+            for (let y = by; y < Math.min(rows, by + BLOCK_CELLS); y++) {
+                for (let x = bx; x < Math.min(cols, bx + BLOCK_CELLS); x++) {
+                    total++;
+                    if (newer.field[y * cols + x] > 0) rainy++;
+                }
+            }
+            if (rainy / total < MIN_BLOCK_RAIN) continue;
+            
+            const coarse = findBestDisplacement(
+                (dx, dy) => blockDifference(older.field, newer.field, cols, rows, bx, by, BLOCK_CELLS, dx, dy),
+                0, 0, SEARCH_CELLS);
+            const fine = findBestDisplacement(
+                (dx, dy) => blockDifference(older.levels, newer.levels, image.width, image.height,
+                    bx * CELL_SIZE, by * CELL_SIZE, BLOCK_CELLS * CELL_SIZE, dx, dy),
+                coarse.dx * CELL_SIZE, coarse.dy * CELL_SIZE, CELL_SIZE);
+            
+            vectors.push({ x: bx + BLOCK_CELLS / 2, y: by + BLOCK_CELLS / 2, vx: fine.dx, vy: fine.dy });
+        }
+    }
+    return vectors;
+}
+
+/**
+ * Motion per cell (pixels per frame step), interpolated from block vectors by inverse distance weighting
+ */
+function buildMotionField(vectors, cols, rows, stepScale) {
+    const motionX = new Float32Array(cols * rows);
+    const motionY = new Float32Array(cols * rows);
+    for (let y = 0; y < rows; y++) {
+        for (let x = 0; x < cols; x++) {
+            let weightSum = 0;
+            let vx = 0;
+            let vy = 0;
+            for (const v of vectors) {
+                const weight = 1 / (1 + (x - v.x) * (x - v.x) + (y - v.y) * (y - v.y));
+                weightSum += weight;
+                vx += v.vx * weight;
+                vy += v.vy * weight;
+            }
+            motionX[y * cols + x] = (vx / weightSum) * stepScale;
+            motionY[y * cols + x] = (vy / weightSum) * stepScale;
+        }
+    }
+    return { motionX, motionY };
+}
+
+/**
+ * Map colours without rain: the newest frame, with rainy pixels filled from older frames where they
+ * were dry, or from the nearest dry pixel to the left
+ */
+function buildBackground(newest, newestLevels, olderFrames) {
+    const background = new Uint8ClampedArray(newest.data);
+    const { width, height } = newest;
+    for (let p = 0; p < width * height; p++) {
+        if (newestLevels[p] < 0) continue;
+        const i = p * 4;
+        const dry = olderFrames.find(frame => frame.levels[p] < 0);
+        if (dry) {
+            background[i] = dry.imageData.data[i];
+            background[i + 1] = dry.imageData.data[i + 1];
+            background[i + 2] = dry.imageData.data[i + 2];
+            background[i + 3] = dry.imageData.data[i + 3];
+        } else if (p % width > 0) {
+            background[i] = background[i - 4];
+            background[i + 1] = background[i - 3];
+            background[i + 2] = background[i - 2];
+            background[i + 3] = background[i - 1];
+        }
+    }
+    return background;
+}
+
+/**
+ * Advect the newest frame's rain by `steps` frame steps over the background (semi-Lagrangian: each
+ * pixel takes whatever was upstream of it)
+ */
+function renderForecastImage(newest, newestLevels, background, motion, cols, steps) {
+    const { width, height } = newest;
+    const output = new ImageData(new Uint8ClampedArray(background), width, height);
+    for (let y = 0; y < height; y++) {
+        const cellRow = Math.floor(y / CELL_SIZE) * cols;
+        for (let x = 0; x < width; x++) {
+            const cell = cellRow + Math.floor(x / CELL_SIZE);
+            const sx = Math.round(x - motion.motionX[cell] * steps);
+            const sy = Math.round(y - motion.motionY[cell] * steps);
+            if (sx < 0 || sy < 0 || sx >= width || sy >= height) continue;
+            
+            const source = sy * width + sx;
+            if (newestLevels[source] < 0) continue;
+            const i = (y * width + x) * 4;
+            const s = source * 4;
+            output.data[i] = newest.data[s];
+            output.data[i + 1] = newest.data[s + 1];
+            output.data[i + 2] = newest.data[s + 2];
+            output.data[i + 3] = newest.data[s + 3];
+        }
+    }
+    return output;
+}
+
+function imageDataToUrl(imageData) {
+    const canvas = document.createElement('canvas');
+    canvas.width = imageData.width;
+    canvas.height = imageData.height;
+    canvas.getContext('2d').putImageData(imageData, 0, 0);
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => blob ? resolve(URL.createObjectURL(blob)) : reject(new Error('Could not encode forecast frame')), 'image/png');
+    });
+}
+
+/**
+ * Typical time between observed frames
+ */
+function getFrameStepMs(frames) {
+    const times = frames.slice(-7).map(frame => new Date(frame.absoluteObservationTime).getTime());
+    const gaps = times.slice(1).map((time, idx) => time - times[idx]).filter(gap => gap > 0).sort((a, b) => a - b);
+    return gaps.length > 0 ? gaps[Math.floor(gaps.length / 2)] : DEFAULT_STEP_MS;
+}
+
+/**
+ * Extrapolate forecast frames from the newest observed frames
+ * @param {Array} observedFrames - frames in time order (at least two with observation times)
+ * @param {number} minutes - how far ahead to forecast
+ * @returns {Promise<{ frames: Array, urls: string[] }>}
+ */
+export async function generateNowcastFrames(observedFrames, minutes) {
+    const frames = observedFrames.filter(frame => frame.absoluteObservationTime);
+    if (frames.length < 2 || !(minutes > 0)) return { frames: [], urls: [] };
+    
+    const newestFrame = frames[frames.length - 1];
+    const previousFrame = frames[frames.length - 2];
+    const stepMs = getFrameStepMs(frames);
+    const newestTime = new Date(newestFrame.absoluteObservationTime).getTime();
+    const matchedMs = newestTime - new Date(previousFrame.absoluteObservationTime).getTime();
+    if (matchedMs <= 0) return { frames: [], urls: [] };
+    
+    const newest = await getFramePixels(newestFrame);
+    const newestLevels = classifyPixels(newest);
+    const olderFrames = [];
+    for (const frame of frames.slice(-4, -1).reverse()) {
+        const imageData = await getFramePixels(frame);
+        if (imageData.width !== newest.width || imageData.height !== newest.height) continue;
+        olderFrames.push({ imageData, levels: classifyPixels(imageData) });
+    }
+    if (olderFrames.length === 0) return { frames: [], urls: [] };
+    
+    // Motion between the two newest frames, scaled to one frame step
+    const newer = buildRainField(newestLevels, newest.width, newest.height);
+    const older = buildRainField(olderFrames[0].levels, newest.width, newest.height);
+    const vectors = matchBlocks(older, newer, newest);
+    if (vectors.length === 0) return { frames: [], urls: [] }; // no rain to move
+    const motion = buildMotionField(vectors, newer.cols, newer.rows, stepMs / matchedMs);
+    
+    const background = buildBackground(newest, newestLevels, olderFrames);
+    const stepCount = Math.max(1, Math.round((minutes * 60000) / stepMs));
+    const forecastFrames = [];
+    const urls = [];
+    for (let step = 1; step <= stepCount; step++) {
+        const url = await imageDataToUrl(renderForecastImage(newest, newestLevels, background, motion, newer.cols, step));
+        urls.push(url);
+        forecastFrames.push({
+            frameIndex: (newestFrame.frameIndex ?? frames.length - 1) + step,
+            sequentialIndex: newestFrame.sequentialIndex !== undefined ? newestFrame.sequentialIndex + step : undefined,
+            imageUrl: url,
+            absoluteObservationTime: new Date(newestTime + step * stepMs).toISOString(),
+            isForecast: true,
+            forecastMinutes: Math.round((step * stepMs) / 60000)
+        });
+    }
+    return { frames: forecastFrames, urls: urls };
+}
+
+/**
+ * Observed (non-forecast) frames
+ */
+export function getObservedFrames(frames) {
+    return frames.filter(frame => !frame.isForecast);
+}
+
+function releaseForecastUrls(urls) {
+    urls.forEach(url => URL.revokeObjectURL(url));
+}
+
+/**
+ * Label forecast frames on the radar image itself
+ */
+function drawForecastLabel(ctx, { frame, width, height }) {
+    if (!frame?.isForecast) return;
+    
+    const fontSize = Math.max(12, Math.round(height / 24));
+    const text = t('frameTime.forecastImageLabel', { minutes: frame.forecastMinutes });
+    ctx.save();
+    ctx.font = `700 ${fontSize}px sans-serif`;
+    ctx.textBaseline = 'top';
+    const padding = Math.round(fontSize / 2);
+    const textWidth = ctx.measureText(text).width;
+    ctx.fillStyle = 'rgba(253, 126, 20, 0.9)';
+    ctx.fillRect(width - textWidth - padding * 3, padding, textWidth + padding * 2, fontSize + padding);
+    ctx.fillStyle = '#ffffff';
+    ctx.fillText(text, width - textWidth - padding * 2, padding * 1.5);
+    ctx.restore();
+}
+
+/**
+ * Append forecast frames to the loaded frames (or remove them when nowcasting is off).
+ * Resolves true when the frame list changed.
+ */
+export async function updateNowcast(s = state) {
+    const token = ++nowcastToken;
+    const observed = getObservedFrames(s.frames);
+    const minutes = s.settings.nowcastMinutes || 0;
+    const newest = observed[observed.length - 1];
+    const isRecent = newest?.absoluteObservationTime &&
+        Date.now() - new Date(newest.absoluteObservationTime).getTime() <= MAX_OBSERVED_AGE_MS;
+    
+    let forecast = { frames: [], urls: [] };
+    if (minutes > 0 && isRecent) {
+        try {
+            forecast = await generateNowcastFrames(observed, minutes);
+        } catch (error) {
+            console.warn('Nowcast failed:', error);
+        }
+    }
+    
+    // Newer frames arrived (or another update started) while extrapolating
+    const current = getObservedFrames(s.frames);
+    if (token !== nowcastToken || current.length !== observed.length || current.some((frame, idx) => frame !== observed[idx])) {
+        releaseForecastUrls(forecast.urls);
+        return false;
+    }
+    
+    const hadForecast = s.frames.length !== observed.length;
+    if (!hadForecast && forecast.frames.length === 0) return false;
+    
+    const previousUrls = forecastUrls;
+    forecastUrls = forecast.urls;
+    s.frames = [...observed, ...forecast.frames];
+    if (s.currentFrameIndex >= s.frames.length) s.currentFrameIndex = s.frames.length - 1;
+    buildFrameControls(s);
+    // Replaced forecast images are no longer in the frame list, so nothing will decode them again
+    releaseForecastUrls(previousUrls);
+    return true;
+}
+
+/**
+ * Drop forecast frames and their images (location switch)
+ */
+export function clearNowcast() {
+    nowcastToken++;
+    releaseForecastUrls(forecastUrls);
+    forecastUrls = [];
+}
+
+/**
+ * Label forecast frames on the viewer canvas
+ */
+export function setupNowcast() {
+    getRenderer(getElement('radar-image'))?.addOverlay(drawForecastLabel);
+}
@@ -0,0 +1,226 @@
+// Offline frame cache (IndexedDB) and service worker registration
+import { OFFLINE_DB_NAME, OFFLINE_FRAMES_STORE, OFFLINE_RETENTION_HOURS, OFFLINE_MAX_FRAMES_PER_LOCATION, LATEST_FRAME_COUNT } from './config.js';
+import { getLocationKey } from './location.js';
+
+let dbPromise = null;
+const activeObjectUrls = new Map(); // locationKey -> object URLs currently handed out
+const storeRuns = new Map(); // locationKey -> { queued: frames to store when the running store finishes (or null) }
+
+/**
+ * Open (and create/upgrade) the offline database.
+ * The schema is shared with the service worker (radar-sw.js) - keep them in step.
+ */
+function openDatabase() {
+    if (dbPromise) return dbPromise;
+    if (typeof indexedDB === 'undefined') {
+        return Promise.reject(new Error('IndexedDB not available'));
+    }
+    
+    dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(OFFLINE_DB_NAME, 1);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            const store = db.createObjectStore(OFFLINE_FRAMES_STORE, { keyPath: 'id' });
+            store.createIndex('locationKey', 'locationKey');
+            store.createIndex('imageUrl', 'imageUrl');
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+    dbPromise.catch(() => { dbPromise = null; });
+    return dbPromise;
+}
+
+function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Record id: one entry per location, cache folder and observation time
+ */
+function buildFrameId(locationKey, frame) {
+    return `${locationKey}|${frame.cacheFolderName || 'latest'}|${frame.absoluteObservationTime}`;
+}
+
+async function getFrameRecords(locationKey) {
+    const db = await openDatabase();
+    const tx = db.transaction(OFFLINE_FRAMES_STORE, 'readonly');
+    return promisifyRequest(tx.objectStore(OFFLINE_FRAMES_STORE).index('locationKey').getAll(locationKey));
+}
+
+function getRetentionCutoff() {
+    return Date.now() - (OFFLINE_RETENTION_HOURS * 60 * 60 * 1000);
+}
+
+/**
+ * Frames (records or frames to store) that pruning keeps: inside the retention period and among the newest per location
+ */
+function selectRetained(items) {
+    const cutoff = getRetentionCutoff();
+    return items
+        .filter(item => new Date(item.absoluteObservationTime).getTime() >= cutoff)
+        .sort((a, b) => new Date(b.absoluteObservationTime) - new Date(a.absoluteObservationTime))
+        .slice(0, OFFLINE_MAX_FRAMES_PER_LOCATION);
+}
+
+/**
+ * Store frames for a location (skips frames already stored, and frames pruning would delete straight away).
+ * One store runs per location at a time - a call made meanwhile stores its frames when the running one finishes.
+ * Runs in the background - failures are logged and ignored.
+ */
+export async function storeOfflineFrames(s, frames) {
+    if (!s.location || !frames || frames.length === 0) return;
+    
+    const locationKey = getLocationKey(s.location);
+    const run = storeRuns.get(locationKey);
+    if (run) {
+        run.queued = frames;
+        return;
+    }
+    
+    const current = { queued: null };
+    storeRuns.set(locationKey, current);
+    let pending = frames;
+    while (pending) {
+        current.queued = null;
+        await storeLocationFrames(locationKey, pending);
+        pending = current.queued;
+    }
+    storeRuns.delete(locationKey);
+}
+
+async function storeLocationFrames(locationKey, frames) {
+    try {
+        const records = await getFrameRecords(locationKey);
+        const existing = new Set(records.map(r => r.id));
+        const candidates = frames.filter(f => f.absoluteObservationTime && !f.fromOfflineCache && !existing.has(buildFrameId(locationKey, f)));
+        const retained = new Set(selectRetained([...records, ...candidates]));
+        const newFrames = candidates.filter(frame => retained.has(frame));
+        
+        for (const frame of newFrames) {
+            const response = await fetch(frame.imageUrl, { signal: AbortSignal.timeout(10000) });
+            if (!response.ok) continue;
+            const blob = await response.blob();
+            
+            const db = await openDatabase();
+            const tx = db.transaction(OFFLINE_FRAMES_STORE, 'readwrite');
+            tx.objectStore(OFFLINE_FRAMES_STORE).put({
+                id: buildFrameId(locationKey, frame),
+                locationKey: locationKey,
+                absoluteObservationTime: frame.absoluteObservationTime,
+                cacheFolderName: frame.cacheFolderName || null,
+                cacheTimestamp: frame.cacheTimestamp || null,
+                frameIndex: frame.frameIndex,
+                imageUrl: frame.imageUrl,
+                blob: blob,
+                storedAt: new Date().toISOString()
+            });
+            await new Promise((resolve, reject) => {
+                tx.oncomplete = resolve;
+                tx.onerror = () => reject(tx.error);
+            });
+        }
+        
+        await pruneOfflineFrames(locationKey);
+    } catch (error) {
+        console.debug('Could not store frames for offline use:', error);
+    }
+}
+
+/**
+ * Delete frames past the retention period and cap frames per location
+ */
+async function pruneOfflineFrames(locationKey) {
+    const records = await getFrameRecords(locationKey);
+    const retained = new Set(selectRetained(records));
+    const toDelete = records.filter(record => !retained.has(record));
+    if (toDelete.length === 0) return;
+    
+    const db = await openDatabase();
+    const tx = db.transaction(OFFLINE_FRAMES_STORE, 'readwrite');
+    const store = tx.objectStore(OFFLINE_FRAMES_STORE);
+    toDelete.forEach(record => store.delete(record.id));
+}
+
+/**
+ * Build radar data from frames stored offline for a location.
+ * Latest mode returns the newest frames; extended mode returns frames inside the time range.
+ * @returns {Promise<Object|null>} data shaped like fetchRadarData's data, or null if nothing is stored
+ */
+export async function loadOfflineRadarData(s, startTime = null, endTime = null) {
+    if (!s.location) return null;
+    
+    try {
+        const locationKey = getLocationKey(s.location);
+        const records = await getFrameRecords(locationKey);
+        const isExtendedMode = s.settings.timespan !== 'latest';
+        
+        // The same observation can be stored from several cache folders - keep the newest copy
+        const byTime = new Map();
+        records.forEach(record => {
+            const existing = byTime.get(record.absoluteObservationTime);
+            if (!existing || existing.storedAt < record.storedAt) {
+                byTime.set(record.absoluteObservationTime, record);
+            }
+        });
+        
+        let selected = [...byTime.values()].sort((a, b) => new Date(a.absoluteObservationTime) - new Date(b.absoluteObservationTime));
+        if (isExtendedMode) {
+            selected = selected.filter(record => {
+                const time = new Date(record.absoluteObservationTime).getTime();
+                return (!startTime || time >= startTime.getTime()) && (!endTime || time <= endTime.getTime());
+            });
+        } else {
+            selected = selected.slice(-LATEST_FRAME_COUNT);
+        }
+        if (selected.length === 0) return null;
+        
+        // Previous offline frames for this location are no longer shown once replaced
+        (activeObjectUrls.get(locationKey) || []).forEach(url => URL.revokeObjectURL(url));
+        const objectUrls = [];
+        activeObjectUrls.set(locationKey, objectUrls);
+        
+        const frames = selected.map((record, idx) => {
+            const imageUrl = URL.createObjectURL(record.blob);
+            objectUrls.push(imageUrl);
+            return {
+                frameIndex: isExtendedMode ? record.frameIndex : idx,
+                sequentialIndex: idx,
+                absoluteObservationTime: record.absoluteObservationTime,
+                cacheFolderName: record.cacheFolderName || undefined,
+                cacheTimestamp: record.cacheTimestamp || undefined,
+                imageUrl: imageUrl,
+                fromOfflineCache: true
+            };
+        });
+        
+        const newest = selected[selected.length - 1];
+        return {
+            frames: frames,
+            lastUpdated: newest.storedAt,
+            observationTime: newest.absoluteObservationTime,
+            cacheIsValid: false,
+            isUpdating: false,
+            totalFrames: frames.length,
+            isExtendedMode: isExtendedMode,
+            fromOfflineCache: true,
+            offlineStoredAt: newest.storedAt
+        };
+    } catch (error) {
+        console.debug('Could not load offline frames:', error);
+        return null;
+    }
+}
+
+/**
+ * Register the service worker that serves the viewer shell and cached frames offline
+ */
+export function registerOfflineServiceWorker() {
+    if (!('serviceWorker' in navigator)) return;
+    navigator.serviceWorker.register('/radar-sw.js').catch(error => {
+        console.debug('Service worker registration failed:', error);
+    });
+}
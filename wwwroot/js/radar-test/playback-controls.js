@@ -0,0 +1,99 @@
+// Playback options bar - mode (loop, ping-pong, reverse), speed and the A-B loop markers
+import { state } from './state.js';
+import { play, pause, getPlaybackRange } from './slideshow.js';
+import { persistSettings } from './settings.js';
+import { scheduleUrlStateSync } from './url-state.js';
+import { PLAYBACK_MODES, PLAYBACK_SPEEDS } from './config.js';
+import { formatDate, getElement } from './utils.js';
+import { t } from './i18n.js';
+
+/**
+ * Save a playback setting and restart playback so it takes effect on the next frame
+ */
+function changePlaybackSetting(update) {
+    update(state.settings);
+    persistSettings();
+    if (state.isPlaying) {
+        pause();
+        play();
+    }
+    updatePlaybackControls();
+    scheduleUrlStateSync();
+}
+
+/**
+ * Mark the current frame as the A (start) or B (end) of the loop, keeping A before B
+ */
+function markLoopPoint(which) {
+    const frame = state.frames[state.currentFrameIndex];
+    if (!frame?.absoluteObservationTime) return;
+    
+    changePlaybackSetting(settings => {
+        settings[which === 'A' ? 'loopStart' : 'loopEnd'] = frame.absoluteObservationTime;
+        if (settings.loopStart && settings.loopEnd && new Date(settings.loopStart) > new Date(settings.loopEnd)) {
+            [settings.loopStart, settings.loopEnd] = [settings.loopEnd, settings.loopStart];
+        }
+    });
+}
+
+/**
+ * Show the current mode, speed and A-B loop in the playback options bar
+ */
+export function updatePlaybackControls() {
+    const modeSelect = getElement('playback-mode-select');
+    const speedSelect = getElement('playback-speed-select');
+    if (modeSelect) modeSelect.value = state.settings.playbackMode;
+    if (speedSelect) speedSelect.value = String(state.settings.playbackSpeed);
+    
+    const { loopStart, loopEnd } = state.settings;
+    const loopInfoEl = getElement('loop-range-info');
+    const clearBtn = getElement('loop-clear-btn');
+    if (clearBtn) clearBtn.style.display = loopStart || loopEnd ? '' : 'none';
+    if (!loopInfoEl) return;
+    
+    if (!loopStart || !loopEnd) {
+        // One end marked so far - every frame keeps playing until the other is set
+        loopInfoEl.textContent = loopStart ? t('loop.startMarked', { time: formatDate(loopStart) })
+            : loopEnd ? t('loop.endMarked', { time: formatDate(loopEnd) })
+            : '';
+        return;
+    }
+    const range = getPlaybackRange();
+    loopInfoEl.textContent = range.isLoop
+        ? t('loop.looping', { start: formatDate(loopStart), end: formatDate(loopEnd), count: range.end - range.start + 1 })
+        : t('loop.outsideFrames');
+}
+
+/**
+ * Wire up the playback options bar
+ */
+export function setupPlaybackControls() {
+    // Ignore saved values from older versions or hand-edited cookies
+    if (!PLAYBACK_MODES.includes(state.settings.playbackMode)) state.settings.playbackMode = 'loop';
+    if (!PLAYBACK_SPEEDS.includes(Number(state.settings.playbackSpeed))) state.settings.playbackSpeed = 1;
+    
+    const modeSelect = getElement('playback-mode-select');
+    if (modeSelect) {
+        modeSelect.addEventListener('change', (e) => changePlaybackSetting(settings => {
+            settings.playbackMode = e.target.value;
+        }));
+    }
+    
+    const speedSelect = getElement('playback-speed-select');
+    if (speedSelect) {
+        speedSelect.addEventListener('change', (e) => changePlaybackSetting(settings => {
+            settings.playbackSpeed = parseFloat(e.target.value);
+        }));
+    }
+    
+    getElement('loop-start-btn')?.addEventListener('click', () => markLoopPoint('A'));
+    getElement('loop-end-btn')?.addEventListener('click', () => markLoopPoint('B'));
+    getElement('loop-clear-btn')?.addEventListener('click', () => changePlaybackSetting(settings => {
+        settings.loopStart = null;
+        settings.loopEnd = null;
+    }));
+    
+    // Frames reload on refresh and location changes, which can move the range in or out of view
+    document.addEventListener('frameshown', updatePlaybackControls);
+    updatePlaybackControls();
+}
@@ -0,0 +1,294 @@
+// <bom-radar> custom element - an embeddable radar loop built from the viewer modules
+import { createState, dispatchStateEvent } from './state.js';
+import { fetchRadarData, cancelRadarRequests } from './api-client.js';
+import { buildFrameControls, showFrame, findClosestFrameIndex } from './frame-navigation.js';
+import { play, pause, togglePlay, previousFrame, nextFrame } from './slideshow.js';
+import { buildApiBase, normalizeLocation } from './location.js';
+import { loadOfflineRadarData } from './offline-cache.js';
+import { subscribeToLiveUpdates, isLiveConnected } from './live-updates.js';
+import { getRenderer, releaseFrames } from './frame-renderer.js';
+import { getElement } from './utils.js';
+import { prefersReducedMotion } from './a11y.js';
+import { t, translateElements } from './i18n.js';
+import { DEFAULT_SETTINGS, TIMESPAN_OPTIONS, LIVE_REFRESH_DEBOUNCE_MS } from './config.js';
+
+// Viewer styles reused inside the shadow root (resolved next to this module so embedding pages need no extra CSS)
+const STYLESHEETS = ['components.css', 'frame-slider.css', 'bom-radar.css']
+    .map(file => new URL(`../../css/radar-test/${file}`, import.meta.url).href);
+
+// The service that serves this module also serves the API, wherever the embedding page is
+const DEFAULT_API_ORIGIN = new URL('../../', import.meta.url).origin;
+
+const TEMPLATE = `
+    ${STYLESHEETS.map(href => `<link rel="stylesheet" href="${href}">`).join('')}
+    <div class="bom-radar">
+        <div class="radar-image-container">
+            <div class="loading" id="loading" data-i18n="player.loading">Loading radar data...</div>
+            <canvas id="radar-image" class="radar-image" style="display: none;" role="img" aria-label="Radar image" data-i18n-aria-label="player.imageLabel"></canvas>
+        </div>
+        <div class="bom-radar-message" id="message" role="status" style="display: none;"></div>
+        <div class="sr-only" id="sr-announcer" role="status" aria-live="polite"></div>
+        <div class="frame-controls" id="frame-controls"></div>
+        <div class="play-controls">
+            <button class="play-btn" id="play-btn" disabled data-i18n="player.play">▶ Play</button>
+            <button class="play-btn" id="prev-btn" disabled data-i18n="player.previous">◀ Previous</button>
+            <button class="play-btn" id="next-btn" disabled data-i18n="player.next">Next ▶</button>
+        </div>
+        <div class="frame-info" id="frame-info"></div>
+    </div>
+`;
+
+/**
+ * <bom-radar suburb="Brisbane" state="QLD" timespan="3h" frame-interval="1" autoplay>
+ * (autoplay is skipped when the user prefers reduced motion; api-base="https://radar.example.com" points
+ * the element at another service than the one that served this module)
+ *
+ * Methods: play(), pause(), togglePlay(), showFrame(index), refresh()
+ * Events: frameshown ({ index, frame }), play, pause, framesloaded ({ frameCount }), error ({ code, message })
+ * Each element keeps its own state, so any number can share a page.
+ */
+export class BomRadarElement extends HTMLElement {
+    static get observedAttributes() {
+        return ['suburb', 'state', 'timespan', 'frame-interval', 'api-base'];
+    }
+    
+    constructor() {
+        super();
+        this.attachShadow({ mode: 'open' });
+        this.shadowRoot.innerHTML = TEMPLATE;
+        translateElements(this.shadowRoot);
+        this.radarState = null;
+        this.liveRefreshTimeout = null;
+        
+        getElement('play-btn', this.shadowRoot).addEventListener('click', () => this.togglePlay());
+        getElement('prev-btn', this.shadowRoot).addEventListener('click', () => this.radarState && previousFrame(this.radarState));
+        getElement('next-btn', this.shadowRoot).addEventListener('click', () => this.radarState && nextFrame(this.radarState));
+    }
+    
+    connectedCallback() {
+        this.start();
+    }
+    
+    disconnectedCallback() {
+        this.stop();
+    }
+    
+    attributeChangedCallback(name, oldValue, newValue) {
+        if (!this.isConnected || !this.radarState || oldValue === newValue) return;
+        
+        if (name === 'frame-interval') {
+            this.radarState.settings.frameInterval = this.getFrameInterval();
+            if (this.radarState.isPlaying) play(this.radarState); // restarts the timer
+            return;
+        }
+        // A different location, timespan or API needs a fresh load
+        this.start();
+    }
+    
+    /** Frames currently loaded (oldest first) */
+    get frames() {
+        return this.radarState ? [...this.radarState.frames] : [];
+    }
+    
+    get currentFrameIndex() {
+        return this.radarState?.currentFrameIndex ?? 0;
+    }
+    
+    get isPlaying() {
+        return !!this.radarState?.isPlaying;
+    }
+    
+    play() {
+        if (this.radarState) play(this.radarState);
+    }
+    
+    pause() {
+        if (this.radarState) pause(this.radarState);
+    }
+    
+    togglePlay() {
+        if (this.radarState) togglePlay(this.radarState);
+    }
+    
+    showFrame(index) {
+        if (this.radarState) showFrame(index, this.radarState);
+    }
+    
+    getTimespan() {
+        const timespan = this.getAttribute('timespan');
+        return TIMESPAN_OPTIONS.includes(timespan) && timespan !== 'custom' ? timespan : 'latest';
+    }
+    
+    getFrameInterval() {
+        const interval = parseFloat(this.getAttribute('frame-interval'));
+        return interval > 0 ? interval : DEFAULT_SETTINGS.frameInterval;
+    }
+    
+    getApiOrigin() {
+        return (this.getAttribute('api-base') || DEFAULT_API_ORIGIN).replace(/\/+$/, '');
+    }
+    
+    /**
+     * (Re)load for the current attributes
+     */
+    start() {
+        this.stop();
+        
+        const location = normalizeLocation({ suburb: this.getAttribute('suburb'), state: this.getAttribute('state') });
+        if (!location) {
+            this.reportError('invalid_location', t('embed.invalidLocation'));
+            return;
+        }
+        
+        const apiOrigin = this.getApiOrigin();
+        const s = createState({
+            apiBase: buildApiBase(location, apiOrigin),
+            apiOrigin: apiOrigin,
+            location: location,
+            root: this.shadowRoot,
+            eventTarget: this,
+            settings: {
+                ...DEFAULT_SETTINGS,
+                timespan: this.getTimespan(),
+                frameInterval: this.getFrameInterval()
+            }
+        });
+        this.radarState = s;
+        
+        s.liveUnsubscribe = subscribeToLiveUpdates(location, {
+            onNewFrames: () => this.scheduleRefresh(),
+            onCacheUpdated: () => this.scheduleRefresh(),
+            onConnectionChange: (connected) => {
+                s.isLiveConnected = connected;
+                if (connected) {
+                    this.stopPolling();
+                    this.scheduleRefresh();
+                } else {
+                    this.startPolling();
+                }
+            }
+        }, apiOrigin);
+        s.isLiveConnected = isLiveConnected(apiOrigin);
+        
+        this.refresh();
+        this.startPolling();
+    }
+    
+    /**
+     * Stop timers and live updates (the element keeps its last frame on screen)
+     */
+    stop() {
+        const s = this.radarState;
+        if (!s) return;
+        
+        pause(s);
+        this.stopPolling();
+        clearTimeout(this.liveRefreshTimeout);
+        clearTimeout(s.sliderUpdateTimeout);
+        s.liveUnsubscribe?.();
+        cancelRadarRequests(s);
+        releaseFrames(s);
+        this.radarState = null;
+    }
+    
+    startPolling() {
+        const s = this.radarState;
+        if (!s || s.refreshInterval || s.isLiveConnected) return;
+        s.refreshInterval = setInterval(() => this.refresh(), s.settings.refreshInterval * 1000);
+    }
+    
+    stopPolling() {
+        const s = this.radarState;
+        if (s?.refreshInterval) {
+            clearInterval(s.refreshInterval);
+            s.refreshInterval = null;
+        }
+    }
+    
+    scheduleRefresh() {
+        clearTimeout(this.liveRefreshTimeout);
+        this.liveRefreshTimeout = setTimeout(() => this.refresh(), LIVE_REFRESH_DEBOUNCE_MS);
+    }
+    
+    /**
+     * Fetch frames and show them, keeping the frame on screen where it is still present
+     */
+    async refresh() {
+        const s = this.radarState;
+        if (!s) return;
+        
+        const result = await fetchRadarData(s);
+        // A newer refresh replaced this one
+        if (result.error === 'aborted') return;
+        if (result.error === 'network' && s.frames.length === 0) {
+            const offlineData = await loadOfflineRadarData(s);
+            if (offlineData) {
+                result.data = offlineData;
+                delete result.error;
+            }
+        }
+        
+        // Attributes changed or the element was removed while the request was in flight
+        if (s !== this.radarState) return;
+        
+        if (result.error) {
+            const message = result.error === 'network'
+                ? t('embed.unavailable')
+                : (result.message || t('error.generic'));
+            this.reportError(result.error, message);
+            return;
+        }
+        
+        const data = result.data;
+        if (!data?.frames?.length) {
+            this.reportError('no_frames', t('embed.noFrames'));
+            return;
+        }
+        
+        const previousFrame = s.frames[s.currentFrameIndex];
+        const isFirstLoad = s.frames.length === 0;
+        s.radarData = data;
+        s.isExtendedMode = data.isExtendedMode || false;
+        s.frames = s.isExtendedMode ? data.frames : data.frames.sort((a, b) => a.frameIndex - b.frameIndex);
+        s.lastRefreshTime = new Date();
+        
+        this.showMessage(data.fromOfflineCache ? t('embed.offline') : '');
+        ['play-btn', 'prev-btn', 'next-btn'].forEach(id => {
+            getElement(id, this.shadowRoot).disabled = false;
+        });
+        
+        buildFrameControls(s);
+        showFrame(previousFrame?.absoluteObservationTime
+            ? findClosestFrameIndex(previousFrame.absoluteObservationTime, s)
+            : s.frames.length - 1, s);
+        dispatchStateEvent(s, 'framesloaded', { frameCount: s.frames.length });
+        
+        if (isFirstLoad && this.hasAttribute('autoplay') && !prefersReducedMotion()) {
+            play(s);
+        } else if (s.isPlaying) {
+            play(s); // frame count may have changed
+        }
+    }
+    
+    showMessage(text) {
+        const messageEl = getElement('message', this.shadowRoot);
+        messageEl.textContent = text;
+        messageEl.style.display = text ? 'block' : 'none';
+    }
+    
+    /**
+     * Show an error inside the element and fire an `error` event
+     */
+    reportError(code, message) {
+        this.showMessage(message);
+        if (!this.radarState?.frames.length) {
+            getElement('loading', this.shadowRoot).style.display = 'none';
+            getRenderer(getElement('radar-image', this.shadowRoot))?.clear();
+        }
+        this.dispatchEvent(new CustomEvent('error', { detail: { code: code, message: message } }));
+    }
+}
+
+if (!customElements.get('bom-radar')) {
+    customElements.define('bom-radar', BomRadarElement);
+}
@@ -0,0 +1,83 @@
+// BoM radar reflectivity legend - maps radar image colours to rain rate bands (mm/h)
+import { t } from './i18n.js';
+
+/**
+ * Legend colours from lightest to heaviest. minRate/maxRate are the band limits in mm/h
+ * (maxRate null for the top band); labelKey names the band's message. Adjust here if the BoM legend changes.
+ */
+export const RAIN_RATE_LEGEND = [
+    { color: [245, 245, 255], minRate: 0.2, maxRate: 0.5, labelKey: 'rain.light' },
+    { color: [180, 180, 255], minRate: 0.5, maxRate: 1.5, labelKey: 'rain.light' },
+    { color: [120, 120, 255], minRate: 1.5, maxRate: 2.5, labelKey: 'rain.light' },
+    { color: [20, 20, 255], minRate: 2.5, maxRate: 4, labelKey: 'rain.light' },
+    { color: [0, 216, 195], minRate: 4, maxRate: 6, labelKey: 'rain.moderate' },
+    { color: [0, 150, 144], minRate: 6, maxRate: 10, labelKey: 'rain.moderate' },
+    { color: [0, 102, 102], minRate: 10, maxRate: 15, labelKey: 'rain.moderate' },
+    { color: [255, 255, 0], minRate: 15, maxRate: 20, labelKey: 'rain.heavy' },
+    { color: [255, 200, 0], minRate: 20, maxRate: 35, labelKey: 'rain.heavy' },
+    { color: [255, 150, 0], minRate: 35, maxRate: 50, labelKey: 'rain.heavy' },
+    { color: [255, 100, 0], minRate: 50, maxRate: 80, labelKey: 'rain.veryHeavy' },
+    { color: [255, 0, 0], minRate: 80, maxRate: 120, labelKey: 'rain.veryHeavy' },
+    { color: [200, 0, 0], minRate: 120, maxRate: 200, labelKey: 'rain.extreme' },
+    { color: [120, 0, 0], minRate: 200, maxRate: 360, labelKey: 'rain.extreme' },
+    { color: [40, 0, 0], minRate: 360, maxRate: null, labelKey: 'rain.extreme' }
+];
+
+// Largest RGB distance still treated as a legend colour (map background, roads and labels are further away)
+const MAX_COLOR_DISTANCE = 40;
+
+/**
+ * Find the legend level (index into RAIN_RATE_LEGEND) for a colour, or -1 if it isn't rain
+ */
+export function classifyRainColor(r, g, b) {
+    // White is labels/background, not the palest rain colour; black is text and borders, not the heaviest
+    if (r >= 250 && g >= 250 && b >= 250) return -1;
+    if (r <= 20 && g <= 20 && b <= 20) return -1;
+    
+    let bestLevel = -1;
+    let bestDistance = MAX_COLOR_DISTANCE * MAX_COLOR_DISTANCE;
+    RAIN_RATE_LEGEND.forEach((entry, level) => {
+        const dr = r - entry.color[0];
+        const dg = g - entry.color[1];
+        const db = b - entry.color[2];
+        const distance = dr * dr + dg * dg + db * db;
+        if (distance <= bestDistance) {
+            bestDistance = distance;
+            bestLevel = level;
+        }
+    });
+    return bestLevel;
+}
+
+/**
+ * Heaviest legend level in an RGBA pixel block (-1 if no pixel is rain).
+ * Using the heaviest pixel keeps a one-pixel miss or anti-aliased edge from hiding rain.
+ */
+export function classifyRainArea(imageData) {
+    const data = imageData.data;
+    let level = -1;
+    for (let i = 0; i < data.length; i += 4) {
+        if (data[i + 3] === 0) continue;
+        level = Math.max(level, classifyRainColor(data[i], data[i + 1], data[i + 2]));
+    }
+    return level;
+}
+
+/**
+ * Text for a legend level, e.g. "10–15 mm/h (Moderate)"
+ */
+export function describeRainLevel(level) {
+    const entry = RAIN_RATE_LEGEND[level];
+    if (!entry) return t('rain.none');
+    return entry.maxRate === null
+        ? t('rain.rateOpen', { min: entry.minRate, label: t(entry.labelKey) })
+        : t('rain.rate', { min: entry.minRate, max: entry.maxRate, label: t(entry.labelKey) });
+}
+
+/**
+ * CSS colour for a legend level
+ */
+export function getRainLevelColor(level) {
+    const entry = RAIN_RATE_LEGEND[level];
+    return entry ? `rgb(${entry.color.join(', ')})` : 'transparent';
+}
@@ -1,17 +1,22 @@
 // Settings management
-import { getCookie, setCookie } from './utils.js';
+import { getCookie, setCookie, formatDate, getTimeDisplay, getTimeZoneLabel, resolveTimeZone, isValidTimeZone, toDateTimeLocalValue, fromDateTimeLocalValue } from './utils.js';
 import { state } from './state.js';
 import { fetchCacheRange } from './api-client.js';
+import { updateCacheRangeDisplay } from './ui-updater.js';
 import { pause, play } from './slideshow.js';
+import { applyUrlSettings } from './url-state.js';
+import { t, getAvailableLocales, setLocale } from './i18n.js';
 
 /**
- * Load settings from cookies
+ * Load settings from cookies, then apply any settings in the page URL (a shared link wins over the cookie)
  */
 export function loadSettings() {
     const saved = getCookie('radarTestSettings');
     if (saved) {
         state.settings = { ...state.settings, ...saved };
     }
+    applyUrlSettings();
+    setLocale(state.settings.locale);
     updateSettingsUI();
 }
 
@@ -20,27 +25,123 @@ export function loadSettings() {
  */
 export function saveSettings() {
     setCookie('radarTestSettings', state.settings);
+    setLocale(state.settings.locale);
     updateSettingsUI();
     applySettings();
 }
 
+/**
+ * Save settings to cookies without touching the settings modal or timers (for controls outside the modal)
+ */
+export function persistSettings() {
+    setCookie('radarTestSettings', state.settings);
+}
+
 /**
  * Update settings UI elements
  */
 export function updateSettingsUI() {
     document.getElementById('frame-interval-input').value = state.settings.frameInterval;
+    document.getElementById('crossfade-input').value = state.settings.crossfadeDuration;
     document.getElementById('refresh-interval-input').value = state.settings.refreshInterval;
     document.getElementById('auto-play-input').checked = state.settings.autoPlay;
+    document.getElementById('nowcast-select').value = String(state.settings.nowcastMinutes || 0);
+    document.getElementById('end-dwell-input').value = state.settings.endDwell;
     document.getElementById('timespan-select').value = state.settings.timespan || 'latest';
+    document.getElementById('storm-alerts-input').checked = state.settings.stormAlerts;
+    document.getElementById('storm-radius-input').value = state.settings.stormAlertRadiusKm;
+    document.getElementById('storm-lead-input').value = state.settings.stormAlertLeadMinutes;
+    updateLocaleSelect();
+    updateTimeSettingsUI();
     
     // Show/hide custom range section
     const customSection = document.getElementById('custom-range-section');
     if (customSection) {
         customSection.style.display = state.settings.timespan === 'custom' ? 'block' : 'none';
     }
+    // Show the range in the time zone chosen in the modal (named in the input labels)
+    const inputZone = getTimeDisplay(getPreviewState()).timeZone;
+    setRangeInput(document.getElementById('start-time-input'), state.settings.customStartTime, inputZone);
+    setRangeInput(document.getElementById('end-time-input'), state.settings.customEndTime, inputZone);
     
     // Load cache range info when settings modal opens
-    fetchCacheRange();
+    fetchCacheRange().then(updateCacheRangeDisplay);
+}
+
+/**
+ * Fill the language select from the message catalogs and show the locale setting
+ */
+function updateLocaleSelect() {
+    const localeSelect = document.getElementById('locale-select');
+    if (!localeSelect) return;
+    
+    localeSelect.innerHTML = '';
+    localeSelect.add(new Option(t('settings.localeAuto'), 'auto'));
+    getAvailableLocales().forEach(({ locale, name }) => localeSelect.add(new Option(name, locale)));
+    const locale = state.settings.locale || 'auto';
+    localeSelect.value = [...localeSelect.options].some(option => option.value === locale) ? locale : 'auto';
+}
+
+/**
+ * Show the time zone and format settings; a zone set outside the list (cookie or older version) gets its own option
+ */
+function updateTimeSettingsUI() {
+    const zoneSelect = document.getElementById('time-zone-select');
+    if (!zoneSelect) return;
+    
+    const timeZone = state.settings.timeZone || 'location';
+    if (isValidTimeZone(timeZone) && ![...zoneSelect.options].some(option => option.value === timeZone)) {
+        zoneSelect.add(new Option(timeZone, timeZone));
+    }
+    zoneSelect.value = timeZone;
+    document.getElementById('time-format-select').value = state.settings.timeFormat === '24h' ? '24h' : '12h';
+    updateTimeZonePreview();
+}
+
+/**
+ * Show a custom range time in a datetime-local input in a time zone (remembered so a zone change can convert it)
+ */
+function setRangeInput(input, dateString, timeZone) {
+    if (!input) return;
+    input.value = dateString ? toDateTimeLocalValue(dateString, timeZone) : '';
+    input.dataset.timeZone = timeZone || '';
+}
+
+/**
+ * State with the time settings chosen in the modal (before they are saved)
+ */
+function getPreviewState() {
+    return {
+        location: state.location,
+        settings: {
+            timeZone: document.getElementById('time-zone-select').value,
+            timeFormat: document.getElementById('time-format-select').value
+        }
+    };
+}
+
+/**
+ * Describe what the time settings chosen in the modal would show (before they are saved)
+ * and name their zone in the custom range labels
+ */
+export function updateTimeZonePreview() {
+    const previewEl = document.getElementById('time-zone-preview');
+    if (!previewEl) return;
+    
+    const preview = getPreviewState();
+    const zoneLabel = getTimeZoneLabel(preview);
+    // Keep the custom range on the same times when the zone changes
+    const inputZone = getTimeDisplay(preview).timeZone;
+    ['start-time-input', 'end-time-input'].forEach(id => {
+        const input = document.getElementById(id);
+        const date = input?.value ? fromDateTimeLocalValue(input.value, input.dataset.timeZone || undefined) : null;
+        setRangeInput(input, date?.toISOString(), inputZone);
+    });
+    document.getElementById('start-time-label').textContent = t('settings.startTime', { zone: zoneLabel });
+    document.getElementById('end-time-label').textContent = t('settings.endTime', { zone: zoneLabel });
+    
+    const timeZone = resolveTimeZone(preview.settings.timeZone, state.location) || Intl.DateTimeFormat().resolvedOptions().timeZone;
+    previewEl.textContent = t('settings.timeZonePreview', { zone: timeZone, label: zoneLabel, time: formatDate(new Date().toISOString(), preview) });
 }
 
 /**
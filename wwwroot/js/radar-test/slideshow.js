@@ -1,67 +1,151 @@
 // Slideshow controls (play/pause)
-import { state } from './state.js';
-import { showFrame } from './frame-navigation.js';
+import { state, dispatchStateEvent } from './state.js';
+import { showFrame, getFrameDelayMs } from './frame-navigation.js';
+import { scheduleUrlStateSync } from './url-state.js';
+import { waitForFrame } from './frame-renderer.js';
+import { PLAYBACK_WAIT_MS } from './config.js';
+import { getElement } from './utils.js';
+import { t } from './i18n.js';
+import { announce, prefersReducedMotion } from './a11y.js';
+
+/**
+ * Frames played (inclusive indexes) - the marked A-B range, or every frame when no range is set
+ * or the marked times are no longer loaded
+ */
+export function getPlaybackRange(s = state) {
+    const fullRange = { start: 0, end: s.frames.length - 1, isLoop: false };
+    const { loopStart, loopEnd } = s.settings;
+    if (!loopStart || !loopEnd) return fullRange;
+    
+    const startTime = new Date(loopStart).getTime();
+    const endTime = new Date(loopEnd).getTime();
+    const inRange = s.frames
+        .map((frame, index) => ({ index, time: new Date(frame.absoluteObservationTime).getTime() }))
+        .filter(f => f.time >= startTime && f.time <= endTime);
+    if (inRange.length === 0) return fullRange;
+    return { start: inRange[0].index, end: inRange[inRange.length - 1].index, isLoop: true };
+}
+
+/**
+ * Next frame to show for the playback mode (loop, bounce or reverse) within the playback range
+ */
+function getNextPlaybackIndex(s) {
+    const { start, end } = getPlaybackRange(s);
+    const index = s.currentFrameIndex;
+    const mode = s.settings.playbackMode;
+    
+    // Jumped outside the A-B range (or the range just changed) - restart it
+    if (index < start || index > end) {
+        s.playDirection = mode === 'reverse' ? -1 : 1;
+        return mode === 'reverse' ? end : start;
+    }
+    
+    if (mode === 'reverse') {
+        return index > start ? index - 1 : end;
+    }
+    if (mode === 'bounce') {
+        if (start === end) return index;
+        if (index + s.playDirection > end || index + s.playDirection < start) {
+            s.playDirection = -s.playDirection;
+        }
+        return index + s.playDirection;
+    }
+    return index < end ? index + 1 : start;
+}
+
+/**
+ * How long to show the current frame - held longer on the newest frame of the range when an end dwell is set
+ */
+function getPlaybackDelayMs(s) {
+    const dwellMs = s.currentFrameIndex === getPlaybackRange(s).end ? (s.settings.endDwell || 0) * 1000 : 0;
+    return getFrameDelayMs(s) + dwellMs;
+}
+
+function scheduleNextFrame(s) {
+    const timer = setTimeout(async () => {
+        if (s.frames.length === 0) return;
+        const nextIndex = getNextPlaybackIndex(s);
+        // Hold the current frame while the next one loads (for a while) rather than skip ahead of the network
+        await waitForFrame(s.frames[nextIndex], PLAYBACK_WAIT_MS);
+        // Paused, restarted or given new frames while waiting
+        if (s.playInterval !== timer || !s.frames[nextIndex]) return;
+        showFrame(nextIndex, s);
+        scheduleNextFrame(s);
+    }, getPlaybackDelayMs(s));
+    s.playInterval = timer;
+}
 
 /**
  * Play slideshow
  */
-export function play() {
-    if (state.frames.length === 0) return;
+export function play(s = state) {
+    if (s.frames.length === 0) return;
     
-    state.isPlaying = true;
-    const playBtn = document.getElementById('play-btn');
-    if (playBtn) playBtn.textContent = '⏸ Pause';
+    s.isPlaying = true;
+    const playBtn = getElement('play-btn', s.root);
+    if (playBtn) playBtn.textContent = t('player.pause');
     
-    if (state.playInterval) {
-        clearInterval(state.playInterval);
+    if (s.playInterval) {
+        clearTimeout(s.playInterval);
     }
     
-    state.playInterval = setInterval(() => {
-        state.currentFrameIndex = (state.currentFrameIndex + 1) % state.frames.length;
-        showFrame(state.currentFrameIndex);
-    }, state.settings.frameInterval * 1000);
+    s.playDirection = s.settings.playbackMode === 'reverse' ? -1 : 1;
+    scheduleNextFrame(s);
+    dispatchStateEvent(s, 'play');
+    if (s === state) scheduleUrlStateSync();
 }
 
 /**
  * Pause slideshow
  */
-export function pause() {
-    state.isPlaying = false;
-    const playBtn = document.getElementById('play-btn');
-    if (playBtn) playBtn.textContent = '▶ Play';
+export function pause(s = state) {
+    const wasPlaying = s.isPlaying;
+    s.isPlaying = false;
+    const playBtn = getElement('play-btn', s.root);
+    if (playBtn) playBtn.textContent = t('player.play');
     
-    if (state.playInterval) {
-        clearInterval(state.playInterval);
-        state.playInterval = null;
+    if (s.playInterval) {
+        clearTimeout(s.playInterval);
+        s.playInterval = null;
     }
+    if (wasPlaying) dispatchStateEvent(s, 'pause');
+    if (s === state) scheduleUrlStateSync();
 }
 
 /**
- * Toggle play/pause
+ * Toggle play/pause (the user's choice, so it is announced)
  */
-export function togglePlay() {
-    if (state.isPlaying) {
-        pause();
+export function togglePlay(s = state) {
+    if (s.isPlaying) {
+        pause(s);
+        announce(t('a11y.paused'), s);
     } else {
-        play();
+        play(s);
+        if (s.isPlaying) announce(t('a11y.playing'), s);
     }
 }
 
+/**
+ * Should playback start on its own? Follows the auto-play setting, but never when the user prefers reduced motion
+ */
+export function shouldAutoPlay(s = state) {
+    return !!s.settings.autoPlay && !prefersReducedMotion();
+}
+
 /**
  * Go to previous frame
  */
-export function previousFrame() {
-    pause();
-    const newIndex = state.currentFrameIndex > 0 ? state.currentFrameIndex - 1 : state.frames.length - 1;
-    showFrame(newIndex);
+export function previousFrame(s = state) {
+    pause(s);
+    const newIndex = s.currentFrameIndex > 0 ? s.currentFrameIndex - 1 : s.frames.length - 1;
+    showFrame(newIndex, s);
 }
 
 /**
  * Go to next frame
  */
-export function nextFrame() {
-    pause();
-    const newIndex = (state.currentFrameIndex + 1) % state.frames.length;
-    showFrame(newIndex);
+export function nextFrame(s = state) {
+    pause(s);
+    const newIndex = (s.currentFrameIndex + 1) % s.frames.length;
+    showFrame(newIndex, s);
 }
-
@@ -1,41 +1,59 @@
 // Application state management
-import { DEFAULT_SETTINGS } from './config.js';
+import { API_BASE, DEFAULT_SETTINGS } from './config.js';
+
+/**
+ * Create a fresh state object for one radar location.
+ * The viewer page uses the shared `state` below; dashboard tiles and <bom-radar> elements each get their own.
+ * `root` is where the state's elements are looked up by ID (the document, or an element's shadow root).
+ */
+export function createState(overrides = {}) {
+    return {
+        apiBase: API_BASE,
+        apiOrigin: '', // origin of the API when it is not the page's own (<bom-radar api-base>)
+        location: null,
+        currentFrameIndex: 0,
+        frames: [],
+        radarData: null,
+        playInterval: null, // playback timer
+        isPlaying: false,
+        playDirection: 1, // 1 forward, -1 backward (ping-pong playback)
+        lastRefreshTime: null,
+        refreshInterval: null,
+        nextClientCheckTime: null,
+        retryTimeout: null, // next API retry or probe while the API is down
+        nextRetryTime: null,
+        isApiDown: false,
+        circuitState: 'closed', // API circuit breaker: 'closed' (healthy), 'open' (waiting to retry), 'half-open' (trying)
+        suggestedRetryTimeout: null, // retry at the server's retryAfter hint (cache being generated)
+        suggestedRetryTime: null,
+        isLiveConnected: false,
+        liveUnsubscribe: null,
+        retryAttempts: 0,
+        requestGeneration: 0, // tag of the latest fetchRadarData call - older results are discarded
+        requestController: null, // aborts the latest generation's requests
+        cacheRangeInfo: null,
+        historicalData: null,
+        isExtendedMode: false,
+        settings: { ...DEFAULT_SETTINGS },
+        sliderUpdateTimeout: null,
+        root: document,
+        eventTarget: null, // receives frameshown/play/pause events (the <bom-radar> element)
+        ...overrides
+    };
+}
 
 // Export a mutable state object - properties can be mutated even though the object binding is read-only
-export const state = {
-    currentFrameIndex: 0,
-    frames: [],
-    radarData: null,
-    playInterval: null,
-    isPlaying: false,
-    lastRefreshTime: null,
-    refreshInterval: null,
-    nextClientCheckTime: null,
-    retryInterval: null,
-    isApiDown: false,
-    retryAttempts: 0,
-    cacheRangeInfo: null,
-    historicalData: null,
-    isExtendedMode: false,
-    settings: { ...DEFAULT_SETTINGS }
-};
+// The viewer's frameshown/play/pause events are dispatched on the document
+export const state = createState({ location: window.RADAR_LOCATION || null, eventTarget: document });
+
+/**
+ * Dispatch a CustomEvent on a state's event target, if it has one
+ */
+export function dispatchStateEvent(s, type, detail = null) {
+    s.eventTarget?.dispatchEvent(new CustomEvent(type, { detail: detail }));
+}
 
 // Reset state (for testing/debugging)
 export function resetState() {
-    state.currentFrameIndex = 0;
-    state.frames = [];
-    state.radarData = null;
-    state.playInterval = null;
-    state.isPlaying = false;
-    state.lastRefreshTime = null;
-    state.refreshInterval = null;
-    state.nextClientCheckTime = null;
-    state.retryInterval = null;
-    state.isApiDown = false;
-    state.retryAttempts = 0;
-    state.cacheRangeInfo = null;
-    state.historicalData = null;
-    state.isExtendedMode = false;
-    state.settings = { ...DEFAULT_SETTINGS };
+    Object.assign(state, createState({ apiBase: state.apiBase, location: state.location, eventTarget: state.eventTarget }));
 }
-
@@ -0,0 +1,253 @@
+// Storm-approach alerts - tracks heavy rain around a watched point across recent frames and warns before it arrives
+import { state } from './state.js';
+import { getFramePixels } from './frame-renderer.js';
+import { classifyRainColor, RAIN_RATE_LEGEND } from './rain-legend.js';
+import { createMapProjection, getKmPerPixel } from './map-projection.js';
+import { getRadarSite, loadMarkers, getProjectedMarkers } from './map-markers.js';
+import { getElement, escapeHtml } from './utils.js';
+import { t } from './i18n.js';
+
+// Lowest legend level treated as heavy rain (15 mm/h and up)
+const HEAVY_RAIN_LEVEL = RAIN_RATE_LEGEND.findIndex(entry => entry.minRate >= 15);
+const TRACK_WINDOW_MS = 30 * 60 * 1000; // frames from the last 30 minutes are used to estimate motion
+const MIN_TRACK_FRAMES = 3;
+const ARRIVED_KM = 2; // heavy rain this close counts as already at the point
+const MIN_APPROACH_KMH = 3; // slower than this is treated as stationary
+const MAX_SAMPLES_PER_AXIS = 200; // sample grid limit across the watched circle
+
+let checkToken = 0;
+let activeAlertKey = null; // location + watched point of the alert currently raised (notify once per approach)
+let dismissedAlertKey = null;
+
+/**
+ * Watched point in image pixels, with a display name - the location itself (map centre) or a map marker
+ */
+function getWatchedPoint(imageSize) {
+    const site = getRadarSite(state.location);
+    const project = createMapProjection(site, imageSize);
+    if (!project) return null;
+    
+    const markerName = state.settings.stormWatchPoint;
+    const marker = markerName && markerName !== 'centre'
+        ? getProjectedMarkers(state.location, imageSize).find(m => m.name === markerName)
+        : null;
+    if (marker) return { name: marker.name, x: marker.x, y: marker.y };
+    
+    return { name: state.location.suburb, ...project(site.latitude, site.longitude) };
+}
+
+/**
+ * Distance (km) from the point to the nearest heavy rain within the radius, or null if there is none
+ */
+function findNearestHeavyRain(imageData, point, radiusPx, kmPerPixel) {
+    const { width, height, data } = imageData;
+    const step = Math.max(1, Math.ceil((radiusPx * 2) / MAX_SAMPLES_PER_AXIS));
+    const left = Math.max(0, Math.floor(point.x - radiusPx));
+    const right = Math.min(width - 1, Math.ceil(point.x + radiusPx));
+    const top = Math.max(0, Math.floor(point.y - radiusPx));
+    const bottom = Math.min(height - 1, Math.ceil(point.y + radiusPx));
+    let nearestPx = null;
+    
+    for (let y = top; y <= bottom; y += step) {
+        for (let x = left; x <= right; x += step) {
+            const distancePx = Math.hypot(x - point.x, y - point.y);
+            if (distancePx > radiusPx || (nearestPx !== null && distancePx >= nearestPx)) continue;
+            
+            const i = (y * width + x) * 4;
+            if (data[i + 3] === 0) continue;
+            if (classifyRainColor(data[i], data[i + 1], data[i + 2]) >= HEAVY_RAIN_LEVEL) {
+                nearestPx = distancePx;
+            }
+        }
+    }
+    return nearestPx === null ? null : nearestPx * kmPerPixel;
+}
+
+/**
+ * Closing speed (km/h, positive when approaching) from a least-squares fit of distance over time
+ */
+function estimateApproachSpeed(track) {
+    const count = track.length;
+    const meanTime = track.reduce((sum, p) => sum + p.time, 0) / count;
+    const meanDistance = track.reduce((sum, p) => sum + p.distanceKm, 0) / count;
+    let covariance = 0;
+    let variance = 0;
+    track.forEach(p => {
+        covariance += (p.time - meanTime) * (p.distanceKm - meanDistance);
+        variance += (p.time - meanTime) * (p.time - meanTime);
+    });
+    if (variance === 0) return 0;
+    return -(covariance / variance) * 60 * 60 * 1000; // km per ms -> km/h
+}
+
+/**
+ * Work out whether heavy rain is at, or heading for, the watched point
+ * @returns {Promise<{ level: 'arrived'|'approaching', name, distanceKm, speedKmh, etaMinutes } | null>}
+ */
+async function assessStormApproach() {
+    const frames = state.frames.filter(frame => frame.absoluteObservationTime && !frame.isForecast);
+    if (frames.length < MIN_TRACK_FRAMES) return null;
+    
+    const newestTime = new Date(frames[frames.length - 1].absoluteObservationTime).getTime();
+    // Historical views (custom ranges, cached data) say nothing about what is coming now
+    if (Date.now() - newestTime > TRACK_WINDOW_MS) return null;
+    
+    const recent = frames.filter(frame => new Date(frame.absoluteObservationTime).getTime() >= newestTime - TRACK_WINDOW_MS);
+    const trackFrames = recent.length >= MIN_TRACK_FRAMES ? recent : frames.slice(-MIN_TRACK_FRAMES);
+    
+    const track = [];
+    let point = null;
+    let radiusPx = 0;
+    let kmPerPixel = 0;
+    for (const frame of trackFrames) {
+        const imageData = await getFramePixels(frame);
+        if (!point) {
+            const imageSize = { width: imageData.width, height: imageData.height };
+            point = getWatchedPoint(imageSize);
+            kmPerPixel = getKmPerPixel(getRadarSite(state.location), imageSize);
+            if (!point || !kmPerPixel) return null;
+            radiusPx = state.settings.stormAlertRadiusKm / kmPerPixel;
+        }
+        const distanceKm = findNearestHeavyRain(imageData, point, radiusPx, kmPerPixel);
+        if (distanceKm !== null) {
+            track.push({ time: new Date(frame.absoluteObservationTime).getTime(), distanceKm: distanceKm });
+        }
+    }
+    
+    // Nothing heavy in the newest frame means nothing to warn about
+    const latest = track[track.length - 1];
+    if (!latest || latest.time !== newestTime) return null;
+    
+    if (latest.distanceKm <= ARRIVED_KM) {
+        return { level: 'arrived', name: point.name, distanceKm: latest.distanceKm, speedKmh: 0, etaMinutes: 0 };
+    }
+    if (track.length < 2) return null;
+    
+    const speedKmh = estimateApproachSpeed(track);
+    if (speedKmh < MIN_APPROACH_KMH) return null;
+    
+    // The newest frame is already a few minutes old, so count from its observation time
+    const sinceNewestMinutes = Math.max(0, (Date.now() - newestTime) / 60000);
+    const etaMinutes = Math.max(0, ((latest.distanceKm - ARRIVED_KM) / speedKmh) * 60 - sinceNewestMinutes);
+    if (etaMinutes > state.settings.stormAlertLeadMinutes) return null;
+    
+    return { level: 'approaching', name: point.name, distanceKm: latest.distanceKm, speedKmh: speedKmh, etaMinutes: etaMinutes };
+}
+
+function describeAlert(alert) {
+    if (alert.level === 'arrived') {
+        return t('storm.arrived', { name: alert.name });
+    }
+    const params = { distance: Math.round(alert.distanceKm), name: alert.name, speed: Math.round(alert.speedKmh) };
+    return alert.etaMinutes < 1
+        ? t('storm.approachingNow', params)
+        : t('storm.approaching', { ...params, minutes: Math.round(alert.etaMinutes) });
+}
+
+function showAlertBanner(alert) {
+    const bannerEl = getElement('storm-alert-banner');
+    const textEl = getElement('storm-alert-text');
+    if (!bannerEl || !textEl) return;
+    
+    if (!alert) {
+        bannerEl.style.display = 'none';
+        return;
+    }
+    textEl.innerHTML = `⛈ <strong>${escapeHtml(t('storm.bannerTitle'))}</strong> — ${escapeHtml(describeAlert(alert))}`;
+    bannerEl.style.display = 'flex';
+}
+
+function sendNotification(alert) {
+    if (!('Notification' in window) || Notification.permission !== 'granted') return;
+    try {
+        new Notification(alert.level === 'arrived' ? t('storm.notificationArrived') : t('storm.notificationApproaching'), {
+            body: describeAlert(alert),
+            tag: 'radar-storm-alert'
+        });
+    } catch (error) {
+        // Some browsers only allow notifications from a service worker
+        console.debug('Storm alert notification failed:', error);
+    }
+}
+
+/**
+ * Re-check the loaded frames for approaching heavy rain (call after frames load or refresh)
+ */
+export async function checkStormApproach() {
+    const token = ++checkToken;
+    if (!state.settings.stormAlerts || !state.location || state.settings.dashboardMode || state.settings.compareMode) {
+        clearStormAlert();
+        return;
+    }
+    
+    let alert = null;
+    try {
+        alert = await assessStormApproach();
+    } catch (error) {
+        console.debug('Storm approach check failed:', error);
+    }
+    // Frames, location or settings changed while sampling
+    if (token !== checkToken) return;
+    
+    const alertKey = alert ? `${state.location.suburb}|${state.location.state}|${alert.name}` : null;
+    if (alertKey && alertKey !== activeAlertKey) {
+        sendNotification(alert);
+        dismissedAlertKey = null;
+    }
+    activeAlertKey = alertKey;
+    showAlertBanner(alertKey && alertKey !== dismissedAlertKey ? alert : null);
+}
+
+/**
+ * Remove any alert (location switch or alerts turned off)
+ */
+export function clearStormAlert() {
+    checkToken++;
+    activeAlertKey = null;
+    dismissedAlertKey = null;
+    showAlertBanner(null);
+}
+
+/**
+ * Ask for notification permission - call from a user action such as saving settings
+ */
+export function requestStormAlertPermission() {
+    if (state.settings.stormAlerts && 'Notification' in window && Notification.permission === 'default') {
+        Notification.requestPermission().catch(() => {});
+    }
+}
+
+/**
+ * Fill the watched point select with the location itself and its map markers
+ */
+export function renderStormWatchOptions() {
+    const select = getElement('storm-watch-point-select');
+    if (!select) return;
+    
+    const markers = loadMarkers(state.location);
+    const options = [{ value: 'centre', label: state.location ? t('storm.watchCentreOf', { place: state.location.suburb }) : t('storm.watchCentre') }]
+        .concat(markers.map(marker => ({ value: marker.name, label: `📍 ${marker.name}` })));
+    select.innerHTML = options.map(option => `<option value="${escapeHtml(option.value)}">${escapeHtml(option.label)}</option>`).join('');
+    select.value = markers.some(m => m.name === state.settings.stormWatchPoint) ? state.settings.stormWatchPoint : 'centre';
+    
+    const noteEl = getElement('storm-alert-site-note');
+    if (noteEl) noteEl.style.display = getRadarSite(state.location) ? 'none' : 'block';
+}
+
+/**
+ * Set up the alert banner and keep the watched point list in step with map markers
+ */
+export function setupStormWatch() {
+    const dismissBtn = getElement('storm-alert-dismiss');
+    if (dismissBtn) {
+        dismissBtn.addEventListener('click', () => {
+            dismissedAlertKey = activeAlertKey;
+            showAlertBanner(null);
+        });
+    }
+    
+    document.addEventListener('markerschange', () => {
+        renderStormWatchOptions();
+        checkStormApproach();
+    });
+}
@@ -0,0 +1,220 @@
+// Time-proportional timeline for extended mode - cache folder coverage, gaps in the data and time-based scrubbing
+import { escapeHtml, formatDate } from './utils.js';
+import { t, getIntlLocale } from './i18n.js';
+
+const MIN_GAP_MS = 12 * 60 * 1000; // intervals longer than this (and GAP_STEP_FACTOR steps) count as missing data
+const GAP_STEP_FACTOR = 2.5;
+const MAX_TICKS = 8;
+const TICK_INTERVALS_MIN = [5, 10, 15, 30, 60, 120, 180, 360, 720, 1440];
+
+function getFrameTime(frame) {
+    return new Date(frame.absoluteObservationTime).getTime();
+}
+
+/**
+ * Whether frames can be laid out on a timeline (at least two distinct observation times)
+ */
+export function canShowTimeline(frames) {
+    const times = frames.filter(frame => frame.absoluteObservationTime).map(getFrameTime);
+    return times.length > 1 && Math.max(...times) > Math.min(...times);
+}
+
+function formatDuration(ms) {
+    const totalMinutes = Math.round(ms / 60000);
+    const hours = Math.floor(totalMinutes / 60);
+    const minutes = totalMinutes % 60;
+    if (hours === 0) return t('duration.minutesOnly', { minutes: minutes });
+    return minutes === 0 ? t('duration.hours', { hours: hours }) : t('duration.hoursMinutes', { hours: hours, minutes: minutes });
+}
+
+/**
+ * Time span of each cache folder (frames keep their folder name from /timeseries)
+ */
+function buildFolderSegments(frames) {
+    const folders = new Map();
+    frames.forEach(frame => {
+        if (frame.isForecast || !frame.cacheFolderName) return;
+        const time = getFrameTime(frame);
+        const folder = folders.get(frame.cacheFolderName);
+        if (folder) {
+            folder.start = Math.min(folder.start, time);
+            folder.end = Math.max(folder.end, time);
+            folder.frameCount++;
+        } else {
+            folders.set(frame.cacheFolderName, { name: frame.cacheFolderName, start: time, end: time, frameCount: 1 });
+        }
+    });
+    return [...folders.values()].sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Intervals between consecutive observed frames that are much longer than the usual frame step
+ */
+function findGaps(frames) {
+    const times = frames.filter(frame => !frame.isForecast).map(getFrameTime).sort((a, b) => a - b);
+    const steps = times.slice(1).map((time, idx) => time - times[idx]).filter(step => step > 0).sort((a, b) => a - b);
+    if (steps.length === 0) return [];
+    
+    const typicalStep = steps[Math.floor(steps.length / 2)];
+    const threshold = Math.max(MIN_GAP_MS, typicalStep * GAP_STEP_FACTOR);
+    const gaps = [];
+    times.slice(1).forEach((time, idx) => {
+        if (time - times[idx] > threshold) gaps.push({ start: times[idx], end: time });
+    });
+    return gaps;
+}
+
+/**
+ * Milliseconds the time zone is ahead of UTC at a time (the browser's zone when timeZone is undefined)
+ */
+function getZoneOffsetMs(time, timeZone) {
+    if (!timeZone) return -new Date(time).getTimezoneOffset() * 60000;
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+        timeZone: timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric'
+    }).formatToParts(time).map(part => [part.type, part.value]));
+    const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return wallClock - Math.floor(time / 1000) * 1000;
+}
+
+/**
+ * Tick times on whole intervals in the display time zone (e.g. every 2 hours on the hour)
+ */
+function buildTicks(start, end, timeZone) {
+    const span = end - start;
+    const intervalMin = TICK_INTERVALS_MIN.find(minutes => span / (minutes * 60000) <= MAX_TICKS) || TICK_INTERVALS_MIN[TICK_INTERVALS_MIN.length - 1];
+    const intervalMs = intervalMin * 60000;
+    // Align in the display zone so ticks land on its hours/midnight
+    const offsetMs = getZoneOffsetMs(start, timeZone);
+    const first = Math.ceil((start + offsetMs) / intervalMs) * intervalMs - offsetMs;
+    const ticks = [];
+    for (let time = first; time <= end; time += intervalMs) {
+        ticks.push(time);
+    }
+    return ticks;
+}
+
+/**
+ * Day and time for folder and gap tooltips, matching the tick labels
+ */
+function formatTimelineTime(time, timeDisplay) {
+    return new Date(time).toLocaleString(getIntlLocale(), { ...timeDisplay, weekday: 'short', hour: '2-digit', minute: '2-digit' });
+}
+
+function formatTickLabel(time, previousTime, timeDisplay) {
+    const date = new Date(time);
+    const label = date.toLocaleTimeString(getIntlLocale(), { ...timeDisplay, hour: '2-digit', minute: '2-digit' });
+    const dayOf = (value) => new Date(value).toLocaleDateString(getIntlLocale(), { timeZone: timeDisplay.timeZone });
+    const isNewDay = previousTime === null || dayOf(previousTime) !== dayOf(time);
+    return isNewDay ? `${date.toLocaleDateString(getIntlLocale(), { timeZone: timeDisplay.timeZone, weekday: 'short' })} ${label}` : label;
+}
+
+/**
+ * Render the timeline into a container
+ * @param {HTMLElement} container
+ * @param {Array} frames - frames in time order
+ * @param {{ onSeek: (time: number) => void, timeDisplay: { timeZone, hourCycle } }} options - onSeek is called with
+ *   the time under the pointer while dragging; labels are shown in timeDisplay's zone and hour cycle
+ */
+export function renderTimeline(container, frames, { onSeek, timeDisplay }) {
+    const timedFrames = frames.filter(frame => frame.absoluteObservationTime);
+    const start = Math.min(...timedFrames.map(getFrameTime));
+    const end = Math.max(...timedFrames.map(getFrameTime));
+    const span = end - start;
+    const percent = time => ((time - start) / span) * 100;
+    
+    const folderHtml = buildFolderSegments(timedFrames).map((folder, idx) => {
+        const title = t('timeline.folder', { name: folder.name, start: formatTimelineTime(folder.start, timeDisplay), end: formatTimelineTime(folder.end, timeDisplay), count: folder.frameCount });
+        return `<div class="timeline-folder${idx % 2 ? ' timeline-folder-alt' : ''}" style="left: ${percent(folder.start)}%; width: ${Math.max(0.3, percent(folder.end) - percent(folder.start))}%;" title="${escapeHtml(title)}"></div>`;
+    }).join('');
+    
+    const gapHtml = findGaps(timedFrames).map(gap => {
+        const title = t('timeline.gap', { start: formatTimelineTime(gap.start, timeDisplay), end: formatTimelineTime(gap.end, timeDisplay), duration: formatDuration(gap.end - gap.start) });
+        return `<div class="timeline-gap" style="left: ${percent(gap.start)}%; width: ${percent(gap.end) - percent(gap.start)}%;" title="${escapeHtml(title)}"></div>`;
+    }).join('');
+    
+    const forecastFrames = timedFrames.filter(frame => frame.isForecast);
+    const forecastHtml = forecastFrames.length > 0
+        ? `<div class="timeline-forecast" style="left: ${percent(getFrameTime(forecastFrames[0]))}%; right: 0;" title="${escapeHtml(t('timeline.forecast'))}"></div>`
+        : '';
+    
+    const frameTickHtml = timedFrames.map(frame => `<div class="timeline-frame-tick" style="left: ${percent(getFrameTime(frame))}%;"></div>`).join('');
+    
+    let previousTick = null;
+    const labelHtml = buildTicks(start, end, timeDisplay.timeZone).map(time => {
+        const label = formatTickLabel(time, previousTick, timeDisplay);
+        previousTick = time;
+        return `<span class="timeline-label" style="left: ${percent(time)}%;">${escapeHtml(label)}</span>`;
+    }).join('');
+    
+    container.innerHTML = `
+        <div class="timeline-track">
+            ${folderHtml}${gapHtml}${forecastHtml}${frameTickHtml}
+            <div class="timeline-cursor"></div>
+        </div>
+        <div class="timeline-labels">${labelHtml}</div>
+    `;
+    container.dataset.start = String(start);
+    container.dataset.end = String(end);
+    container.setAttribute('role', 'slider');
+    container.setAttribute('aria-label', t('timeline.label'));
+    container.setAttribute('aria-valuemin', String(start));
+    container.setAttribute('aria-valuemax', String(end));
+    
+    // Drag by time: the pointer position maps to a time, the caller picks the closest frame
+    const track = container.querySelector('.timeline-track');
+    const timeAtPointer = (e) => {
+        const rect = track.getBoundingClientRect();
+        if (!rect.width) return null;
+        const ratio = Math.max(0, Math.min(1, (e.clientX - rect.left) / rect.width));
+        return start + ratio * span;
+    };
+    let dragging = false;
+    track.addEventListener('pointerdown', (e) => {
+        const time = timeAtPointer(e);
+        if (time === null) return;
+        dragging = true;
+        track.setPointerCapture?.(e.pointerId);
+        onSeek(time);
+    });
+    track.addEventListener('pointermove', (e) => {
+        if (!dragging) return;
+        const time = timeAtPointer(e);
+        if (time !== null) onSeek(time);
+    });
+    const endDrag = (e) => {
+        dragging = false;
+        track.releasePointerCapture?.(e.pointerId);
+    };
+    track.addEventListener('pointerup', endDrag);
+    track.addEventListener('pointercancel', endDrag);
+}
+
+/**
+ * Position of a frame along a rendered timeline (0-100)
+ */
+export function getTimelinePercent(container, frame) {
+    const start = Number(container.dataset.start);
+    const end = Number(container.dataset.end);
+    return ((getFrameTime(frame) - start) / (end - start)) * 100;
+}
+
+/**
+ * Move the timeline cursor to a frame (s: the state whose time settings describe it)
+ */
+export function updateTimelineCursor(container, frame, s) {
+    const cursor = container?.querySelector('.timeline-cursor');
+    if (!cursor || !frame?.absoluteObservationTime) return;
+    
+    const time = getFrameTime(frame);
+    cursor.style.left = `${getTimelinePercent(container, frame)}%`;
+    cursor.classList.toggle('timeline-cursor-forecast', !!frame.isForecast);
+    container.setAttribute('aria-valuenow', String(time));
+    container.setAttribute('aria-valuetext', formatDate(frame.absoluteObservationTime, s));
+}
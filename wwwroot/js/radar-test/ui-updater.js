@@ -1,9 +1,32 @@
 // UI update functions
-import { formatDate, getRelativeTime, setElementText, setElementHTML, getElement } from './utils.js';
+import { formatDate, getRelativeTime, setElementText, setElementHTML, getElement, escapeHtml } from './utils.js';
 import { state } from './state.js';
+import { MAX_RETRY_ATTEMPTS } from './config.js';
+import { updateProgressTimes } from './update-progress.js';
+import { t } from './i18n.js';
+import { announce } from './a11y.js';
+
+// Cache status -> badge class and badge message key for the Cache & Update Status card
+const CACHE_STATUS_BADGES = {
+    offline: ['status-offline', 'badge.cached'],
+    updating: ['status-updating', 'badge.inProgress'],
+    generating: ['status-updating', 'badge.inProgress'],
+    valid: ['status-valid', 'badge.active'],
+    invalid: ['status-invalid', 'badge.expired']
+};
+
+let lastApiStatus = 'connected'; // the page starts as connected ("Active"); changes are announced
+
+/**
+ * Status text and badge for the Cache & Update Status card ('offline', 'updating', 'generating', 'valid', 'invalid')
+ */
+function renderCacheStatus(status) {
+    const [badgeClass, badgeKey] = CACHE_STATUS_BADGES[status];
+    return `${escapeHtml(t(`cacheStatus.${status}`))} <span class="status-badge ${badgeClass}">${escapeHtml(t(badgeKey))}</span>`;
+}
 
 /**
- * Update API connection status indicator
+ * Update API connection status indicator (a change is read out to screen reader users)
  */
 export function updateApiStatus(status) {
     const refreshStatusEl = getElement('refresh-status');
@@ -12,50 +35,126 @@ export function updateApiStatus(status) {
     if (!refreshStatusEl || !refreshIndicatorEl) return;
     
     if (status === 'connected') {
-        refreshStatusEl.textContent = 'Active';
+        refreshStatusEl.textContent = t('apiStatus.connected');
+        refreshIndicatorEl.style.background = '#28a745';
+        refreshIndicatorEl.style.animation = 'pulse 2s infinite';
+    } else if (status === 'live') {
+        refreshStatusEl.textContent = t('apiStatus.live');
         refreshIndicatorEl.style.background = '#28a745';
         refreshIndicatorEl.style.animation = 'pulse 2s infinite';
     } else if (status === 'disconnected') {
-        refreshStatusEl.textContent = 'Reconnecting...';
+        refreshStatusEl.textContent = t('apiStatus.disconnected');
         refreshIndicatorEl.style.background = '#ffc107';
         refreshIndicatorEl.style.animation = 'pulse 1s infinite';
+    } else if (status === 'reconnecting') {
+        refreshStatusEl.textContent = t('apiStatus.reconnecting');
+        refreshIndicatorEl.style.background = '#ffc107';
+        refreshIndicatorEl.style.animation = 'pulse 0.5s infinite';
     } else if (status === 'failed') {
-        refreshStatusEl.textContent = 'Connection Failed';
+        refreshStatusEl.textContent = t('apiStatus.failed');
         refreshIndicatorEl.style.background = '#dc3545';
         refreshIndicatorEl.style.animation = 'none';
+    } else if (status === 'offline') {
+        refreshStatusEl.textContent = t('apiStatus.offline');
+        refreshIndicatorEl.style.background = '#6c757d';
+        refreshIndicatorEl.style.animation = 'none';
+    }
+    
+    if (status !== lastApiStatus) {
+        announce(t(`a11y.connection.${status}`));
     }
+    lastApiStatus = status;
 }
 
 /**
- * Show error message
+ * Describe the API circuit breaker for the Auto Refresh card (empty while the API is healthy)
  */
-export function showError(message) {
+function describeCircuit() {
+    if (!state.isApiDown) return '';
+    if (state.circuitState === 'half-open') return t('circuit.halfOpen');
+    if (navigator.onLine === false) return t('circuit.waitingForNetwork');
+    
+    const next = state.nextRetryTime ? t('circuit.nextTry', { time: getRelativeTime(state.nextRetryTime.toISOString()) }) : '';
+    if (state.retryAttempts < MAX_RETRY_ATTEMPTS) {
+        return t('circuit.retrying', { attempt: state.retryAttempts, max: MAX_RETRY_ATTEMPTS }) + next;
+    }
+    return t('circuit.probing') + next;
+}
+
+/**
+ * Show the circuit breaker state and the Reconnect now button while the API is down
+ */
+export function updateCircuitStatus() {
+    const circuitEl = getElement('api-circuit-status');
+    if (circuitEl) {
+        circuitEl.textContent = describeCircuit();
+        circuitEl.style.display = state.isApiDown ? 'block' : 'none';
+    }
+    const reconnectBtn = getElement('reconnect-btn');
+    if (reconnectBtn) {
+        reconnectBtn.style.display = state.isApiDown ? 'inline-block' : 'none';
+        reconnectBtn.disabled = state.circuitState === 'half-open';
+    }
+}
+
+/**
+ * Show error message, optionally with an action button ({ label, onClick }).
+ * isRetrying shows it as a warning - the viewer is already retrying.
+ */
+export function showError(message, action = null, { isRetrying = false } = {}) {
     const container = getElement('error-container');
     if (!container) return;
     
-    const isRetrying = message.includes('Retrying');
     const errorClass = isRetrying ? 'error retrying' : 'error';
-    container.innerHTML = `<div class="${errorClass}">${isRetrying ? '⚠️ ' : '❌ Error: '}${message}</div>`;
+    let html = `<div class="${errorClass}">${isRetrying ? '⚠️ ' : t('error.prefix')}${message}`;
+    if (action) {
+        html += `<div><button class="play-btn" id="error-action-btn" style="margin-top: 10px; padding: 8px 16px; font-size: 0.9em;">${action.label}</button></div>`;
+    }
+    container.innerHTML = html + '</div>';
+    if (action) getElement('error-action-btn').addEventListener('click', action.onClick);
 }
 
 /**
- * Show graceful "no frames" message
+ * Countdown text for the retry at the server's retryAfter hint
  */
-export function showNoFramesMessage(message, refreshEndpoint = null) {
+function describeRetryCountdown(retryAt) {
+    const seconds = Math.max(0, Math.ceil((retryAt - Date.now()) / 1000));
+    if (seconds === 0) return t('retry.now');
+    const minutes = Math.floor(seconds / 60);
+    const countdown = minutes > 0 ? `${minutes}:${String(seconds % 60).padStart(2, '0')}` : t('duration.seconds', { seconds: seconds });
+    return t('retry.countdown', { countdown: countdown });
+}
+
+function updateRetryCountdown() {
+    const countdownEl = getElement('retry-countdown');
+    if (countdownEl && state.suggestedRetryTime) {
+        countdownEl.textContent = describeRetryCountdown(state.suggestedRetryTime);
+    }
+}
+
+/**
+ * Show graceful "no frames" message.
+ * With retryAt, counts down to the automatic retry; with onRetry, adds a Retry now button.
+ */
+export function showNoFramesMessage(message, { retryAt = null, onRetry = null } = {}) {
     const container = getElement('error-container');
     if (!container) return;
     
     let html = `<div class="error retrying" style="background: #fff3cd; color: #856404; border-left-color: #ffc107;">
         <div style="margin-bottom: 10px;">⏳ ${message}</div>`;
     
-    if (refreshEndpoint) {
-        html += `<button class="play-btn" onclick="window.location.reload()" style="margin-top: 10px; padding: 8px 16px; font-size: 0.9em;">
-            🔄 Refresh Now
+    if (retryAt) {
+        html += `<div class="retry-countdown" id="retry-countdown">${describeRetryCountdown(retryAt)}</div>`;
+    }
+    if (onRetry) {
+        html += `<button class="play-btn" id="retry-now-btn" style="margin-top: 10px; padding: 8px 16px; font-size: 0.9em;">
+            ${t('retry.button')}
         </button>`;
     }
     
     html += `</div>`;
     container.innerHTML = html;
+    if (onRetry) getElement('retry-now-btn').addEventListener('click', onRetry);
     
     // Hide loading and show message in image container
     const loadingEl = getElement('loading');
@@ -64,6 +163,21 @@ export function showNoFramesMessage(message, refreshEndpoint = null) {
     if (imageEl) imageEl.style.display = 'none';
 }
 
+/**
+ * Show or hide the banner marking data loaded from the offline cache
+ */
+export function updateOfflineBanner(data) {
+    const bannerEl = getElement('offline-banner');
+    if (!bannerEl) return;
+    
+    if (data?.fromOfflineCache) {
+        bannerEl.textContent = t('offline.banner', { time: formatDate(data.offlineStoredAt) });
+        bannerEl.style.display = 'block';
+    } else {
+        bannerEl.style.display = 'none';
+    }
+}
+
 /**
  * Clear error message
  */
@@ -72,16 +186,44 @@ export function clearError() {
     if (container) container.innerHTML = '';
 }
 
+/**
+ * Update cache range display in the settings modal
+ */
+export function updateCacheRangeDisplay(result) {
+    const rangeTextEl = getElement('cache-range-text');
+    if (!rangeTextEl) return;
+    
+    const data = result?.data;
+    if (!data) {
+        rangeTextEl.textContent = t(result?.error ? 'cacheRange.unavailable' : 'cacheRange.empty');
+        return;
+    }
+    
+    if (data.totalCacheFolders > 0) {
+        const spanHours = data.timeSpanMinutes ? Math.round(data.timeSpanMinutes / 60 * 10) / 10 : 0;
+        rangeTextEl.innerHTML = `
+            <div>${t('cacheRange.oldest', { time: formatDate(data.oldestCache.cacheTimestamp) })}</div>
+            <div>${t('cacheRange.newest', { time: formatDate(data.newestCache.cacheTimestamp) })}</div>
+            <div>${t('cacheRange.total', { count: data.totalCacheFolders, hours: spanHours })}</div>
+        `;
+    } else {
+        rangeTextEl.textContent = t('cacheRange.empty');
+    }
+}
+
 /**
  * Update relative times periodically
  */
 export function updateRelativeTimes() {
+    // Count down to the next API retry
+    if (state.isApiDown) updateCircuitStatus();
+    if (state.suggestedRetryTime) updateRetryCountdown();
+    updateProgressTimes();
     if (!state.radarData) return;
     
     const expiresEl = getElement('cache-expires-relative');
     const nextUpdateEl = getElement('next-update-relative');
     const updateStatusDetailEl = getElement('update-status-detail');
-    const nextCheckEl = getElement('next-client-check');
     const estimationNoteEl = getElement('estimation-note');
     
     if (state.radarData.cacheExpiresAt && expiresEl) {
@@ -95,17 +237,19 @@ export function updateRelativeTimes() {
     // Update update status detail with relative time
     if (updateStatusDetailEl) {
         if (state.radarData.isUpdating && state.radarData.nextUpdateTime) {
-            const relativeTime = getRelativeTime(state.radarData.nextUpdateTime);
-            updateStatusDetailEl.textContent = 'Update in progress • Estimated completion: ' + formatDate(state.radarData.nextUpdateTime) + ' (' + relativeTime + ')';
-            updateStatusDetailEl.title = 'Estimate is based on historical metrics and current progress. Accuracy improves as more updates complete.';
+            const stage = describeUpdateProgress(state.radarData.updateProgress);
+            const times = { time: formatDate(state.radarData.nextUpdateTime), relative: getRelativeTime(state.radarData.nextUpdateTime) };
+            updateStatusDetailEl.textContent = stage
+                ? t('update.inProgressWithStage', { ...times, stage: stage })
+                : t('update.inProgress', times);
+            updateStatusDetailEl.title = t('update.inProgressTitle');
             if (estimationNoteEl) estimationNoteEl.style.display = 'inline';
         } else if (!state.radarData.cacheIsValid && !state.radarData.isUpdating && state.radarData.nextUpdateTime) {
-            const relativeTime = getRelativeTime(state.radarData.nextUpdateTime);
-            updateStatusDetailEl.textContent = 'Update scheduled: ' + formatDate(state.radarData.nextUpdateTime) + ' (' + relativeTime + ')';
-            updateStatusDetailEl.title = 'Estimated time when cache update will be triggered or completed. Based on metrics from previous updates.';
+            updateStatusDetailEl.textContent = t('update.scheduled', { time: formatDate(state.radarData.nextUpdateTime), relative: getRelativeTime(state.radarData.nextUpdateTime) });
+            updateStatusDetailEl.title = t('update.scheduledTitle');
             if (estimationNoteEl) estimationNoteEl.style.display = 'inline';
         } else if (state.radarData.cacheIsValid) {
-            updateStatusDetailEl.textContent = 'Cache is valid, no update needed';
+            updateStatusDetailEl.textContent = t('update.valid');
             updateStatusDetailEl.title = '';
             if (estimationNoteEl) estimationNoteEl.style.display = 'none';
         } else {
@@ -114,9 +258,57 @@ export function updateRelativeTimes() {
     }
     
     // Update next client check time
+    updateNextClientCheck();
+}
+
+/**
+ * Show when the client will next check for data, or that live updates are connected
+ */
+export function updateNextClientCheck() {
+    const nextCheckEl = getElement('next-client-check');
+    if (state.isLiveConnected) {
+        state.nextClientCheckTime = null;
+        if (nextCheckEl) nextCheckEl.textContent = t('clientCheck.live');
+        return;
+    }
+    
+    if (state.lastRefreshTime) {
+        state.nextClientCheckTime = new Date(state.lastRefreshTime.getTime() + (state.settings.refreshInterval * 1000));
+    }
     if (state.nextClientCheckTime && nextCheckEl) {
-        nextCheckEl.textContent = 'Next check: ' + formatDate(state.nextClientCheckTime.toISOString()) + ' (' + getRelativeTime(state.nextClientCheckTime.toISOString()) + ')';
+        const nextCheck = state.nextClientCheckTime.toISOString();
+        nextCheckEl.textContent = t('clientCheck.next', { time: formatDate(nextCheck), relative: getRelativeTime(nextCheck) });
+    }
+}
+
+/**
+ * Describe live update progress (e.g. "Capturing frame 3 of 7")
+ */
+function describeUpdateProgress(progress) {
+    if (!progress) return '';
+    if (progress.phase === 'CapturingFrames' && progress.totalFrames) {
+        return t('stage.capturingFrame', { frame: (progress.currentFrame ?? 0) + 1, total: progress.totalFrames });
     }
+    if (progress.phase === 'Saving') return t('stage.savingFrames');
+    return t('stage.initializing');
+}
+
+/**
+ * Apply an update-progress event from the live stream to the cache status card
+ */
+export function updateLiveProgress(progress) {
+    if (!state.radarData) return;
+    
+    state.radarData.isUpdating = true;
+    state.radarData.updateProgress = progress;
+    if (progress.estimatedRemainingSeconds > 0) {
+        state.radarData.nextUpdateTime = new Date(Date.now() + progress.estimatedRemainingSeconds * 1000).toISOString();
+        setElementText('next-update', formatDate(state.radarData.nextUpdateTime));
+    }
+    
+    const statusEl = getElement('cache-status');
+    if (statusEl) statusEl.innerHTML = renderCacheStatus('updating');
+    updateRelativeTimes();
 }
 
 /**
@@ -127,16 +319,16 @@ export function updateStatusForCacheUpdate(retryAfter) {
     const updateStatusDetailEl = getElement('update-status-detail');
     
     if (statusEl) {
-        statusEl.innerHTML = 'Generating <span class="status-badge status-updating">IN PROGRESS</span>';
+        statusEl.innerHTML = renderCacheStatus('generating');
     }
     
     if (updateStatusDetailEl) {
         if (retryAfter) {
             const estimatedTime = new Date(Date.now() + (retryAfter * 1000));
-            updateStatusDetailEl.textContent = `Cache generation in progress. Estimated ready in ${retryAfter} seconds.`;
+            updateStatusDetailEl.textContent = t('update.generatingReadyIn', { count: retryAfter });
             setElementText('next-update', formatDate(estimatedTime.toISOString()));
         } else {
-            updateStatusDetailEl.textContent = 'Cache generation in progress, please wait...';
+            updateStatusDetailEl.textContent = t('update.generating');
             setElementText('next-update', '-');
         }
     }
@@ -149,14 +341,9 @@ export function updateStatusForCacheUpdate(retryAfter) {
     
     // Update last refresh
     if (state.lastRefreshTime) {
-        setElementText('last-refresh', 'Last checked: ' + formatDate(state.lastRefreshTime.toISOString()));
+        setElementText('last-refresh', t('lastChecked', { time: formatDate(state.lastRefreshTime.toISOString()) }));
         
-        // Calculate and display next client check time
-        state.nextClientCheckTime = new Date(state.lastRefreshTime.getTime() + (state.settings.refreshInterval * 1000));
-        const nextCheckEl = getElement('next-client-check');
-        if (nextCheckEl) {
-            nextCheckEl.textContent = 'Next check: ' + formatDate(state.nextClientCheckTime.toISOString()) + ' (' + getRelativeTime(state.nextClientCheckTime.toISOString()) + ')';
-        }
+        updateNextClientCheck();
     }
 }
 
@@ -166,47 +353,51 @@ export function updateStatusForCacheUpdate(retryAfter) {
 export function updateUI(data) {
     // Update cache status even if no frames are available
     if (data) {
+        updateOfflineBanner(data);
+        
         const statusEl = getElement('cache-status');
         if (statusEl && (data.isUpdating !== undefined || data.cacheIsValid !== undefined)) {
-            let statusHtml = '';
-            if (data.isUpdating) {
-                statusHtml = 'Updating <span class="status-badge status-updating">IN PROGRESS</span>';
+            let status = 'invalid';
+            if (data.fromOfflineCache) {
+                status = 'offline';
+            } else if (data.isUpdating) {
+                status = 'updating';
             } else if (data.cacheIsValid) {
-                statusHtml = 'Valid <span class="status-badge status-valid">ACTIVE</span>';
-            } else {
-                statusHtml = 'Invalid <span class="status-badge status-invalid">EXPIRED</span>';
+                status = 'valid';
             }
-            statusEl.innerHTML = statusHtml;
+            statusEl.innerHTML = renderCacheStatus(status);
         }
         
         // Update update status detail
         const updateStatusDetailEl = getElement('update-status-detail');
         const estimationNoteEl = getElement('estimation-note');
         if (updateStatusDetailEl && (data.isUpdating !== undefined || data.cacheIsValid !== undefined)) {
-            if (data.isUpdating) {
+            if (data.fromOfflineCache) {
+                updateStatusDetailEl.textContent = t('update.offline');
+                updateStatusDetailEl.title = '';
+                if (estimationNoteEl) estimationNoteEl.style.display = 'none';
+            } else if (data.isUpdating) {
                 if (data.nextUpdateTime) {
-                    const relativeTime = getRelativeTime(data.nextUpdateTime);
-                    updateStatusDetailEl.textContent = 'Update in progress • Estimated completion: ' + formatDate(data.nextUpdateTime) + ' (' + relativeTime + ')';
-                    updateStatusDetailEl.title = 'Estimate is based on historical metrics and current progress. Accuracy improves as more updates complete.';
+                    updateStatusDetailEl.textContent = t('update.inProgress', { time: formatDate(data.nextUpdateTime), relative: getRelativeTime(data.nextUpdateTime) });
+                    updateStatusDetailEl.title = t('update.inProgressTitle');
                     if (estimationNoteEl) estimationNoteEl.style.display = 'inline';
                 } else {
-                    updateStatusDetailEl.textContent = 'Update in progress, please wait...';
-                    updateStatusDetailEl.title = 'Cache update is in progress. Completion time will be estimated once progress tracking begins.';
+                    updateStatusDetailEl.textContent = t('update.inProgressNoEstimate');
+                    updateStatusDetailEl.title = t('update.inProgressNoEstimateTitle');
                     if (estimationNoteEl) estimationNoteEl.style.display = 'none';
                 }
             } else if (data.cacheIsValid) {
-                updateStatusDetailEl.textContent = 'Cache is valid, no update needed';
+                updateStatusDetailEl.textContent = t('update.valid');
                 updateStatusDetailEl.title = '';
                 if (estimationNoteEl) estimationNoteEl.style.display = 'none';
             } else {
                 if (data.nextUpdateTime) {
-                    const relativeTime = getRelativeTime(data.nextUpdateTime);
-                    updateStatusDetailEl.textContent = 'Update scheduled: ' + formatDate(data.nextUpdateTime) + ' (' + relativeTime + ')';
-                    updateStatusDetailEl.title = 'Estimated time when cache update will be triggered or completed. Based on metrics from previous updates.';
+                    updateStatusDetailEl.textContent = t('update.scheduled', { time: formatDate(data.nextUpdateTime), relative: getRelativeTime(data.nextUpdateTime) });
+                    updateStatusDetailEl.title = t('update.scheduledTitle');
                     if (estimationNoteEl) estimationNoteEl.style.display = 'inline';
                 } else {
-                    updateStatusDetailEl.textContent = 'Update will be triggered by background service';
-                    updateStatusDetailEl.title = 'The background cache management service will check and update the cache periodically.';
+                    updateStatusDetailEl.textContent = t('update.background');
+                    updateStatusDetailEl.title = t('update.backgroundTitle');
                     if (estimationNoteEl) estimationNoteEl.style.display = 'none';
                 }
             }
@@ -223,25 +414,25 @@ export function updateUI(data) {
     // Handle no frames case
     if (!data || !data.frames || data.frames.length === 0) {
         const currentStatus = getElement('cache-status')?.innerHTML;
-        if (!currentStatus || currentStatus === 'Checking...' || currentStatus.trim() === '') {
+        if (!currentStatus || currentStatus === t('cacheStatus.checking') || currentStatus.trim() === '') {
             const statusEl = getElement('cache-status');
             const updateStatusDetailEl = getElement('update-status-detail');
-            if (statusEl) statusEl.innerHTML = 'Generating <span class="status-badge status-updating">IN PROGRESS</span>';
-            if (updateStatusDetailEl) updateStatusDetailEl.textContent = 'Cache generation in progress, please wait...';
+            if (statusEl) statusEl.innerHTML = renderCacheStatus('generating');
+            if (updateStatusDetailEl) updateStatusDetailEl.textContent = t('update.generating');
         }
         
-        showNoFramesMessage('No radar frames available yet. Cache is being generated in the background. Please wait a moment and refresh.');
+        showNoFramesMessage(t('noFrames.waiting'));
         state.frames = [];
         const controlsEl = getElement('frame-controls');
         if (controlsEl) controlsEl.innerHTML = '';
-        setElementText('play-btn', '▶ Play');
+        setElementText('play-btn', t('player.play'));
         const playBtn = getElement('play-btn');
         const prevBtn = getElement('prev-btn');
         const nextBtn = getElement('next-btn');
         if (playBtn) playBtn.disabled = true;
         if (prevBtn) prevBtn.disabled = true;
         if (nextBtn) nextBtn.disabled = true;
-        setElementText('frame-info', 'Waiting for cache to be generated...');
+        setElementText('frame-info', t('noFrames.frameInfo'));
         return;
     }
     
@@ -267,13 +458,8 @@ export function updateUI(data) {
     // Update metadata fields (redundant updates removed since already done above)
     // Update last refresh
     if (state.lastRefreshTime) {
-        setElementText('last-refresh', 'Last checked: ' + formatDate(state.lastRefreshTime.toISOString()));
-        
-        state.nextClientCheckTime = new Date(state.lastRefreshTime.getTime() + (state.settings.refreshInterval * 1000));
-        const nextCheckEl = getElement('next-client-check');
-        if (nextCheckEl) {
-            nextCheckEl.textContent = 'Next check: ' + formatDate(state.nextClientCheckTime.toISOString()) + ' (' + getRelativeTime(state.nextClientCheckTime.toISOString()) + ')';
-        }
+        setElementText('last-refresh', t('lastChecked', { time: formatDate(state.lastRefreshTime.toISOString()) }));
+        updateNextClientCheck();
     }
     
     // Frame controls will be built by the caller (to avoid circular dependencies)
@@ -0,0 +1,201 @@
+// Cache update progress view - the running update's stage, elapsed time against the estimate, and recent update durations
+import { state } from './state.js';
+import { fetchCacheStatus } from './api-client.js';
+import { formatDate, formatDuration, getElement, escapeHtml } from './utils.js';
+import { UPDATE_STALL_SECONDS, UPDATE_SLOW_FACTOR, UPDATE_HISTORY_SHOWN } from './config.js';
+import { t } from './i18n.js';
+
+const STAGES = [
+    { phase: 'Initializing', labelKey: 'stage.initializing' },
+    { phase: 'CapturingFrames', labelKey: 'stage.capturingFrames' },
+    { phase: 'Saving', labelKey: 'stage.saving' }
+];
+
+let cacheStatus = null; // last CacheUpdateStatus from the server (typical duration, recent updates)
+let running = null; // { phase, currentFrame, totalFrames, startedAt, estimatedEndAt, lastChangeAt } (times in ms)
+let statusController = null;
+
+/**
+ * Track a running update. lastChangeAt only moves when the stage or frame changes, so an update
+ * that stops reporting progress shows as stalled.
+ */
+function trackRunningUpdate({ phase, currentFrame = null, totalFrames = null, startedAt = null, estimatedEndAt = null }) {
+    const now = Date.now();
+    const changed = !running || running.phase !== phase || running.currentFrame !== currentFrame;
+    running = {
+        phase: phase,
+        currentFrame: currentFrame,
+        totalFrames: totalFrames,
+        startedAt: startedAt ?? running?.startedAt ?? now,
+        estimatedEndAt: estimatedEndAt ?? running?.estimatedEndAt ?? null,
+        lastChangeAt: changed ? now : running.lastChangeAt
+    };
+}
+
+/**
+ * Apply an update-progress event from the live stream
+ */
+export function applyUpdateProgress(progress) {
+    trackRunningUpdate({
+        phase: progress.phase,
+        currentFrame: progress.currentFrame ?? null,
+        totalFrames: progress.totalFrames ?? null,
+        startedAt: progress.updateStartedAt ? Date.parse(progress.updateStartedAt) : null,
+        estimatedEndAt: progress.estimatedRemainingSeconds > 0 ? Date.now() + progress.estimatedRemainingSeconds * 1000 : null
+    });
+    renderUpdateProgress();
+}
+
+/**
+ * Apply a cache status from the server - the running update (if any) and the recent update history
+ */
+function applyCacheStatus(status) {
+    cacheStatus = status;
+    if (status.updateStartedAt && status.phase) {
+        trackRunningUpdate({
+            phase: status.phase,
+            currentFrame: status.currentFrame ?? null,
+            totalFrames: status.totalFrames ?? null,
+            startedAt: Date.parse(status.updateStartedAt)
+        });
+    } else {
+        running = null;
+    }
+    renderUpdateProgress();
+}
+
+/**
+ * Fetch the viewer location's cache status (a newer load replaces one in flight)
+ */
+export async function loadUpdateStatus() {
+    if (!state.location) return;
+    
+    statusController?.abort();
+    const controller = new AbortController();
+    statusController = controller;
+    
+    const result = await fetchCacheStatus(state, { signal: controller.signal });
+    if (controller !== statusController) return;
+    statusController = null;
+    // Keep what is on screen if the status can't be fetched - live events still update it
+    if (result.error) return;
+    applyCacheStatus(result.data || {});
+}
+
+/**
+ * The running update finished (the refresh that follows reloads the history including it)
+ */
+export function completeUpdateProgress() {
+    running = null;
+    renderUpdateProgress();
+}
+
+/**
+ * Forget the progress and history (switching location or leaving the viewer)
+ */
+export function resetUpdateProgress() {
+    statusController?.abort();
+    statusController = null;
+    cacheStatus = null;
+    running = null;
+    renderUpdateProgress();
+}
+
+function getTypicalSeconds() {
+    return cacheStatus?.typicalDurationSeconds || null;
+}
+
+function renderStages() {
+    const currentIndex = STAGES.findIndex(stage => stage.phase === running.phase);
+    return STAGES.map((stage, index) => {
+        const stateClass = index < currentIndex ? 'done' : index === currentIndex ? 'current' : 'pending';
+        let label = escapeHtml(t(stage.labelKey));
+        if (stage.phase === 'CapturingFrames' && index === currentIndex && running.totalFrames) {
+            label += ` ${(running.currentFrame ?? 0) + 1}/${running.totalFrames}`;
+        }
+        return `<li class="${stateClass}">${index < currentIndex ? '✓ ' : ''}${label}</li>`;
+    }).join('');
+}
+
+/**
+ * Is the running update progressing normally, slower than usual, or stuck?
+ */
+function describeHealth(elapsedSeconds) {
+    const secondsSinceChange = (Date.now() - running.lastChangeAt) / 1000;
+    if (secondsSinceChange > UPDATE_STALL_SECONDS) {
+        return { className: 'stalled', text: t('progress.stalled', { duration: formatDuration(secondsSinceChange) }) };
+    }
+    const typical = getTypicalSeconds();
+    if (typical && elapsedSeconds > typical * UPDATE_SLOW_FACTOR) {
+        return { className: 'slow', text: t('progress.slow', { typical: formatDuration(typical) }) };
+    }
+    return { className: 'on-track', text: t('progress.onTrack') };
+}
+
+function renderRunningUpdate() {
+    const progressEl = getElement('update-progress');
+    if (!progressEl) return;
+    
+    progressEl.style.display = running ? 'block' : 'none';
+    if (!running) return;
+    
+    const elapsedSeconds = Math.max(0, (Date.now() - running.startedAt) / 1000);
+    const estimatedSeconds = running.estimatedEndAt
+        ? (running.estimatedEndAt - running.startedAt) / 1000
+        : getTypicalSeconds();
+    
+    getElement('update-stages').innerHTML = renderStages();
+    
+    const fillEl = getElement('update-progress-fill');
+    const elapsedEl = getElement('update-progress-elapsed');
+    if (estimatedSeconds > 0) {
+        fillEl.style.width = `${Math.min(100, (elapsedSeconds / estimatedSeconds) * 100)}%`;
+        elapsedEl.textContent = t('progress.elapsed', { elapsed: formatDuration(elapsedSeconds), estimate: formatDuration(estimatedSeconds) });
+    } else {
+        fillEl.style.width = '0%';
+        elapsedEl.textContent = t('progress.elapsedNoEstimate', { elapsed: formatDuration(elapsedSeconds) });
+    }
+    
+    const health = describeHealth(elapsedSeconds);
+    const healthEl = getElement('update-health');
+    healthEl.className = `update-health ${health.className}`;
+    // Only on change - the health line is a status region and this runs every second
+    if (healthEl.textContent !== health.text) healthEl.textContent = health.text;
+}
+
+function renderHistory() {
+    const historyEl = getElement('update-history');
+    if (!historyEl) return;
+    
+    const updates = (cacheStatus?.recentUpdates || []).slice(0, UPDATE_HISTORY_SHOWN);
+    historyEl.style.display = updates.length > 0 ? 'block' : 'none';
+    if (updates.length === 0) return;
+    
+    const typical = getTypicalSeconds();
+    getElement('update-history-title').textContent = typical
+        ? t('progress.historyTypical', { typical: formatDuration(typical) })
+        : t('progress.history');
+    getElement('update-history-list').innerHTML = updates.map(update => {
+        const isSlow = typical && update.durationSeconds > typical * UPDATE_SLOW_FACTOR;
+        return `
+            <li${isSlow ? ' class="slow"' : ''}>
+                <span class="update-history-duration">${formatDuration(update.durationSeconds)}</span>
+                ${formatDate(update.completedAt)}
+            </li>`;
+    }).join('');
+}
+
+/**
+ * Redraw the progress view and the update history
+ */
+function renderUpdateProgress() {
+    renderRunningUpdate();
+    renderHistory();
+}
+
+/**
+ * Keep elapsed time and the stall check current (called every second)
+ */
+export function updateProgressTimes() {
+    if (running) renderRunningUpdate();
+}
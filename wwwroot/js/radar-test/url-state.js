@@ -0,0 +1,156 @@
+// Shareable viewer state in the page URL (timespan, custom range, frame time, play state, interval, playback speed and mode)
+import { state } from './state.js';
+import { getElement } from './utils.js';
+import { TIMESPAN_OPTIONS, PLAYBACK_MODES, PLAYBACK_SPEEDS } from './config.js';
+import { t } from './i18n.js';
+
+const URL_SYNC_DELAY_MS = 300; // debounce address bar updates (browsers throttle replaceState)
+const COPY_FEEDBACK_MS = 2000;
+
+let pendingView = null; // { frameTime, isPlaying } requested by the URL, applied to the first data load
+let syncTimeout = null;
+
+function isValidDate(value) {
+    return !!value && !isNaN(new Date(value).getTime());
+}
+
+/**
+ * Read viewer state from a query string. Missing or invalid values are left out.
+ * Parameters: timespan, start, end (custom range, ISO 8601 - zone-less times are the browser's), t (frame observation time), play (1/0), interval (seconds per frame),
+ * speed (playback speed multiplier), mode (loop, bounce or reverse)
+ */
+export function parseViewerQuery(search) {
+    const params = new URLSearchParams(search);
+    const result = {};
+    
+    const timespan = params.get('timespan');
+    if (TIMESPAN_OPTIONS.includes(timespan)) result.timespan = timespan;
+    
+    const start = params.get('start');
+    const end = params.get('end');
+    if (isValidDate(start)) result.customStartTime = new Date(start).toISOString();
+    if (isValidDate(end)) result.customEndTime = new Date(end).toISOString();
+    
+    const interval = parseFloat(params.get('interval'));
+    if (interval > 0) result.frameInterval = interval;
+    
+    const speed = parseFloat(params.get('speed'));
+    if (PLAYBACK_SPEEDS.includes(speed)) result.playbackSpeed = speed;
+    
+    const mode = params.get('mode');
+    if (PLAYBACK_MODES.includes(mode)) result.playbackMode = mode;
+    
+    const frameTime = params.get('t');
+    if (isValidDate(frameTime)) result.frameTime = new Date(frameTime).toISOString();
+    
+    if (params.has('play')) result.isPlaying = params.get('play') === '1';
+    
+    return result;
+}
+
+/**
+ * Apply settings from the page URL over the current (cookie) settings.
+ * Only changes settings in memory - the cookie is updated if the user saves settings.
+ */
+export function applyUrlSettings() {
+    const urlState = parseViewerQuery(window.location.search);
+    
+    ['timespan', 'customStartTime', 'customEndTime', 'frameInterval', 'playbackSpeed', 'playbackMode'].forEach(key => {
+        if (urlState[key] !== undefined) state.settings[key] = urlState[key];
+    });
+    if (!urlState.timespan && (urlState.customStartTime || urlState.customEndTime)) {
+        state.settings.timespan = 'custom';
+    }
+    
+    pendingView = (urlState.frameTime || urlState.isPlaying !== undefined)
+        ? { frameTime: urlState.frameTime || null, isPlaying: urlState.isPlaying }
+        : null;
+}
+
+/**
+ * Take the frame time and play state requested by the URL (returns them once, then null)
+ */
+export function takePendingView() {
+    const view = pendingView;
+    pendingView = null;
+    return view;
+}
+
+/**
+ * Build the query string describing the current view.
+ * The frame time is left out while playing unless includeFrame is set (it changes every frame).
+ */
+export function buildViewerQuery({ includeFrame = !state.isPlaying } = {}) {
+    const params = new URLSearchParams();
+    const settings = state.settings;
+    
+    if (settings.timespan && settings.timespan !== 'latest') {
+        params.set('timespan', settings.timespan);
+    }
+    if (settings.timespan === 'custom') {
+        // Absolute (UTC) times, so the link shows the same range wherever it is opened
+        if (isValidDate(settings.customStartTime)) params.set('start', new Date(settings.customStartTime).toISOString());
+        if (isValidDate(settings.customEndTime)) params.set('end', new Date(settings.customEndTime).toISOString());
+    }
+    
+    const frame = state.frames[state.currentFrameIndex];
+    if (includeFrame && frame?.absoluteObservationTime) {
+        params.set('t', frame.absoluteObservationTime);
+    }
+    params.set('play', state.isPlaying ? '1' : '0');
+    params.set('interval', String(settings.frameInterval));
+    params.set('speed', String(settings.playbackSpeed));
+    params.set('mode', settings.playbackMode);
+    
+    return params.toString();
+}
+
+/**
+ * Full link to the current view, including the frame on screen
+ */
+export function buildShareUrl() {
+    return `${window.location.origin}${window.location.pathname}?${buildViewerQuery({ includeFrame: true })}`;
+}
+
+/**
+ * Write the current view to the address bar now (replaces the history entry)
+ */
+export function syncUrlState() {
+    clearTimeout(syncTimeout);
+    syncTimeout = null;
+    // Nothing to describe until frames load (and a shared link's frame time must survive until then)
+    if (state.settings.dashboardMode || state.settings.compareMode || state.frames.length === 0) return;
+    
+    const url = `${window.location.pathname}?${buildViewerQuery()}${window.location.hash}`;
+    if (url !== `${window.location.pathname}${window.location.search}${window.location.hash}`) {
+        history.replaceState(history.state, '', url);
+    }
+}
+
+/**
+ * Write the current view to the address bar shortly (coalesces rapid frame changes)
+ */
+export function scheduleUrlStateSync() {
+    clearTimeout(syncTimeout);
+    syncTimeout = setTimeout(syncUrlState, URL_SYNC_DELAY_MS);
+}
+
+/**
+ * Set up the copy link button
+ */
+export function setupShareLink() {
+    const shareBtn = getElement('share-btn');
+    if (!shareBtn) return;
+    
+    shareBtn.addEventListener('click', async () => {
+        const url = buildShareUrl();
+        try {
+            await navigator.clipboard.writeText(url);
+            shareBtn.textContent = t('share.copied');
+            setTimeout(() => { shareBtn.textContent = t('player.copyLink'); }, COPY_FEEDBACK_MS);
+        } catch (error) {
+            // Clipboard needs a secure context - let the user copy it by hand
+            window.prompt(t('share.copyPrompt'), url);
+        }
+    });
+}
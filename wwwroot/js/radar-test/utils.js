@@ -1,4 +1,7 @@
 // Utility functions
+import { state } from './state.js';
+import { STATE_TIME_ZONES, FALLBACK_TIME_ZONE } from './config.js';
+import { t, getIntlLocale, formatRelativeTime } from './i18n.js';
 
 // Cookie management
 export function setCookie(name, value, days = 365) {
@@ -25,11 +28,49 @@ export function getCookie(name) {
 }
 
 // Date formatting utilities
-export function formatDate(dateString) {
+export function isValidTimeZone(timeZone) {
+    try {
+        new Intl.DateTimeFormat(getIntlLocale(), { timeZone: timeZone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Time zone for a timeZone setting - 'location' uses the location's state, 'local' the browser's zone (undefined)
+ */
+export function resolveTimeZone(setting, location) {
+    if (setting === 'local') return undefined;
+    if (!setting || setting === 'location' || !isValidTimeZone(setting)) {
+        return STATE_TIME_ZONES[location?.state?.toUpperCase()] || FALLBACK_TIME_ZONE;
+    }
+    return setting;
+}
+
+/**
+ * Intl options for showing times the way a state's settings ask ({ timeZone, hourCycle })
+ */
+export function getTimeDisplay(s = state) {
+    return {
+        timeZone: resolveTimeZone(s.settings?.timeZone, s.location),
+        hourCycle: s.settings?.timeFormat === '24h' ? 'h23' : 'h12'
+    };
+}
+
+/**
+ * Short name of the zone times are shown in (e.g. "AEDT", "UTC")
+ */
+export function getTimeZoneLabel(s = state, date = new Date()) {
+    const parts = new Intl.DateTimeFormat(getIntlLocale(), { timeZone: getTimeDisplay(s).timeZone, timeZoneName: 'short' }).formatToParts(date);
+    return parts.find(part => part.type === 'timeZoneName')?.value || '';
+}
+
+export function formatDate(dateString, s = state) {
     if (!dateString) return '-';
     const date = new Date(dateString);
-    return date.toLocaleString('en-AU', {
-        timeZone: 'Australia/Brisbane',
+    return date.toLocaleString(getIntlLocale(), {
+        ...getTimeDisplay(s),
         year: 'numeric',
         month: 'short',
         day: 'numeric',
@@ -39,21 +80,59 @@ export function formatDate(dateString) {
     });
 }
 
+/**
+ * Wall clock time of a date in a time zone (undefined for the browser's), as a UTC timestamp with the same fields
+ */
+function getWallClockTime(date, timeZone) {
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+        timeZone: timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric'
+    }).formatToParts(date).map(part => [part.type, Number(part.value)]));
+    return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+}
+
+/**
+ * Value for a datetime-local input showing a date in a time zone (undefined for the browser's), to the second
+ */
+export function toDateTimeLocalValue(dateString, timeZone = undefined) {
+    return new Date(getWallClockTime(new Date(dateString), timeZone)).toISOString().slice(0, 19);
+}
+
+/**
+ * The date a datetime-local input value means in a time zone (undefined for the browser's)
+ */
+export function fromDateTimeLocalValue(value, timeZone = undefined) {
+    const wallClock = new Date(`${value}Z`).getTime();
+    if (isNaN(wallClock)) return new Date(NaN);
+    // Take the zone's offset at the guess, then again at the result in case the guess fell across a daylight saving change
+    let time = wallClock - (getWallClockTime(new Date(wallClock), timeZone) - wallClock);
+    time = wallClock - (getWallClockTime(new Date(time), timeZone) - time);
+    return new Date(time);
+}
+
+/**
+ * Seconds as a short duration ("45s", "2m 05s")
+ */
+export function formatDuration(seconds) {
+    const total = Math.max(0, Math.round(seconds));
+    const minutes = Math.floor(total / 60);
+    return minutes > 0
+        ? t('duration.minutes', { minutes: minutes, seconds: String(total % 60).padStart(2, '0') })
+        : t('duration.seconds', { seconds: total });
+}
+
+/**
+ * A time relative to now ("in 5 minutes", "2 minutes ago") in the UI locale
+ */
 export function getRelativeTime(dateString) {
     if (!dateString) return '';
-    const date = new Date(dateString);
-    const now = new Date();
-    const diffMs = date - now;
-    const diffMins = Math.floor(diffMs / 60000);
-    const diffSecs = Math.floor((diffMs % 60000) / 1000);
-    
-    if (diffMs < 0) {
-        return Math.abs(diffMins) + ' minute(s) ago';
-    } else if (diffMins > 0) {
-        return 'in ' + diffMins + ' minute(s)';
-    } else {
-        return 'in ' + diffSecs + ' second(s)';
-    }
+    return formatRelativeTime(dateString);
 }
 
 export function getMinutesAgo(dateString) {
@@ -102,18 +181,19 @@ export function getMinutesAgo(dateString) {
 }
 
 // Format frame time for display (consolidates duplicate logic)
-export function formatFrameTime(frame, isExtendedMode) {
+export function formatFrameTime(frame, isExtendedMode, s = state) {
     if (!frame.absoluteObservationTime) return '-';
+    if (frame.isForecast) return t('frameTime.forecast', { minutes: frame.forecastMinutes });
     
     if (isExtendedMode) {
-        return formatDate(frame.absoluteObservationTime);
+        return formatDate(frame.absoluteObservationTime, s);
     } else {
         const minutesAgo = getMinutesAgo(frame.absoluteObservationTime);
         // If minutesAgo is null (invalid date or edge case), fall back to formatted date
         if (minutesAgo === null) {
-            return formatDate(frame.absoluteObservationTime);
+            return formatDate(frame.absoluteObservationTime, s);
         }
-        return `${minutesAgo} min ago`;
+        return t('frameTime.minutesAgo', { minutes: minutesAgo });
     }
 }
 
@@ -121,10 +201,10 @@ export function formatFrameTime(frame, isExtendedMode) {
 export function isNetworkError(error) {
     return error.name === 'TypeError' || 
            error.name === 'AbortError' || 
+           error.name === 'TimeoutError' || 
            error.message.includes('fetch') ||
-           error.message.includes('network') ||
-           error.message.includes('Failed to fetch') ||
-           error.message === 'Network error';
+           /network/i.test(error.message) ||
+           error.message.includes('Failed to fetch');
 }
 
 export function isNetworkErrorResponse(response) {
@@ -132,8 +212,8 @@ export function isNetworkErrorResponse(response) {
 }
 
 // DOM helpers
-export function getElement(id) {
-    return document.getElementById(id);
+export function getElement(id, root = document) {
+    return root.getElementById(id);
 }
 
 export function setElementText(id, text) {
@@ -146,6 +226,28 @@ export function setElementHTML(id, html) {
     if (el) el.innerHTML = html;
 }
 
+// Save a Blob through a temporary download link
+export function downloadBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 10000);
+}
+
+// Escape text for safe insertion into innerHTML templates
+export function escapeHtml(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
 // Create cache status data object (consolidates duplicate creation)
 export function createCacheStatusData(errorData) {
     const details = errorData.details || errorData;
@@ -162,23 +264,3 @@ export function createCacheStatusData(errorData) {
     };
 }
 
-// Trigger background cache refresh (consolidates duplicate calls)
-export function triggerBackgroundRefresh(refreshEndpoint) {
-    if (refreshEndpoint) {
-        fetch(refreshEndpoint, {
-            method: 'POST',
-            signal: AbortSignal.timeout(5000)
-        }).catch(err => {
-            console.debug('Background cache refresh trigger failed (non-critical):', err);
-        });
-    }
-}
-
-// Preload all frame images to prevent jiggle
-export function preloadImages(frames) {
-    frames.forEach(frame => {
-        const img = new Image();
-        img.src = frame.imageUrl;
-    });
-}
-
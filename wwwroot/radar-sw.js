@@ -0,0 +1,102 @@
+// Service worker for the radar viewer - serves the page shell and cached frames when offline
+// The IndexedDB names must match OFFLINE_DB_NAME / OFFLINE_FRAMES_STORE in js/radar-test/config.js
+const SHELL_CACHE = 'bom-radar-shell-v2';
+const OFFLINE_DB_NAME = 'bom-radar-offline';
+const OFFLINE_FRAMES_STORE = 'frames';
+
+const FRAME_PATH_PATTERN = /^\/api\/radar\/[^/]+\/[^/]+\/frame\/\d+$/;
+
+self.addEventListener('install', () => {
+    self.skipWaiting();
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names
+            .filter(name => name.startsWith('bom-radar-shell-') && name !== SHELL_CACHE)
+            .map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+    
+    const url = new URL(request.url);
+    if (url.origin !== self.location.origin) return;
+    
+    if (FRAME_PATH_PATTERN.test(url.pathname)) {
+        event.respondWith(networkThenOfflineFrame(request, url));
+    } else if (request.mode === 'navigate' && url.pathname.startsWith('/radar/')) {
+        event.respondWith(networkThenShellCache(request));
+    } else if (url.pathname.startsWith('/css/radar-test/') || url.pathname.startsWith('/js/radar-test/')) {
+        // Network first too: the modules app.js imports aren't versioned, so a cached copy
+        // from before a deploy could be missing exports the new app.js needs
+        event.respondWith(networkThenShellCache(request));
+    }
+    // Everything else (API JSON included) goes straight to the network
+});
+
+/**
+ * Viewer pages, scripts and styles: network first, cached copy when offline
+ */
+async function networkThenShellCache(request) {
+    const cache = await caches.open(SHELL_CACHE);
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request);
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+/**
+ * Frame images: network first, newest copy stored by the page (IndexedDB) when offline
+ */
+async function networkThenOfflineFrame(request, url) {
+    try {
+        return await fetch(request);
+    } catch (error) {
+        const blob = await findOfflineFrame(url.pathname + url.search).catch(() => null);
+        if (blob) {
+            return new Response(blob, { headers: { 'Content-Type': blob.type || 'image/png' } });
+        }
+        throw error;
+    }
+}
+
+function findOfflineFrame(imageUrl) {
+    return new Promise((resolve, reject) => {
+        const openRequest = indexedDB.open(OFFLINE_DB_NAME);
+        // Don't create the database here - the page owns the schema
+        openRequest.onupgradeneeded = () => openRequest.transaction.abort();
+        openRequest.onerror = () => reject(openRequest.error);
+        openRequest.onsuccess = () => {
+            const db = openRequest.result;
+            if (!db.objectStoreNames.contains(OFFLINE_FRAMES_STORE)) {
+                db.close();
+                resolve(null);
+                return;
+            }
+            
+            const query = db.transaction(OFFLINE_FRAMES_STORE, 'readonly')
+                .objectStore(OFFLINE_FRAMES_STORE)
+                .index('imageUrl')
+                .getAll(imageUrl);
+            query.onerror = () => reject(query.error);
+            query.onsuccess = () => {
+                db.close();
+                // Latest-frame URLs are reused across cache updates - use the most recently stored one
+                const newest = query.result.sort((a, b) => (a.storedAt < b.storedAt ? 1 : -1))[0];
+                resolve(newest ? newest.blob : null);
+            };
+        };
+    });
+}